@@ -39,6 +39,24 @@ class WikiGitHubStorage extends GitHubStorage {
     return super.saveGridSubmission(username, userId, entityId, item, gridConfig);
   }
 
+  /**
+   * Load items of a type across all users
+   * Used by the build gallery, which lists every user's published builds
+   */
+  async loadAll(type) {
+    const issues = await this._findIssuesByLabels([type]);
+
+    return issues.flatMap(issue => {
+      try {
+        const items = JSON.parse(issue.body || '[]');
+        return Array.isArray(items) ? items : [];
+      } catch (error) {
+        console.error(`[WikiGitHubStorage] Failed to parse ${type} issue #${issue.number}:`, error);
+        return [];
+      }
+    });
+  }
+
   /**
    * Save data to an issue with wiki-specific title formatting
    * Overrides the parent save() method to inject custom titles
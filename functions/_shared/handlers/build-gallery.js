@@ -0,0 +1,375 @@
+const { createLogger } = require('../../../src/utils/logger');
+const logger = createLogger('BuildGallery');
+
+/**
+ * Build Gallery Handler (Platform-Agnostic)
+ * Lists published builds and handles publishing, unpublishing, views and likes
+ *
+ * GET /api/build-gallery
+ *   Returns every published entry
+ *
+ * POST /api/build-gallery
+ * Headers: Authorization: Bearer {token} (publish, unpublish, like)
+ * Body: {
+ *   action: 'publish' | 'unpublish' | 'view' | 'like',
+ *   entry?: object (publish - see utils/buildGallery createGalleryEntry),
+ *   entryId?: string (unpublish, view, like),
+ *   ownerId?: number (view, like - the entry's author)
+ * }
+ *
+ * Entries are stored per author like other user data (type 'gallery-builds'),
+ * so view and like counts are written back to the author's issue. The acting
+ * user of publish, unpublish and like comes from their GitHub token, never
+ * from the body.
+ *
+ * Views are anonymous, so they are counted once per visitor (hashed IP) and
+ * entry per day, capped per visitor, and written in batches: a burst of views
+ * on an author's builds costs one update per entry instead of one per view.
+ * Like the github-bot rate limit store, this state lives in the function
+ * instance and resets on cold starts; views waiting there are lost, so counts
+ * can only be low, never inflated.
+ */
+
+import { createWikiStorage } from '../createWikiStorage.js';
+import { DATA_TYPE_CONFIGS } from '../utils.js';
+import {
+  validateUsername,
+  validateUserId,
+  validateItemId,
+  validateGalleryEntry,
+  validateRequestBodySize,
+} from '../validation.js';
+import { GALLERY_BUILD_TYPES, GALLERY_ELEMENTS, addGalleryView, toggleGalleryLike } from '../../../src/utils/buildGallery.js';
+import { decodeShareCode } from '../../../src/utils/shareCodes.js';
+
+const GALLERY_TYPE = 'gallery-builds';
+const VALID_ACTIONS = ['publish', 'unpublish', 'view', 'like'];
+
+const VIEW_WINDOW_MS = 24 * 60 * 60 * 1000; // A visitor counts once per entry per window
+const MAX_VIEWS_PER_VISITOR = 50; // Entries one visitor can count per window
+const VIEW_FLUSH_MS = 60 * 1000; // Waiting views are written at most this late...
+const VIEW_BATCH_SIZE = 20; // ...or once this many wait for one author
+
+// visitor hash -> Map(`${ownerId}:${entryId}` -> time counted)
+const recentViews = new Map();
+// ownerId -> { counts: Map(entryId -> views), total, since }
+const pendingViews = new Map();
+// ownerId -> tail of the updates queued for that author's issue
+const ownerQueues = new Map();
+
+/**
+ * Handle build gallery request
+ * @param {PlatformAdapter} adapter - Platform adapter instance
+ * @param {ConfigAdapter} configAdapter - Config adapter instance
+ * @returns {Promise<Object>} Platform-specific response
+ */
+export async function handleBuildGallery(adapter, configAdapter) {
+  const method = adapter.getMethod();
+  if (method !== 'GET' && method !== 'POST') {
+    return adapter.createJsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    let body = {};
+    if (method === 'POST') {
+      const rawBody = await adapter.getBody();
+
+      // Validate request body size first
+      const bodySizeResult = validateRequestBodySize(rawBody);
+      if (!bodySizeResult.valid) {
+        return adapter.createJsonResponse(413, { error: bodySizeResult.error });
+      }
+
+      body = JSON.parse(rawBody);
+    }
+    const { action, entry, entryId, ownerId } = body;
+
+    if (method === 'POST' && !VALID_ACTIONS.includes(action)) {
+      return adapter.createJsonResponse(400, {
+        error: `Invalid action. Must be one of: ${VALID_ACTIONS.join(', ')}`
+      });
+    }
+
+    // Every action except publish targets an existing entry
+    if (['unpublish', 'view', 'like'].includes(action)) {
+      const entryIdResult = validateItemId(entryId, 'Entry ID');
+      if (!entryIdResult.valid) {
+        return adapter.createJsonResponse(400, { error: entryIdResult.error });
+      }
+    }
+
+    if (['view', 'like'].includes(action)) {
+      const ownerIdResult = validateUserId(ownerId);
+      if (!ownerIdResult.valid) {
+        return adapter.createJsonResponse(400, { error: ownerIdResult.error });
+      }
+    }
+
+    // Publishing, unpublishing and liking act as the signed-in user
+    let user = null;
+    if (['publish', 'unpublish', 'like'].includes(action)) {
+      user = await getAuthenticatedUser(adapter);
+      if (!user) {
+        return adapter.createJsonResponse(401, { error: 'Sign in with GitHub to publish or like builds' });
+      }
+    }
+
+    if (action === 'like' && Number(ownerId) === user.userId) {
+      return adapter.createJsonResponse(400, { error: 'You cannot like your own build' });
+    }
+
+    // Get bot token from environment
+    const botToken = adapter.getEnv('WIKI_BOT_TOKEN');
+    if (!botToken) {
+      console.error('[build-gallery] WIKI_BOT_TOKEN not configured');
+      return adapter.createJsonResponse(500, { error: 'Server configuration error' });
+    }
+
+    // Get repo info from environment
+    const owner = adapter.getEnv('WIKI_REPO_OWNER') || adapter.getEnv('VITE_WIKI_REPO_OWNER');
+    const repo = adapter.getEnv('WIKI_REPO_NAME') || adapter.getEnv('VITE_WIKI_REPO_NAME');
+
+    if (!owner || !repo) {
+      console.error('[build-gallery] Repository config missing');
+      return adapter.createJsonResponse(500, { error: 'Server configuration error' });
+    }
+
+    // Create storage adapter using config
+    const storageConfig = configAdapter.getStorageConfig(adapter);
+    const storage = createWikiStorage(storageConfig, { WIKI_BOT_TOKEN: botToken });
+
+    switch (action) {
+      case 'publish':
+        return await handlePublish(adapter, storage, user, entry);
+      case 'unpublish': {
+        const entries = await storage.delete(GALLERY_TYPE, user.username, user.userId, entryId);
+        logger.debug(`Unpublished ${entryId} for ${user.username}`);
+        return adapter.createJsonResponse(200, { success: true, entries });
+      }
+      case 'view':
+        return await handleView(adapter, storage, Number(ownerId), entryId);
+      case 'like':
+        return await handleLike(adapter, storage, Number(ownerId), entryId, user);
+      default: {
+        await flushDueViews(storage, Date.now());
+        const entries = (await storage.loadAll(GALLERY_TYPE)).map(withPendingViews);
+        logger.debug(`Loaded ${entries.length} gallery entries`);
+        return adapter.createJsonResponse(200, { success: true, entries });
+      }
+    }
+
+  } catch (error) {
+    console.error('[build-gallery] Error:', error);
+    return adapter.createJsonResponse(500, { error: error.message || 'Internal server error' });
+  }
+}
+
+/**
+ * Signed-in GitHub user from the Authorization header
+ * @returns {Promise<{username: string, userId: number}|null>} null if the token is missing or invalid
+ */
+async function getAuthenticatedUser(adapter) {
+  const headers = adapter.getHeaders();
+  const authHeader = headers?.authorization || headers?.Authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const userResponse = await fetch('https://api.github.com/user', {
+    headers: {
+      'Authorization': `token ${authHeader.substring(7)}`,
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'SlayerLegend-Wiki/1.0',
+    },
+  });
+
+  if (!userResponse.ok) {
+    logger.warn('Gallery token validation failed', { status: userResponse.status });
+    return null;
+  }
+
+  const userData = await userResponse.json();
+  const usernameResult = validateUsername(userData.login);
+  const userIdResult = validateUserId(userData.id);
+  if (!usernameResult.valid || !userIdResult.valid) {
+    return null;
+  }
+
+  return { username: usernameResult.sanitized, userId: userIdResult.sanitized };
+}
+
+/**
+ * Publish a build to the gallery
+ */
+async function handlePublish(adapter, storage, user, entry) {
+  const entryResult = validateGalleryEntry(entry, Object.keys(GALLERY_BUILD_TYPES), GALLERY_ELEMENTS);
+  if (!entryResult.valid) {
+    return adapter.createJsonResponse(400, { error: entryResult.error });
+  }
+
+  // The share code is what visitors open, so it has to decode to the claimed type
+  let decoded;
+  try {
+    decoded = decodeShareCode(entryResult.sanitized.shareCode);
+  } catch (error) {
+    return adapter.createJsonResponse(400, { error: `Invalid share code: ${error.message}` });
+  }
+  if (decoded.type !== entryResult.sanitized.type) {
+    return adapter.createJsonResponse(400, { error: 'Share code does not match the build type' });
+  }
+
+  const config = DATA_TYPE_CONFIGS[GALLERY_TYPE];
+  const items = await storage.load(GALLERY_TYPE, user.userId);
+  if (items.length >= config.maxItems) {
+    return adapter.createJsonResponse(400, {
+      error: `Maximum ${config.maxItems} published builds allowed. Please unpublish an old build first.`
+    });
+  }
+
+  const now = new Date().toISOString();
+  const itemToSave = {
+    ...entryResult.sanitized,
+    id: `${GALLERY_TYPE}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    authorName: user.username,
+    authorId: user.userId,
+    views: 0,
+    likedBy: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await storage.save(GALLERY_TYPE, user.username, user.userId, itemToSave);
+
+  logger.debug(`Published ${itemToSave.type} "${itemToSave.name}" for ${user.username}`);
+
+  return adapter.createJsonResponse(200, { success: true, entry: itemToSave });
+}
+
+/**
+ * Run an update of an author's entries after the ones already queued, so
+ * likes and view flushes on the same issue don't overwrite each other
+ */
+function queueOwnerUpdate(ownerId, update) {
+  const previous = ownerQueues.get(ownerId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(update);
+  ownerQueues.set(ownerId, next);
+
+  const cleanup = () => {
+    if (ownerQueues.get(ownerId) === next) ownerQueues.delete(ownerId);
+  };
+  next.then(cleanup, cleanup);
+
+  return next;
+}
+
+/**
+ * Hash a visitor's IP so raw addresses aren't kept in memory
+ */
+async function hashVisitor(ip) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`gallery-view:${ip}`));
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Count a view unless the visitor already viewed the entry (or hit their cap) this window
+ * @returns {boolean} Whether the view was counted
+ */
+function countView(visitor, ownerId, entryId, now) {
+  const views = recentViews.get(visitor) || new Map();
+  for (const [key, time] of views) {
+    if (now - time >= VIEW_WINDOW_MS) views.delete(key);
+  }
+
+  const key = `${ownerId}:${entryId}`;
+  if (views.has(key) || views.size >= MAX_VIEWS_PER_VISITOR) {
+    recentViews.set(visitor, views);
+    return false;
+  }
+  views.set(key, now);
+  recentViews.set(visitor, views);
+
+  const pending = pendingViews.get(ownerId) || { counts: new Map(), total: 0, since: now };
+  pending.counts.set(entryId, (pending.counts.get(entryId) || 0) + 1);
+  pending.total++;
+  pendingViews.set(ownerId, pending);
+  return true;
+}
+
+/**
+ * Write an author's waiting views (one update per viewed entry; unknown entries are dropped)
+ */
+async function flushViews(storage, ownerId) {
+  const pending = pendingViews.get(ownerId);
+  if (!pending) return;
+  pendingViews.delete(ownerId);
+
+  await queueOwnerUpdate(ownerId, async () => {
+    const items = await storage.load(GALLERY_TYPE, ownerId);
+    for (const item of items) {
+      const views = pending.counts.get(item.id);
+      if (views) {
+        await storage.save(GALLERY_TYPE, item.authorName, ownerId, addGalleryView(item, views));
+      }
+    }
+  });
+}
+
+/**
+ * Write the waiting views of every author whose batch is full or old enough
+ */
+async function flushDueViews(storage, now) {
+  const due = [...pendingViews.entries()]
+    .filter(([, pending]) => pending.total >= VIEW_BATCH_SIZE || now - pending.since >= VIEW_FLUSH_MS)
+    .map(([ownerId]) => ownerId);
+
+  for (const ownerId of due) {
+    try {
+      await flushViews(storage, ownerId);
+    } catch (error) {
+      logger.error('Failed to write gallery views', { ownerId, error: error.message });
+    }
+  }
+}
+
+/**
+ * Entry with the views that are counted but not written yet
+ */
+function withPendingViews(item) {
+  const views = pendingViews.get(item.authorId)?.counts.get(item.id);
+  return views ? addGalleryView(item, views) : item;
+}
+
+/**
+ * Count a view of an entry
+ */
+async function handleView(adapter, storage, ownerId, entryId) {
+  const now = Date.now();
+  const visitor = await hashVisitor(adapter.getClientIP());
+  const counted = countView(visitor, ownerId, entryId, now);
+
+  await flushDueViews(storage, now);
+
+  return adapter.createJsonResponse(200, { success: true, counted });
+}
+
+/**
+ * Toggle the signed-in user's like on an entry in its author's storage
+ */
+async function handleLike(adapter, storage, ownerId, entryId, user) {
+  const updated = await queueOwnerUpdate(ownerId, async () => {
+    const items = await storage.load(GALLERY_TYPE, ownerId);
+    const item = items.find(i => i.id === entryId);
+    if (!item) return null;
+
+    const next = toggleGalleryLike(item, user.userId);
+    await storage.save(GALLERY_TYPE, item.authorName, ownerId, next);
+    return next;
+  });
+
+  if (!updated) {
+    return adapter.createJsonResponse(404, { error: 'Gallery entry not found' });
+  }
+
+  logger.debug(`${user.username} toggled like on ${entryId}`);
+  return adapter.createJsonResponse(200, { success: true, entry: withPendingViews(updated) });
+}
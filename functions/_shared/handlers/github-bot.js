@@ -58,6 +58,7 @@ async function loadAchievementDeciders() {
 import { Octokit } from '@octokit/rest';
 import * as LeoProfanity from 'leo-profanity';
 import { sendEmail } from '../sendgrid.js';
+import { buildGridConsensus, getPromotionBlocker, applyConsensusToGridData } from '../../../src/utils/gridConsensus.js';
 import * as jwt from '../jwt.js';
 import StorageFactory from 'github-wiki-framework/src/services/storage/StorageFactory.js';
 import { createUserIdLabel, createNameLabel, createEmailLabel } from 'github-wiki-framework/src/utils/githubLabelUtils.js';
@@ -346,6 +347,8 @@ export async function handleGithubBot(adapter, configAdapter, cryptoAdapter) {
         return await handleDeleteVideoGuide(adapter, octokit, body);
       case 'get-pending-video-guide-deletions':
         return await handleGetPendingVideoGuideDeletions(adapter, octokit, body);
+      case 'promote-grid-consensus':
+        return await handlePromoteGridConsensus(adapter, octokit, body);
       default:
         return adapter.createJsonResponse(400, { error: `Unknown action: ${action}` });
     }
@@ -3520,3 +3523,185 @@ async function handleGetPendingVideoGuideDeletions(adapter, octokit, { owner, re
   }
 }
 
+/**
+ * Promote the community consensus grid for a weapon into soul-weapon-grids.json
+ * Re-reads the submissions server-side, then opens a PR with the consensus layout.
+ * Required: owner, repo, weaponId, userToken
+ * Optional: expectedSignature (rejects if the consensus changed since the admin reviewed it)
+ */
+async function handlePromoteGridConsensus(adapter, octokit, { owner, repo, weaponId, userToken, expectedSignature }) {
+  if (!owner || !repo || !weaponId || !userToken) {
+    return adapter.createJsonResponse(400, {
+      error: 'Missing required fields: owner, repo, weaponId, userToken'
+    });
+  }
+
+  // Verify admin permissions
+  const userOctokit = new Octokit({
+    auth: userToken,
+    userAgent: 'GitHub-Wiki-Bot/1.0'
+  });
+
+  let adminUsername;
+  try {
+    const { data: repoData } = await userOctokit.rest.repos.get({ owner, repo });
+    const { data: userData } = await userOctokit.rest.users.getAuthenticated();
+
+    const isOwner = repoData.owner.login === userData.login;
+    const { data: permData } = await userOctokit.rest.repos.getCollaboratorPermissionLevel({
+      owner,
+      repo,
+      username: userData.login,
+    });
+    const hasAdminPerm = permData.permission === 'admin';
+
+    if (!isOwner && !hasAdminPerm) {
+      return adapter.createJsonResponse(403, { error: 'Only repository owner and admins can perform this action' });
+    }
+    adminUsername = userData.login;
+  } catch (error) {
+    logger.error('Permission check failed', { error: error.message });
+    return adapter.createJsonResponse(403, { error: 'Permission verification failed' });
+  }
+
+  try {
+    // Load submissions from the weapon's grid issue (one JSON comment per submission)
+    const { data: issues } = await octokit.rest.issues.listForRepo({
+      owner,
+      repo,
+      labels: `soul-weapon-grids,weapon-id:${weaponId}`,
+      state: 'open',
+      per_page: 10
+    });
+
+    if (issues.length === 0) {
+      return adapter.createJsonResponse(404, { error: 'No grid submissions found for this weapon' });
+    }
+
+    const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: issues[0].number,
+      per_page: 100
+    });
+
+    const submissions = [];
+    for (const comment of comments) {
+      try {
+        submissions.push(JSON.parse(comment.body));
+      } catch (error) {
+        logger.warn('Skipping unparseable grid submission', { commentId: comment.id });
+      }
+    }
+
+    const consensus = buildGridConsensus(submissions);
+    if (!consensus) {
+      return adapter.createJsonResponse(404, { error: 'No valid grid submissions found for this weapon' });
+    }
+
+    const promotionBlocker = getPromotionBlocker(consensus);
+    if (promotionBlocker) {
+      return adapter.createJsonResponse(400, { error: promotionBlocker });
+    }
+
+    if (expectedSignature && consensus.consensus.signature !== expectedSignature) {
+      return adapter.createJsonResponse(409, { error: 'Consensus changed since it was reviewed. Please refresh and try again.' });
+    }
+
+    const weaponName = consensus.consensus.submissions[0].weaponName || `Weapon ${weaponId}`;
+
+    // Fetch current soul-weapon-grids.json from main branch
+    const { data: fileData } = await octokit.rest.repos.getContent({
+      owner,
+      repo,
+      path: 'public/data/soul-weapon-grids.json',
+      ref: 'main'
+    });
+
+    const currentContent = Buffer.from(fileData.content, 'base64').toString('utf8');
+    const updatedData = applyConsensusToGridData(
+      JSON.parse(currentContent),
+      { id: weaponId, name: weaponName },
+      consensus,
+      { promotedBy: adminUsername, promotedAt: new Date().toISOString() }
+    );
+    const updatedContentBase64 = Buffer.from(JSON.stringify(updatedData, null, 2) + '\n').toString('base64');
+
+    // Create branch
+    const branchName = `promote-weapon-grid-${weaponId}-${Date.now()}`;
+    const { data: mainRef } = await octokit.rest.git.getRef({
+      owner,
+      repo,
+      ref: 'heads/main'
+    });
+
+    await octokit.rest.git.createRef({
+      owner,
+      repo,
+      ref: `refs/heads/${branchName}`,
+      sha: mainRef.object.sha
+    });
+
+    // Commit to branch
+    await octokit.rest.repos.createOrUpdateFileContents({
+      owner,
+      repo,
+      path: 'public/data/soul-weapon-grids.json',
+      message: `Add verified grid layout for ${weaponName}`,
+      content: updatedContentBase64,
+      branch: branchName,
+      sha: fileData.sha
+    });
+
+    const { layout, count, submitters } = consensus.consensus;
+    const prTitle = `[Soul Weapon Grid] Promote consensus layout: ${weaponName}`;
+    const prBody = `## Soul Weapon Grid Promotion
+
+**Weapon:** ${weaponName} (ID ${weaponId})
+**Grid Type:** ${layout.gridType}
+**Active Slots:** ${layout.totalActiveSlots}
+**Completion Effect:** ATK +${layout.completionEffect.atk}% / HP +${layout.completionEffect.hp}%
+**Agreement:** ${count} of ${consensus.totalSubmissions} submissions (${submitters.join(', ')})
+**Disagreeing Cells:** ${consensus.disagreeingCells.length === 0 ? 'None' : consensus.disagreeingCells.map(c => `(${c.row},${c.col}) ${c.votes}/${consensus.totalSubmissions}`).join(', ')}
+**Submissions Issue:** #${issues[0].number}
+
+---
+
+Promoted by @${adminUsername}
+
+**For reviewers:** This PR adds the community consensus layout to \`soul-weapon-grids.json\` and marks it as verified.`;
+
+    const { data: pr } = await octokit.rest.pulls.create({
+      owner,
+      repo,
+      title: prTitle,
+      body: prBody,
+      head: branchName,
+      base: 'main'
+    });
+
+    await octokit.rest.issues.addLabels({
+      owner,
+      repo,
+      issue_number: pr.number,
+      labels: ['promote-weapon-grid', `weapon-id:${weaponId}`]
+    });
+
+    logger.info('Grid consensus promotion PR created', {
+      prNumber: pr.number,
+      weaponId,
+      agreement: `${count}/${consensus.totalSubmissions}`,
+      adminUsername
+    });
+
+    return adapter.createJsonResponse(200, {
+      message: 'Grid promotion PR created successfully',
+      prNumber: pr.number,
+      prUrl: pr.html_url,
+      weaponId
+    });
+  } catch (error) {
+    logger.error('Failed to promote grid consensus', { error: error.message, weaponId });
+    return adapter.createJsonResponse(500, { error: error.message });
+  }
+}
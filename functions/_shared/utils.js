@@ -48,6 +48,12 @@ export const DATA_TYPE_CONFIGS = {
     itemsName: 'builds',
     maxItems: 50,
   },
+  'gallery-builds': {
+    label: 'gallery-builds',
+    titlePrefix: '[Build Gallery]',
+    itemsName: 'entries',
+    maxItems: 20,
+  },
   'grid-submission': {
     label: 'soul-weapon-grids',
     titlePrefix: '[Soul Weapon Grid]',
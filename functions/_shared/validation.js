@@ -586,6 +586,73 @@ export function validateLabels(labels) {
   return result;
 }
 
+/**
+ * Validate battle loadout gear (relics, companions, familiar, clothing, promotion tier)
+ * All fields are optional; present fields must reference game data by integer ID
+ * @param {Object} data - Battle loadout data
+ * @returns {ValidationResult}
+ */
+export function validateLoadoutGear(data) {
+  const isId = (value) => Number.isInteger(value) && value >= 0;
+  const isLevel = (value) => value === undefined || (Number.isInteger(value) && value >= 1);
+
+  const leveledLists = [
+    { field: 'relics', idKey: 'relicId', max: COLLECTION_LIMITS.MAX_LOADOUT_RELICS, label: 'Relics' },
+    { field: 'companions', idKey: 'companionId', max: COLLECTION_LIMITS.MAX_LOADOUT_COMPANIONS, label: 'Companions' },
+  ];
+
+  for (const { field, idKey, max, label } of leveledLists) {
+    if (data[field] === undefined || data[field] === null) continue;
+
+    const lengthResult = validateArrayLength(data[field], max, label);
+    if (!lengthResult.valid) return lengthResult;
+
+    for (let i = 0; i < data[field].length; i++) {
+      const item = data[field][i];
+      if (!item || !isId(item[idKey]) || !isLevel(item.level)) {
+        return {
+          valid: false,
+          error: `${label} entry at index ${i} must have a valid ${idKey} and level`
+        };
+      }
+    }
+  }
+
+  if (data.clothing !== undefined && data.clothing !== null) {
+    const lengthResult = validateArrayLength(data.clothing, COLLECTION_LIMITS.MAX_LOADOUT_CLOTHING, 'Clothing');
+    if (!lengthResult.valid) return lengthResult;
+
+    if (!data.clothing.every(isId)) {
+      return {
+        valid: false,
+        error: 'Clothing must be an array of clothing IDs'
+      };
+    }
+  }
+
+  // Familiar was a placeholder string in older loadouts; accept null or a structured familiar
+  if (data.familiar !== undefined && data.familiar !== null && typeof data.familiar !== 'string') {
+    const { familiarId, weaponId, weaponTier } = data.familiar;
+    if (!isId(familiarId) ||
+        (weaponId !== undefined && weaponId !== null && typeof weaponId !== 'string') ||
+        !isLevel(weaponTier)) {
+      return {
+        valid: false,
+        error: 'Familiar must have a valid familiarId, weaponId and weaponTier'
+      };
+    }
+  }
+
+  if (data.promotionTier !== undefined && data.promotionTier !== null && !isId(data.promotionTier)) {
+    return {
+      valid: false,
+      error: 'promotionTier must be a non-negative integer'
+    };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate request body size
  * @param {string} body - Request body (JSON string)
@@ -691,6 +758,9 @@ export function validateBuildData(data, type) {
       const spiritSlotsResult = validateSpiritSlots(data.spiritBuild.slots);
       if (!spiritSlotsResult.valid) return spiritSlotsResult;
     }
+
+    const gearResult = validateLoadoutGear(data);
+    if (!gearResult.valid) return gearResult;
   }
 
   // Validate JSON size
@@ -708,6 +778,91 @@ export function validateBuildData(data, type) {
   };
 }
 
+/**
+ * Validate a build gallery entry (before the server adds author and counters)
+ * Tags must reference game data by integer ID and elements must be known,
+ * since the entry is stored as-is in a public issue.
+ * @param {Object} entry - Gallery entry
+ * @param {Array<string>} validTypes - Publishable share types
+ * @param {Array<string>} validElements - Element tags
+ * @returns {ValidationResult}
+ */
+export function validateGalleryEntry(entry, validTypes, validElements) {
+  const isId = (value) => Number.isInteger(value) && value >= 0 && value <= COLLECTION_LIMITS.MAX_GAME_DATA_ID;
+
+  if (!entry || typeof entry !== 'object') {
+    return {
+      valid: false,
+      error: 'Gallery entry must be an object',
+    };
+  }
+
+  if (!validTypes.includes(entry.type)) {
+    return {
+      valid: false,
+      error: `Invalid build type. Must be one of: ${validTypes.join(', ')}`,
+    };
+  }
+
+  const nameResult = validateBuildName(entry.name);
+  if (!nameResult.valid) return nameResult;
+
+  const descriptionResult = validateStringLength(
+    entry.description || '',
+    0,
+    STRING_LIMITS.GALLERY_DESCRIPTION_MAX,
+    'Description'
+  );
+  if (!descriptionResult.valid) return descriptionResult;
+
+  const shareCodeResult = validateStringLength(entry.shareCode, 1, STRING_LIMITS.SHARE_CODE_MAX, 'Share code');
+  if (!shareCodeResult.valid) return shareCodeResult;
+
+  for (const field of ['skillIds', 'spiritIds']) {
+    const arrayResult = validateArrayLength(entry[field], COLLECTION_LIMITS.MAX_SKILL_SLOTS, field);
+    if (!arrayResult.valid) return arrayResult;
+
+    if (!entry[field].every(isId)) {
+      return {
+        valid: false,
+        error: `${field} must be an array of IDs`,
+      };
+    }
+  }
+
+  const elementsResult = validateArrayLength(entry.elements, validElements.length, 'elements');
+  if (!elementsResult.valid) return elementsResult;
+
+  if (!entry.elements.every(element => validElements.includes(element))) {
+    return {
+      valid: false,
+      error: `elements must be one of: ${validElements.join(', ')}`,
+    };
+  }
+
+  const weaponId = entry.weaponId ?? null;
+  if (weaponId !== null && !isId(weaponId)) {
+    return {
+      valid: false,
+      error: 'weaponId must be an ID or null',
+    };
+  }
+
+  return {
+    valid: true,
+    sanitized: {
+      type: entry.type,
+      name: nameResult.sanitized,
+      description: descriptionResult.sanitized,
+      shareCode: shareCodeResult.sanitized,
+      skillIds: entry.skillIds,
+      spiritIds: entry.spiritIds,
+      weaponId,
+      elements: entry.elements,
+    },
+  };
+}
+
 /**
  * Validate grid submission data
  * @param {Object} data - Grid submission data
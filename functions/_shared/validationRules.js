@@ -13,6 +13,10 @@ export const STRING_LIMITS = {
   BUILD_NAME_MIN: 1,
   BUILD_NAME_MAX: 100,
 
+  // Build gallery entries
+  GALLERY_DESCRIPTION_MAX: 500,
+  SHARE_CODE_MAX: 8192,
+
   // User identifiers
   USERNAME_MIN: 1,
   USERNAME_MAX: 39, // GitHub username max length
@@ -71,6 +75,14 @@ export const COLLECTION_LIMITS = {
   // Grid cells
   MAX_GRID_CELLS: 500, // Soul weapon grid max cells
 
+  // Battle loadout gear
+  MAX_LOADOUT_RELICS: 50,
+  MAX_LOADOUT_COMPANIONS: 20,
+  MAX_LOADOUT_CLOTHING: 200,
+
+  // Build gallery tags (skill, spirit and weapon IDs are small integers)
+  MAX_GAME_DATA_ID: 100000,
+
   // Labels array
   MAX_LABELS: 20,
   LABEL_LENGTH_MAX: 50,
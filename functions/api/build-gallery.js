@@ -0,0 +1,17 @@
+/**
+ * Cloudflare Function: Build Gallery
+ * Thin wrapper that delegates to platform-agnostic handler
+ *
+ * GET /api/build-gallery
+ * POST /api/build-gallery
+ */
+
+import { CloudflareAdapter } from 'github-wiki-framework/serverless/shared/adapters/PlatformAdapter.js';
+import { ConfigAdapter } from 'github-wiki-framework/serverless/shared/adapters/ConfigAdapter.js';
+import { handleBuildGallery } from '../_shared/handlers/build-gallery.js';
+
+export async function onRequest(context) {
+  const adapter = new CloudflareAdapter(context);
+  const configAdapter = new ConfigAdapter('cloudflare');
+  return await handleBuildGallery(adapter, configAdapter);
+}
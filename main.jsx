@@ -30,6 +30,7 @@ import { registerContentProcessor, registerCustomComponents, registerSkillPrevie
 import { registerDataSelector } from './wiki-framework/src/utils/dataSelectorRegistry.js';
 import { processGameSyntax, getGameComponents, renderSkillPreview, renderEquipmentPreview } from './src/utils/gameContentRenderer.jsx';
 import { searchDataForAutocomplete } from './src/utils/dataAutocompleteSearch.js';
+import { watchGameDataVersion } from './src/services/gameData.js';
 import DataSelector from './src/components/DataSelector.jsx';
 import SpiritPicker from './src/components/SpiritPicker.jsx';
 import SkillPicker from './src/components/SkillPicker.jsx';
@@ -64,6 +65,9 @@ registerVideoGuidePicker();
 
 registerDataAutocompleteSearch(searchDataForAutocomplete);
 
+// Game data is cached per build version; pick up new data after a deploy
+watchGameDataVersion();
+
 // Register data sources for data injection
 import dataRegistry from './src/utils/dataRegistry.js';
 
@@ -300,7 +304,7 @@ dataRegistry.register('equipment-drops', {
 // ===== CONTENT & PROGRESSION =====
 
 dataRegistry.register('adventures', {
-  file: '/data/adventures.json',
+  file: '/data/typed/adventures.json',
   label: 'Adventures',
   idField: 'id',
   display: {
@@ -316,7 +320,7 @@ dataRegistry.register('adventures', {
 });
 
 dataRegistry.register('campaigns', {
-  file: '/data/campaigns.json',
+  file: '/data/typed/campaigns.json',
   label: 'Campaigns',
   idField: 'id',
   display: {
@@ -332,7 +336,7 @@ dataRegistry.register('campaigns', {
 });
 
 dataRegistry.register('quests', {
-  file: '/data/quests.json',
+  file: '/data/typed/quests.json',
   label: 'Quests',
   idField: 'id',
   display: {
@@ -347,6 +351,22 @@ dataRegistry.register('quests', {
   type: 'array'
 });
 
+dataRegistry.register('stage-regions', {
+  file: '/data/stages/index.json',
+  label: 'Stage Regions',
+  idField: 'id',
+  display: {
+    primary: 'region',
+    secondary: ['firstStage', 'lastStage'],
+    badges: ['count']
+  },
+  dataPath: 'chunks',
+  searchFields: ['id', 'region'],
+  icon: '🏞️',
+  description: 'Stage ranges per region (index of the stage chunks built from stages.json)',
+  type: 'array'
+});
+
 // ===== GAME SYSTEMS =====
 
 dataRegistry.register('formulas', {
@@ -361,7 +381,7 @@ dataRegistry.register('formulas', {
   dataPath: null,
   searchFields: [],
   icon: '🧮',
-  description: 'Game calculation formulas (damage, enhancement, fusion)',
+  description: 'Calculator formulas (damage, enhancement, fusion, promotion, idle, stage, drops)',
   type: 'object'
 });
 
@@ -412,7 +432,7 @@ registerDataFiles([
   'campaigns.json',
   'companion-characters.json',
   'equipment-drops.json',
-  'stages.json',
+  'stages/index.json',
   'spirit-characters.json',
   'spirit-upgrades.json',
   'familiars.json',
@@ -434,6 +454,12 @@ const SoulWeaponEngravingBuilderPage = React.lazy(() => import('./src/pages/Soul
 const DonatePage = React.lazy(() => import('./src/pages/DonatePage.jsx'));
 const ContentCreatorsPage = React.lazy(() => import('./wiki-framework/src/pages/ContentCreatorsPage.jsx'));
 const SkillStonesPage = React.lazy(() => import('./src/pages/SkillStonesPage.jsx'));
+const SpiritUpgradePlannerPage = React.lazy(() => import('./src/pages/SpiritUpgradePlannerPage.jsx'));
+const BuildComparePage = React.lazy(() => import('./src/pages/BuildComparePage.jsx'));
+const BuildGalleryPage = React.lazy(() => import('./src/pages/BuildGalleryPage.jsx'));
+const IdleIncomeCalculatorPage = React.lazy(() => import('./src/pages/IdleIncomeCalculatorPage.jsx'));
+const StageReadinessPage = React.lazy(() => import('./src/pages/StageReadinessPage.jsx'));
+const DropSimulatorPage = React.lazy(() => import('./src/pages/DropSimulatorPage.jsx'));
 
 // Base routes that are always registered
 const baseRoutes = [
@@ -447,6 +473,36 @@ const baseRoutes = [
     component: <SpiritBuilderPage />,
     suspense: true
   },
+  {
+    path: 'spirit-upgrade-planner',
+    component: <SpiritUpgradePlannerPage />,
+    suspense: true
+  },
+  {
+    path: 'compare',
+    component: <BuildComparePage />,
+    suspense: true
+  },
+  {
+    path: 'gallery',
+    component: <BuildGalleryPage />,
+    suspense: true
+  },
+  {
+    path: 'idle-income',
+    component: <IdleIncomeCalculatorPage />,
+    suspense: true
+  },
+  {
+    path: 'stage-readiness',
+    component: <StageReadinessPage />,
+    suspense: true
+  },
+  {
+    path: 'drop-simulator',
+    component: <DropSimulatorPage />,
+    suspense: true
+  },
   {
     path: 'my-collections',
     component: <MyCollectionsPage />,
@@ -0,0 +1,17 @@
+/**
+ * Netlify Function: Build Gallery
+ * Thin wrapper that delegates to platform-agnostic handler
+ *
+ * GET /.netlify/functions/build-gallery
+ * POST /.netlify/functions/build-gallery
+ */
+
+import { NetlifyAdapter } from 'github-wiki-framework/serverless/shared/adapters/PlatformAdapter.js';
+import { ConfigAdapter } from 'github-wiki-framework/serverless/shared/adapters/ConfigAdapter.js';
+import { handleBuildGallery } from '../../functions/_shared/handlers/build-gallery.js';
+
+export async function handler(event) {
+  const adapter = new NetlifyAdapter(event);
+  const configAdapter = new ConfigAdapter('netlify');
+  return await handleBuildGallery(adapter, configAdapter);
+}
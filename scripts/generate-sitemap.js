@@ -33,8 +33,14 @@ const STATIC_ROUTES = [
   { url: '/', priority: '1.0', changefreq: 'daily' },
   { url: '/skill-builder', priority: '0.9', changefreq: 'monthly' },
   { url: '/spirit-builder', priority: '0.9', changefreq: 'monthly' },
+  { url: '/spirit-upgrade-planner', priority: '0.8', changefreq: 'monthly' },
   { url: '/battle-loadouts', priority: '0.9', changefreq: 'monthly' },
   { url: '/soul-weapon-engraving', priority: '0.9', changefreq: 'monthly' },
+  { url: '/compare', priority: '0.7', changefreq: 'monthly' },
+  { url: '/gallery', priority: '0.8', changefreq: 'daily' },
+  { url: '/idle-income', priority: '0.8', changefreq: 'monthly' },
+  { url: '/stage-readiness', priority: '0.8', changefreq: 'monthly' },
+  { url: '/drop-simulator', priority: '0.8', changefreq: 'monthly' },
   { url: '/my-collections', priority: '0.7', changefreq: 'monthly' },
   { url: '/my-spirits', priority: '0.7', changefreq: 'monthly' },
   { url: '/highscore', priority: '0.8', changefreq: 'daily' },
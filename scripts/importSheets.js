@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * Import Sheets Script
+ * Updates public/data from the spreadsheet dumps in research/, using one
+ * mapping config per sheet in scripts/sheet-imports/.
+ *
+ * A mapping names the dump and the data file, the key fields that identify a
+ * record, and which sheet column feeds each field:
+ *
+ *   {
+ *     "source": "comprehensive-main-skills.json",
+ *     "target": "skills.json",
+ *     "key": ["id"],
+ *     "fields": {
+ *       "id": { "column": "ID", "type": "integer" },
+ *       "name": { "columns": [1, 2] },
+ *       "attribute": { "column": "ATTRIBUTE", "empty": ["-"] },
+ *       "scalingFactors": { "columns": [5, 6, 7], "type": "number", "list": true }
+ *     },
+ *     "keep": ["name"],
+ *     "defaults": { "icon": "" }
+ *   }
+ *
+ * - column: header text (case and spacing ignored) or 0-based index
+ * - columns: first non-empty of several columns, or all of them with "list"
+ * - type: string (default), number, integer or boolean (see src/utils/dataNormalization.js)
+ * - empty: cell values that mean "no value" (e.g. "-"), treated like blank cells
+ * - keep: fields edited by hand; the sheet only fills them when they are empty
+ * - defaults: values for fields a new record needs but the sheet doesn't have
+ *
+ * Records are merged by key: mapped fields take the sheet value, fields the
+ * sheet doesn't map (images, icons, notes) are left alone, empty cells never
+ * overwrite anything, and records missing from the sheet stay in place.
+ *
+ * Prints a diff summary; nothing is written without --write, and a merged
+ * file that doesn't pass its schema (scripts/validateData.js) isn't written.
+ *
+ * Usage: node scripts/importSheets.js [mapping names...] [--write] [--verbose]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { convertValue } from '../src/utils/dataNormalization.js';
+import { createValidator, validateDataFile } from './validateData.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..');
+const RESEARCH_DIR = path.join(ROOT_DIR, 'research');
+const DATA_DIR = path.join(ROOT_DIR, 'public', 'data');
+const MAPPING_DIR = path.join(__dirname, 'sheet-imports');
+
+// Changes listed per category without --verbose
+const DETAIL_LIMIT = 10;
+
+/**
+ * Rows of a sheet dump (the research tools saved them under different names)
+ *
+ * @param {Object} dump - Parsed dump file
+ * @returns {Array<Array<string>>}
+ */
+function getSheetRows(dump) {
+  const rows = dump.allRows || dump.data || dump.rawRows;
+  if (!Array.isArray(rows)) {
+    throw new Error(`sheet ${dump.sheet || '?'} has no rows (expected allRows, data or rawRows)`);
+  }
+  return rows;
+}
+
+const normalizeHeader = (text) => String(text).replace(/\s+/g, ' ').trim().toUpperCase();
+
+/**
+ * Index of a mapped column
+ *
+ * @param {Array<string>} header - Header row
+ * @param {string|number} column - Header text or 0-based index
+ * @returns {number}
+ */
+function resolveColumn(header, column) {
+  if (typeof column === 'number') return column;
+  const index = header.findIndex(text => normalizeHeader(text) === normalizeHeader(column));
+  if (index === -1) throw new Error(`column "${column}" not found in the sheet header`);
+  return index;
+}
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const formatKey = (key, record) => key.map(field => `${field}=${record[field]}`).join(' ');
+
+const keyOf = (key, record) => JSON.stringify(key.map(field => record[field]));
+
+/**
+ * Turn sheet rows into records
+ *
+ * Rows without a value for every key field (blank lines, notes) are skipped.
+ *
+ * @param {Array<Array<string>>} rows - Sheet rows, header first
+ * @param {Object} mapping - Sheet mapping config
+ * @returns {{ records: Array<Object>, errors: Array<string> }}
+ */
+function extractRecords(rows, mapping) {
+  const headerRow = mapping.headerRow ?? 0;
+  const header = rows[headerRow] || [];
+  const fields = Object.entries(mapping.fields).map(([field, spec]) => ({
+    field,
+    type: spec.type || 'string',
+    list: Boolean(spec.list),
+    empty: spec.empty || [],
+    columns: (spec.columns || [spec.column]).map(column => resolveColumn(header, column))
+  }));
+
+  const records = [];
+  const errors = [];
+
+  rows.slice(headerRow + 1).forEach((row, offset) => {
+    const sheetRow = headerRow + offset + 2; // 1-based, as shown in the spreadsheet
+    const record = {};
+
+    fields.forEach(({ field, type, list, empty, columns }) => {
+      const cells = columns.map(column => row[column])
+        .map(cell => (empty.includes(String(cell ?? '').trim()) ? '' : cell));
+      const convert = (cell) => {
+        const result = convertValue(String(cell).trim(), type);
+        if ('error' in result) {
+          errors.push(`row ${sheetRow} ${field}: ${result.error}: ${JSON.stringify(cell)} (expected ${type})`);
+          return undefined;
+        }
+        return result.value;
+      };
+
+      if (list) {
+        const values = cells.filter(cell => !isEmpty(cell)).map(convert);
+        if (values.length > 0) record[field] = values;
+        return;
+      }
+
+      const cell = cells.find(value => !isEmpty(value));
+      if (cell === undefined) return;
+      const value = convert(cell);
+      if (value !== undefined) record[field] = value;
+    });
+
+    if (mapping.key.every(field => field in record)) {
+      records.push(record);
+    }
+  });
+
+  return { records, errors };
+}
+
+/**
+ * Merge imported records into the existing ones by key
+ *
+ * @param {Array<Object>} existing - Records in the data file
+ * @param {Array<Object>} imported - Records from the sheet
+ * @param {Object} mapping - Sheet mapping config
+ * @returns {{ records: Array<Object>, diff: Object, errors: Array<string> }}
+ *   diff: { added, updated: [{ key, changes: [{ field, from, to }] }], kept: [{ key, field, value, sheet }], unchanged, missing }
+ */
+function mergeRecords(existing, imported, mapping) {
+  const { key, keep = [], defaults = {} } = mapping;
+  const errors = [];
+  const diff = { added: [], updated: [], kept: [], unchanged: 0, missing: [] };
+
+  const byKey = new Map();
+  imported.forEach(record => {
+    const id = keyOf(key, record);
+    if (byKey.has(id)) {
+      errors.push(`duplicate key ${formatKey(key, record)} in the sheet`);
+      return;
+    }
+    byKey.set(id, record);
+  });
+
+  const records = existing.map(current => {
+    const id = keyOf(key, current);
+    const incoming = byKey.get(id);
+    if (!incoming) {
+      diff.missing.push(formatKey(key, current));
+      return current;
+    }
+    byKey.delete(id);
+
+    const next = { ...current };
+    const changes = [];
+    Object.entries(incoming).forEach(([field, value]) => {
+      if (JSON.stringify(current[field]) === JSON.stringify(value)) return;
+      if (keep.includes(field) && !isEmpty(current[field])) {
+        diff.kept.push({ key: formatKey(key, current), field, value: current[field], sheet: value });
+        return;
+      }
+      changes.push({ field, from: current[field], to: value });
+      next[field] = value;
+    });
+
+    if (changes.length === 0) {
+      diff.unchanged++;
+      return current;
+    }
+    diff.updated.push({ key: formatKey(key, current), changes });
+    return next;
+  });
+
+  byKey.forEach(record => {
+    records.push({ ...defaults, ...record });
+    diff.added.push(formatKey(key, record));
+  });
+
+  return { records, diff, errors };
+}
+
+/**
+ * Import one sheet
+ *
+ * @param {Object} mapping - Sheet mapping config
+ * @param {Object} [dirs]
+ * @param {string} [dirs.researchDir] - Directory with the dumps
+ * @param {string} [dirs.dataDir] - Directory with the data files
+ * @returns {{ records: Array<Object>, diff: Object, errors: Array<string>, changed: boolean }}
+ */
+function importSheet(mapping, { researchDir = RESEARCH_DIR, dataDir = DATA_DIR } = {}) {
+  const dump = JSON.parse(fs.readFileSync(path.join(researchDir, mapping.source), 'utf8'));
+  const existing = JSON.parse(fs.readFileSync(path.join(dataDir, mapping.target), 'utf8'));
+  if (!Array.isArray(existing)) {
+    throw new Error(`${mapping.target}: expected an array of records`);
+  }
+
+  const extracted = extractRecords(getSheetRows(dump), mapping);
+  const merged = mergeRecords(existing, extracted.records, mapping);
+  const { diff } = merged;
+
+  return {
+    records: merged.records,
+    diff,
+    errors: [...extracted.errors, ...merged.errors],
+    changed: diff.added.length > 0 || diff.updated.length > 0
+  };
+}
+
+/**
+ * Load the mapping configs
+ *
+ * @param {Array<string>} [names] - Mapping file names without .json (all when empty)
+ * @returns {Array<Object>} Mappings with their `name`
+ */
+function loadMappings(names = []) {
+  const available = fs.readdirSync(MAPPING_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''))
+    .sort();
+
+  const unknown = names.filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`unknown mapping(s): ${unknown.join(', ')} (available: ${available.join(', ')})`);
+  }
+
+  return (names.length > 0 ? names : available).map(name => ({
+    name,
+    ...JSON.parse(fs.readFileSync(path.join(MAPPING_DIR, `${name}.json`), 'utf8'))
+  }));
+}
+
+/**
+ * Print the diff summary of one import
+ *
+ * @param {Object} mapping - Sheet mapping config
+ * @param {Object} result - importSheet result
+ * @param {boolean} verbose - List every change
+ */
+function printSummary(mapping, { diff, errors }, verbose) {
+  const show = (list) => (verbose ? list : list.slice(0, DETAIL_LIMIT));
+  const more = (list) => {
+    if (!verbose && list.length > DETAIL_LIMIT) console.log(`    ... ${list.length - DETAIL_LIMIT} more (--verbose)`);
+  };
+  const format = (value) => JSON.stringify(value);
+
+  console.log(`\n[ImportSheets] ${mapping.target} <- ${mapping.source}`);
+  console.log(`  ${diff.updated.length} updated, ${diff.added.length} added, ${diff.unchanged} unchanged, ${diff.kept.length} hand-edited value(s) kept, ${diff.missing.length} not in the sheet`);
+
+  show(diff.updated).forEach(({ key, changes }) => {
+    console.log(`  ~ ${key}: ${changes.map(({ field, from, to }) => `${field} ${format(from)} -> ${format(to)}`).join(', ')}`);
+  });
+  more(diff.updated);
+  show(diff.added).forEach(key => console.log(`  + ${key}`));
+  more(diff.added);
+  show(diff.kept).forEach(({ key, field, value, sheet }) => {
+    console.log(`  = ${key}: kept ${field} ${format(value)} (sheet: ${format(sheet)})`);
+  });
+  more(diff.kept);
+  if (verbose) diff.missing.forEach(key => console.log(`  ? ${key} not in the sheet (left as is)`));
+
+  errors.forEach(error => console.error(`  ✗ ${error}`));
+}
+
+/**
+ * Main execution
+ */
+function importSheets() {
+  const args = process.argv.slice(2);
+  const write = args.includes('--write');
+  const verbose = args.includes('--verbose');
+  const names = args.filter(arg => !arg.startsWith('--'));
+
+  console.log(`[ImportSheets] Importing sheet dumps from research/${write ? '' : ' (dry run, use --write to save)'}...`);
+
+  try {
+    const ajv = write ? createValidator() : null;
+    let failed = 0;
+    let written = 0;
+
+    loadMappings(names).forEach(mapping => {
+      const result = importSheet(mapping);
+      printSummary(mapping, result, verbose);
+
+      if (result.errors.length > 0) {
+        failed++;
+        return;
+      }
+      if (!write || !result.changed) return;
+
+      const schemaErrors = validateDataFile(ajv, mapping.target, result.records);
+      if (schemaErrors.length > 0) {
+        schemaErrors.forEach(({ file, pointer, message }) => console.error(`  ✗ ${file}#${pointer}: ${message}`));
+        failed++;
+        return;
+      }
+
+      const targetPath = path.join(DATA_DIR, mapping.target);
+      const trailingNewline = fs.readFileSync(targetPath, 'utf8').endsWith('\n') ? '\n' : '';
+      fs.writeFileSync(targetPath, JSON.stringify(result.records, null, 2) + trailingNewline, 'utf8');
+      written++;
+      console.log(`  ✓ Wrote ${mapping.target}`);
+    });
+
+    if (failed > 0) {
+      console.error(`\n[ImportSheets] ✗ ${failed} sheet(s) not imported because of errors`);
+      process.exit(1);
+    }
+    console.log(`\n[ImportSheets] ✓ Done${write ? ` (${written} file(s) written)` : ''}`);
+  } catch (error) {
+    console.error('[ImportSheets] Failed to import sheets:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run when executed directly (the tests import the helpers)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  importSheets();
+}
+
+export { getSheetRows, resolveColumn, extractRecords, mergeRecords, importSheet, loadMappings, importSheets };
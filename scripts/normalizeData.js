@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Normalize Data Script
+ * Writes typed copies of the data files that keep their values as sheet text
+ * (adventures, campaigns, quests) to public/data/typed/, using the field type
+ * maps in scripts/data-normalization.json (see src/utils/dataNormalization.js).
+ * The text files stay the ones to edit; the typed copies are generated on
+ * every build and not committed.
+ *
+ * Values that fail to convert are reported as file#/pointer and fail the run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { normalizeRecords } from '../src/utils/dataNormalization.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const CONFIG_FILE = path.join(__dirname, 'data-normalization.json');
+
+/**
+ * Normalize every file in the config
+ *
+ * @param {Object} options
+ * @param {Object} options.config - Parsed data-normalization.json
+ * @param {string} options.dataDir - Directory with the source files
+ * @returns {{ files: Array<{ file: string, records: Array, converted: number }>, errors: Array<{ file: string, pointer: string, message: string }> }}
+ */
+function normalizeDataFiles({ config, dataDir }) {
+  const files = [];
+  const errors = [];
+
+  Object.entries(config.files).forEach(([file, { fields }]) => {
+    const source = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    if (!Array.isArray(source)) {
+      throw new Error(`${file}: expected an array of records`);
+    }
+
+    const result = normalizeRecords(source, fields);
+    const present = source.reduce((total, record) => total + Object.keys(fields).filter(field => field in record).length, 0);
+    files.push({ file, records: result.records, converted: present - result.errors.length });
+    result.errors.forEach(({ pointer, message }) => errors.push({ file, pointer, message }));
+  });
+
+  return { files, errors };
+}
+
+/**
+ * Main execution
+ */
+function normalizeData() {
+  console.log('[NormalizeData] Writing typed copies of text data files...');
+
+  try {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    const outputDir = path.join(DATA_DIR, config.outputDir);
+    const { files, errors } = normalizeDataFiles({ config, dataDir: DATA_DIR });
+
+    if (errors.length > 0) {
+      console.error(`[NormalizeData] ✗ ${errors.length} value(s) could not be converted:`);
+      errors.forEach(({ file, pointer, message }) => console.error(`  ${file}#${pointer}: ${message}`));
+      process.exit(1);
+    }
+
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    files.forEach(({ file, records, converted }) => {
+      fs.writeFileSync(path.join(outputDir, file), JSON.stringify(records), 'utf8');
+      console.log(`  ${file}: ${records.length} records, ${converted} values typed`);
+    });
+
+    console.log(`[NormalizeData] ✓ ${files.length} files written to ${outputDir}`);
+  } catch (error) {
+    console.error('[NormalizeData] Failed to normalize data:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run when executed directly (the tests import the helpers)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  normalizeData();
+}
+
+export { normalizeDataFiles, normalizeData };
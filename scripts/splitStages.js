@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Split Stages Script
+ * Splits public/data/stages.json into per-region chunks plus an index in
+ * public/data/stages/ (see src/utils/stageChunks.js). stages.json stays the
+ * file to edit; the chunks are generated (minified) on every build and not
+ * committed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { splitStages, STAGE_CHUNK_DIR, STAGE_INDEX_FILE } from '../src/utils/stageChunks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const SOURCE_FILE = path.join(DATA_DIR, 'stages.json');
+const OUTPUT_DIR = path.join(DATA_DIR, STAGE_CHUNK_DIR);
+
+/**
+ * Format a byte count for the log
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Main execution
+ */
+function splitStagesFile() {
+  console.log('[SplitStages] Splitting stages.json into region chunks...');
+
+  try {
+    const stages = JSON.parse(fs.readFileSync(SOURCE_FILE, 'utf8'));
+    const { index, chunks } = splitStages(stages);
+
+    // Start clean so renamed regions don't leave stale chunks behind
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    let largest = 0;
+    chunks.forEach(({ file, stages: chunkStages }) => {
+      const content = JSON.stringify(chunkStages);
+      largest = Math.max(largest, Buffer.byteLength(content));
+      fs.writeFileSync(path.join(OUTPUT_DIR, file), content, 'utf8');
+    });
+
+    const indexContent = JSON.stringify(index);
+    fs.writeFileSync(path.join(OUTPUT_DIR, STAGE_INDEX_FILE), indexContent, 'utf8');
+
+    console.log(`[SplitStages] ✓ ${index.stageCount} stages in ${chunks.length} chunks (${index.regions.length} named regions)`);
+    console.log(`  Index: ${formatSize(Buffer.byteLength(indexContent))}`);
+    console.log(`  Largest chunk: ${formatSize(largest)}`);
+    console.log(`  Output: ${OUTPUT_DIR}`);
+  } catch (error) {
+    console.error('[SplitStages] Failed to split stages:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run when executed directly, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  splitStagesFile();
+}
+
+export { splitStagesFile };
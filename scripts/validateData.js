@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * Validate Data Script
+ * Checks every JSON file in public/data against its schema in schemas/
+ * (<file>.schema.json, draft-07). Runs in prebuild so a broken data file
+ * fails the build instead of surfacing as a runtime error in a component.
+ *
+ * Errors are printed as `file#/json/pointer: message` and the script exits
+ * with status 1 if any file fails.
+ *
+ * Besides the standard keywords, schemas can use `uniqueBy` on arrays: a list
+ * of property names (or arrays of names for composite keys) that must not
+ * repeat across items, e.g. "uniqueBy": ["id", "name", ["type", "rarity"]].
+ * Items missing a key (or with an empty string) are not compared.
+ *
+ * Files a schema can't fully describe get an extra check once they match their
+ * schema: every formulas.json expression must parse and only use names its
+ * section defines.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Ajv from 'ajv';
+import { validateFormulaSection } from '../src/utils/formulaEngine.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+const SCHEMA_SUFFIX = '.schema.json';
+
+/**
+ * Escape a property name for use in a JSON pointer (RFC 6901)
+ * @param {string|number} token
+ * @returns {string}
+ */
+function escapePointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Short preview of an offending value for error messages
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Validator for the `uniqueBy` keyword
+ */
+function validateUniqueBy(keys, data, parentSchema, dataPath = '') {
+  if (!Array.isArray(data)) return true;
+
+  const errors = [];
+  keys.forEach((key) => {
+    const fields = Array.isArray(key) ? key : [key];
+    const label = fields.join(' + ');
+    const seen = new Map();
+
+    data.forEach((item, index) => {
+      if (!item || typeof item !== 'object') return;
+      const values = fields.map(field => item[field]);
+      if (values.some(value => value === undefined || value === null || value === '')) return;
+
+      const id = JSON.stringify(values);
+      if (!seen.has(id)) {
+        seen.set(id, index);
+        return;
+      }
+
+      errors.push({
+        keyword: 'uniqueBy',
+        dataPath: `${dataPath}/${index}${fields.length === 1 ? `/${escapePointer(fields[0])}` : ''}`,
+        params: { key: label, duplicateOf: seen.get(id) },
+        message: `duplicate ${label} ${values.map(formatValue).join(' + ')} (first used at ${dataPath}/${seen.get(id)})`
+      });
+    });
+  });
+
+  validateUniqueBy.errors = errors;
+  return errors.length === 0;
+}
+
+/**
+ * Parse every formula expression and check the names it uses
+ * @param {Object} data - Parsed formulas.json
+ * @returns {Array<{ pointer: string, message: string }>}
+ */
+function validateFormulas(data) {
+  return Object.entries(data).flatMap(([section, definition]) => (
+    validateFormulaSection(definition).map(({ formula, message }) => ({
+      pointer: `/${escapePointer(section)}/formulas/${escapePointer(formula)}/expression`,
+      message
+    }))
+  ));
+}
+
+// Checks run after the schema passes, by data file name
+const CONTENT_CHECKS = {
+  'formulas.json': validateFormulas
+};
+
+/**
+ * Create an Ajv instance with all schemas from the schema directory loaded
+ * @param {string} [schemaDir]
+ * @returns {Ajv}
+ */
+function createValidator(schemaDir = SCHEMA_DIR) {
+  const ajv = new Ajv({ allErrors: true, jsonPointers: true, verbose: true });
+
+  ajv.addKeyword('uniqueBy', {
+    type: 'array',
+    errors: true,
+    metaSchema: {
+      type: 'array',
+      items: {
+        anyOf: [
+          { type: 'string' },
+          { type: 'array', items: { type: 'string' }, minItems: 1 }
+        ]
+      }
+    },
+    validate: validateUniqueBy
+  });
+
+  fs.readdirSync(schemaDir)
+    .filter(file => file.endsWith(SCHEMA_SUFFIX))
+    .forEach((file) => {
+      const schema = JSON.parse(fs.readFileSync(path.join(schemaDir, file), 'utf8'));
+      ajv.addSchema(schema, file);
+    });
+
+  return ajv;
+}
+
+/**
+ * Turn an Ajv error into a readable message
+ * @param {Object} error - Ajv error object
+ * @returns {string}
+ */
+function formatError(error) {
+  const { keyword, params, message } = error;
+
+  switch (keyword) {
+    case 'required':
+      return `missing required property "${params.missingProperty}"`;
+    case 'additionalProperties':
+      return `unknown property "${params.additionalProperty}"`;
+    case 'type':
+    case 'pattern':
+    case 'enum':
+    case 'minimum':
+    case 'maximum':
+    case 'minLength':
+      return `${message}, got ${formatValue(error.data)}`;
+    default:
+      return message;
+  }
+}
+
+/**
+ * Validate one parsed data file
+ * @param {Ajv} ajv - createValidator() result
+ * @param {string} file - Data file name (e.g. "skills.json")
+ * @param {*} data - Parsed file contents
+ * @returns {Array<{ file: string, pointer: string, message: string }>}
+ */
+function validateDataFile(ajv, file, data) {
+  const schemaName = file.replace(/\.json$/, SCHEMA_SUFFIX);
+  const validate = ajv.getSchema(schemaName);
+
+  if (!validate) {
+    return [{ file, pointer: '', message: `no schema found (expected schemas/${schemaName})` }];
+  }
+
+  if (validate(data)) {
+    const check = CONTENT_CHECKS[file];
+    return check ? check(data).map(error => ({ file, ...error })) : [];
+  }
+
+  return validate.errors.map(error => ({
+    file,
+    pointer: error.dataPath,
+    message: formatError(error)
+  }));
+}
+
+/**
+ * Validate every JSON file in the data directory
+ * @param {Object} [options]
+ * @param {string} [options.dataDir]
+ * @param {string} [options.schemaDir]
+ * @returns {{ files: number, errors: Array<{ file: string, pointer: string, message: string }> }}
+ */
+function validateDataFiles({ dataDir = DATA_DIR, schemaDir = SCHEMA_DIR } = {}) {
+  const ajv = createValidator(schemaDir);
+  const files = fs.readdirSync(dataDir).filter(file => file.endsWith('.json')).sort();
+  const errors = [];
+
+  files.forEach((file) => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    } catch (error) {
+      errors.push({ file, pointer: '', message: `invalid JSON: ${error.message}` });
+      return;
+    }
+    errors.push(...validateDataFile(ajv, file, data));
+  });
+
+  return { files: files.length, errors };
+}
+
+/**
+ * Main execution
+ */
+function validateData() {
+  console.log('[ValidateData] Validating public/data against schemas/...');
+
+  let result;
+  try {
+    result = validateDataFiles();
+  } catch (error) {
+    console.error('[ValidateData] Failed to load schemas:', error.message);
+    process.exit(1);
+  }
+
+  const { files, errors } = result;
+  if (errors.length === 0) {
+    console.log(`[ValidateData] ✓ ${files} data files are valid`);
+    return;
+  }
+
+  errors.forEach(({ file, pointer, message }) => {
+    console.error(`  ${file}#${pointer}: ${message}`);
+  });
+  const failedFiles = new Set(errors.map(error => error.file)).size;
+  console.error(`[ValidateData] ✗ ${errors.length} error(s) in ${failedFiles} of ${files} data files`);
+  process.exit(1);
+}
+
+// Run when executed directly (the tests import the helpers)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  validateData();
+}
+
+export { createValidator, validateDataFile, validateDataFiles, formatError };
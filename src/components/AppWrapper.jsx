@@ -75,9 +75,9 @@ const AppWrapper = ({ children }) => {
       // Only track content pages (format: #/section/page-name or #/getting-started, etc.)
       // Exclude special pages like #/skill-builder, #/donate, #/search
       const specialPages = [
-        'skill-builder', 'spirit-builder', 'battle-loadouts',
-        'soul-weapon-engraving', 'my-spirits', 'my-collections',
-        'spirits/viewer', 'donate', 'search', 'profile', 'maintenance',
+        'skill-builder', 'spirit-builder', 'spirit-upgrade-planner', 'battle-loadouts',
+        'soul-weapon-engraving', 'compare', 'gallery', 'idle-income', 'stage-readiness', 'drop-simulator',
+        'my-spirits', 'my-collections', 'spirits/viewer', 'donate', 'search', 'profile', 'maintenance',
         'page-history', 'contributor-highscore', 'my-edits'
       ];
 
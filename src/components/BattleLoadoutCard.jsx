@@ -5,6 +5,9 @@ import SpiritComponent from './SpiritComponent';
 import SoulWeaponEngravingGrid from './SoulWeaponEngravingGrid';
 import SkillStone from './SkillStone';
 import BattleLoadoutModal from './BattleLoadoutModal';
+import LoadoutGearSummary from './LoadoutGearSummary';
+import LoadoutStatSheet from './LoadoutStatSheet';
+import ExportImageButton from './ExportImageButton';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { loadBuild, saveBuild, generateShareUrl } from '../../wiki-framework/src/services/github/buildShare';
 import {
@@ -13,8 +16,12 @@ import {
   serializeLoadoutForSharing,
   isLoadoutId
 } from '../utils/battleLoadoutSerializer';
+import { resolveLoadoutGear } from '../utils/loadoutGear';
+import { createBuildCard } from '../utils/buildCard';
+import { loadStatData, calculateLoadoutStats } from '../utils/loadoutStats';
 import { getSaveDataEndpoint, getLoadDataEndpoint } from '../utils/apiEndpoints';
 import { getSkillGradeColor } from '../config/rarityColors';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('BattleLoadoutCard');
@@ -24,6 +31,7 @@ const logger = createLogger('BattleLoadoutCard');
  *
  * Displays a battle loadout in a compact card format resembling the Battle Loadouts builder.
  * Shows a miniature version of the actual builder interface.
+ * Aggregated stats and a power score come from the shared stat engine (utils/loadoutStats).
  *
  * Display modes:
  * - Compact: Very dense icon grid (~150px height)
@@ -47,6 +55,7 @@ const BattleLoadoutCard = ({ identifier, mode = 'detailed', showActions = true }
   const [weapons, setWeapons] = useState([]);
   const [skillStonesData, setSkillStonesData] = useState(null);
   const [shapes, setShapes] = useState([]);
+  const [statData, setStatData] = useState(null);
 
   // Action state
   const [sharing, setSharing] = useState(false);
@@ -59,22 +68,16 @@ const BattleLoadoutCard = ({ identifier, mode = 'detailed', showActions = true }
 
   // Load game data
   useEffect(() => {
-    const loadGameData = async () => {
+    const loadCardData = async () => {
       try {
-        const [skillsRes, spiritsRes, weaponsRes, skillStonesRes, shapesRes] = await Promise.all([
-          fetch('/data/skills.json'),
-          fetch('/data/spirit-characters.json'),
-          fetch('/data/soul-weapons.json'),
-          fetch('/data/skill_stones.json'),
-          fetch('/data/soul-weapon-engravings.json')
+        const [skillsData, spiritsData, weaponsData, skillStonesDataRes, shapesData] = await Promise.all([
+          loadGameData('skills'),
+          loadGameData('spirits'),
+          loadGameData('soulWeapons'),
+          loadGameData('skillStones'),
+          loadGameData('engravings')
         ]);
 
-        const skillsData = await skillsRes.json();
-        const spiritsData = await spiritsRes.json();
-        const weaponsData = await weaponsRes.json();
-        const skillStonesDataRes = await skillStonesRes.json();
-        const shapesData = await shapesRes.json();
-
         setSkills(skillsData);
         setSpirits(spiritsData.spirits || []);
         setWeapons(weaponsData || []); // soul-weapons.json is a direct array
@@ -92,7 +95,10 @@ const BattleLoadoutCard = ({ identifier, mode = 'detailed', showActions = true }
       }
     };
 
-    loadGameData();
+    loadCardData();
+    loadStatData()
+      .then(setStatData)
+      .catch(err => logger.error('Failed to load stat data', { error: err }));
   }, []);
 
   // Load user's builds and spirits (if authenticated)
@@ -384,6 +390,9 @@ const BattleLoadoutCard = ({ identifier, mode = 'detailed', showActions = true }
 
   if (!loadout) return null;
 
+  const gear = resolveLoadoutGear(loadout, statData?.gear);
+  const statSheet = statData ? calculateLoadoutStats(loadout, statData) : null;
+
   // Render based on mode
   return (
     <>
@@ -412,6 +421,11 @@ const BattleLoadoutCard = ({ identifier, mode = 'detailed', showActions = true }
                 >
                   {sharing ? <Loader className="w-3 h-3 animate-spin" /> : shareSuccess ? <Check className="w-3 h-3" /> : <Share2 className="w-3 h-3" />}
                 </button>
+                <ExportImageButton
+                  variant="header"
+                  name={loadout.name}
+                  getCard={(layout) => createBuildCard('battle-loadouts', loadout, { layout, statSheet, gear, weapons })}
+                />
               </div>
             )}
           </div>
@@ -419,9 +433,9 @@ const BattleLoadoutCard = ({ identifier, mode = 'detailed', showActions = true }
 
         {/* Content */}
         <div className="p-4">
-          {mode === 'compact' && <CompactLoadout loadout={loadout} weapons={weapons} skillStonesData={skillStonesData} />}
-          {mode === 'detailed' && <DetailedLoadout loadout={loadout} weapons={weapons} skillStonesData={skillStonesData} />}
-          {mode === 'advanced' && <AdvancedLoadout loadout={loadout} weapons={weapons} skillStonesData={skillStonesData} />}
+          {mode === 'compact' && <CompactLoadout loadout={loadout} weapons={weapons} skillStonesData={skillStonesData} gear={gear} statSheet={statSheet} />}
+          {mode === 'detailed' && <DetailedLoadout loadout={loadout} weapons={weapons} skillStonesData={skillStonesData} gear={gear} statSheet={statSheet} />}
+          {mode === 'advanced' && <AdvancedLoadout loadout={loadout} weapons={weapons} skillStonesData={skillStonesData} gear={gear} statSheet={statSheet} />}
         </div>
       </div>
 
@@ -472,7 +486,7 @@ const BattleLoadoutCard = ({ identifier, mode = 'detailed', showActions = true }
 /**
  * Compact mode: Very dense icon grid
  */
-const CompactLoadout = ({ loadout, weapons, skillStonesData }) => {
+const CompactLoadout = ({ loadout, weapons, skillStonesData, gear, statSheet }) => {
   const hasSkills = loadout.skillBuild?.slots?.some(s => s.skill);
   const hasSpirits = loadout.spiritBuild?.slots?.some(s => s.spirit);
   const hasSoulWeapon = loadout.soulWeaponBuild?.weaponId;
@@ -601,6 +615,20 @@ const CompactLoadout = ({ loadout, weapons, skillStonesData }) => {
           </div>
         </div>
       )}
+
+      {/* Gear */}
+      {!gear.isEmpty && (
+        <div className="mt-3">
+          <LoadoutGearSummary gear={gear} mode="compact" />
+        </div>
+      )}
+
+      {/* Power score */}
+      {statSheet && (
+        <div className="mt-2">
+          <LoadoutStatSheet sheet={statSheet} mode="compact" />
+        </div>
+      )}
     </div>
   );
 };
@@ -608,7 +636,7 @@ const CompactLoadout = ({ loadout, weapons, skillStonesData }) => {
 /**
  * Detailed mode: Builder-like layout scaled down
  */
-const DetailedLoadout = ({ loadout, weapons, skillStonesData }) => {
+const DetailedLoadout = ({ loadout, weapons, skillStonesData, gear, statSheet }) => {
   const hasSkills = loadout.skillBuild?.slots?.some(s => s.skill);
   const hasSpirits = loadout.spiritBuild?.slots?.some(s => s.spirit);
   const hasSoulWeapon = loadout.soulWeaponBuild?.weaponId;
@@ -758,6 +786,12 @@ const DetailedLoadout = ({ loadout, weapons, skillStonesData }) => {
           </div>
         </div>
       )}
+
+      {/* Gear */}
+      <LoadoutGearSummary gear={gear} mode="detailed" />
+
+      {/* Stats */}
+      <LoadoutStatSheet sheet={statSheet} mode="detailed" />
     </div>
   );
 };
@@ -765,7 +799,7 @@ const DetailedLoadout = ({ loadout, weapons, skillStonesData }) => {
 /**
  * Advanced mode: Full builder-like layout
  */
-const AdvancedLoadout = ({ loadout, weapons, skillStonesData }) => {
+const AdvancedLoadout = ({ loadout, weapons, skillStonesData, gear, statSheet }) => {
   const hasSkills = loadout.skillBuild?.slots?.some(s => s.skill);
   const hasSpirits = loadout.spiritBuild?.slots?.some(s => s.spirit);
   const hasSoulWeapon = loadout.soulWeaponBuild?.weaponId;
@@ -922,6 +956,12 @@ const AdvancedLoadout = ({ loadout, weapons, skillStonesData }) => {
           </div>
         </div>
       )}
+
+      {/* Gear */}
+      <LoadoutGearSummary gear={gear} mode="advanced" />
+
+      {/* Stats */}
+      <LoadoutStatSheet sheet={statSheet} mode="advanced" />
     </div>
   );
 };
@@ -5,6 +5,7 @@ import BattleLoadoutCard from './BattleLoadoutCard';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { getLoadDataEndpoint } from '../utils/apiEndpoints';
 import { getSkillGradeColor } from '../config/rarityColors';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('BattleLoadoutPicker');
@@ -44,16 +45,13 @@ const BattleLoadoutPicker = ({ isOpen, onClose, onSelect, renderPreview = null }
 
   // Load skills and spirits data
   useEffect(() => {
-    const loadGameData = async () => {
+    const loadPickerData = async () => {
       try {
-        const [skillsRes, spiritsRes] = await Promise.all([
-          fetch('/data/skills.json'),
-          fetch('/data/spirit-characters.json')
+        const [skillsData, spiritsData] = await Promise.all([
+          loadGameData('skills'),
+          loadGameData('spirits')
         ]);
 
-        const skillsData = await skillsRes.json();
-        const spiritsData = await spiritsRes.json();
-
         setSkills(skillsData);
         setSpirits(spiritsData.spirits || []);
       } catch (err) {
@@ -61,7 +59,7 @@ const BattleLoadoutPicker = ({ isOpen, onClose, onSelect, renderPreview = null }
       }
     };
 
-    loadGameData();
+    loadPickerData();
   }, []);
 
   useEffect(() => {
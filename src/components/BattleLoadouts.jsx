@@ -9,17 +9,30 @@ import SoulWeaponEngravingBuilderModal from './SoulWeaponEngravingBuilderModal';
 import SoulWeaponEngravingGrid from './SoulWeaponEngravingGrid';
 import SkillStoneBuilderModal from './SkillStoneBuilderModal';
 import SkillStone from './SkillStone';
+import SkillStoneEffectsTable from './SkillStoneEffectsTable';
 import SavedLoadoutsPanel from './SavedLoadoutsPanel';
+import LoadoutGearPickerModal from './LoadoutGearPickerModal';
+import { formatClothingBonus } from './LoadoutGearSummary';
 import ValidatedInput from './ValidatedInput';
+import UndoRedoControls from './UndoRedoControls';
+import ExportImageButton from './ExportImageButton';
+import PublishBuildButton from './PublishBuildButton';
 import { encodeLoadout, decodeLoadout } from '../../wiki-framework/src/utils/battleLoadoutEncoder';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { setCache } from '../utils/buildCache';
 import { saveBuild, loadBuild, generateShareUrl } from '../../wiki-framework/src/services/github/buildShare';
 import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { useUndoHistory } from '../hooks/useUndoHistory';
 import { getSaveDataEndpoint, getLoadDataEndpoint } from '../utils/apiEndpoints.js';
 import { serializeBuild, deserializeBuild, serializeBuildForSharing } from '../utils/spiritSerialization';
 import { serializeLoadoutForStorage, serializeLoadoutForSharing, deserializeSoulWeaponBuild } from '../utils/battleLoadoutSerializer';
+import { loadGearData, resolveLoadoutGear, serializeLoadoutGear, hasLoadoutGear } from '../utils/loadoutGear';
 import { validateBuildName, STRING_LIMITS } from '../utils/validation';
+import { decodeShareCode, generateShareCodeUrl } from '../utils/shareCodes';
+import { createBuildCard } from '../utils/buildCard';
+import { loadStatData, calculateLoadoutStats } from '../utils/loadoutStats';
+import { hasSkillStones } from '../utils/skillStoneEffects';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('BattleLoadouts');
@@ -31,10 +44,8 @@ const logger = createLogger('BattleLoadouts');
  * Features:
  * - Named loadout saves (similar to skill builds)
  * - Skills section (10 slots) - integrates with Skill Builder
- * - Accompanying Spirit section (placeholder)
- * - Skill Stone section (placeholder)
- * - Slayer Promotion Additional Ability section (placeholder)
- * - Familiar Skill section (placeholder)
+ * - Spirits, Soul Weapon and Skill Stone sections - integrate with their builders
+ * - Promotion tier, Relics, Companions, Familiar and Clothing sections
  * - Save/Load/Share/Import/Export functionality
  */
 const BattleLoadouts = () => {
@@ -48,6 +59,7 @@ const BattleLoadouts = () => {
   const [shapes, setShapes] = useState([]); // Soul weapon engraving shapes
   const [allWeapons, setAllWeapons] = useState([]); // All weapons for soul weapon preview
   const [stoneData, setStoneData] = useState(null); // Skill stones data
+  const [gearData, setGearData] = useState(null); // Relics, companions, familiars, clothing, promotions
   const [allSkillBuilds, setAllSkillBuilds] = useState([]);
   const [allSpiritBuilds, setAllSpiritBuilds] = useState([]);
   const [userBuildsLoaded, setUserBuildsLoaded] = useState(false);
@@ -56,6 +68,7 @@ const BattleLoadouts = () => {
   const [showSpiritBuilder, setShowSpiritBuilder] = useState(false);
   const [showSoulWeaponBuilder, setShowSoulWeaponBuilder] = useState(false);
   const [showSkillStoneBuilder, setShowSkillStoneBuilder] = useState(false);
+  const [activeGearPicker, setActiveGearPicker] = useState(null); // 'promotion' | 'relics' | 'companions' | 'familiar' | 'clothing'
   const [showSkillInfo, setShowSkillInfo] = useState(false);
   const [selectedSkill, setSelectedSkill] = useState(null);
   const [copied, setCopied] = useState(false);
@@ -80,12 +93,24 @@ const BattleLoadouts = () => {
     { loadoutName, currentLoadout }
   );
 
+  // Undo/redo for loadout changes. The loadout itself is the snapshot so its fields are compared
+  // individually - re-syncing the name into a new loadout object is not recorded as a change.
+  const { undo, redo, canUndo, canRedo, resetHistory, markSaved } = useUndoHistory(
+    currentLoadout,
+    (snapshot, { isSaved }) => {
+      setCurrentLoadout(snapshot);
+      setLoadoutName(snapshot.name || '');
+      setHasUnsavedChanges(!isSaved);
+    },
+    { enabled: !loading }
+  );
+
   // Load skills, spirits, weapons, shapes, and stone data
   useEffect(() => {
     logger.info('BattleLoadouts: Starting initial data load (skills, spirits, weapons, shapes, stone data)');
     const loadData = async () => {
       try {
-        await Promise.all([loadSkills(), loadSpirits(), loadWeapons(), loadShapes(), loadStoneData()]);
+        await Promise.all([loadSkills(), loadSpirits(), loadWeapons(), loadShapes(), loadStoneData(), loadGear()]);
         logger.info('BattleLoadouts: All initial data loaded successfully');
       } catch (error) {
         logger.error('BattleLoadouts: Error during initial data load', { error: error.message, stack: error.stack });
@@ -120,23 +145,29 @@ const BattleLoadouts = () => {
 
     const urlParams = new URLSearchParams(window.location.hash.split('?')[1]);
     const shareChecksum = urlParams.get('share');
+    const shareCode = urlParams.get('code');
     const encodedLoadout = urlParams.get('data');
     const loadoutId = urlParams.get('loadout');
 
-    // Load from new share system (short URL)
-    if (shareChecksum) {
+    // Load from share code or share system (short URL)
+    if (shareCode || shareChecksum) {
       const loadSharedBuild = async () => {
         try {
           setLoading(true);
-          logger.info('Loading shared build', { shareChecksum });
+          logger.info('Loading shared build', { shareChecksum, shareCode });
 
-          // Get repo info from config
-          const configResponse = await fetch('/wiki-config.json');
-          const config = await configResponse.json();
-          const owner = config.wiki.repository.owner;
-          const repo = config.wiki.repository.repo;
+          let buildData;
+          if (shareCode) {
+            buildData = decodeShareCode(shareCode);
+          } else {
+            // Get repo info from config
+            const configResponse = await fetch('/wiki-config.json');
+            const config = await configResponse.json();
+            const owner = config.wiki.repository.owner;
+            const repo = config.wiki.repository.repo;
 
-          const buildData = await loadBuild(owner, repo, shareChecksum);
+            buildData = await loadBuild(owner, repo, shareChecksum);
+          }
 
           if (buildData.type === 'battle-loadouts') {
             // Deserialize skill build, spirit build, and soul weapon build
@@ -147,8 +178,10 @@ const BattleLoadouts = () => {
               soulWeaponBuild: buildData.data.soulWeaponBuild ? deserializeSoulWeaponBuild(buildData.data.soulWeaponBuild, shapes) : null
             };
             setCurrentLoadout(deserializedLoadout);
+            resetHistory();
             setLoadoutName(deserializedLoadout.name || '');
             setHasUnsavedChanges(false);
+            markSaved();
             logger.info('Shared build loaded successfully');
           } else {
             throw new Error(`Invalid build type: ${buildData.type}`);
@@ -197,9 +230,11 @@ const BattleLoadouts = () => {
             });
 
             setCurrentLoadout(resolvedLoadout);
+            resetHistory();
             setLoadoutName(resolvedLoadout.name || '');
             setCurrentLoadedLoadoutId(loadoutId);
             setHasUnsavedChanges(false);
+            markSaved();
             logger.info('Saved loadout loaded successfully', { loadoutName: resolvedLoadout.name });
           } else {
             logger.error('Loadout not found', { loadoutId });
@@ -227,8 +262,10 @@ const BattleLoadouts = () => {
             soulWeaponBuild: decodedLoadout.soulWeaponBuild ? deserializeSoulWeaponBuild(decodedLoadout.soulWeaponBuild, shapes) : null
           };
           setCurrentLoadout(deserializedLoadout);
+          resetHistory();
           setLoadoutName(deserializedLoadout.name || '');
           setHasUnsavedChanges(false); // Loaded from URL, no unsaved changes yet
+          markSaved();
         }
       } catch (error) {
         logger.error('Failed to load loadout from URL', { error });
@@ -247,6 +284,7 @@ const BattleLoadouts = () => {
           spiritBuildHasId: !!draft.currentLoadout.spiritBuild?.id
         });
 
+        resetHistory();
         setLoadoutName(draft.loadoutName || '');
 
         // Always use resolveLoadoutBuilds which handles both build IDs and embedded builds
@@ -263,7 +301,7 @@ const BattleLoadouts = () => {
         setHasUnsavedChanges(true);
       }
     }
-  }, [skills, spirits, mySpirits, shapes, allSkillBuilds, allSpiritBuilds, userBuildsLoaded, isAuthenticated, user?.id, loadDraft]);
+  }, [skills, spirits, mySpirits, shapes, allSkillBuilds, allSpiritBuilds, userBuildsLoaded, isAuthenticated, user?.id, loadDraft, resetHistory, markSaved]);
 
   // Re-deserialize soul weapon build when shapes become available
   useEffect(() => {
@@ -297,8 +335,7 @@ const BattleLoadouts = () => {
 
   const loadSkills = async () => {
     try {
-      const response = await fetch('/data/skills.json');
-      const data = await response.json();
+      const data = await loadGameData('skills');
       setSkills(data);
     } catch (error) {
       logger.error('Failed to load skills', { error });
@@ -309,8 +346,7 @@ const BattleLoadouts = () => {
 
   const loadSpirits = async () => {
     try {
-      const response = await fetch('/data/spirit-characters.json');
-      const data = await response.json();
+      const data = await loadGameData('spirits');
       setSpirits(data.spirits);
     } catch (error) {
       logger.error('Failed to load spirits', { error });
@@ -319,8 +355,7 @@ const BattleLoadouts = () => {
 
   const loadWeapons = async () => {
     try {
-      const response = await fetch('/data/soul-weapons.json');
-      const data = await response.json();
+      const data = await loadGameData('soulWeapons');
       // soul-weapons.json is a direct array, not an object with a weapons property
       setAllWeapons(Array.isArray(data) ? data : []);
       logger.debug('Loaded weapons', { count: Array.isArray(data) ? data.length : 0 });
@@ -331,8 +366,7 @@ const BattleLoadouts = () => {
 
   const loadStoneData = async () => {
     try {
-      const response = await fetch('/data/skill_stones.json');
-      const data = await response.json();
+      const data = await loadGameData('skillStones');
       setStoneData(data);
       logger.debug('Loaded skill stones data');
     } catch (error) {
@@ -340,12 +374,26 @@ const BattleLoadouts = () => {
     }
   };
 
+  const loadGear = async () => {
+    try {
+      const data = await loadGearData();
+      setGearData(data);
+      logger.debug('Loaded gear data', {
+        relics: data.relics.length,
+        companions: data.companions.length,
+        familiars: data.familiars.length,
+        clothing: data.clothing.length,
+        promotions: data.promotions.length
+      });
+    } catch (error) {
+      logger.error('Failed to load gear data', { error });
+    }
+  };
+
   const loadShapes = async () => {
     try {
       logger.debug('Starting to load soul weapon engraving shapes');
-      const response = await fetch('/data/soul-weapon-engravings.json');
-      logger.debug('Shapes fetch response received', { ok: response.ok, status: response.status });
-      const data = await response.json();
+      const data = await loadGameData('engravings');
       // The JSON file has shapes in a "shapes" property, not as a direct array
       const shapesArray = data.shapes || [];
       logger.debug('Shapes data parsed', { isArray: Array.isArray(shapesArray), length: shapesArray.length });
@@ -524,7 +572,7 @@ const BattleLoadouts = () => {
       spirit: loadout.spirit ? { spiritId: loadout.spirit.id } : null,
       skillStone: loadout.skillStone,
       promotionAbility: loadout.promotionAbility,
-      familiar: loadout.familiar
+      ...serializeLoadoutGear(loadout)
     };
   };
 
@@ -547,7 +595,7 @@ const BattleLoadouts = () => {
       spirit: loadout.spirit ? { spiritId: loadout.spirit.id } : null,
       skillStone: loadout.skillStone,
       promotionAbility: loadout.promotionAbility,
-      familiar: loadout.familiar
+      ...serializeLoadoutGear(loadout)
     };
   };
 
@@ -721,8 +769,8 @@ const BattleLoadouts = () => {
       logger.debug('loadoutsMatch: promotionAbility mismatch');
       return false;
     }
-    if (JSON.stringify(currentLoadout.familiar) !== JSON.stringify(savedLoadout.familiar)) {
-      logger.debug('loadoutsMatch: familiar mismatch');
+    if (JSON.stringify(serializeLoadoutGear(currentLoadout)) !== JSON.stringify(serializeLoadoutGear(savedLoadout))) {
+      logger.debug('loadoutsMatch: gear mismatch');
       return false;
     }
 
@@ -748,7 +796,7 @@ const BattleLoadouts = () => {
       currentLoadout.spirit !== null ||
       currentLoadout.skillStone !== null ||
       currentLoadout.promotionAbility !== null ||
-      currentLoadout.familiar !== null;
+      hasLoadoutGear(currentLoadout);
 
     if (!isAuthenticated || savedLoadouts.length === 0) {
       if (currentLoadedLoadoutId !== null) {
@@ -757,6 +805,7 @@ const BattleLoadouts = () => {
       // If not authenticated or no saved loadouts, only update unsaved changes if no content
       if (!hasContent && hasUnsavedChanges) {
         setHasUnsavedChanges(false);
+        markSaved();
       } else if (hasContent && !hasUnsavedChanges) {
         setHasUnsavedChanges(true);
       }
@@ -775,6 +824,7 @@ const BattleLoadouts = () => {
       // Clear unsaved changes when we match a saved loadout
       if (hasUnsavedChanges) {
         setHasUnsavedChanges(false);
+        markSaved();
       }
     } else {
       logger.debug('No matching loadout found', {
@@ -787,7 +837,7 @@ const BattleLoadouts = () => {
         setHasUnsavedChanges(true);
       }
     }
-  }, [loadoutName, currentLoadout, savedLoadouts, isAuthenticated, currentLoadedLoadoutId, hasUnsavedChanges]);
+  }, [loadoutName, currentLoadout, savedLoadouts, isAuthenticated, currentLoadedLoadoutId, hasUnsavedChanges, markSaved]);
 
   // Handle skill builder save
   const handleSkillBuildSave = (build) => {
@@ -837,6 +887,17 @@ const BattleLoadouts = () => {
     setCurrentLoadout(prev => ({ ...prev, skillStoneBuild: null }));
   };
 
+  // Save gear picked in a gear picker modal
+  const handleGearSave = (field, value) => {
+    setCurrentLoadout(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Clear a gear section
+  const handleClearGear = (field, label) => {
+    if (!confirm(`Remove ${label} from this loadout?`)) return;
+    setCurrentLoadout(prev => ({ ...prev, [field]: createEmptyLoadout('')[field] }));
+  };
+
   // Remove individual spirit from slot
   const handleRemoveSpirit = (slotIndex) => {
     setCurrentLoadout(prev => {
@@ -1013,8 +1074,10 @@ const BattleLoadouts = () => {
     const resolvedLoadout = resolveLoadoutBuilds(loadout);
 
     setCurrentLoadout(resolvedLoadout);
+    resetHistory();
     setLoadoutName(resolvedLoadout.name || 'My Loadout');
     setHasUnsavedChanges(false); // Loaded from saved, no unsaved changes
+    markSaved();
     setCurrentLoadedLoadoutId(loadout.id); // Track which loadout is currently loaded
 
     // Trigger donation prompt on successful load
@@ -1214,6 +1277,7 @@ const BattleLoadouts = () => {
 
       setSaveSuccess(true);
       setHasUnsavedChanges(false); // Successfully saved, clear unsaved changes flag
+      markSaved();
 
       // Clear localStorage draft after successful save
       clearDraft();
@@ -1265,21 +1329,28 @@ const BattleLoadouts = () => {
 
       logger.debug('Generating share URL');
 
-      // Get repo info from config
-      const configResponse = await fetch('/wiki-config.json');
-      const config = await configResponse.json();
-      const owner = config.wiki.repository.owner;
-      const repo = config.wiki.repository.repo;
-
       // Serialize the loadout for sharing (embed full builds for recipients)
       const serializedLoadout = serializeLoadoutForSharing(currentLoadout);
 
-      // Save build and get checksum
-      const checksum = await saveBuild(owner, repo, 'battle-loadouts', serializedLoadout);
-
-      // Generate share URL
       const baseURL = window.location.origin + window.location.pathname;
-      const shareURL = generateShareUrl(baseURL, 'battle-loadouts', checksum);
+      let shareURL;
+
+      // Compact share code (works offline); fall back to the share service, then to a ?data= link
+      try {
+        shareURL = generateShareCodeUrl(baseURL, 'battle-loadouts', serializedLoadout);
+      } catch (codeError) {
+        logger.warn('Share code unavailable, using share service', { error: codeError });
+
+        // Get repo info from config
+        const configResponse = await fetch('/wiki-config.json');
+        const config = await configResponse.json();
+        const owner = config.wiki.repository.owner;
+        const repo = config.wiki.repository.repo;
+
+        // Save build and get checksum
+        const checksum = await saveBuild(owner, repo, 'battle-loadouts', serializedLoadout);
+        shareURL = generateShareUrl(baseURL, 'battle-loadouts', checksum);
+      }
 
       logger.info('Share URL generated', { shareURL });
 
@@ -1302,7 +1373,7 @@ const BattleLoadouts = () => {
       logger.error('Failed to generate share URL', { error });
       setShareError(error.message || 'Failed to generate share URL');
 
-      // Fallback to old method if share service fails
+      // Last resort: the old ?data= link, which needs neither a share code nor the share service
       try {
         const serializedLoadout = serializeLoadoutForSharing(currentLoadout);
 
@@ -1397,8 +1468,10 @@ const BattleLoadouts = () => {
         };
 
         setCurrentLoadout(deserializedLoadout);
+        resetHistory();
         setLoadoutName(deserializedLoadout.name || '');
         setHasUnsavedChanges(false); // Imported from file, no unsaved changes yet
+        markSaved();
 
         // Trigger donation prompt on successful import
         window.triggerDonationPrompt?.({
@@ -1422,7 +1495,7 @@ const BattleLoadouts = () => {
 
   // Clear loadout
   const handleClearLoadout = () => {
-    if (!confirm('Clear current loadout? This cannot be undone.')) return;
+    if (!confirm('Clear current loadout?')) return;
     setCurrentLoadout(createEmptyLoadout(loadoutName));
     clearDraft(); // Clear localStorage draft
   };
@@ -1435,6 +1508,79 @@ const BattleLoadouts = () => {
     );
   }
 
+  // Gear sections: resolved data for display and picker configuration per section
+  const gear = resolveLoadoutGear(currentLoadout, gearData);
+  const gearValues = serializeLoadoutGear(currentLoadout);
+  const maxFamiliarWeaponTier = Math.max(1, ...(gearData?.familiars || []).flatMap(f => (f.weapons || []).map(w => w.tiers || 1)));
+  const gearPickers = {
+    promotion: {
+      title: 'Promotion Tier',
+      icon: '⭐',
+      idKey: 'promotionTier',
+      items: (gearData?.promotions || []).map(promotion => ({
+        id: promotion.id,
+        name: promotion.name,
+        description: `Class ATK ×${promotion.classATK.toLocaleString()} · HP ×${promotion.classHP.toLocaleString()} · Recommended Lv.${promotion.recommendedLevel}`
+      })),
+      value: gearValues.promotionTier === null ? null : { promotionTier: gearValues.promotionTier },
+      onSave: (entry) => handleGearSave('promotionTier', entry ? entry.promotionTier : null)
+    },
+    relics: {
+      title: 'Relics',
+      icon: '🏺',
+      idKey: 'relicId',
+      multiple: true,
+      fields: [{ key: 'level', label: 'Lv.', min: 1 }],
+      items: (gearData?.relics || []).map(relic => ({ id: relic.id, name: relic.name, description: relic.buff })),
+      value: gearValues.relics,
+      onSave: (entries) => handleGearSave('relics', entries)
+    },
+    companions: {
+      title: 'Companions',
+      icon: '🧝',
+      idKey: 'companionId',
+      multiple: true,
+      fields: [{ key: 'level', label: 'Lv.', min: 1 }],
+      items: (gearData?.companions || []).map(companion => ({
+        id: companion.id,
+        name: companion.name,
+        description: `${companion.element} · ${companion.type}`
+      })),
+      value: gearValues.companions,
+      onSave: (entries) => handleGearSave('companions', entries)
+    },
+    familiar: {
+      title: 'Familiar',
+      icon: '🐾',
+      idKey: 'familiarId',
+      fields: [
+        { key: 'weaponId', label: 'Weapon', options: (item) => (item.weapons || []).map(w => ({ value: w.id, label: w.name })) },
+        { key: 'weaponTier', label: 'Tier', min: 1, max: maxFamiliarWeaponTier }
+      ],
+      items: (gearData?.familiars || []).map(familiar => ({
+        id: familiar.id,
+        name: familiar.name,
+        description: `${familiar.element} · ${familiar.attribute}`,
+        weapons: familiar.weapons
+      })),
+      value: gearValues.familiar,
+      onSave: (entry) => handleGearSave('familiar', entry)
+    },
+    clothing: {
+      title: 'Clothing',
+      icon: '👕',
+      idKey: 'clothingId',
+      multiple: true,
+      items: (gearData?.clothing || []).map(item => ({
+        id: item.id,
+        name: item.name,
+        description: `${item.bonusType} +${item.effect}`
+      })),
+      value: gearValues.clothing.map(clothingId => ({ clothingId })),
+      onSave: (entries) => handleGearSave('clothing', entries.map(entry => entry.clothingId))
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-950">
       {/* Header */}
@@ -1517,6 +1663,20 @@ const BattleLoadouts = () => {
               <span>Export</span>
             </button>
 
+            <ExportImageButton
+              name={loadoutName}
+              getCard={async (layout) => {
+                const loadout = { ...currentLoadout, name: loadoutName };
+                const statSheet = calculateLoadoutStats(loadout, await loadStatData());
+                return createBuildCard('battle-loadouts', loadout, { layout, statSheet, gear, weapons: allWeapons });
+              }}
+            />
+
+            <PublishBuildButton
+              type="battle-loadouts"
+              getShareData={() => serializeLoadoutForSharing(currentLoadout)}
+            />
+
             <label className="flex items-center justify-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors cursor-pointer whitespace-nowrap">
               <Upload className="w-4 h-4 flex-shrink-0 text-purple-600 dark:text-purple-400" />
               <span>Import</span>
@@ -1534,12 +1694,16 @@ const BattleLoadouts = () => {
             >
               <Trash2 className="w-4 h-4 flex-shrink-0 text-red-600 dark:text-red-400" />
             </button>
+
+            <UndoRedoControls onUndo={undo} onRedo={redo} canUndo={canUndo} canRedo={canRedo} />
           </div>
         </div>
 
         {/* Skills Section */}
         <SkillsSection
           skillBuild={currentLoadout.skillBuild}
+          skillStoneBuild={currentLoadout.skillStoneBuild}
+          stoneData={stoneData}
           onEdit={() => setShowSkillBuilder(true)}
           onClear={handleClearSkillBuild}
           onSkillClick={(skill) => {
@@ -1582,19 +1746,99 @@ const BattleLoadouts = () => {
             stoneData={stoneData}
           />
 
-          {/* Promotion Abilities - Row 2, Col 2 */}
-          <PlaceholderSection
-            title="Slayer Promotion Abilities"
-            description="Promotion Ability Builder coming soon"
+          {/* Promotion Tier - Row 2, Col 2 */}
+          <GearSection
+            title="Promotion"
             icon="⭐"
-          />
+            isSet={!!gear.promotion}
+            onEdit={() => setActiveGearPicker('promotion')}
+            onClear={() => handleClearGear('promotionTier', 'promotion tier')}
+            emptyText="No promotion tier selected"
+          >
+            {gear.promotion && (
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-lg font-bold text-gray-900 dark:text-white">{gear.promotion.name}</span>
+                <div className="text-right text-xs text-gray-600 dark:text-gray-400">
+                  <div>Class ATK <span className="font-semibold text-red-600 dark:text-red-400">×{gear.promotion.classATK.toLocaleString()}</span></div>
+                  <div>Class HP <span className="font-semibold text-green-600 dark:text-green-400">×{gear.promotion.classHP.toLocaleString()}</span></div>
+                </div>
+              </div>
+            )}
+          </GearSection>
+
+          {/* Relics - Row 3, Col 1 */}
+          <GearSection
+            title="Relics"
+            icon="🏺"
+            isSet={gear.relics.length > 0}
+            onEdit={() => setActiveGearPicker('relics')}
+            onClear={() => handleClearGear('relics', 'all relics')}
+            emptyText="No relics selected"
+          >
+            <GearList
+              rows={gear.relics.map(({ relic, level }) => ({ key: relic.id, name: relic.name, detail: relic.buff, value: `Lv.${level}` }))}
+            />
+          </GearSection>
+
+          {/* Companions - Row 3, Col 2 */}
+          <GearSection
+            title="Companions"
+            icon="🧝"
+            isSet={gear.companions.length > 0}
+            onEdit={() => setActiveGearPicker('companions')}
+            onClear={() => handleClearGear('companions', 'all companions')}
+            emptyText="No companions selected"
+          >
+            <GearList
+              rows={gear.companions.map(({ companion, level }) => ({ key: companion.id, name: companion.name, detail: companion.element, value: `Lv.${level}` }))}
+            />
+          </GearSection>
 
-          {/* Familiar - Row 3, Col 1 */}
-          <PlaceholderSection
+          {/* Familiar - Row 4, Col 1 */}
+          <GearSection
             title="Familiar"
-            description="Familiar Builder coming soon"
             icon="🐾"
-          />
+            isSet={!!gear.familiar}
+            onEdit={() => setActiveGearPicker('familiar')}
+            onClear={() => handleClearGear('familiar', 'the familiar')}
+            emptyText="No familiar selected"
+          >
+            {gear.familiar && (
+              <div className="flex items-center gap-3">
+                {gear.familiar.weapon?.image && (
+                  <img src={gear.familiar.weapon.image} alt={gear.familiar.weapon.name} className="w-12 h-12 object-contain" />
+                )}
+                <div>
+                  <div className="text-lg font-bold text-gray-900 dark:text-white">{gear.familiar.familiar.name}</div>
+                  <div className="text-xs text-gray-600 dark:text-gray-400">
+                    {gear.familiar.familiar.element} · {gear.familiar.familiar.attribute}
+                    {gear.familiar.weapon && ` · ${gear.familiar.weapon.name} (Tier ${gear.familiar.weaponTier})`}
+                  </div>
+                </div>
+              </div>
+            )}
+          </GearSection>
+
+          {/* Clothing - Row 4, Col 2 */}
+          <GearSection
+            title="Clothing"
+            icon="👕"
+            isSet={gear.clothing.length > 0}
+            onEdit={() => setActiveGearPicker('clothing')}
+            onClear={() => handleClearGear('clothing', 'all clothing')}
+            emptyText="No clothing selected"
+          >
+            <div className="flex flex-wrap gap-2 mb-2">
+              {gear.clothingBonuses.map(bonus => (
+                <span key={bonus.bonusType} className="px-2 py-0.5 rounded-full bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-200 text-xs font-medium">
+                  {formatClothingBonus(bonus)}
+                </span>
+              ))}
+            </div>
+            <p className="text-xs text-gray-600 dark:text-gray-400">
+              {gear.clothing.map(item => item.name).join(', ')}
+            </p>
+          </GearSection>
         </div>
         </div>
 
@@ -1660,6 +1904,7 @@ const BattleLoadouts = () => {
         onClose={() => setShowSkillBuilder(false)}
         initialBuild={currentLoadout.skillBuild}
         onSave={handleSkillBuildSave}
+        skillStoneBuild={currentLoadout.skillStoneBuild}
       />
 
       {/* Spirit Builder Modal */}
@@ -1686,6 +1931,15 @@ const BattleLoadouts = () => {
         onSave={handleSkillStoneBuildSave}
       />
 
+      {/* Gear Picker Modal */}
+      {activeGearPicker && (
+        <LoadoutGearPickerModal
+          isOpen={true}
+          onClose={() => setActiveGearPicker(null)}
+          {...gearPickers[activeGearPicker]}
+        />
+      )}
+
       {/* Skill Information Modal */}
       <SkillInformation
         skill={selectedSkill}
@@ -1702,7 +1956,7 @@ const BattleLoadouts = () => {
 /**
  * Skills Section Component
  */
-const SkillsSection = ({ skillBuild, onEdit, onClear, onSkillClick, onDragStart, onDragOver, onDrop, draggedSlotIndex }) => {
+const SkillsSection = ({ skillBuild, skillStoneBuild, stoneData, onEdit, onClear, onSkillClick, onDragStart, onDragOver, onDrop, draggedSlotIndex }) => {
   const handleClear = () => {
     if (window.confirm('Are you sure you want to clear the skill build? This cannot be undone.')) {
       onClear();
@@ -1783,6 +2037,18 @@ const SkillsSection = ({ skillBuild, onEdit, onClear, onSkillClick, onDragStart,
               />
             ))}
           </div>
+
+          {/* Effective stats with this loadout's skill stones */}
+          {hasSkillStones(skillStoneBuild) && (
+            <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+              <div className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Skill Stone Effects</div>
+              <SkillStoneEffectsTable
+                slots={skillBuild.slots.slice(0, 10)}
+                stoneBuild={skillStoneBuild}
+                stoneData={stoneData}
+              />
+            </div>
+          )}
         </div>
       ) : (
         <button
@@ -2214,20 +2480,66 @@ const SkillStoneSection = ({ skillStoneBuild, onEdit, onClear, stoneData }) => {
 };
 
 /**
- * Placeholder Section Component
+ * Gear Section Component
+ * Shared layout for the gear sections (promotion, relics, companions, familiar, clothing)
  */
-const PlaceholderSection = ({ title, description, icon, matchHeight = false }) => {
+const GearSection = ({ title, icon, isSet, onEdit, onClear, emptyText, children }) => {
   return (
-    <div className={`bg-white dark:bg-gray-800 rounded-lg p-3 sm:p-4 md:p-6 opacity-60 border border-gray-200 dark:border-gray-800 ${matchHeight ? 'flex flex-col h-full' : ''}`}>
-      <div className="flex items-center gap-1.5 sm:gap-2 mb-3 sm:mb-4">
-        <span className="text-2xl sm:text-3xl">{icon}</span>
-        <span className="text-xl sm:text-2xl font-bold text-gray-900 dark:text-white">{title}</span>
-      </div>
-      <div className={`flex items-center justify-center ${matchHeight ? 'flex-1' : 'py-8 sm:py-10 md:py-12'} border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg`}>
-        <div className="text-center px-2">
-          <p className="text-gray-600 dark:text-gray-400 text-sm sm:text-base md:text-lg">{description}</p>
+    <div className="bg-white dark:bg-gray-800 rounded-lg p-3 sm:p-4 md:p-6 border border-gray-200 dark:border-gray-800">
+      <div className="flex items-center justify-between mb-3 sm:mb-4">
+        <div className="flex items-center gap-1.5 sm:gap-2">
+          <span className="text-2xl sm:text-3xl">{icon}</span>
+          <span className="text-xl sm:text-2xl font-bold text-gray-900 dark:text-white">{title}</span>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onEdit}
+            className="flex items-center gap-1.5 sm:gap-2 px-3 sm:px-4 md:px-5 py-2 sm:py-2.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm sm:text-base font-medium transition-colors"
+          >
+            <Edit className="w-4 h-4 sm:w-5 sm:h-5" />
+            <span>{isSet ? 'Edit' : 'Select'}</span>
+          </button>
+          {isSet && (
+            <button
+              onClick={onClear}
+              className="flex items-center gap-1.5 sm:gap-2 px-3 sm:px-4 md:px-5 py-2 sm:py-2.5 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm sm:text-base font-medium transition-colors"
+            >
+              <Trash2 className="w-4 h-4 sm:w-5 sm:h-5" />
+            </button>
+          )}
         </div>
       </div>
+
+      {isSet ? children : (
+        <button
+          onClick={onEdit}
+          className="w-full flex items-center justify-center py-6 sm:py-8 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg hover:border-blue-500 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-colors cursor-pointer"
+        >
+          <div className="text-center px-2">
+            <Plus className="w-8 h-8 sm:w-10 sm:h-10 text-gray-400 dark:text-gray-500 mx-auto mb-2" />
+            <p className="text-gray-600 dark:text-gray-400 text-sm sm:text-base">{emptyText}</p>
+          </div>
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Name / detail / value rows for list-style gear sections
+ */
+const GearList = ({ rows }) => {
+  return (
+    <div className="divide-y divide-gray-200 dark:divide-gray-700">
+      {rows.map(row => (
+        <div key={row.key} className="flex items-center justify-between gap-3 py-1.5">
+          <div className="min-w-0">
+            <span className="text-sm font-medium text-gray-900 dark:text-white">{row.name}</span>
+            <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{row.detail}</span>
+          </div>
+          <span className="text-sm font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">{row.value}</span>
+        </div>
+      ))}
     </div>
   );
 };
@@ -2245,7 +2557,11 @@ function createEmptyLoadout(name) {
     spirit: null,
     skillStone: null,
     promotionAbility: null,
-    familiar: null
+    familiar: null,
+    promotionTier: null,
+    relics: [],
+    companions: [],
+    clothing: []
   };
 }
 
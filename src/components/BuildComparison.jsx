@@ -0,0 +1,460 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ArrowLeftRight, Loader, Link2, Check, GitCompare } from 'lucide-react';
+import { useAuthStore } from '../../wiki-framework/src/store/authStore';
+import { loadBuild } from '../../wiki-framework/src/services/github/buildShare';
+import { getLoadDataEndpoint } from '../utils/apiEndpoints.js';
+import { deserializeSkillBuild, deserializeLoadout } from '../utils/battleLoadoutSerializer';
+import { deserializeBuild as deserializeSpiritBuild } from '../utils/spiritSerialization';
+import { loadStatData } from '../utils/loadoutStats';
+import { decodeShareCode } from '../utils/shareCodes';
+import {
+  COMPARE_TYPES,
+  isComparableType,
+  parseBuildReference,
+  compareBuilds,
+  normalizeEngravingBuild
+} from '../utils/buildComparison';
+import { loadGameData } from '../services/gameData';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('BuildComparison');
+
+const SIDES = ['a', 'b'];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500';
+
+const STATUS_STYLES = {
+  same: { label: 'Same', className: 'text-gray-500 dark:text-gray-400', row: '' },
+  added: { label: 'Added', className: 'text-green-600 dark:text-green-400', row: 'bg-green-50 dark:bg-green-900/10' },
+  removed: { label: 'Removed', className: 'text-red-600 dark:text-red-400', row: 'bg-red-50 dark:bg-red-900/10' },
+  changed: { label: 'Changed', className: 'text-amber-600 dark:text-amber-400', row: 'bg-amber-50 dark:bg-amber-900/10' }
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toLocaleString();
+
+const formatDelta = (value, unit = '') => {
+  if (!value) return '—';
+  return `${value > 0 ? '+' : ''}${formatNumber(value)}${unit}`;
+};
+
+/**
+ * Read type and build references from the URL (#/compare?type=...&a=...&b=...)
+ */
+const readUrlParams = () => {
+  const params = new URLSearchParams(window.location.hash.split('?')[1]);
+  const type = params.get('type');
+  return {
+    type: isComparableType(type) ? type : 'battle-loadouts',
+    a: params.get('a') || '',
+    b: params.get('b') || ''
+  };
+};
+
+const buildCompareHash = (type, refs) => {
+  const params = new URLSearchParams({ type });
+  SIDES.forEach(side => {
+    if (refs[side]) params.set(side, refs[side]);
+  });
+  return `#/compare?${params.toString()}`;
+};
+
+const EntryCell = ({ entry }) => {
+  if (!entry) return <span className="text-gray-400 dark:text-gray-600">—</span>;
+  return (
+    <span className="flex items-center gap-2 min-w-0">
+      {entry.icon && <img src={entry.icon} alt="" className="w-6 h-6 object-contain flex-shrink-0" />}
+      <span className="min-w-0">
+        <span className="block truncate text-gray-900 dark:text-white">
+          {entry.label}
+          {typeof entry.level === 'number' && <span className="text-gray-500 dark:text-gray-400"> Lv.{entry.level}</span>}
+        </span>
+        {entry.details?.length > 0 && (
+          <span className="block truncate text-[11px] text-gray-500 dark:text-gray-400">{entry.details.join(' · ')}</span>
+        )}
+      </span>
+    </span>
+  );
+};
+
+/**
+ * BuildComparison Component
+ *
+ * Side-by-side comparison of two builds of the same type (skill build, spirit
+ * build, engraving build or battle loadout). Each side is a saved build ID, a
+ * share code or a share checksum; the selection is kept in the URL so comparisons can be shared.
+ * Features:
+ * - Slot-by-slot alignment with added/removed/changed entries and level deltas
+ * - Stat deltas from the shared stat engine
+ */
+const BuildComparison = () => {
+  const { isAuthenticated, user } = useAuthStore();
+  const initial = useMemo(readUrlParams, []);
+  const [type, setType] = useState(initial.type);
+  const [refs, setRefs] = useState({ a: initial.a, b: initial.b });
+  const [inputs, setInputs] = useState({ a: initial.a, b: initial.b });
+  const [builds, setBuilds] = useState({ a: null, b: null });
+  const [errors, setErrors] = useState({ a: null, b: null });
+  const [resolving, setResolving] = useState(false);
+  const [showUnchanged, setShowUnchanged] = useState(true);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Game data
+  const [gameData, setGameData] = useState(null);
+  const [statData, setStatData] = useState(null);
+
+  // User data
+  const [userData, setUserData] = useState({ lists: {}, mySpirits: [] });
+  const [userDataLoaded, setUserDataLoaded] = useState(false);
+
+  // Load game data
+  useEffect(() => {
+    const loadComparisonData = async () => {
+      try {
+        const [skills, spiritsData, shapesData] = await Promise.all([
+          loadGameData('skills'),
+          loadGameData('spirits'),
+          loadGameData('engravings')
+        ]);
+        setGameData({ skills, spirits: spiritsData.spirits || [], shapes: shapesData.shapes || [] });
+      } catch (error) {
+        logger.error('Failed to load game data', { error });
+        setGameData({ skills: [], spirits: [], shapes: [] });
+      }
+    };
+
+    loadComparisonData();
+    loadStatData()
+      .then(setStatData)
+      .catch(error => logger.error('Failed to load stat data', { error }));
+  }, []);
+
+  // Load saved builds of every comparable type (loadouts reference skill/spirit builds)
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id) {
+      setUserDataLoaded(true);
+      return;
+    }
+
+    const loadUserData = async () => {
+      try {
+        const [mySpiritsRes, ...listResponses] = await Promise.all([
+          fetch(`${getLoadDataEndpoint()}?type=my-spirits&userId=${user.id}`),
+          ...Object.keys(COMPARE_TYPES).map(key => fetch(`${getLoadDataEndpoint()}?type=${key}&userId=${user.id}`))
+        ]);
+
+        const mySpiritsData = await mySpiritsRes.json();
+        const lists = {};
+        await Promise.all(Object.entries(COMPARE_TYPES).map(async ([key, config], index) => {
+          const data = listResponses[index].ok ? await listResponses[index].json() : {};
+          lists[key] = data[config.listKey] || [];
+        }));
+
+        setUserData({ lists, mySpirits: mySpiritsData.spirits || [] });
+      } catch (error) {
+        logger.error('Failed to load saved builds', { error });
+      } finally {
+        setUserDataLoaded(true);
+      }
+    };
+
+    loadUserData();
+  }, [isAuthenticated, user?.id]);
+
+  const savedBuilds = userData.lists[type] || [];
+
+  // Resolve references whenever they (or the data they depend on) change
+  useEffect(() => {
+    if (!gameData || !userDataLoaded) return;
+
+    const deserialize = (data) => {
+      const { skills, spirits, shapes } = gameData;
+      if (type === 'skill-builds') return deserializeSkillBuild(data, skills);
+      if (type === 'spirit-builds') return deserializeSpiritBuild(data, spirits, userData.mySpirits);
+      if (type === 'engraving-builds') return normalizeEngravingBuild(data, shapes, statData?.weaponGrids || []);
+      return deserializeLoadout(
+        data,
+        skills,
+        spirits,
+        userData.mySpirits,
+        userData.lists['skill-builds'] || [],
+        userData.lists['spirit-builds'] || [],
+        shapes
+      );
+    };
+
+    const resolveSide = async (ref) => {
+      if (!ref) return null;
+
+      const saved = savedBuilds.find(build => build.id === ref);
+      if (saved) return deserialize(saved);
+
+      let shared = null;
+      try {
+        shared = decodeShareCode(ref);
+      } catch (error) {
+        // Not a share code; look it up in the share service
+        const config = await fetch('/wiki-config.json').then(r => r.json());
+        shared = await loadBuild(config.wiki.repository.owner, config.wiki.repository.repo, ref);
+      }
+      if (!shared) throw new Error('Build not found');
+      if (shared.type !== COMPARE_TYPES[type].shareType) {
+        throw new Error(`This is a shared ${shared.type} build, not a ${COMPARE_TYPES[type].label.toLowerCase()}`);
+      }
+      return deserialize(shared.data);
+    };
+
+    let cancelled = false;
+    const resolveAll = async () => {
+      setResolving(true);
+      const results = await Promise.all(SIDES.map(async side => {
+        try {
+          return { build: await resolveSide(refs[side]), error: null };
+        } catch (error) {
+          logger.error('Failed to load build for comparison', { side, ref: refs[side], error });
+          return { build: null, error: error.message || 'Failed to load build' };
+        }
+      }));
+      if (cancelled) return;
+      setBuilds({ a: results[0].build, b: results[1].build });
+      setErrors({ a: results[0].error, b: results[1].error });
+      setResolving(false);
+    };
+
+    resolveAll();
+    return () => {
+      cancelled = true;
+    };
+  }, [type, refs, gameData, statData, userData, userDataLoaded]);
+
+  // Keep the URL in sync so the comparison can be shared
+  useEffect(() => {
+    window.history.replaceState(null, '', buildCompareHash(type, refs));
+  }, [type, refs]);
+
+  const comparison = useMemo(() => {
+    if (!builds.a || !builds.b) return null;
+    try {
+      return compareBuilds(type, builds.a, builds.b, statData);
+    } catch (error) {
+      logger.error('Failed to compare builds', { error });
+      return null;
+    }
+  }, [type, builds, statData]);
+
+  const handleTypeChange = (newType) => {
+    setType(newType);
+    setRefs({ a: '', b: '' });
+    setInputs({ a: '', b: '' });
+  };
+
+  const handleApply = (side, value) => {
+    const ref = parseBuildReference(value);
+    setInputs(prev => ({ ...prev, [side]: ref }));
+    setRefs(prev => ({ ...prev, [side]: ref }));
+  };
+
+  const handleSwap = () => {
+    setRefs(prev => ({ a: prev.b, b: prev.a }));
+    setInputs(prev => ({ a: prev.b, b: prev.a }));
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/${buildCompareHash(type, refs)}`);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      logger.error('Failed to copy compare link', { error });
+    }
+  };
+
+  const usesSavedBuilds = SIDES.some(side => savedBuilds.some(build => build.id === refs[side]));
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-950">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-800">
+        <div className="max-w-7xl mx-auto px-3 sm:px-4 py-4 sm:py-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <span>⚖️</span>
+            <span>Compare Builds</span>
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            Compare two skill builds, spirit builds, engraving builds or battle loadouts slot by slot
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-3 sm:px-4 py-6 space-y-6">
+        {/* Selection */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm space-y-4">
+          <div className="flex flex-wrap items-center gap-2">
+            {Object.entries(COMPARE_TYPES).map(([key, config]) => (
+              <button
+                key={key}
+                onClick={() => handleTypeChange(key)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  type === key
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+                }`}
+              >
+                {config.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-[1fr_auto_1fr] gap-3 items-start">
+            {SIDES.map((side, index) => (
+              <React.Fragment key={side}>
+                {index === 1 && (
+                  <button
+                    onClick={handleSwap}
+                    className="self-center justify-self-center p-2 rounded-lg text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                    title="Swap sides"
+                  >
+                    <ArrowLeftRight className="w-5 h-5" />
+                  </button>
+                )}
+                <div className="space-y-2">
+                  <div className="text-sm font-semibold text-gray-900 dark:text-white">
+                    {side.toUpperCase()}{builds[side]?.name ? `: ${builds[side].name}` : ''}
+                  </div>
+                  {isAuthenticated && (
+                    <select
+                      value={savedBuilds.some(build => build.id === refs[side]) ? refs[side] : ''}
+                      onChange={(e) => handleApply(side, e.target.value)}
+                      className={inputClass}
+                    >
+                      <option value="">Saved {COMPARE_TYPES[type].label.toLowerCase()}s...</option>
+                      {savedBuilds.map(build => (
+                        <option key={build.id} value={build.id}>{build.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <input
+                    type="text"
+                    value={inputs[side]}
+                    onChange={(e) => setInputs(prev => ({ ...prev, [side]: e.target.value }))}
+                    onBlur={(e) => handleApply(side, e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleApply(side, e.target.value)}
+                    placeholder="Share link, code or checksum"
+                    className={inputClass}
+                  />
+                  {errors[side] && (
+                    <p className="text-xs text-red-600 dark:text-red-400 m-0">{errors[side]}</p>
+                  )}
+                </div>
+              </React.Fragment>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleCopyLink}
+              disabled={!refs.a && !refs.b}
+              className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors"
+            >
+              {linkCopied ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+              <span>{linkCopied ? 'Copied!' : 'Copy compare link'}</span>
+            </button>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+              Show unchanged
+            </label>
+            {usesSavedBuilds && (
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                Saved builds only open for you; use share links to compare with others.
+              </span>
+            )}
+          </div>
+        </div>
+
+        {/* Result */}
+        {(!gameData || resolving) && (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="w-8 h-8 text-blue-600 animate-spin" />
+          </div>
+        )}
+
+        {gameData && !resolving && !comparison && (
+          <div className="text-center py-12 text-gray-600 dark:text-gray-400">
+            <GitCompare className="w-10 h-10 mx-auto mb-3 text-gray-400" />
+            <p className="text-sm">Pick two {COMPARE_TYPES[type].label.toLowerCase()}s to compare.</p>
+          </div>
+        )}
+
+        {!resolving && comparison && (
+          <>
+            {comparison.stats && (
+              <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Stats</h2>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                      <th className="py-1 pr-3">Stat</th>
+                      <th className="py-1 pr-3 text-right">{builds.a.name || 'A'}</th>
+                      <th className="py-1 pr-3 text-right">{builds.b.name || 'B'}</th>
+                      <th className="py-1 text-right">Δ</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.stats.map(row => (
+                      <tr key={row.key} className="border-b border-gray-100 dark:border-gray-800">
+                        <td className="py-1 pr-3 text-gray-700 dark:text-gray-300">{row.label}</td>
+                        <td className="py-1 pr-3 text-right text-gray-900 dark:text-white">{formatNumber(row.left)}{row.unit}</td>
+                        <td className="py-1 pr-3 text-right text-gray-900 dark:text-white">{formatNumber(row.right)}{row.unit}</td>
+                        <td className={`py-1 text-right font-semibold ${
+                          row.delta > 0 ? 'text-green-600 dark:text-green-400' : row.delta < 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-400'
+                        }`}>
+                          {formatDelta(row.delta, row.unit)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {comparison.sections.map(section => {
+              const rows = showUnchanged ? section.rows : section.rows.filter(row => row.status !== 'same');
+              return (
+                <div key={section.id} className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white m-0">{section.title}</h2>
+                    <div className="flex gap-3 text-xs">
+                      {['added', 'removed', 'changed'].map(status => section.summary[status] > 0 && (
+                        <span key={status} className={STATUS_STYLES[status].className}>
+                          {section.summary[status]} {STATUS_STYLES[status].label.toLowerCase()}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+
+                  {rows.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 m-0">No differences.</p>
+                  ) : (
+                    <div className="divide-y divide-gray-100 dark:divide-gray-800">
+                      {rows.map(row => (
+                        <div key={row.key} className={`grid grid-cols-[5rem_1fr_1fr_6rem] gap-2 items-center py-1.5 px-1 text-sm ${STATUS_STYLES[row.status].row}`}>
+                          <span className="text-xs text-gray-500 dark:text-gray-400 truncate">{row.slot}</span>
+                          <EntryCell entry={row.left} />
+                          <EntryCell entry={row.right} />
+                          <span className={`text-xs text-right font-medium ${STATUS_STYLES[row.status].className}`}>
+                            {row.levelDelta ? `Lv. ${formatDelta(row.levelDelta)}` : STATUS_STYLES[row.status].label}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BuildComparison;
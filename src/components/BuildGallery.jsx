@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Eye, Heart, ExternalLink, Trash2, Loader, Search } from 'lucide-react';
+import { useAuthStore } from '../../wiki-framework/src/store/authStore';
+import { useConfigStore } from '../../wiki-framework/src/store/configStore';
+import { queueAchievementCheck } from '../../wiki-framework/src/services/achievements/achievementQueue.js';
+import {
+  loadGalleryEntries,
+  recordGalleryView,
+  toggleGalleryBuildLike,
+  unpublishGalleryBuild
+} from '../services/buildGallery';
+import {
+  GALLERY_BUILD_TYPES,
+  GALLERY_ELEMENTS,
+  filterGalleryEntries,
+  sortGalleryEntries,
+  getLikeCount,
+  getGalleryEntryUrl
+} from '../utils/buildGallery';
+import { getElementIcon } from '../services/imageService';
+import { loadGameData } from '../services/gameData';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('BuildGallery');
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500';
+
+const SORT_LABELS = { newest: 'Newest', popular: 'Most Popular' };
+
+const EMPTY_FILTERS = { type: '', element: '', skillId: null, spiritId: null, weaponId: null, search: '' };
+
+/**
+ * Options for an ID filter: only IDs used by published builds, named from game data
+ */
+const collectOptions = (entries, key, source) => {
+  const ids = new Set(entries.flatMap(entry => (key === 'weaponId' ? [entry.weaponId] : entry[key] || [])));
+  return source
+    .filter(item => ids.has(item.id))
+    .map(item => ({ id: item.id, name: item.name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const GalleryEntryCard = ({ entry, gameData, isOwn, canLike, liked, busy, onOpen, onLike, onUnpublish }) => {
+  const skillNames = (entry.skillIds || [])
+    .map(id => gameData.skills.find(skill => skill.id === id)?.name)
+    .filter(Boolean);
+  const spiritNames = (entry.spiritIds || [])
+    .map(id => gameData.spirits.find(spirit => spirit.id === id)?.name)
+    .filter(Boolean);
+  const weaponName = entry.weaponId != null
+    ? gameData.weapons.find(weapon => weapon.id === entry.weaponId)?.name
+    : null;
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 shadow-sm flex flex-col">
+      <div className="p-4 flex-1 space-y-2">
+        <div className="flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <h3 className="text-base font-semibold text-gray-900 dark:text-white m-0 truncate">{entry.name}</h3>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {GALLERY_BUILD_TYPES[entry.type]} · by {entry.authorName} · {new Date(entry.createdAt).toLocaleDateString()}
+            </div>
+          </div>
+          <div className="flex items-center gap-1 flex-shrink-0">
+            {(entry.elements || []).map(element => (
+              <img key={element} src={getElementIcon(element)} alt={element} title={element} className="w-5 h-5" />
+            ))}
+          </div>
+        </div>
+
+        {entry.description && (
+          <p className="text-sm text-gray-700 dark:text-gray-300 m-0 whitespace-pre-line">{entry.description}</p>
+        )}
+
+        <div className="text-xs text-gray-600 dark:text-gray-400 space-y-0.5">
+          {skillNames.length > 0 && <div><span className="font-medium">Skills:</span> {skillNames.join(', ')}</div>}
+          {spiritNames.length > 0 && <div><span className="font-medium">Spirits:</span> {spiritNames.join(', ')}</div>}
+          {weaponName && <div><span className="font-medium">Weapon:</span> {weaponName}</div>}
+        </div>
+      </div>
+
+      <div className="px-4 py-2 border-t border-gray-200 dark:border-gray-800 flex items-center gap-3">
+        <span className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400" title="Views">
+          <Eye className="w-4 h-4" />
+          {entry.views || 0}
+        </span>
+        <button
+          onClick={onLike}
+          disabled={!canLike || busy}
+          className={`flex items-center gap-1 text-xs transition-colors disabled:cursor-default ${
+            liked ? 'text-red-500' : 'text-gray-500 dark:text-gray-400 hover:text-red-500'
+          }`}
+          title={canLike ? (liked ? 'Unlike' : 'Like') : 'Sign in to like builds'}
+        >
+          <Heart className={`w-4 h-4 ${liked ? 'fill-current' : ''}`} />
+          {getLikeCount(entry)}
+        </button>
+        <div className="flex-1" />
+        {isOwn && (
+          <button
+            onClick={onUnpublish}
+            disabled={busy}
+            className="p-1.5 rounded text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors disabled:opacity-50"
+            title="Unpublish"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          onClick={onOpen}
+          className="flex items-center gap-1.5 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
+        >
+          <ExternalLink className="w-4 h-4" />
+          <span>Open</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * BuildGallery Component
+ *
+ * Public gallery of builds users published from the builders (PublishBuildButton).
+ * Filter by type, element, skill, spirit and weapon; sort by newest or popularity.
+ * Opening a build counts a view; signed-in users can like builds.
+ */
+const BuildGallery = () => {
+  const { isAuthenticated, user } = useAuthStore();
+  const { config } = useConfigStore();
+  const [entries, setEntries] = useState([]);
+  const [gameData, setGameData] = useState({ skills: [], spirits: [], weapons: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState('newest');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [galleryEntries, skills, spiritData, weapons] = await Promise.all([
+          loadGalleryEntries(),
+          loadGameData('skills'),
+          loadGameData('spirits'),
+          loadGameData('soulWeapons')
+        ]);
+        setEntries(galleryEntries);
+        setGameData({ skills, spirits: spiritData.spirits || [], weapons: weapons || [] });
+      } catch (error) {
+        logger.error('Failed to load build gallery', { error });
+        setError('Failed to load the build gallery');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  // Authors collect view counts while away; re-check the view achievement when they visit
+  useEffect(() => {
+    if (!isAuthenticated || !user || !config?.wiki?.repository) return;
+    if (!entries.some(entry => entry.authorId === user.id)) return;
+
+    queueAchievementCheck('popular-builder', {
+      owner: config.wiki.repository.owner,
+      repo: config.wiki.repository.repo,
+      userId: user.id,
+      username: user.login,
+      delay: 2000,
+      retryDelay: 5000,
+      maxRetries: 3,
+    }).catch(error => {
+      logger.error('Failed to queue popular-builder achievement check', { error: error.message });
+    });
+  }, [entries, isAuthenticated, user, config]);
+
+  const options = useMemo(() => ({
+    skills: collectOptions(entries, 'skillIds', gameData.skills),
+    spirits: collectOptions(entries, 'spiritIds', gameData.spirits),
+    weapons: collectOptions(entries, 'weaponId', gameData.weapons)
+  }), [entries, gameData]);
+
+  const visibleEntries = useMemo(
+    () => sortGalleryEntries(filterGalleryEntries(entries, filters), sort),
+    [entries, filters, sort]
+  );
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const parseId = (value) => (value === '' ? null : Number(value));
+
+  const replaceEntry = (updated) => {
+    if (!updated) return;
+    setEntries(prev => prev.map(entry => (entry.id === updated.id ? updated : entry)));
+  };
+
+  const handleOpen = async (entry) => {
+    replaceEntry(await recordGalleryView(entry));
+    window.location.hash = getGalleryEntryUrl(entry);
+  };
+
+  const handleLike = async (entry) => {
+    try {
+      setBusyId(entry.id);
+      replaceEntry(await toggleGalleryBuildLike(useAuthStore.getState().getToken?.(), entry));
+    } catch (error) {
+      logger.error('Failed to like build', { entryId: entry.id, error });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleUnpublish = async (entry) => {
+    if (!confirm(`Remove "${entry.name}" from the gallery?`)) return;
+    try {
+      setBusyId(entry.id);
+      await unpublishGalleryBuild(useAuthStore.getState().getToken?.(), entry.id);
+      setEntries(prev => prev.filter(item => item.id !== entry.id));
+    } catch (error) {
+      logger.error('Failed to unpublish build', { entryId: entry.id, error });
+      alert('Failed to unpublish build');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-950">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-800">
+        <div className="max-w-7xl mx-auto px-3 sm:px-4 py-4 sm:py-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <span>🖼️</span>
+            <span>Build Gallery</span>
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            Builds published by other players. Use the Publish button in any builder to share yours.
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-3 sm:px-4 py-6 space-y-6">
+        {/* Filters */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            {[['', 'All'], ...Object.entries(GALLERY_BUILD_TYPES)].map(([key, label]) => (
+              <button
+                key={key || 'all'}
+                onClick={() => updateFilter('type', key)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  filters.type === key
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3">
+            <div className="relative lg:col-span-2">
+              <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => updateFilter('search', e.target.value)}
+                placeholder="Search name, description or author"
+                className={`${inputClass} pl-9`}
+              />
+            </div>
+            <select value={filters.element} onChange={(e) => updateFilter('element', e.target.value)} className={inputClass}>
+              <option value="">Any element</option>
+              {GALLERY_ELEMENTS.map(element => <option key={element} value={element}>{element}</option>)}
+            </select>
+            <select value={filters.skillId ?? ''} onChange={(e) => updateFilter('skillId', parseId(e.target.value))} className={inputClass}>
+              <option value="">Any skill</option>
+              {options.skills.map(skill => <option key={skill.id} value={skill.id}>{skill.name}</option>)}
+            </select>
+            <select value={filters.spiritId ?? ''} onChange={(e) => updateFilter('spiritId', parseId(e.target.value))} className={inputClass}>
+              <option value="">Any spirit</option>
+              {options.spirits.map(spirit => <option key={spirit.id} value={spirit.id}>{spirit.name}</option>)}
+            </select>
+            <select value={filters.weaponId ?? ''} onChange={(e) => updateFilter('weaponId', parseId(e.target.value))} className={inputClass}>
+              <option value="">Any weapon</option>
+              {options.weapons.map(weapon => <option key={weapon.id} value={weapon.id}>{weapon.name}</option>)}
+            </select>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              {visibleEntries.length} of {entries.length} builds
+            </span>
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-gray-600 dark:text-gray-400">Sort:</span>
+              {Object.entries(SORT_LABELS).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setSort(key)}
+                  className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                    sort === key
+                      ? 'bg-gray-900 dark:bg-white text-white dark:text-gray-900'
+                      : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+              <button
+                onClick={() => setFilters(EMPTY_FILTERS)}
+                className="px-3 py-1 rounded-lg text-sm text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors"
+              >
+                Clear filters
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Results */}
+        {loading ? (
+          <div className="flex items-center justify-center py-16 text-gray-500 dark:text-gray-400">
+            <Loader className="w-6 h-6 animate-spin mr-2" />
+            <span>Loading builds...</span>
+          </div>
+        ) : error ? (
+          <div className="text-center py-16 text-red-600 dark:text-red-400">{error}</div>
+        ) : visibleEntries.length === 0 ? (
+          <div className="text-center py-16 text-gray-500 dark:text-gray-400">
+            {entries.length === 0 ? 'No builds have been published yet.' : 'No builds match these filters.'}
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {visibleEntries.map(entry => (
+              <GalleryEntryCard
+                key={entry.id}
+                entry={entry}
+                gameData={gameData}
+                isOwn={isAuthenticated && entry.authorId === user?.id}
+                canLike={isAuthenticated}
+                liked={isAuthenticated && (entry.likedBy || []).includes(user?.id)}
+                busy={busyId === entry.id}
+                onOpen={() => handleOpen(entry)}
+                onLike={() => handleLike(entry)}
+                onUnpublish={() => handleUnpublish(entry)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BuildGallery;
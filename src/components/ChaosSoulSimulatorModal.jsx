@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Dices, Loader, RotateCcw, AlertTriangle } from 'lucide-react';
+import CustomDropdown from './CustomDropdown';
+import { runSolverJob } from '../utils/engravingSolverClient';
+import { createEmptyGrid } from '../utils/engravingSolver';
+import { getDefaultDropWeights, DEFAULT_DROP_WEIGHTS } from '../utils/chaosSoulSimulator';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ChaosSoulSimulator');
+
+const TRIAL_OPTIONS = [500, 1000, 5000];
+
+const formatCost = (value) => (value === null ? 'Too many' : Math.round(value).toLocaleString());
+
+/**
+ * Chaos Soul Simulator Modal
+ *
+ * Monte Carlo estimate of how many Chaos Souls it takes to reroll the current
+ * inventory into pieces that can complete a weapon's grid at a minimum rarity.
+ * Drop weights are editable because the game only describes them loosely.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Close handler
+ * @param {Array} weapons - Weapons with grid data (soul-weapon-grids.json)
+ * @param {string} defaultWeaponName - Weapon to target initially
+ * @param {Array} pieces - Current inventory pieces (nulls removed)
+ * @param {Array} shapes - Engraving shapes a reroll can produce
+ * @param {Array} rarityTiers - Rarity tiers with descriptive dropWeight labels
+ * @param {Function} getRarityColor - Rarity id -> hex color
+ * @param {Function} getRarityName - Rarity id -> display name
+ */
+const ChaosSoulSimulatorModal = ({ isOpen, onClose, weapons, defaultWeaponName, pieces, shapes, rarityTiers, getRarityColor, getRarityName }) => {
+  const defaultWeights = () => (rarityTiers?.length ? getDefaultDropWeights(rarityTiers) : DEFAULT_DROP_WEIGHTS);
+
+  const [weaponName, setWeaponName] = useState(defaultWeaponName);
+  const [minRarity, setMinRarity] = useState(3);
+  const [trials, setTrials] = useState(1000);
+  const [dropWeights, setDropWeights] = useState(defaultWeights);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const jobRef = useRef(null);
+
+  // Follow the builder's weapon each time the modal opens (the builder's
+  // weapon and weapon list don't change while it is open)
+  useEffect(() => {
+    if (isOpen) {
+      setWeaponName(weapons.some(w => w.name === defaultWeaponName) ? defaultWeaponName : weapons[0]?.name);
+      setResult(null);
+    } else {
+      jobRef.current?.cancel();
+    }
+  }, [isOpen, weapons, defaultWeaponName]);
+
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
+  if (!isOpen) return null;
+
+  const weapon = weapons.find(w => w.name === weaponName);
+  const totalWeight = dropWeights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+
+  const handleRun = () => {
+    if (!weapon) return;
+    setRunning(true);
+    setError(null);
+    setResult(null);
+    setProgress(null);
+
+    const job = runSolverJob('simulateChaosSoul', {
+      grid: createEmptyGrid(weapon.gridType, weapon.activeSlots),
+      pieces: pieces.map(({ shapeId, shape, rarity, level }) => ({ shapeId, shape, rarity, level })),
+      shapes,
+      options: { minRarity, dropWeights, trials }
+    }, {
+      onProgress: setProgress
+    });
+    jobRef.current = job;
+
+    job.promise
+      .then(simulation => {
+        if (!simulation.cancelled) setResult(simulation);
+      })
+      .catch(err => {
+        logger.error('Chaos Soul simulation failed', { error: err });
+        setError('Simulation failed. Please try again.');
+      })
+      .finally(() => {
+        if (jobRef.current === job) {
+          jobRef.current = null;
+          setRunning(false);
+        }
+      });
+  };
+
+  const handleCancel = () => {
+    jobRef.current?.cancel();
+  };
+
+  const handleWeightChange = (rarity, value) => {
+    const parsed = parseFloat(value);
+    if (Number.isNaN(parsed) || parsed < 0) return;
+    setDropWeights(prev => prev.map((weight, idx) => idx === rarity ? parsed : weight));
+  };
+
+  const renderResult = () => {
+    if (!result) return null;
+
+    if (result.alreadyComplete) {
+      return (
+        <div className="p-3 bg-green-50 dark:bg-green-900/20 border border-green-300 dark:border-green-700 rounded-lg text-sm text-green-800 dark:text-green-200">
+          Your inventory can already complete {weapon?.name} at {getRarityName(minRarity)} or better. No Chaos Souls needed!
+        </div>
+      );
+    }
+
+    if (result.impossible) {
+      return (
+        <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-300 dark:border-red-700 rounded-lg text-sm text-red-800 dark:text-red-200">
+          This can't be completed: either your inventory doesn't have enough pieces to cover {weapon?.totalActiveSlots} slots, or the drop weights never roll {getRarityName(minRarity)} or better.
+        </div>
+      );
+    }
+
+    const maxBucket = Math.max(1, ...result.histogram.map(bucket => bucket.count));
+
+    return (
+      <div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-3">
+          {[
+            { label: 'Median', value: formatCost(result.median) },
+            { label: '90% of runs', value: formatCost(result.p90) },
+            { label: '99% of runs', value: formatCost(result.p99) },
+            // The average leaves out runs that gave up, so it can only be too low
+            result.gaveUpTrials > 0
+              ? { label: 'Average (at least)', value: result.mean === null ? formatCost(null) : `≥ ${formatCost(result.mean)}` }
+              : { label: 'Average', value: formatCost(result.mean) }
+          ].map(stat => (
+            <div key={stat.label} className="bg-gray-50 dark:bg-gray-800 rounded-lg p-2 text-center">
+              <div className="text-xs text-gray-600 dark:text-gray-400">{stat.label}</div>
+              <div className="text-lg font-bold text-gray-900 dark:text-white">{stat.value}</div>
+            </div>
+          ))}
+        </div>
+
+        <p className="text-xs text-gray-600 dark:text-gray-400 mb-3">
+          {result.completedTrials.toLocaleString()} of {result.trials.toLocaleString()} simulated runs finished
+          (best {formatCost(result.min)}, worst {formatCost(result.max)}).
+          Each roll has a {(result.qualifyingChance * 100).toFixed(1)}% chance to be {getRarityName(minRarity)} or better.
+          {result.gaveUpTrials > 0 && ` ${result.gaveUpTrials} run${result.gaveUpTrials !== 1 ? 's' : ''} gave up after too many rolls and ${result.gaveUpTrials !== 1 ? 'are' : 'is'} left out of the average.`}
+        </p>
+
+        {/* Distribution */}
+        {result.histogram.length > 0 && (
+          <div className="space-y-1">
+            {result.histogram.map(bucket => (
+              <div key={bucket.from} className="flex items-center gap-2 text-xs">
+                <span className="w-28 text-right text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                  {bucket.from.toLocaleString()}–{bucket.to.toLocaleString()}
+                </span>
+                <div className="flex-1 bg-gray-100 dark:bg-gray-800 rounded h-3">
+                  <div className="bg-fuchsia-500 h-3 rounded" style={{ width: `${(bucket.count / maxBucket) * 100}%` }} />
+                </div>
+                <span className="w-10 text-gray-600 dark:text-gray-400">{bucket.count}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-0 md:p-4 z-50">
+      <div className="bg-white dark:bg-gray-900 rounded-none md:rounded-lg shadow-2xl w-full h-full md:max-w-3xl md:h-auto md:max-h-[90vh] overflow-hidden border-0 md:border border-gray-300 dark:border-gray-700 flex flex-col">
+        {/* Header */}
+        <div className="bg-fuchsia-600 text-white px-4 md:px-6 py-4 flex items-center justify-between flex-shrink-0">
+          <div className="flex items-center gap-2 md:gap-3">
+            <Dices className="w-5 h-5 md:w-6 md:h-6" />
+            <div>
+              <h2 className="text-lg md:text-xl font-bold">Chaos Soul Simulator</h2>
+              <p className="text-xs md:text-sm text-fuchsia-100">How many Chaos Souls until you can complete a grid?</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-fuchsia-700 rounded transition-colors" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-3 md:p-6 overflow-y-auto flex-1 space-y-4">
+          {/* Target */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Target weapon</label>
+              <CustomDropdown
+                value={weaponName}
+                onChange={setWeaponName}
+                options={weapons.map(w => ({
+                  value: w.name,
+                  label: w.name,
+                  description: `${w.gridType} Grid • ${w.totalActiveSlots} slots`
+                }))}
+                placeholder="Select a weapon"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Minimum rarity</label>
+              <div className="flex flex-wrap gap-1">
+                {dropWeights.map((_, rarity) => (
+                  <button
+                    key={rarity}
+                    onClick={() => setMinRarity(rarity)}
+                    className={`px-2 py-1 rounded text-xs font-semibold border-2 transition-colors ${
+                      minRarity === rarity ? 'text-white' : 'bg-white dark:bg-gray-800 text-gray-900 dark:text-white'
+                    }`}
+                    style={{
+                      borderColor: getRarityColor(rarity),
+                      backgroundColor: minRarity === rarity ? getRarityColor(rarity) : undefined
+                    }}
+                  >
+                    {getRarityName(rarity)}+
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-600 dark:text-gray-400">
+            Starting from your {pieces.length} inventory piece{pieces.length !== 1 ? 's' : ''}. Each Chaos Soul rerolls one piece into a random shape and rarity; pieces below the target rarity are rerolled first, then duplicate shapes.
+          </p>
+
+          {/* Drop weights */}
+          <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Drop weights (assumed)</span>
+              <button
+                onClick={() => setDropWeights(defaultWeights())}
+                className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+              >
+                <RotateCcw className="w-3 h-3" />
+                Reset
+              </button>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {dropWeights.map((weight, rarity) => (
+                <div key={rarity} className="flex items-center gap-2">
+                  <span className="text-xs font-medium w-20" style={{ color: getRarityColor(rarity) }}>
+                    {getRarityName(rarity)}
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={weight}
+                    onChange={(e) => handleWeightChange(rarity, e.target.value)}
+                    className="w-16 px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                  />
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {totalWeight > 0 ? ((Math.max(0, weight) / totalWeight) * 100).toFixed(1) : '0.0'}%
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="flex items-start gap-2 mt-2 text-xs text-yellow-700 dark:text-yellow-300">
+              <AlertTriangle className="w-3 h-3 flex-shrink-0 mt-0.5" />
+              <span>The game only lists drop rates as "Very High" to "Extremely Low" (and they improve with soul weapon level), so these numbers are guesses. Adjust them to match your own observations.</span>
+            </div>
+          </div>
+
+          {/* Run */}
+          <div className="flex items-center gap-3">
+            <select
+              value={trials}
+              onChange={(e) => setTrials(parseInt(e.target.value, 10))}
+              disabled={running}
+              className="px-2 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+            >
+              {TRIAL_OPTIONS.map(option => (
+                <option key={option} value={option}>{option.toLocaleString()} runs</option>
+              ))}
+            </select>
+            <button
+              onClick={running ? handleCancel : handleRun}
+              disabled={!running && (!weapon || pieces.length === 0)}
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-fuchsia-600 hover:bg-fuchsia-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              {running ? <Loader className="w-4 h-4 animate-spin" /> : <Dices className="w-4 h-4" />}
+              {running
+                ? `Cancel (${progress ? Math.round((progress.trialsDone / progress.trials) * 100) : 0}%)`
+                : 'Simulate'}
+            </button>
+          </div>
+
+          {pieces.length === 0 && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">Add pieces to your inventory first.</p>
+          )}
+
+          {error && (
+            <div className="p-2 bg-red-50 dark:bg-red-900/20 border border-red-300 dark:border-red-700 rounded text-sm text-red-700 dark:text-red-300">
+              {error}
+            </div>
+          )}
+
+          {renderResult()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChaosSoulSimulatorModal;
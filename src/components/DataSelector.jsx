@@ -21,7 +21,7 @@ const DataSelector = ({ onSelect, onClose }) => {
       'equipment', 'relics', 'equipment-drops'
     ],
     'Content & Progression': [
-      'adventures', 'campaigns', 'quests'
+      'adventures', 'campaigns', 'quests', 'stage-regions'
     ],
     'Game Systems': [
       'formulas', 'drop-tables'
@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Loader, Dices } from 'lucide-react';
+import { useAuthStore } from '../../wiki-framework/src/store/authStore';
+import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { useFormulaSet } from '../hooks/useFormulaSet';
+import { getVariableOptions } from '../utils/formulaEngine';
+import {
+  getFusionGrade,
+  rankDropStages,
+  simulateCopies,
+  formatHours
+} from '../utils/equipmentDrops';
+import { formatIdleAmount } from '../utils/idleIncome';
+import { loadGameData } from '../services/gameData';
+import { useStages } from '../hooks/useStages';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('DropSimulator');
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500';
+const stageLabel = (stage) => [stage.region, stage.area].filter(Boolean).join(' · ');
+const MAX_RANKED_STAGES = 10;
+const MAX_COPIES = 999;
+
+/**
+ * DropSimulator Component
+ *
+ * Equipment drop explorer from the stage data and equipment-drops.json
+ * Features:
+ * - Stages ranked by expected drops per hour for an equipment type and rarity
+ * - Copies wanted entered directly or taken from the fusion calculator's math
+ * - Simulated time to collect them (average, lucky and unlucky runs)
+ * - Only the stage chunks that drop the selected equipment are loaded
+ */
+const DropSimulator = () => {
+  const { user } = useAuthStore();
+  const { formulas, error: formulaError } = useFormulaSet('drops');
+  const { formulas: fusion, error: fusionFormulaError } = useFormulaSet('fusion');
+  const [drops, setDrops] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [type, setType] = useState('Weapon');
+  const [rarity, setRarity] = useState('Legendary 4');
+  const [highestStage, setHighestStage] = useState('');
+  const [killsPerMinute, setKillsPerMinute] = useState('');
+  const [copies, setCopies] = useState('1');
+  const [fuseTarget, setFuseTarget] = useState('');
+  const [selectedStage, setSelectedStage] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [hasLoadedDraft, setHasLoadedDraft] = useState(false);
+
+  const { loadDraft } = useDraftStorage('dropSimulator', user, false, {
+    type, rarity, highestStage, killsPerMinute, copies, fuseTarget
+  });
+
+  // Load drop table
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        setDrops(await loadGameData('equipmentDrops'));
+      } catch (error) {
+        logger.error('Failed to load drop data', { error });
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadData();
+  }, []);
+
+  // Restore draft once
+  useEffect(() => {
+    if (hasLoadedDraft) return;
+    const draft = loadDraft();
+    if (draft) {
+      if (draft.type) setType(draft.type);
+      if (draft.rarity) setRarity(draft.rarity);
+      if (draft.highestStage !== undefined) setHighestStage(draft.highestStage);
+      if (draft.killsPerMinute !== undefined) setKillsPerMinute(draft.killsPerMinute);
+      if (draft.copies !== undefined) setCopies(draft.copies);
+      if (draft.fuseTarget !== undefined) setFuseTarget(draft.fuseTarget);
+    }
+    setHasLoadedDraft(true);
+  }, [hasLoadedDraft, loadDraft]);
+
+  // Rarities in drop order (equipment-drops.json lists them from the first stage on)
+  const rarities = useMemo(() => (
+    (drops?.equipmentDrops || []).filter(drop => drop.type === type)
+  ), [drops, type]);
+
+  const dropImage = rarities.find(drop => drop.rarity === rarity)?.image;
+
+  // Fusion grades above the dropped grade
+  const fusionGrade = formulas ? getFusionGrade(rarity, formulas) : null;
+  const fuseTargets = useMemo(() => {
+    if (!fusion || !fusionGrade) return [];
+    const tier = fusion.tables.gradeTiers[fusionGrade];
+    return getVariableOptions(fusion.section, 'grade').filter(option => fusion.tables.gradeTiers[option.value] > tier);
+  }, [fusion, fusionGrade]);
+
+  const activeFuseTarget = fuseTargets.some(option => option.value === fuseTarget) ? fuseTarget : '';
+  const wanted = Math.min(MAX_COPIES, Math.max(1, Math.floor(Number(copies) || 1)));
+
+  // A formula that fails to evaluate shows a message instead of breaking the page
+  let perFusion = 1;
+  let fusionError = null;
+  if (activeFuseTarget) {
+    try {
+      perFusion = fusion.evaluate('itemsNeeded', { grade: fusionGrade, targetGrade: activeFuseTarget });
+    } catch (err) {
+      fusionError = `Fusion formulas failed: ${err.message}`;
+    }
+  }
+  const copiesNeeded = wanted * perFusion;
+
+  const options = useMemo(() => ({
+    killsPerMinute: killsPerMinute === '' ? undefined : Math.max(0, Number(killsPerMinute) || 0),
+    copies: copiesNeeded,
+    maxStage: Number(highestStage) > 0 ? Number(highestStage) : Infinity
+  }), [killsPerMinute, copiesNeeded, highestStage]);
+
+  const { stages, loading: stagesLoading } = useStages({
+    to: Number.isFinite(options.maxStage) ? options.maxStage : undefined,
+    equipment: type,
+    equipmentRarity: rarity
+  }, { enabled: hasLoadedDraft });
+
+  const { ranked, rankError } = useMemo(() => {
+    if (!formulas) return { ranked: [], rankError: null };
+    try {
+      return { ranked: rankDropStages(stages, type, rarity, formulas, options), rankError: null };
+    } catch (err) {
+      return { ranked: [], rankError: `Drop formulas failed: ${err.message}` };
+    }
+  }, [formulas, stages, type, rarity, options]);
+
+  const selected = ranked.find(row => row.stageNo === selectedStage) || ranked[0] || null;
+
+  // A finished simulation no longer matches once the inputs change
+  useEffect(() => {
+    setSimulation(null);
+  }, [selected?.stageNo, copiesNeeded, options.killsPerMinute]);
+
+  const handleTypeChange = (value) => {
+    setType(value);
+    const sameRarity = (drops?.equipmentDrops || []).some(drop => drop.type === value && drop.rarity === rarity);
+    if (!sameRarity) {
+      const first = (drops?.equipmentDrops || []).find(drop => drop.type === value);
+      if (first) setRarity(first.rarity);
+    }
+    setSelectedStage(null);
+  };
+
+  const runSimulation = () => {
+    if (!selected) return;
+    const result = simulateCopies(selected.chancePerKill, copiesNeeded);
+    if (!result) return;
+    setSimulation({ stageNo: selected.stageNo, ...result });
+
+    // Trigger donation prompt on successful simulation
+    window.triggerDonationPrompt?.({
+      messages: [
+        "May the drop rates be with you! 🎲",
+        "Planning that grind! 💪",
+        "RNG calculated! 🍀",
+      ]
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader className="w-8 h-8 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
+  // Simulated kills to farming time at the selected stage's kill rate
+  const toHours = (kills) => kills * selected.expectedHours / selected.expectedKills;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-950">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-800">
+        <div className="max-w-7xl mx-auto px-3 sm:px-4 py-4 sm:py-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <span>🎲</span>
+            <span>Equipment Drop Simulator</span>
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            Find the best stage to farm a piece of equipment and how long it takes to collect the copies you need
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-3 sm:px-4 py-6 space-y-6">
+        {[formulaError, fusionFormulaError, rankError, fusionError].filter(Boolean).map(message => (
+          <p key={message} className="text-sm text-red-600 dark:text-red-400">{message}</p>
+        ))}
+
+        {/* Inputs */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <div className="flex gap-4">
+            {dropImage && (
+              <img src={dropImage} alt={`${rarity} ${type}`} className="w-16 h-16 object-contain flex-shrink-0" />
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 flex-1">
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Equipment type
+                <select value={type} onChange={(e) => handleTypeChange(e.target.value)} className={`${inputClass} mt-1`}>
+                  {(drops?.equipmentTypes || []).map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Rarity
+                <select
+                  value={rarity}
+                  onChange={(e) => { setRarity(e.target.value); setSelectedStage(null); }}
+                  className={`${inputClass} mt-1`}
+                >
+                  {rarities.map(drop => (
+                    <option key={drop.id} value={drop.rarity}>{drop.rarity}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Highest cleared stage
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Any stage"
+                  value={highestStage}
+                  onChange={(e) => setHighestStage(e.target.value)}
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Kills per minute
+                <input
+                  type="number"
+                  min="0"
+                  placeholder={String(formulas?.section.variables?.killsPerMinute?.default ?? '')}
+                  value={killsPerMinute}
+                  onChange={(e) => setKillsPerMinute(e.target.value)}
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Copies wanted
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_COPIES}
+                  value={copies}
+                  onChange={(e) => setCopies(e.target.value)}
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Fuse into
+                <select
+                  value={activeFuseTarget}
+                  onChange={(e) => setFuseTarget(e.target.value)}
+                  disabled={fuseTargets.length === 0}
+                  className={`${inputClass} mt-1`}
+                >
+                  <option value="">No fusion ({rarity})</option>
+                  {fuseTargets.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+          {activeFuseTarget && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Fusion calculator: {perFusion} {rarity} per {fuseTargets.find(option => option.value === activeFuseTarget)?.label},
+              so {wanted} wanted means {copiesNeeded.toLocaleString()} drops.
+            </p>
+          )}
+        </div>
+
+        {/* Stage ranking */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Where to Farm {rarity} {type}s</h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+            Ranked by expected drops per hour. Ties go to the lowest stage. Select a stage to simulate it.
+          </p>
+          {ranked.length === 0 && stagesLoading ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">Loading stages...</p>
+          ) : ranked.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              No stage{Number.isFinite(options.maxStage) ? ` up to stage ${options.maxStage}` : ''} drops {rarity} {type}s.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-1 pr-3">Stage</th>
+                    <th className="py-1 pr-3">Area</th>
+                    <th className="py-1 pr-3 text-right">Drop Chance</th>
+                    <th className="py-1 pr-3 text-right">Drops / Hour</th>
+                    <th className="py-1 text-right">Avg. Time for {copiesNeeded.toLocaleString()}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ranked.slice(0, MAX_RANKED_STAGES).map(row => (
+                    <tr
+                      key={row.stageNo}
+                      onClick={() => setSelectedStage(row.stageNo)}
+                      className={`border-b border-gray-100 dark:border-gray-800 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800 ${row.stageNo === selected?.stageNo ? 'bg-blue-50 dark:bg-blue-900/20 font-semibold' : ''}`}
+                    >
+                      <td className="py-1 pr-3 text-gray-900 dark:text-white">{row.stageNo}</td>
+                      <td className="py-1 pr-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">{stageLabel(row.stage)}</td>
+                      <td className="py-1 pr-3 text-right text-gray-700 dark:text-gray-300">{row.stage.equipmentProbability}%</td>
+                      <td className="py-1 pr-3 text-right text-gray-900 dark:text-white">{formatIdleAmount(row.dropsPerHour)}</td>
+                      <td className="py-1 text-right text-gray-700 dark:text-gray-300">{formatHours(row.expectedHours)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {ranked.length > MAX_RANKED_STAGES && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  {ranked.length - MAX_RANKED_STAGES} more stage(s) drop it at a lower rate.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Simulation */}
+        {selected && (
+          <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                {copiesNeeded.toLocaleString()} {rarity} {type}(s) at Stage {selected.stageNo}
+              </h2>
+              <button
+                onClick={runSimulation}
+                className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium"
+              >
+                <Dices className="w-4 h-4" />
+                <span>{simulation ? 'Simulate Again' : 'Simulate'}</span>
+              </button>
+            </div>
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              Expected: {formatIdleAmount(selected.expectedKills)} kills, {formatHours(selected.expectedHours)}
+            </p>
+            {simulation && (
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-3">
+                {[
+                  { label: 'Lucky (10%)', kills: simulation.p10, color: 'text-green-600 dark:text-green-400' },
+                  { label: 'Median', kills: simulation.median, color: 'text-gray-900 dark:text-white' },
+                  { label: 'Average', kills: simulation.mean, color: 'text-gray-900 dark:text-white' },
+                  { label: 'Unlucky (90%)', kills: simulation.p90, color: 'text-red-600 dark:text-red-400' }
+                ].map(({ label, kills, color }) => (
+                  <div key={label} className="p-3 bg-gray-50 dark:bg-gray-800 rounded-lg">
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{label}</div>
+                    <div className={`text-lg font-semibold ${color}`}>{formatHours(toHours(kills))}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{formatIdleAmount(Math.round(kills))} kills</div>
+                  </div>
+                ))}
+              </div>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+              {simulation && (simulation.approximate
+                ? 'Too many drops to simulate kill by kill, so these are approximated from the drop chance. '
+                : `Based on ${simulation.runs.toLocaleString()} simulated runs. `)}
+              Each kill drops the stage's equipment with its drop chance; the rate comes from the drop formulas in formulas.json.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DropSimulator;
@@ -0,0 +1,360 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { X, TrendingUp, Loader, ChevronDown, ChevronUp, RotateCcw, AlertTriangle } from 'lucide-react';
+import { runSolverJob } from '../utils/engravingSolverClient';
+import { getRotatedPattern } from '../utils/engravingSolver';
+import { OBJECTIVES, DEFAULT_STAT_ESTIMATES, getObjectiveWeights } from '../utils/engravingOptimizer';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('EngravingOptimizer');
+
+const formatPercent = (value) => `${value.toFixed(2)}%`;
+
+/**
+ * Engraving Optimizer Modal
+ *
+ * Finds the engraving layout that maximizes ATK, HP or a weighted mix,
+ * comparing full coverage (with the weapon's completion bonus) against
+ * partial layouts that use higher-stat pieces. Runs in the solver worker.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Close handler
+ * @param {Object} weapon - Selected weapon (gridType, completionEffect)
+ * @param {Array} grid - Grid state (only active flags are used)
+ * @param {Array} pieces - Inventory pieces with inventoryIndex
+ * @param {Function} onApply - Called with a layout's placements
+ * @param {Function} getRarityColor - Rarity id -> hex color
+ * @param {Function} getRarityName - Rarity id -> display name
+ */
+const EngravingOptimizerModal = ({ isOpen, onClose, weapon, grid, pieces, onApply, getRarityColor, getRarityName }) => {
+  const [objective, setObjective] = useState('atk');
+  const [atkWeight, setAtkWeight] = useState(0.5);
+  const [estimates, setEstimates] = useState(DEFAULT_STAT_ESTIMATES);
+  const [showEstimates, setShowEstimates] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const jobRef = useRef(null);
+  const completionEffect = weapon?.completionEffect;
+
+  const runOptimizer = useCallback(() => {
+    jobRef.current?.cancel();
+    setRunning(true);
+    setError(null);
+
+    const job = runSolverJob('optimize', {
+      grid,
+      pieces,
+      options: {
+        completionEffect,
+        weights: getObjectiveWeights(objective, atkWeight),
+        estimates
+      }
+    });
+    jobRef.current = job;
+
+    job.promise
+      .then(optimizeResult => {
+        if (!optimizeResult.cancelled) {
+          setResult(optimizeResult);
+        }
+      })
+      .catch(err => {
+        logger.error('Optimizer failed', { error: err });
+        setError('Optimization failed. Please try again.');
+      })
+      .finally(() => {
+        if (jobRef.current === job) {
+          jobRef.current = null;
+          setRunning(false);
+        }
+      });
+  }, [grid, pieces, completionEffect, objective, atkWeight, estimates]);
+
+  // Re-run whenever the inputs change while open (the builder memoizes grid
+  // and pieces, so they only change with its grid and inventory)
+  useEffect(() => {
+    if (!isOpen || !weapon || pieces.length === 0) return;
+    runOptimizer();
+  }, [isOpen, weapon, pieces.length, runOptimizer]);
+
+  // Stop the worker when closing
+  useEffect(() => {
+    if (!isOpen) {
+      jobRef.current?.cancel();
+      setResult(null);
+    }
+    return () => jobRef.current?.cancel();
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleEstimateChange = (rarity, field, value) => {
+    const parsed = parseFloat(value);
+    if (Number.isNaN(parsed) || parsed < 0) return;
+    setEstimates(prev => prev.map((estimate, idx) => idx === rarity ? { ...estimate, [field]: parsed } : estimate));
+  };
+
+  const gridSize = weapon?.gridType === '4x4' ? 4 : 5;
+
+  // Map each covered cell to its placement for the mini preview
+  const getCellOwners = (placements) => {
+    const owners = {};
+    placements.forEach((placement, idx) => {
+      getRotatedPattern(placement.piece.shape.pattern, placement.rotation).forEach((row, r) => {
+        row.forEach((filled, c) => {
+          if (filled === 1) owners[`${placement.anchorRow + r},${placement.anchorCol + c}`] = idx;
+        });
+      });
+    });
+    return owners;
+  };
+
+  const renderComparison = () => {
+    if (!result) return null;
+    const { bestFull, bestPartial } = result;
+    if (!bestFull && !bestPartial) return null;
+
+    const winner = !bestPartial || (bestFull && bestFull.score >= bestPartial.score) ? 'full' : 'partial';
+    const summary = (candidate, label, kind) => (
+      <div className={`rounded-lg p-3 border-2 ${winner === kind ? 'border-green-500 bg-green-50 dark:bg-green-900/20' : 'border-gray-300 dark:border-gray-700'}`}>
+        <div className="text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">{label}</div>
+        {candidate ? (
+          <>
+            <div className="text-lg font-bold text-gray-900 dark:text-white">Score {candidate.score.toFixed(2)}{candidate.usesEstimates ? '*' : ''}</div>
+            <div className="text-xs text-gray-600 dark:text-gray-400">
+              ATK +{formatPercent(candidate.totals.ATK || 0)} • HP +{formatPercent(candidate.totals.HP || 0)} • {candidate.coveredSlots}/{candidate.totalSlots} slots
+            </div>
+          </>
+        ) : (
+          <div className="text-sm text-gray-500 dark:text-gray-400">Not possible with this inventory</div>
+        )}
+      </div>
+    );
+
+    return (
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+        {summary(bestFull, 'Full coverage + completion bonus', 'full')}
+        {summary(bestPartial, 'Partial coverage, higher-stat pieces', 'partial')}
+      </div>
+    );
+  };
+
+  const renderCandidate = (candidate, idx) => {
+    const owners = getCellOwners(candidate.placements);
+    const activeCells = new Set();
+    grid.forEach((row, r) => row.forEach((cell, c) => { if (cell.active) activeCells.add(`${r},${c}`); }));
+
+    return (
+      <div key={idx} className="border-2 border-gray-300 dark:border-gray-700 rounded-lg p-3 hover:border-emerald-500 dark:hover:border-emerald-400 transition-colors">
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center gap-2">
+            <h3 className="font-semibold text-gray-900 dark:text-white text-sm">#{idx + 1}</h3>
+            <span className={`px-2 py-0.5 text-xs font-bold rounded text-white ${candidate.kind === 'full' ? 'bg-cyan-600' : 'bg-amber-600'}`}>
+              {candidate.kind === 'full' ? 'FULL' : 'PARTIAL'}
+            </span>
+          </div>
+          <span className="text-sm font-semibold text-emerald-600 dark:text-emerald-400">Score {candidate.score.toFixed(2)}{candidate.usesEstimates ? '*' : ''}</span>
+        </div>
+
+        <div className="flex gap-3">
+          {/* Mini grid preview */}
+          <div
+            className="grid gap-0.5 w-24 h-24 flex-shrink-0 bg-gray-900 dark:bg-black rounded p-1"
+            style={{ gridTemplateColumns: `repeat(${gridSize}, 1fr)` }}
+          >
+            {Array(gridSize * gridSize).fill(null).map((_, cellIdx) => {
+              const key = `${Math.floor(cellIdx / gridSize)},${cellIdx % gridSize}`;
+              const owner = owners[key];
+              const isActive = activeCells.has(key);
+              return (
+                <div
+                  key={cellIdx}
+                  className={`rounded-sm ${!isActive ? 'opacity-20 bg-gray-800' : owner === undefined ? 'bg-gray-600' : ''}`}
+                  style={owner !== undefined ? { backgroundColor: getRarityColor(candidate.placements[owner].piece.rarity) } : undefined}
+                />
+              );
+            })}
+          </div>
+
+          {/* Stat breakdown */}
+          <div className="flex-1 text-xs space-y-0.5">
+            {candidate.pieces.map((piece, pIdx) => (
+              <div key={pIdx} className="flex justify-between gap-2 text-gray-700 dark:text-gray-300">
+                <span className="truncate" title={`${getRarityName(piece.rarity)} ${piece.name} Lv.${piece.level}`}>
+                  <span style={{ color: getRarityColor(piece.rarity) }}>■</span> {piece.name} Lv.{piece.level}
+                </span>
+                <span className="whitespace-nowrap">{piece.stat} +{formatPercent(piece.value)}{piece.estimated ? '*' : ''}</span>
+              </div>
+            ))}
+            {candidate.completionBonus && (
+              <div className="flex justify-between gap-2 text-cyan-700 dark:text-cyan-300 font-medium">
+                <span>Completion bonus</span>
+                <span className="whitespace-nowrap">ATK +{formatPercent(candidate.completionBonus.atk)} • HP +{formatPercent(candidate.completionBonus.hp)}</span>
+              </div>
+            )}
+            <div className="pt-1 mt-1 border-t border-gray-200 dark:border-gray-700 flex flex-wrap gap-x-3 font-semibold text-gray-900 dark:text-white">
+              {Object.entries(candidate.totals).map(([stat, value]) => (
+                <span key={stat}>{stat} +{formatPercent(value)}</span>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <button
+          onClick={() => onApply(candidate.placements)}
+          className="w-full mt-3 px-3 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg text-sm font-medium transition-colors"
+        >
+          Apply Layout ({candidate.coveredSlots}/{candidate.totalSlots} slots)
+        </button>
+      </div>
+    );
+  };
+
+  const usesEstimates = result?.candidates.some(candidate => candidate.usesEstimates);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-0 md:p-4 z-50">
+      <div className="bg-white dark:bg-gray-900 rounded-none md:rounded-lg shadow-2xl w-full h-full md:max-w-5xl md:h-auto md:max-h-[90vh] overflow-hidden border-0 md:border border-gray-300 dark:border-gray-700 flex flex-col">
+        {/* Header */}
+        <div className="bg-emerald-600 text-white px-4 md:px-6 py-4 flex items-center justify-between flex-shrink-0">
+          <div className="flex items-center gap-2 md:gap-3">
+            <TrendingUp className="w-5 h-5 md:w-6 md:h-6" />
+            <div>
+              <h2 className="text-lg md:text-xl font-bold">Stat Optimizer</h2>
+              <p className="text-xs md:text-sm text-emerald-100">{weapon?.name} • {pieces.length} piece{pieces.length !== 1 ? 's' : ''} in inventory</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-emerald-700 rounded transition-colors" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-3 md:p-6 overflow-y-auto flex-1">
+          {/* Until soul-weapon-engravings.json has real baseStats, every score comes from the estimates */}
+          {usesEstimates && (
+            <div className="flex items-start gap-2 mb-4 p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-300 dark:border-yellow-700 rounded-lg text-sm text-yellow-800 dark:text-yellow-200">
+              <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+              <div>
+                <div className="font-semibold">Hypothetical ranking</div>
+                <p className="text-xs mt-0.5">
+                  Piece stats haven't been recorded yet, so values marked * come from the per-rarity estimates below.
+                  The ranking is only as good as those numbers and can change once the real stats are known.
+                </p>
+                {!showEstimates && (
+                  <button onClick={() => setShowEstimates(true)} className="mt-1 text-xs font-medium underline">
+                    Edit estimates
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Objective */}
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Maximize:</span>
+            {OBJECTIVES.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setObjective(option.id)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  objective === option.id
+                    ? 'bg-emerald-600 text-white'
+                    : 'bg-white dark:bg-gray-800 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+            {running && <Loader className="w-4 h-4 animate-spin text-emerald-600" />}
+          </div>
+
+          {objective === 'mix' && (
+            <div className="flex items-center gap-3 mb-4 text-sm text-gray-700 dark:text-gray-300">
+              <span className="whitespace-nowrap">ATK {Math.round(atkWeight * 100)}%</span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={atkWeight}
+                onChange={(e) => setAtkWeight(parseFloat(e.target.value))}
+                className="flex-1"
+              />
+              <span className="whitespace-nowrap">HP {Math.round((1 - atkWeight) * 100)}%</span>
+            </div>
+          )}
+
+          {/* Stat estimates */}
+          <div className="mb-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <button
+              onClick={() => setShowEstimates(!showEstimates)}
+              className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300"
+            >
+              <span>Piece stat estimates (used where the data has no values yet)</span>
+              {showEstimates ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+            {showEstimates && (
+              <div className="px-3 pb-3">
+                <div className="grid grid-cols-3 gap-2 text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">
+                  <span>Rarity</span>
+                  <span>Level 1 (%)</span>
+                  <span>Per level (%)</span>
+                </div>
+                {estimates.map((estimate, rarity) => (
+                  <div key={rarity} className="grid grid-cols-3 gap-2 mb-1 items-center">
+                    <span className="text-sm font-medium" style={{ color: getRarityColor(rarity) }}>{getRarityName(rarity)}</span>
+                    <input
+                      key={`level1-${estimate.level1}`}
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      defaultValue={estimate.level1}
+                      onBlur={(e) => handleEstimateChange(rarity, 'level1', e.target.value)}
+                      className="px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                    />
+                    <input
+                      key={`levelScaling-${estimate.levelScaling}`}
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      defaultValue={estimate.levelScaling}
+                      onBlur={(e) => handleEstimateChange(rarity, 'levelScaling', e.target.value)}
+                      className="px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                    />
+                  </div>
+                ))}
+                <button
+                  onClick={() => setEstimates(DEFAULT_STAT_ESTIMATES)}
+                  className="mt-1 flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                >
+                  <RotateCcw className="w-3 h-3" />
+                  Reset estimates
+                </button>
+              </div>
+            )}
+          </div>
+
+          {error && (
+            <div className="mb-4 p-2 bg-red-50 dark:bg-red-900/20 border border-red-300 dark:border-red-700 rounded text-sm text-red-700 dark:text-red-300">
+              {error}
+            </div>
+          )}
+
+          {renderComparison()}
+
+          {result && result.candidates.length === 0 && !running && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">No layouts fit this weapon with your current inventory.</p>
+          )}
+
+          {result && result.candidates.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {result.candidates.map(renderCandidate)}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EngravingOptimizerModal;
@@ -1,8 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { getRarityBackgroundColor, getEquipmentRarityColor } from '../config/rarityColors';
-import { createLogger } from '../utils/logger';
-
-const logger = createLogger('EquipmentCard');
+import { useGameDataIndex } from '../hooks/useGameData';
+import { findGameDataItem } from '../services/gameData';
 
 /**
  * EquipmentCard Component
@@ -24,73 +23,20 @@ const logger = createLogger('EquipmentCard');
  * @param {string} type - Equipment type: 'soul-weapons' (default) or 'equipment-drops'
  */
 const EquipmentCard = ({ name, id, equipment, mode = 'detailed', type = 'soul-weapons' }) => {
-  const [equipmentData, setEquipmentData] = useState(equipment || null);
-  const [imageUrl, setImageUrl] = useState(null);
-  const [loading, setLoading] = useState(!equipment);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    // If equipment data provided directly, use it
-    if (equipment) {
-      setEquipmentData(equipment);
-      // Use image directly from data
-      if (equipment.image) {
-        setImageUrl(equipment.image);
-      }
-      setLoading(false);
-      return;
-    }
-
-    // Otherwise, load from appropriate JSON file
-    const loadEquipment = async () => {
-      try {
-        setLoading(true);
-
-        let dataUrl = type === 'equipment-drops' ? '/data/equipment-drops.json' : '/data/soul-weapons.json';
-        const response = await fetch(dataUrl);
-
-        if (!response.ok) {
-          throw new Error('Failed to load equipment data');
-        }
-
-        let equipmentList;
-        if (type === 'equipment-drops') {
-          const jsonData = await response.json();
-          equipmentList = jsonData.equipmentDrops || [];
-        } else {
-          equipmentList = await response.json();
-        }
-
-        // Find equipment by ID or name
-        let foundEquipment = null;
-        if (id !== undefined) {
-          foundEquipment = equipmentList.find(e => e.id === parseInt(id));
-        } else if (name) {
-          foundEquipment = equipmentList.find(e =>
-            e.name && e.name.toLowerCase() === name.toLowerCase()
-          );
-        }
-
-        if (!foundEquipment) {
-          throw new Error(`Equipment not found: ${name || id}`);
-        }
-
-        setEquipmentData(foundEquipment);
-        // Use image directly from data
-        if (foundEquipment.image) {
-          setImageUrl(foundEquipment.image);
-        }
-      } catch (err) {
-        logger.error('Error loading equipment:', err);
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadEquipment();
-  }, [id, name, equipment, type]);
+  // Shared index per data file, so many cards on a page cost a single request
+  const { index, loading: indexLoading, error: indexError } = useGameDataIndex(
+    equipment ? null : (type === 'equipment-drops' ? 'equipmentDrops' : 'soulWeapons')
+  );
 
+  // Find equipment by id or name unless the data was provided directly
+  const equipmentData = equipment || findGameDataItem(index, id !== undefined ? { id } : { name });
+  const imageUrl = equipmentData?.image || null;
+  const loading = !equipment && indexLoading;
+  let error = null;
+  if (!equipment) {
+    if (indexError) error = 'Failed to load equipment data';
+    else if (index && !equipmentData) error = `Equipment not found: ${name || id}`;
+  }
 
   // Format large numbers with commas
   const formatNumber = (num) => {
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { ChevronLeft, ChevronRight, X, AlignLeft, AlignCenter, AlignRight } from 'lucide-react';
 import { getEquipmentRarityColor } from '../config/rarityColors';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('EquipmentPicker');
@@ -58,17 +59,9 @@ const EquipmentPicker = ({ isOpen, onClose, onSelect, renderPreview = null }) =>
 
         let data;
         if (equipmentType === 'soul-weapons') {
-          const response = await fetch('/data/soul-weapons.json');
-          if (!response.ok) {
-            throw new Error('Failed to load soul weapons');
-          }
-          data = await response.json();
+          data = await loadGameData('soulWeapons');
         } else {
-          const response = await fetch('/data/equipment-drops.json');
-          if (!response.ok) {
-            throw new Error('Failed to load equipment drops');
-          }
-          const jsonData = await response.json();
+          const jsonData = await loadGameData('equipmentDrops');
           data = jsonData.equipmentDrops || [];
         }
 
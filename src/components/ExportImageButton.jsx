@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ImageDown, Loader } from 'lucide-react';
+import { CARD_LAYOUTS, getCardFilename } from '../utils/buildCard';
+import { downloadBuildCard } from '../utils/buildCardRenderer';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ExportImageButton');
+
+const LAYOUT_LABELS = {
+  compact: { title: 'Compact', description: 'Icons and levels' },
+  detailed: { title: 'Detailed', description: 'Names, details and stats' }
+};
+
+/**
+ * ExportImageButton Component
+ *
+ * "Export image" action that renders a build card (see utils/buildCard) to PNG,
+ * with a compact and a detailed layout to pick from.
+ *
+ * @param {Function} getCard - (layout) => card model from createBuildCard(), or a promise of one
+ * @param {string} name - Build name, used for the file name
+ * @param {string} variant - 'toolbar' (builder action panels) | 'header' (BattleLoadoutCard header)
+ */
+const ExportImageButton = ({ getCard, name, variant = 'toolbar' }) => {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close the layout menu on outside click
+  useEffect(() => {
+    if (!menuOpen) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setMenuOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [menuOpen]);
+
+  const handleExport = async (layout) => {
+    setMenuOpen(false);
+    try {
+      setExporting(true);
+      const card = await getCard(layout);
+      await downloadBuildCard(card, getCardFilename(name, layout));
+    } catch (error) {
+      logger.error('Failed to export build image', { error });
+      alert('Failed to export image');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const icon = exporting
+    ? <Loader className={`${variant === 'header' ? 'w-3 h-3' : 'w-4 h-4 flex-shrink-0 text-blue-600 dark:text-blue-400'} animate-spin`} />
+    : <ImageDown className={variant === 'header' ? 'w-3 h-3' : 'w-4 h-4 flex-shrink-0 text-amber-600 dark:text-amber-400'} />;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      {variant === 'header' ? (
+        <button
+          onClick={() => setMenuOpen(!menuOpen)}
+          disabled={exporting}
+          className="px-2 py-1 bg-white/20 hover:bg-white/30 text-white rounded text-xs flex items-center gap-1 transition-colors disabled:opacity-50"
+          title="Export image"
+        >
+          {icon}
+        </button>
+      ) : (
+        <button
+          onClick={() => setMenuOpen(!menuOpen)}
+          disabled={exporting}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+        >
+          {icon}
+          <span>{exporting ? 'Rendering...' : 'Export Image'}</span>
+        </button>
+      )}
+
+      {menuOpen && (
+        <div className={`absolute ${variant === 'header' ? 'right-0' : 'left-0'} mt-1 w-48 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-20 overflow-hidden`}>
+          {CARD_LAYOUTS.map(layout => (
+            <button
+              key={layout}
+              onClick={() => handleExport(layout)}
+              className="w-full text-left px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              <div className="text-sm font-medium text-gray-900 dark:text-white">{LAYOUT_LABELS[layout].title}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">{LAYOUT_LABELS[layout].description}</div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportImageButton;
@@ -0,0 +1,147 @@
+import React from 'react';
+import { Users, GitPullRequest, Loader, CheckCircle2, ExternalLink } from 'lucide-react';
+import { getPromotionBlocker } from '../utils/gridConsensus';
+
+/**
+ * Grid Consensus Panel
+ *
+ * Shows how community grid submissions for a weapon agree: distinct layouts
+ * ranked by votes, a per-cell heatmap highlighting disagreements, and (for
+ * admins) an action to promote the consensus layout into official data.
+ *
+ * @param {Object} consensus - Result of buildGridConsensus
+ * @param {string} selectedSignature - Signature of the layout currently shown
+ * @param {Function} onSelectLayout - Called with a group's representative submission
+ * @param {boolean} canPromote - Whether the current user is a repo admin
+ * @param {Function} onPromote - Starts the promotion PR
+ * @param {boolean} promoting - Promotion in progress
+ * @param {Object} promotionResult - { prNumber, prUrl } once the PR is open
+ * @param {string} promotionError - Promotion error message
+ */
+const GridConsensusPanel = ({
+  consensus,
+  selectedSignature,
+  onSelectLayout,
+  canPromote = false,
+  onPromote,
+  promoting = false,
+  promotionResult = null,
+  promotionError = null
+}) => {
+  if (!consensus) return null;
+
+  const { totalSubmissions, groups, agreement, cellVotes, disagreeingCells } = consensus;
+  const gridSize = consensus.consensus.layout.gridType === '4x4' ? 4 : 5;
+  const disagreeing = new Set(disagreeingCells.map(({ row, col }) => `${row},${col}`));
+  const promotionBlocker = getPromotionBlocker(consensus);
+
+  return (
+    <div className="mb-4 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="flex items-center gap-2 font-bold text-gray-900 dark:text-white">
+          <Users className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+          Community Consensus
+        </h4>
+        <span className="text-sm text-gray-600 dark:text-gray-400">
+          {Math.round(agreement * 100)}% agree • {totalSubmissions} submitter{totalSubmissions !== 1 ? 's' : ''}
+        </span>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-4">
+        {/* Cell vote heatmap */}
+        <div className="flex-shrink-0">
+          <div
+            className="grid gap-0.5 w-32 h-32 bg-gray-900 dark:bg-black rounded p-1"
+            style={{ gridTemplateColumns: `repeat(${gridSize}, 1fr)` }}
+          >
+            {Array(gridSize * gridSize).fill(null).map((_, idx) => {
+              const key = `${Math.floor(idx / gridSize)},${idx % gridSize}`;
+              const share = (cellVotes[key] || 0) / totalSubmissions;
+              return (
+                <div
+                  key={idx}
+                  className={`rounded-sm ${disagreeing.has(key) ? 'ring-2 ring-orange-400' : ''}`}
+                  style={{ backgroundColor: share > 0 ? `rgba(59, 130, 246, ${0.25 + share * 0.75})` : 'rgb(55, 65, 81)' }}
+                  title={`Row ${Math.floor(idx / gridSize) + 1}, Col ${(idx % gridSize) + 1}: ${cellVotes[key] || 0}/${totalSubmissions} marked active`}
+                />
+              );
+            })}
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 w-32">
+            {disagreeingCells.length === 0
+              ? 'All submitters agree on every cell'
+              : `${disagreeingCells.length} cell${disagreeingCells.length !== 1 ? 's' : ''} disputed (outlined)`}
+          </p>
+        </div>
+
+        {/* Distinct layouts */}
+        <div className="flex-1 space-y-2">
+          {groups.map((group, idx) => {
+            const isSelected = group.signature === selectedSignature;
+            return (
+              <button
+                key={group.signature}
+                onClick={() => onSelectLayout(group.submissions[0])}
+                className={`w-full text-left p-2 rounded-lg border-2 transition-colors ${
+                  isSelected
+                    ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                    : 'border-gray-200 dark:border-gray-700 hover:border-blue-300 dark:hover:border-blue-700'
+                }`}
+              >
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-semibold text-gray-900 dark:text-white">
+                    {idx === 0 ? 'Consensus' : `Alternative ${idx}`}
+                  </span>
+                  <span className="text-gray-600 dark:text-gray-400">
+                    {group.count} vote{group.count !== 1 ? 's' : ''}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  {group.layout.gridType} • {group.layout.totalActiveSlots} slots • ATK +{group.layout.completionEffect.atk}% HP +{group.layout.completionEffect.hp}%
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-500 truncate">
+                  by {group.submitters.join(', ')}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {canPromote && (
+        <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-800">
+          {promotionResult ? (
+            <a
+              href={promotionResult.prUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-2 text-sm font-medium text-green-700 dark:text-green-400 hover:underline"
+            >
+              <CheckCircle2 className="w-4 h-4" />
+              Promotion PR #{promotionResult.prNumber} opened
+              <ExternalLink className="w-3 h-3" />
+            </a>
+          ) : (
+            <button
+              onClick={onPromote}
+              disabled={promoting || !!promotionBlocker}
+              className="inline-flex items-center gap-2 px-3 py-1.5 bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-md text-sm font-medium transition-colors"
+              title="Open a PR adding the consensus layout to soul-weapon-grids.json"
+            >
+              {promoting ? <Loader className="w-4 h-4 animate-spin" /> : <GitPullRequest className="w-4 h-4" />}
+              {promoting ? 'Opening PR...' : 'Promote Consensus to Official Data'}
+            </button>
+          )}
+          {promotionBlocker && !promotionResult && (
+            <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">{promotionBlocker}</p>
+          )}
+          {promotionError && (
+            <p className="mt-2 text-sm text-red-600 dark:text-red-400">{promotionError}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GridConsensusPanel;
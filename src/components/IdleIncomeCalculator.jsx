@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Loader, TrendingUp } from 'lucide-react';
+import { useAuthStore } from '../../wiki-framework/src/store/authStore';
+import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { useFormulaSet } from '../hooks/useFormulaSet';
+import {
+  IDLE_RESOURCES,
+  formatIdleAmount,
+  getStage,
+  getIdleIncome,
+  compareNearbyStages,
+  recommendIdleStage
+} from '../utils/idleIncome';
+import { useStages } from '../hooks/useStages';
+
+// Stages either side of the current one in the comparison table
+const NEARBY_RANGE = 5;
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500';
+const formatPercent = (value) => `${value > 0 ? '+' : ''}${Number(value.toFixed(1))}%`;
+const stageLabel = (stage) => [stage.region, stage.area].filter(Boolean).join(' · ');
+
+/**
+ * IdleIncomeCalculator Component
+ *
+ * Idle reward yields from the stage data
+ * Features:
+ * - Per hour, per day and offline cap yields for the current stage with % bonuses
+ * - Comparison against the stages around it
+ * - Best stage to idle on for each resource (up to the highest cleared stage)
+ */
+const IdleIncomeCalculator = () => {
+  const { user } = useAuthStore();
+  const { formulas, error: formulaError } = useFormulaSet('idle');
+  const [currentStage, setCurrentStage] = useState(1);
+  const [highestStage, setHighestStage] = useState('');
+  const [offlineCapHours, setOfflineCapHours] = useState('');
+  const [bonuses, setBonuses] = useState({});
+  const [hasLoadedDraft, setHasLoadedDraft] = useState(false);
+
+  const { loadDraft } = useDraftStorage('idleIncomeCalculator', user, false, {
+    currentStage, highestStage, offlineCapHours, bonuses
+  });
+
+  // Restore draft once
+  useEffect(() => {
+    if (hasLoadedDraft) return;
+    const draft = loadDraft();
+    if (draft) {
+      if (draft.currentStage) setCurrentStage(draft.currentStage);
+      if (draft.highestStage !== undefined) setHighestStage(draft.highestStage);
+      if (draft.offlineCapHours !== undefined) setOfflineCapHours(draft.offlineCapHours);
+      if (draft.bonuses) setBonuses(draft.bonuses);
+    }
+    setHasLoadedDraft(true);
+  }, [hasLoadedDraft, loadDraft]);
+
+  // Only the chunks up to the furthest stage in use: recommendations scan
+  // everything cleared, the comparison needs the stages just above the current one
+  const cleared = Math.max(currentStage, Number(highestStage) || 0);
+  const { stages, index: stageIndex, loading: stagesLoading } = useStages(
+    { from: 1, to: Math.max(cleared, currentStage + NEARBY_RANGE) },
+    { enabled: hasLoadedDraft }
+  );
+  const loading = stagesLoading && !stageIndex;
+
+  const maxStage = stageIndex?.lastStage || 1;
+  const stage = useMemo(() => getStage(stages, currentStage), [stages, currentStage]);
+
+  const options = useMemo(() => ({
+    bonuses,
+    offlineCapHours: offlineCapHours === '' ? undefined : Math.max(0, Number(offlineCapHours) || 0)
+  }), [bonuses, offlineCapHours]);
+
+  // A formula that fails to evaluate shows a message instead of breaking the page
+  const { income, nearby, recommendations, evaluationError } = useMemo(() => {
+    if (!formulas || !stage) return { income: null, nearby: [], recommendations: [], evaluationError: null };
+    try {
+      return {
+        income: getIdleIncome(stage, formulas, options),
+        nearby: compareNearbyStages(stages, stage.stageNo, formulas, { ...options, range: NEARBY_RANGE }),
+        recommendations: IDLE_RESOURCES.map(resource => ({
+          resource,
+          recommendation: recommendIdleStage(stages, resource.key, formulas, {
+            ...options,
+            maxStage: cleared,
+            currentStage: stage.stageNo
+          })
+        })),
+        evaluationError: null
+      };
+    } catch (err) {
+      return { income: null, nearby: [], recommendations: [], evaluationError: `Idle formulas failed: ${err.message}` };
+    }
+  }, [formulas, stages, stage, cleared, options]);
+
+  const handleStageChange = (value) => {
+    const parsed = Math.floor(Number(value));
+    setCurrentStage(Number.isFinite(parsed) ? Math.max(1, Math.min(maxStage, parsed)) : 1);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader className="w-8 h-8 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-950">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-800">
+        <div className="max-w-7xl mx-auto px-3 sm:px-4 py-4 sm:py-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <span>💤</span>
+            <span>Idle Income Calculator</span>
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            See what your stage earns while idle, compare it with nearby stages and find the best stage to idle on for each resource
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-3 sm:px-4 py-6 space-y-6">
+        {(formulaError || evaluationError) && (
+          <p className="text-sm text-red-600 dark:text-red-400">{formulaError || evaluationError}</p>
+        )}
+
+        {/* Inputs */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="block text-sm text-gray-700 dark:text-gray-300">
+              Current stage
+              <input
+                type="number"
+                min="1"
+                max={maxStage}
+                value={currentStage}
+                onChange={(e) => handleStageChange(e.target.value)}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="block text-sm text-gray-700 dark:text-gray-300">
+              Highest cleared stage
+              <input
+                type="number"
+                min="1"
+                max={maxStage}
+                placeholder="Same as current"
+                value={highestStage}
+                onChange={(e) => setHighestStage(e.target.value)}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="block text-sm text-gray-700 dark:text-gray-300">
+              Offline cap (hours)
+              <input
+                type="number"
+                min="0"
+                placeholder={String(formulas?.section.variables?.offlineCapHours?.default ?? '')}
+                value={offlineCapHours}
+                onChange={(e) => setOfflineCapHours(e.target.value)}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          </div>
+          {stage && stageLabel(stage) && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Stage {stage.stageNo}: {stageLabel(stage)}
+            </p>
+          )}
+
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white mt-4 mb-2">Bonuses (%)</h3>
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+            {IDLE_RESOURCES.map(resource => (
+              <label key={resource.key} className="block text-xs text-gray-700 dark:text-gray-300">
+                {resource.icon} {resource.label}
+                <input
+                  type="number"
+                  placeholder="0"
+                  value={bonuses[resource.key] ?? ''}
+                  onChange={(e) => setBonuses(prev => ({ ...prev, [resource.key]: e.target.value }))}
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Yields */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Idle Income at Stage {currentStage}</h2>
+          {!income ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {stagesLoading ? 'Loading stages...' : `Enter a stage between 1 and ${maxStage}.`}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-1 pr-3">Resource</th>
+                    <th className="py-1 pr-3 text-right">Stage Reward</th>
+                    <th className="py-1 pr-3 text-right">Per Hour</th>
+                    <th className="py-1 pr-3 text-right">Per Day</th>
+                    <th className="py-1 text-right">Offline Cap</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {IDLE_RESOURCES.map(resource => {
+                    const yields = income[resource.key];
+                    return (
+                      <tr key={resource.key} className="border-b border-gray-100 dark:border-gray-800">
+                        <td className="py-1 pr-3 text-gray-900 dark:text-white whitespace-nowrap">{resource.icon} {resource.label}</td>
+                        <td className="py-1 pr-3 text-right text-gray-700 dark:text-gray-300">{formatIdleAmount(yields.base)}</td>
+                        <td className="py-1 pr-3 text-right font-semibold text-gray-900 dark:text-white">{formatIdleAmount(yields.perHour)}</td>
+                        <td className="py-1 pr-3 text-right text-gray-700 dark:text-gray-300">{formatIdleAmount(yields.perDay)}</td>
+                        <td className="py-1 text-right text-green-600 dark:text-green-400">{formatIdleAmount(yields.offlineCap)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Stage rewards are treated as paid every {formulas?.constants.rewardIntervalMinutes ?? 1} minute(s); the rate and offline cap come from the idle formulas in formulas.json.
+          </p>
+        </div>
+
+        {/* Nearby stages */}
+        {nearby.length > 0 && (
+          <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Nearby Stages (per hour)</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-1 pr-3">Stage</th>
+                    {IDLE_RESOURCES.map(resource => (
+                      <th key={resource.key} className="py-1 pr-3 text-right whitespace-nowrap">{resource.icon} {resource.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {nearby.map(({ stage: row, income: rowIncome, changes, isCurrent }) => (
+                    <tr
+                      key={row.stageNo}
+                      className={`border-b border-gray-100 dark:border-gray-800 ${isCurrent ? 'bg-blue-50 dark:bg-blue-900/20 font-semibold' : ''}`}
+                    >
+                      <td className="py-1 pr-3 text-gray-900 dark:text-white whitespace-nowrap">
+                        <button
+                          onClick={() => setCurrentStage(row.stageNo)}
+                          className="hover:underline"
+                          title={stageLabel(row)}
+                        >
+                          {row.stageNo}
+                        </button>
+                      </td>
+                      {IDLE_RESOURCES.map(resource => {
+                        const change = changes[resource.key];
+                        return (
+                          <td key={resource.key} className="py-1 pr-3 text-right text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                            {formatIdleAmount(rowIncome[resource.key].perHour)}
+                            {!isCurrent && change !== null && change !== 0 && (
+                              <span className={`ml-1 text-xs ${change > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                                {formatPercent(change)}
+                              </span>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Recommendations */}
+        {recommendations.length > 0 && (
+          <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1 flex items-center gap-2">
+              <TrendingUp className="w-5 h-5 text-green-600 dark:text-green-400" />
+              <span>Where to Idle</span>
+            </h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+              Best stage up to stage {Math.max(stage.stageNo, Number(highestStage) || 0)} for each resource. Ties go to the lowest stage.
+            </p>
+            <ul className="space-y-1 text-sm">
+              {recommendations.map(({ resource, recommendation }) => (
+                <li key={resource.key} className="flex flex-wrap items-center gap-x-3 text-gray-700 dark:text-gray-300">
+                  <span className="font-semibold text-gray-900 dark:text-white w-36">{resource.icon} {resource.label}</span>
+                  {!recommendation ? (
+                    <span className="text-gray-500 dark:text-gray-400">Not available yet</span>
+                  ) : (
+                    <>
+                      <button onClick={() => setCurrentStage(recommendation.stage.stageNo)} className="hover:underline">
+                        Stage {recommendation.stage.stageNo}
+                      </button>
+                      <span>{formatIdleAmount(recommendation.perHour)}/h</span>
+                      {recommendation.stage.stageNo === stage.stageNo ? (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">(current stage)</span>
+                      ) : recommendation.gainPercent !== null && (
+                        <span className={recommendation.gainPercent > 0 ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}>
+                          {formatPercent(recommendation.gainPercent)}
+                        </span>
+                      )}
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default IdleIncomeCalculator;
@@ -0,0 +1,230 @@
+import React, { useEffect, useState } from 'react';
+import { X, Check, Search } from 'lucide-react';
+
+const inputClass = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-xs';
+
+/**
+ * Initial field values for a newly selected item
+ */
+const createEntry = (item, idKey, fields) => {
+  const entry = { [idKey]: item.id };
+  fields.forEach(field => {
+    if (field.options) {
+      entry[field.key] = field.options(item)[0]?.value ?? null;
+    } else {
+      entry[field.key] = field.min ?? 1;
+    }
+  });
+  return entry;
+};
+
+/**
+ * Loadout Gear Picker Modal
+ *
+ * Generic picker for the gear sections of a battle loadout (relics, companions,
+ * familiar, clothing, promotion tier). Selected entries are keyed by `idKey`
+ * and can carry extra per-item fields such as a level or weapon.
+ *
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Close handler
+ * @param {Function} onSave - Called with the new value (array when `multiple`, otherwise entry or null)
+ * @param {string} title - Modal title
+ * @param {string} icon - Emoji shown in the header
+ * @param {Array} items - Selectable items ({ id, name, description })
+ * @param {string} idKey - Key that holds the item ID in each entry (e.g. "relicId")
+ * @param {Array} fields - Extra fields per entry ({ key, label, min, max } or { key, label, options: item => [{ value, label }] })
+ * @param {boolean} multiple - Allow selecting several items
+ * @param {Array|Object|null} value - Current selection
+ */
+const LoadoutGearPickerModal = ({
+  isOpen,
+  onClose,
+  onSave,
+  title,
+  icon,
+  items = [],
+  idKey,
+  fields = [],
+  multiple = false,
+  value = null
+}) => {
+  const [selection, setSelection] = useState({});
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Reset selection from the current value whenever the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    const entries = multiple ? (value || []) : (value ? [value] : []);
+    setSelection(Object.fromEntries(entries.map(entry => [entry[idKey], entry])));
+    setSearchTerm('');
+  }, [isOpen]);
+
+  // Lock body scroll and close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+    const originalOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+
+    return () => {
+      document.body.style.overflow = originalOverflow;
+      document.removeEventListener('keydown', handleEscape);
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const toggleItem = (item) => {
+    setSelection(prev => {
+      if (prev[item.id]) {
+        const { [item.id]: _removed, ...rest } = prev;
+        return rest;
+      }
+      const entry = createEntry(item, idKey, fields);
+      return multiple ? { ...prev, [item.id]: entry } : { [item.id]: entry };
+    });
+  };
+
+  const updateField = (itemId, field, fieldValue) => {
+    setSelection(prev => ({
+      ...prev,
+      [itemId]: { ...prev[itemId], [field.key]: field.options ? fieldValue : parseInt(fieldValue, 10) || field.min || 1 }
+    }));
+  };
+
+  const handleSave = () => {
+    // Keep entries in data order
+    const entries = items.filter(item => selection[item.id]).map(item => selection[item.id]);
+    onSave(multiple ? entries : (entries[0] || null));
+    onClose();
+  };
+
+  const term = searchTerm.trim().toLowerCase();
+  const visibleItems = term
+    ? items.filter(item => `${item.name} ${item.description || ''}`.toLowerCase().includes(term))
+    : items;
+  const selectedCount = Object.keys(selection).length;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-0 md:p-4 z-50">
+      <div className="bg-white dark:bg-gray-900 rounded-none md:rounded-lg shadow-2xl w-full h-full md:max-w-2xl md:h-auto md:max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex-shrink-0 flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-800">
+          <div className="flex items-center gap-3">
+            <span className="text-2xl">{icon}</span>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">{title}</h2>
+              {multiple && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">{selectedCount} selected</p>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-500 dark:text-gray-400 transition-colors"
+            aria-label="Close"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Items */}
+        <div className="p-3 md:p-4 overflow-y-auto flex-1 space-y-2">
+          {items.length > 12 && (
+            <div className="relative">
+              <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Search..."
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+              />
+            </div>
+          )}
+
+          {visibleItems.map(item => {
+            const entry = selection[item.id];
+            return (
+              <div
+                key={item.id}
+                className={`flex flex-wrap items-center gap-3 p-2 rounded-lg border transition-colors ${
+                  entry
+                    ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                    : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800'
+                }`}
+              >
+                <button onClick={() => toggleItem(item)} className="flex-1 min-w-[10rem] flex items-center gap-3 text-left">
+                  <span className={`w-5 h-5 flex-shrink-0 rounded border flex items-center justify-center ${
+                    entry ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-400 dark:border-gray-500'
+                  }`}>
+                    {entry && <Check className="w-3.5 h-3.5" />}
+                  </span>
+                  <span>
+                    <span className="block text-sm font-medium text-gray-900 dark:text-white">{item.name}</span>
+                    {item.description && (
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">{item.description}</span>
+                    )}
+                  </span>
+                </button>
+
+                {entry && fields.map(field => (
+                  <label key={field.key} className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400">
+                    {field.label}
+                    {field.options ? (
+                      <select
+                        value={entry[field.key] ?? ''}
+                        onChange={(e) => updateField(item.id, field, e.target.value)}
+                        className={inputClass}
+                      >
+                        {field.options(item).map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="number"
+                        min={field.min}
+                        max={field.max}
+                        value={entry[field.key]}
+                        onChange={(e) => updateField(item.id, field, e.target.value)}
+                        className={`${inputClass} w-16`}
+                      />
+                    )}
+                  </label>
+                ))}
+              </div>
+            );
+          })}
+
+          {visibleItems.length === 0 && (
+            <p className="text-center text-sm text-gray-500 dark:text-gray-400 py-6">No matches</p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex-shrink-0 flex justify-end gap-2 p-4 border-t border-gray-200 dark:border-gray-800">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            className="flex items-center gap-2 px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold transition-colors"
+          >
+            <Check className="w-4 h-4" />
+            <span>Save</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoadoutGearPickerModal;
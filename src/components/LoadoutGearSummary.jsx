@@ -0,0 +1,86 @@
+import React from 'react';
+
+/**
+ * Format a clothing bonus total ("Dodge +6", "Extra EXP +8%")
+ */
+export const formatClothingBonus = (bonus) => `${bonus.bonusType} +${bonus.value}${bonus.percent ? '%' : ''}`;
+
+const Chip = ({ children, small }) => (
+  <span className={`inline-flex items-center gap-1 rounded-full bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-700 ${small ? 'px-1.5 py-0.5 text-[10px]' : 'px-2 py-0.5 text-xs'}`}>
+    {children}
+  </span>
+);
+
+/**
+ * LoadoutGearSummary Component
+ *
+ * Read-only summary of a loadout's gear (relics, companions, familiar,
+ * clothing bonuses, promotion tier), used by BattleLoadoutCard.
+ *
+ * @param {Object} gear - Result of resolveLoadoutGear()
+ * @param {string} mode - 'compact' | 'detailed' | 'advanced'
+ */
+const LoadoutGearSummary = ({ gear, mode = 'detailed' }) => {
+  if (!gear || gear.isEmpty) return null;
+
+  const small = mode === 'compact';
+  const rows = [
+    gear.promotion && {
+      icon: '⭐',
+      label: 'Promotion',
+      chips: [`${gear.promotion.name} (ATK ×${gear.promotion.classATK.toLocaleString()})`]
+    },
+    gear.relics.length > 0 && {
+      icon: '🏺',
+      label: 'Relics',
+      chips: gear.relics.map(({ relic, level }) => (mode === 'advanced' ? `${relic.name} Lv.${level} · ${relic.buff}` : `${relic.name} Lv.${level}`))
+    },
+    gear.companions.length > 0 && {
+      icon: '🧝',
+      label: 'Companions',
+      chips: gear.companions.map(({ companion, level }) => `${companion.name} Lv.${level}`)
+    },
+    gear.familiar && {
+      icon: '🐾',
+      label: 'Familiar',
+      chips: [
+        gear.familiar.weapon
+          ? `${gear.familiar.familiar.name} · ${gear.familiar.weapon.name} T${gear.familiar.weaponTier}`
+          : gear.familiar.familiar.name
+      ]
+    },
+    gear.clothingBonuses.length > 0 && {
+      icon: '👕',
+      label: `Clothing (${gear.clothing.length})`,
+      chips: gear.clothingBonuses.map(formatClothingBonus)
+    }
+  ].filter(Boolean);
+
+  if (small) {
+    return (
+      <div className="flex flex-wrap gap-1">
+        {rows.flatMap(row => row.chips.map((chip, idx) => (
+          <Chip key={`${row.label}-${idx}`} small>{idx === 0 ? `${row.icon} ` : ''}{chip}</Chip>
+        )))}
+      </div>
+    );
+  }
+
+  return (
+    <div className={mode === 'advanced' ? 'bg-gray-50 dark:bg-gray-900 rounded-lg p-3 px-2' : 'px-1'}>
+      <h4 className={mode === 'advanced' ? 'text-base font-bold text-gray-900 dark:text-white mb-3 px-1' : 'text-sm font-bold text-gray-800 dark:text-gray-200 mb-2'}>
+        🎒 Gear
+      </h4>
+      <div className="space-y-1.5 px-1">
+        {rows.map(row => (
+          <div key={row.label} className="flex flex-wrap items-center gap-1.5">
+            <span className="text-xs font-medium text-gray-600 dark:text-gray-400 w-28 flex-shrink-0">{row.icon} {row.label}</span>
+            {row.chips.map((chip, idx) => <Chip key={idx}>{chip}</Chip>)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LoadoutGearSummary;
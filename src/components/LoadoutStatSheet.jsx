@@ -0,0 +1,115 @@
+import React from 'react';
+import { STATS } from '../utils/loadoutStats';
+
+const SECTION_LABELS = {
+  skills: '⚔️ Skills',
+  spirits: '🔮 Spirits',
+  soulWeapon: '🗡️ Soul Weapon',
+  relics: '🏺 Relics',
+  clothing: '👕 Clothing'
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toLocaleString();
+
+const formatStat = (stat, value) => `+${formatNumber(value)}${stat.unit}`;
+
+/**
+ * LoadoutStatSheet Component
+ *
+ * Aggregated stats and power score of a battle loadout, used by BattleLoadoutCard.
+ * Compact mode only shows the power score; advanced mode adds a per-source breakdown.
+ *
+ * @param {Object} sheet - Result of calculateLoadoutStats()
+ * @param {string} mode - 'compact' | 'detailed' | 'advanced'
+ */
+const LoadoutStatSheet = ({ sheet, mode = 'detailed' }) => {
+  if (!sheet) return null;
+
+  const stats = STATS.filter(stat => sheet.stats[stat.key]);
+  const estimateNote = sheet.usesEstimates && (
+    <p className="text-[10px] text-amber-600 dark:text-amber-400 mt-2 mb-0">
+      * Includes estimated values (engraving pieces or relic levels without exact data)
+    </p>
+  );
+
+  if (mode === 'compact') {
+    return (
+      <div className="inline-flex items-center gap-1 rounded-full bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300 border border-amber-200 dark:border-amber-800 px-2 py-0.5 text-xs font-semibold">
+        ⚡ Power {sheet.powerScore.toLocaleString()}{sheet.usesEstimates ? '*' : ''}
+      </div>
+    );
+  }
+
+  const sections = Object.keys(SECTION_LABELS)
+    .map(section => ({ section, sources: sheet.sources.filter(source => source.section === section) }))
+    .filter(group => group.sources.length > 0);
+
+  return (
+    <div className={mode === 'advanced' ? 'bg-gray-50 dark:bg-gray-900 rounded-lg p-3 px-2' : 'px-1'}>
+      <div className="flex items-center justify-between mb-2 px-1">
+        <h4 className={mode === 'advanced' ? 'text-base font-bold text-gray-900 dark:text-white m-0' : 'text-sm font-bold text-gray-800 dark:text-gray-200 m-0'}>
+          📊 Stats
+        </h4>
+        <span className="text-sm font-bold text-amber-600 dark:text-amber-400" title="Relative score: 100 is an empty loadout">
+          ⚡ Power {sheet.powerScore.toLocaleString()}{sheet.usesEstimates ? '*' : ''}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-1 px-1 text-xs">
+        {sheet.weaponAttack > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600 dark:text-gray-400">Weapon ATK</span>
+            <span className="font-semibold text-gray-900 dark:text-white">{sheet.weaponAttack.toLocaleString()}</span>
+          </div>
+        )}
+        {(sheet.classATK !== 1 || sheet.classHP !== 1) && (
+          <div className="flex justify-between">
+            <span className="text-gray-600 dark:text-gray-400">Class ATK/HP</span>
+            <span className="font-semibold text-gray-900 dark:text-white">×{formatNumber(sheet.classATK)} / ×{formatNumber(sheet.classHP)}</span>
+          </div>
+        )}
+        {stats.map(stat => (
+          <div key={stat.key} className="flex justify-between">
+            <span className="text-gray-600 dark:text-gray-400">{stat.label}</span>
+            <span className="font-semibold text-green-600 dark:text-green-400">{formatStat(stat, sheet.stats[stat.key])}</span>
+          </div>
+        ))}
+        {sheet.skillDamagePerSecond > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600 dark:text-gray-400">Skill DMG/s</span>
+            <span className="font-semibold text-red-600 dark:text-red-400">{formatNumber(sheet.skillDamagePerSecond)}%</span>
+          </div>
+        )}
+        {sheet.cooldownReduction > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600 dark:text-gray-400">Cooldown</span>
+            <span className="font-semibold text-blue-600 dark:text-blue-400">-{formatNumber(sheet.cooldownReduction)}%</span>
+          </div>
+        )}
+      </div>
+
+      {mode === 'advanced' && sections.length > 0 && (
+        <div className="mt-3 space-y-2 px-1">
+          {sections.map(({ section, sources }) => (
+            <div key={section}>
+              <div className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-0.5">{SECTION_LABELS[section]}</div>
+              {sources.map((source, idx) => {
+                const stat = STATS.find(s => s.key === source.stat) || { label: source.stat, unit: '%' };
+                return (
+                  <div key={idx} className="flex justify-between text-[11px] text-gray-600 dark:text-gray-400 pl-2">
+                    <span>{source.label}</span>
+                    <span>{stat.label} {formatStat(stat, source.value)}{source.estimated ? '*' : ''}</span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {estimateNote}
+    </div>
+  );
+};
+
+export default LoadoutStatSheet;
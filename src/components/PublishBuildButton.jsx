@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Send, Loader, Check } from 'lucide-react';
+import { useAuthStore } from '../../wiki-framework/src/store/authStore';
+import { useConfigStore } from '../../wiki-framework/src/store/configStore';
+import { queueAchievementCheck } from '../../wiki-framework/src/services/achievements/achievementQueue.js';
+import { publishGalleryBuild } from '../services/buildGallery';
+import { STRING_LIMITS, formatCharCount } from '../utils/validation';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('PublishBuildButton');
+
+/**
+ * PublishBuildButton Component
+ *
+ * "Publish" action for builder toolbars. Publishes the current build to the
+ * public build gallery (#/gallery) with an optional description.
+ * Only rendered for signed-in users.
+ *
+ * @param {string} type - Share type ('skill-builds', 'spirit-builds', ...)
+ * @param {Function} getShareData - () => share data, the same object the builder's Share button encodes
+ */
+const PublishBuildButton = ({ type, getShareData }) => {
+  const { isAuthenticated, user } = useAuthStore();
+  const { config } = useConfigStore();
+  const [open, setOpen] = useState(false);
+  const [description, setDescription] = useState('');
+  const [publishing, setPublishing] = useState(false);
+  const [published, setPublished] = useState(false);
+  const [error, setError] = useState(null);
+  const panelRef = useRef(null);
+
+  // Close the panel on outside click
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  if (!isAuthenticated || !user) return null;
+
+  const handlePublish = async () => {
+    try {
+      setPublishing(true);
+      setError(null);
+      await publishGalleryBuild(useAuthStore.getState().getToken?.(), type, getShareData(), description);
+
+      setPublished(true);
+      setDescription('');
+      setTimeout(() => {
+        setPublished(false);
+        setOpen(false);
+      }, 2000);
+
+      if (config?.wiki?.repository) {
+        queueAchievementCheck('build-sharer', {
+          owner: config.wiki.repository.owner,
+          repo: config.wiki.repository.repo,
+          userId: user.id,
+          username: user.login,
+          delay: 2000,
+          retryDelay: 5000,
+          maxRetries: 3,
+        }).catch(error => {
+          logger.error('Failed to queue build-sharer achievement check', { error: error.message });
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to publish build', { type, error });
+      setError(error.message || 'Failed to publish build');
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center justify-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+        title="Publish to the build gallery"
+      >
+        <Send className="w-4 h-4 flex-shrink-0 text-indigo-600 dark:text-indigo-400" />
+        <span>Publish</span>
+      </button>
+
+      {open && (
+        <div className="absolute left-0 mt-1 w-72 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-20 p-3 space-y-2">
+          <div className="text-sm font-medium text-gray-900 dark:text-white">Publish to Build Gallery</div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 m-0">
+            Anyone can find, open and like published builds. You can unpublish it from the <a href="#/gallery" className="text-blue-600 dark:text-blue-400 hover:underline">gallery</a>.
+          </p>
+          <textarea
+            value={description}
+            onChange={(e) => setDescription(e.target.value.slice(0, STRING_LIMITS.GALLERY_DESCRIPTION_MAX))}
+            placeholder="Description (optional)"
+            rows={3}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500 resize-none"
+          />
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-gray-400">
+              {formatCharCount(description.length, STRING_LIMITS.GALLERY_DESCRIPTION_MAX)}
+            </span>
+            <button
+              onClick={handlePublish}
+              disabled={publishing || published}
+              className="flex items-center gap-1.5 px-3 py-1.5 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-60 text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              {publishing ? <Loader className="w-4 h-4 animate-spin" /> : published ? <Check className="w-4 h-4" /> : <Send className="w-4 h-4" />}
+              <span>{published ? 'Published!' : 'Publish'}</span>
+            </button>
+          </div>
+          {error && <p className="text-xs text-red-600 dark:text-red-400 m-0">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PublishBuildButton;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Save, Loader, Trash2, Clock, CheckCircle2, LogIn, ChevronDown, ChevronUp, Copy, Pencil } from 'lucide-react';
+import { Save, Loader, Trash2, Clock, CheckCircle2, LogIn, ChevronDown, ChevronUp, Copy, Pencil, GitCompare } from 'lucide-react';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { useWikiConfig } from '../../wiki-framework/src/hooks/useWikiConfig';
 import { useLoginFlow } from '../../wiki-framework/src/hooks/useLoginFlow';
@@ -8,6 +8,8 @@ import { getCache, setCache, mergeCacheWithGitHub } from '../utils/buildCache';
 import { getSaveDataEndpoint, getDeleteDataEndpoint, getLoadDataEndpoint } from '../utils/apiEndpoints.js';
 import { getUserLoadouts } from '../services/battleLoadouts';
 import { getSkillGradeColor } from '../config/rarityColors';
+import { isComparableType } from '../utils/buildComparison';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 import SkillStone from './SkillStone';
 
@@ -82,8 +84,7 @@ const SavedBuildsPanel = ({
 
   const loadWeapons = async () => {
     try {
-      const response = await fetch('/data/soul-weapons.json');
-      const data = await response.json();
+      const data = await loadGameData('soulWeapons');
       setWeapons(data || []);
     } catch (err) {
       logger.error('Failed to load weapons:', { error: err });
@@ -92,8 +93,7 @@ const SavedBuildsPanel = ({
 
   const loadSkills = async () => {
     try {
-      const response = await fetch('/data/skills.json');
-      const data = await response.json();
+      const data = await loadGameData('skills');
       setSkills(data || []);
     } catch (err) {
       logger.error('Failed to load skills:', { error: err });
@@ -102,8 +102,7 @@ const SavedBuildsPanel = ({
 
   const loadStoneData = async () => {
     try {
-      const response = await fetch('/data/skill_stones.json');
-      const data = await response.json();
+      const data = await loadGameData('skillStones');
       setStoneData(data || null);
     } catch (err) {
       logger.error('Failed to load stone data:', { error: err });
@@ -336,6 +335,12 @@ const SavedBuildsPanel = ({
     }
   };
 
+  // Open the compare view with this build, against the loaded build when there is one
+  const compareBuild = (build) => {
+    const other = currentLoadedBuildId && currentLoadedBuildId !== build.id ? `&b=${currentLoadedBuildId}` : '';
+    window.location.hash = `#/compare?type=${buildType}&a=${build.id}${other}`;
+  };
+
   const renameBuild = async (build) => {
     if (!user || !isAuthenticated) return;
 
@@ -743,6 +748,15 @@ const SavedBuildsPanel = ({
 
                     {/* Action Buttons */}
                     <div className="flex items-center gap-1 flex-shrink-0">
+                      {isComparableType(buildType) && (
+                        <button
+                          onClick={() => compareBuild(build)}
+                          className="p-2 text-purple-600 hover:text-purple-700 dark:text-purple-400 dark:hover:text-purple-300 hover:bg-purple-50 dark:hover:bg-purple-900/20 rounded-lg transition-colors"
+                          title="Compare build"
+                        >
+                          <GitCompare className="w-4 h-4" />
+                        </button>
+                      )}
                       <button
                         onClick={() => renameBuild(build)}
                         className="p-2 text-gray-600 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-900/20 rounded-lg transition-colors"
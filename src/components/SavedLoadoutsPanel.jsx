@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Save, Loader, Trash2, Clock, CheckCircle2, LogIn, ChevronDown, ChevronUp, Copy, Pencil } from 'lucide-react';
+import { Save, Loader, Trash2, Clock, CheckCircle2, LogIn, ChevronDown, ChevronUp, Copy, Pencil, GitCompare } from 'lucide-react';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { useWikiConfig } from '../../wiki-framework/src/hooks/useWikiConfig';
 import { useLoginFlow } from '../../wiki-framework/src/hooks/useLoginFlow';
@@ -8,6 +8,7 @@ import { getUserLoadouts } from '../services/battleLoadouts';
 import { getCache, setCache, mergeCacheWithGitHub } from '../utils/buildCache';
 import { getSaveDataEndpoint, getDeleteDataEndpoint, getLoadDataEndpoint } from '../utils/apiEndpoints.js';
 import { getSkillGradeColor, getEquipmentRarityColor } from '../config/rarityColors';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 import { validateBuildName } from '../utils/validation';
 import { deserializeSoulWeaponBuild, deserializeSkillBuild } from '../utils/battleLoadoutSerializer.js';
@@ -127,8 +128,7 @@ const SavedLoadoutsPanel = ({ currentLoadout, onLoadLoadout, currentLoadedLoadou
 
   const loadSkills = async () => {
     try {
-      const response = await fetch('/data/skills.json');
-      const data = await response.json();
+      const data = await loadGameData('skills');
       // Ensure we have an array
       setSkills(Array.isArray(data) ? data : []);
     } catch (err) {
@@ -139,8 +139,7 @@ const SavedLoadoutsPanel = ({ currentLoadout, onLoadLoadout, currentLoadedLoadou
 
   const loadSpirits = async () => {
     try {
-      const response = await fetch('/data/spirit-characters.json');
-      const data = await response.json();
+      const data = await loadGameData('spirits');
       // Spirits are nested under 'spirits' property
       const spiritsArray = data.spirits || [];
       setSpirits(Array.isArray(spiritsArray) ? spiritsArray : []);
@@ -152,8 +151,7 @@ const SavedLoadoutsPanel = ({ currentLoadout, onLoadLoadout, currentLoadedLoadou
 
   const loadShapes = async () => {
     try {
-      const response = await fetch('/data/soul-weapon-engravings.json');
-      const data = await response.json();
+      const data = await loadGameData('engravings');
       // The JSON file has shapes in a "shapes" property, not as a direct array
       const shapesArray = data.shapes || [];
       setShapes(Array.isArray(shapesArray) ? shapesArray : []);
@@ -165,8 +163,7 @@ const SavedLoadoutsPanel = ({ currentLoadout, onLoadLoadout, currentLoadedLoadou
 
   const loadWeapons = async () => {
     try {
-      const response = await fetch('/data/soul-weapons.json');
-      const data = await response.json();
+      const data = await loadGameData('soulWeapons');
       setWeapons(Array.isArray(data) ? data : []);
     } catch (err) {
       logger.error('Failed to load weapons:', { error: err });
@@ -177,9 +174,7 @@ const SavedLoadoutsPanel = ({ currentLoadout, onLoadLoadout, currentLoadedLoadou
   const loadStoneData = async () => {
     try {
       logger.debug('Loading stone data...');
-      const response = await fetch('/data/skill_stones.json');
-      logger.debug('Stone data response', { ok: response.ok, status: response.status });
-      const data = await response.json();
+      const data = await loadGameData('skillStones');
       logger.debug('Stone data loaded', { hasTypes: !!data.types, data });
       setStoneData(data);
     } catch (err) {
@@ -360,6 +355,12 @@ const SavedLoadoutsPanel = ({ currentLoadout, onLoadLoadout, currentLoadedLoadou
     }
   };
 
+  // Open the compare view with this loadout, against the loaded loadout when there is one
+  const compareLoadout = (loadout) => {
+    const other = currentLoadedLoadoutId && currentLoadedLoadoutId !== loadout.id ? `&b=${currentLoadedLoadoutId}` : '';
+    window.location.hash = `#/compare?type=battle-loadouts&a=${loadout.id}${other}`;
+  };
+
   const renameLoadout = async (loadout) => {
     if (!user || !isAuthenticated) return;
 
@@ -757,6 +758,13 @@ const SavedLoadoutsPanel = ({ currentLoadout, onLoadLoadout, currentLoadedLoadou
 
                 {/* Action Buttons */}
                 <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => compareLoadout(loadout)}
+                    className="p-2 text-purple-600 hover:text-purple-700 dark:text-purple-400 dark:hover:text-purple-300 hover:bg-purple-50 dark:hover:bg-purple-900/20 rounded-lg transition-colors"
+                    title="Compare loadout"
+                  >
+                    <GitCompare className="w-4 h-4" />
+                  </button>
                   <button
                     onClick={() => renameLoadout(loadout)}
                     className="p-2 text-gray-600 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-900/20 rounded-lg transition-colors"
@@ -1,16 +1,27 @@
-import React, { useState, useEffect, useImperativeHandle, forwardRef } from 'react';
-import { Share2, Download, Upload, Settings, Trash2, Copy, Check, Save, Loader, CheckCircle2 } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useImperativeHandle, forwardRef } from 'react';
+import { Share2, Download, Upload, Settings, Trash2, Copy, Check, Save, Loader, CheckCircle2, Activity } from 'lucide-react';
 import SkillSlot from './SkillSlot';
 import SkillSelector from './SkillSelector';
 import SavedBuildsPanel from './SavedBuildsPanel';
 import ValidatedInput from './ValidatedInput';
+import UndoRedoControls from './UndoRedoControls';
+import SkillRotationModal from './SkillRotationModal';
+import SkillStoneEffectsTable from './SkillStoneEffectsTable';
+import ExportImageButton from './ExportImageButton';
+import PublishBuildButton from './PublishBuildButton';
 import { encodeBuild, decodeBuild } from '../../wiki-framework/src/components/wiki/BuildEncoder';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { setCache } from '../utils/buildCache';
 import { saveBuild as saveSharedBuild, loadBuild as loadSharedBuild, generateShareUrl } from '../../wiki-framework/src/services/github/buildShare';
 import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { useUndoHistory } from '../hooks/useUndoHistory';
 import { getSaveDataEndpoint, getLoadDataEndpoint } from '../utils/apiEndpoints.js';
 import { validateBuildName, STRING_LIMITS } from '../utils/validation';
+import { decodeShareCode, generateShareCodeUrl } from '../utils/shareCodes';
+import { createBuildCard } from '../utils/buildCard';
+import { simulateSkillRotation } from '../utils/skillRotation';
+import { applySkillStonesToSlots, createEmptyStoneBuild } from '../utils/skillStoneEffects';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('SkillBuilder');
@@ -30,8 +41,9 @@ const logger = createLogger('SkillBuilder');
  * @param {object} initialBuild - Initial build data to load (for modal mode)
  * @param {function} onSave - Callback when Save is clicked in modal mode
  * @param {boolean} allowSavingBuilds - If true, shows build name field and save-related UI (default: true)
+ * @param {object} skillStoneBuild - Skill stone build to apply (e.g. from a battle loadout); when omitted, stones are picked in the builder
  */
-const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave = null, allowSavingBuilds = true }, ref) => {
+const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave = null, allowSavingBuilds = true, skillStoneBuild = null }, ref) => {
   const { isAuthenticated, user } = useAuthStore();
   const [skills, setSkills] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -53,18 +65,33 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
   const [saveError, setSaveError] = useState(null);
   const [sharing, setSharing] = useState(false);
   const [shareError, setShareError] = useState(null);
+  const [showRotation, setShowRotation] = useState(false);
+  const [stoneData, setStoneData] = useState(null);
+  const [stoneBuild, setStoneBuild] = useState(createEmptyStoneBuild);
 
   // Draft storage hook for auto-save/restore
   const { loadDraft, clearDraft } = useDraftStorage(
     'skillBuilder',
     user,
     isModal,
-    { buildName, maxSlots, autoMaxLevel, build }
+    { buildName, maxSlots, autoMaxLevel, build, stoneBuild }
+  );
+
+  // Undo/redo for slot and level changes; stepping back to the last saved state clears the unsaved flag
+  const { undo, redo, canUndo, canRedo, resetHistory, markSaved } = useUndoHistory(
+    { build, maxSlots },
+    (snapshot, { isSaved }) => {
+      setBuild(snapshot.build);
+      setMaxSlots(snapshot.maxSlots);
+      setHasUnsavedChanges(!isSaved);
+    },
+    { enabled: !loading }
   );
 
   // Load skills data
   useEffect(() => {
     loadSkills();
+    loadStoneData();
   }, []);
 
   // Load build from URL after skills are loaded (only in page mode)
@@ -74,25 +101,32 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
 
     const urlParams = new URLSearchParams(window.location.hash.split('?')[1]);
     const shareChecksum = urlParams.get('share');
+    const shareCode = urlParams.get('code');
     const encodedBuild = urlParams.get('data');
     const buildId = urlParams.get('build');
 
-    // Load from new share system (short URL)
-    if (shareChecksum) {
+    // Load from share code or share system (short URL)
+    if (shareCode || shareChecksum) {
       const loadFromSharedUrl = async () => {
         try {
           setLoading(true);
-          logger.info('Loading shared build', { shareChecksum });
+          logger.info('Loading shared build', { shareChecksum, shareCode });
 
-          const configResponse = await fetch('/wiki-config.json');
-          const config = await configResponse.json();
-          const owner = config.wiki.repository.owner;
-          const repo = config.wiki.repository.repo;
+          let buildData;
+          if (shareCode) {
+            buildData = decodeShareCode(shareCode);
+          } else {
+            const configResponse = await fetch('/wiki-config.json');
+            const config = await configResponse.json();
+            const owner = config.wiki.repository.owner;
+            const repo = config.wiki.repository.repo;
 
-          const buildData = await loadSharedBuild(owner, repo, shareChecksum);
+            buildData = await loadSharedBuild(owner, repo, shareChecksum);
+          }
 
           if (buildData.type === 'skill-builds') {
             const deserializedBuild = deserializeBuild(buildData.data, skills);
+            resetHistory();
             setBuildName(buildData.data.name || '');
             setMaxSlots(buildData.data.maxSlots || 10);
             setBuild({ slots: deserializedBuild.slots });
@@ -128,12 +162,14 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
           const savedBuild = builds.find(b => b.id === buildId);
           if (savedBuild) {
             const deserializedBuild = deserializeBuild(savedBuild, skills);
+            resetHistory();
             setBuildName(savedBuild.name || '');
             setMaxSlots(savedBuild.maxSlots || 10);
             setAutoMaxLevel(savedBuild.autoMaxLevel || false);
             setBuild({ slots: deserializedBuild.slots });
             setCurrentLoadedBuildId(buildId);
             setHasUnsavedChanges(false);
+            markSaved();
             logger.info('Saved build loaded successfully', { buildName: savedBuild.name });
           } else {
             logger.error('Build not found', { buildId });
@@ -153,6 +189,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       try {
         const decodedBuild = decodeBuild(encodedBuild);
         if (decodedBuild) {
+          resetHistory();
           setBuildName(decodedBuild.name || '');
           setMaxSlots(decodedBuild.maxSlots || 10);
 
@@ -169,9 +206,11 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     else {
       const draft = loadDraft();
       if (draft) {
+        resetHistory();
         setBuildName(draft.buildName || '');
         setMaxSlots(draft.maxSlots || 10);
         setAutoMaxLevel(draft.autoMaxLevel || false);
+        if (draft.stoneBuild) setStoneBuild(draft.stoneBuild);
 
         // Deserialize build to ensure skill objects are current
         const deserializedBuild = deserializeBuild(draft.build, skills);
@@ -179,13 +218,14 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
         setHasUnsavedChanges(true);
       }
     }
-  }, [skills, isModal, loadDraft, isAuthenticated, user]); // Trigger when skills load
+  }, [skills, isModal, loadDraft, isAuthenticated, user, resetHistory, markSaved]); // Trigger when skills load
 
   // Load initial build in modal mode
   useEffect(() => {
     if (skills.length === 0) return; // Wait for skills to load
     if (!isModal || !initialBuild) return; // Only in modal mode with initial data
 
+    resetHistory();
     setBuildName(initialBuild.name || 'My Build');
     setMaxSlots(initialBuild.maxSlots || 10);
 
@@ -195,10 +235,18 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     setHasUnsavedChanges(true); // Mark as having changes to block navigation
   }, [skills, isModal, initialBuild]);
 
+  const loadStoneData = async () => {
+    try {
+      const data = await loadGameData('skillStones');
+      setStoneData(data);
+    } catch (error) {
+      logger.error('Failed to load skill stone data', { error });
+    }
+  };
+
   const loadSkills = async () => {
     try {
-      const response = await fetch('/data/skills.json');
-      const data = await response.json();
+      const data = await loadGameData('skills');
       setSkills(data);
     } catch (error) {
       logger.error('Failed to load skills', { error });
@@ -300,6 +348,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       // If not authenticated or no saved builds, only update if no content
       if (!hasContent && hasUnsavedChanges) {
         setHasUnsavedChanges(false);
+        markSaved();
       } else if (hasContent && !hasUnsavedChanges) {
         setHasUnsavedChanges(true);
       }
@@ -320,7 +369,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
         setHasUnsavedChanges(true);
       }
     }
-  }, [buildName, maxSlots, build, savedBuilds, isAuthenticated, hasUnsavedChanges]);
+  }, [buildName, maxSlots, build, savedBuilds, isAuthenticated, hasUnsavedChanges, markSaved]);
 
   // Handle slot actions
   const handleSelectSlot = (index) => {
@@ -357,7 +406,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
 
   const handleLevelChange = (index, newLevel) => {
     const newSlots = [...build.slots];
-    newSlots[index].level = newLevel;
+    newSlots[index] = { ...newSlots[index], level: newLevel };
     setBuild({ slots: newSlots });
   };
 
@@ -423,6 +472,16 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     }
   };
 
+  // Share data (skill IDs only), used by Share and Publish
+  const getShareData = () => {
+    const serializedBuild = serializeBuild({ ...build, name: buildName, maxSlots });
+    return {
+      name: serializedBuild.name,
+      maxSlots: serializedBuild.maxSlots,
+      slots: serializedBuild.slots
+    };
+  };
+
   // Share build
   const handleShareBuild = async () => {
     try {
@@ -431,27 +490,28 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
 
       logger.debug('Generating share URL');
 
-      const configResponse = await fetch('/wiki-config.json');
-      const config = await configResponse.json();
-      const owner = config.wiki.repository.owner;
-      const repo = config.wiki.repository.repo;
+      const buildData = getShareData();
 
-      // Serialize build to only include skill IDs
-      const serializedBuild = serializeBuild({ ...build, name: buildName, maxSlots });
-      const buildData = {
-        name: serializedBuild.name,
-        maxSlots: serializedBuild.maxSlots,
-        slots: serializedBuild.slots
-      };
+      const baseURL = window.location.origin + window.location.pathname;
+      let shareURL;
 
-      // Save build and get checksum
-      const checksum = await saveSharedBuild(owner, repo, 'skill-builds', buildData);
+      // Compact share code (works offline); fall back to the share service, then to a ?data= link
+      try {
+        shareURL = generateShareCodeUrl(baseURL, 'skill-builds', buildData);
+      } catch (codeError) {
+        logger.warn('Share code unavailable, using share service', { error: codeError });
 
-      logger.debug('Generated checksum', { checksum });
+        const configResponse = await fetch('/wiki-config.json');
+        const config = await configResponse.json();
+        const owner = config.wiki.repository.owner;
+        const repo = config.wiki.repository.repo;
 
-      // Generate share URL
-      const baseURL = window.location.origin + window.location.pathname;
-      const shareURL = generateShareUrl(baseURL, 'skill-builds', checksum);
+        // Save build and get checksum
+        const checksum = await saveSharedBuild(owner, repo, 'skill-builds', buildData);
+        logger.debug('Generated checksum', { checksum });
+
+        shareURL = generateShareUrl(baseURL, 'skill-builds', checksum);
+      }
 
       await navigator.clipboard.writeText(shareURL);
 
@@ -473,7 +533,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       logger.error('Failed to generate share URL', { error });
       setShareError(error.message || 'Failed to generate share URL');
 
-      // Fallback to old method if share service fails
+      // Last resort: the old ?data= link, which needs neither a share code nor the share service
       try {
         logger.warn('Falling back to old encoding method');
         const serializedBuild = serializeBuild({ ...build, name: buildName, maxSlots });
@@ -563,6 +623,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     reader.onload = (e) => {
       try {
         const buildData = JSON.parse(e.target.result);
+        resetHistory();
         setBuildName(buildData.name || '');
         setMaxSlots(buildData.maxSlots || 10);
 
@@ -597,6 +658,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     setBuild({ slots: Array(maxSlots).fill(null).map(() => ({ skill: null, level: 1 })) });
     setBuildName('');
     setHasUnsavedChanges(false); // No content after clearing
+    markSaved();
     setCurrentLoadedBuildId(null); // No loaded build after clearing
     clearDraft(); // Clear localStorage draft
   };
@@ -617,6 +679,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       if (!confirmed) return;
     }
 
+    resetHistory();
     setBuildName(savedBuild.name);
     setMaxSlots(savedBuild.maxSlots);
 
@@ -684,6 +747,7 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
 
       setSaveSuccess(true);
       setHasUnsavedChanges(false); // Clear unsaved changes after successful save
+      markSaved();
 
       // Cache the updated builds
       setCache('skill_builds', user.id, sortedBuilds);
@@ -735,6 +799,27 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     return build.slots.filter(slot => slot.skill !== null).length;
   };
 
+  // Loadout stones take precedence over the ones picked in the builder
+  const activeStoneBuild = skillStoneBuild || stoneBuild;
+
+  // Equipped slots with skill stone bonuses applied (effective cooldowns)
+  const stoneAdjustedSlots = useMemo(
+    () => applySkillStonesToSlots(build.slots.slice(0, maxSlots), activeStoneBuild, stoneData),
+    [build, maxSlots, activeStoneBuild, stoneData]
+  );
+
+  // Skill damage output with default rotation assumptions (for comparing builds at a glance)
+  const rotationSummary = useMemo(
+    () => simulateSkillRotation(stoneAdjustedSlots),
+    [stoneAdjustedSlots]
+  );
+
+  const handleStoneChange = (type, changes) => {
+    setStoneBuild(prev => ({
+      slots: prev.slots.map(slot => slot.type === type ? { ...slot, ...changes } : slot)
+    }));
+  };
+
   const getElementDistribution = () => {
     const distribution = {};
     build.slots.forEach(slot => {
@@ -875,6 +960,16 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
                 <span>Export</span>
               </button>
 
+              <ExportImageButton
+                name={buildName}
+                getCard={(layout) => createBuildCard('skill-builds', { ...build, name: buildName }, { layout })}
+              />
+
+              <PublishBuildButton
+                type="skill-builds"
+                getShareData={getShareData}
+              />
+
               <label className="flex items-center justify-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors cursor-pointer whitespace-nowrap">
                 <Upload className="w-4 h-4 flex-shrink-0 text-purple-600 dark:text-purple-400" />
                 <span>Import</span>
@@ -893,6 +988,8 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
                 <Trash2 className="w-4 h-4 flex-shrink-0 text-red-600 dark:text-red-400" />
                 <span>Clear</span>
               </button>
+
+              <UndoRedoControls onUndo={undo} onRedo={redo} canUndo={canUndo} canRedo={canRedo} />
             </div>
             {/* Share Error Message */}
             {shareError && (
@@ -964,6 +1061,17 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
                   <span className="font-semibold text-gray-900 dark:text-white">{count}</span>
                 </div>
               ))}
+
+              {/* Skill Damage Output */}
+              <button
+                onClick={() => setShowRotation(true)}
+                disabled={getEquippedSkillsCount() === 0}
+                className="ml-auto flex items-center gap-1.5 px-2.5 py-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded text-xs font-medium transition-colors"
+                title="Simulate the skill rotation over time"
+              >
+                <Activity className="w-3.5 h-3.5" />
+                <span>{Math.round(rotationSummary.damagePercentPerSecond).toLocaleString()}% DMG/s</span>
+              </button>
             </div>
           </div>
         </div>
@@ -991,6 +1099,61 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
           </div>
         </div>
 
+        {/* Skill Stone Effects */}
+        {stoneData && (
+          <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm mb-4">
+            <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+              <h3 className="text-base font-semibold text-gray-900 dark:text-white">Skill Stone Effects</h3>
+              {skillStoneBuild && (
+                <span className="text-xs text-gray-600 dark:text-gray-400">
+                  Using loadout stones{skillStoneBuild.name ? `: ${skillStoneBuild.name}` : ''}
+                </span>
+              )}
+            </div>
+
+            {!skillStoneBuild && (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mb-3">
+                {stoneBuild.slots.map(slot => (
+                  <div key={slot.type} className="flex items-center gap-2">
+                    <span className="text-xs font-medium text-gray-700 dark:text-gray-300 w-24 flex-shrink-0">
+                      {stoneData.stoneTypes[slot.type]?.name || slot.type}
+                    </span>
+                    <select
+                      value={slot.element || ''}
+                      onChange={(e) => handleStoneChange(slot.type, e.target.value
+                        ? { element: e.target.value, tier: slot.tier || stoneData.tiers[stoneData.tiers.length - 1] }
+                        : { element: null, tier: null })}
+                      className="flex-1 min-w-0 px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                    >
+                      <option value="">None</option>
+                      {Object.entries(stoneData.elements).map(([key, element]) => (
+                        <option key={key} value={key}>{element.name}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={slot.tier || ''}
+                      onChange={(e) => handleStoneChange(slot.type, { tier: e.target.value })}
+                      disabled={!slot.element}
+                      className="px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white disabled:opacity-50"
+                    >
+                      {!slot.element && <option value="">-</option>}
+                      {stoneData.tiers.map(tier => (
+                        <option key={tier} value={tier}>{tier}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <SkillStoneEffectsTable
+              slots={build.slots.slice(0, maxSlots)}
+              stoneBuild={activeStoneBuild}
+              stoneData={stoneData}
+            />
+          </div>
+        )}
+
         {/* Bulk Level Actions */}
         <div className="bg-white dark:bg-gray-900 rounded-lg p-3 border border-gray-200 dark:border-gray-800 shadow-sm mb-4">
           <div className="flex justify-center gap-2">
@@ -1044,6 +1207,13 @@ const SkillBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
         skills={skills}
         currentBuild={build}
       />
+
+      {/* Skill Rotation Modal */}
+      <SkillRotationModal
+        isOpen={showRotation}
+        onClose={() => setShowRotation(false)}
+        slots={stoneAdjustedSlots}
+      />
     </div>
   );
 });
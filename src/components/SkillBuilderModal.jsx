@@ -8,7 +8,7 @@ import SkillBuilder from './SkillBuilder';
  * Used in Battle Loadouts and other systems where skill builds
  * need to be created/edited without navigating away from the page
  */
-const SkillBuilderModal = ({ isOpen, onClose, initialBuild = null, onSave }) => {
+const SkillBuilderModal = ({ isOpen, onClose, initialBuild = null, onSave, skillStoneBuild = null }) => {
   const [buildSaved, setBuildSaved] = useState(false);
   const builderRef = useRef(null);
 
@@ -104,6 +104,7 @@ const SkillBuilderModal = ({ isOpen, onClose, initialBuild = null, onSave }) =>
             initialBuild={initialBuild}
             onSave={handleSave}
             allowSavingBuilds={true}
+            skillStoneBuild={skillStoneBuild}
           />
         </div>
 
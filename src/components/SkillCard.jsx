@@ -1,6 +1,11 @@
 import React from 'react';
 import { getSkillImage, getGenericSkillIcon, getElementIcon } from '../services/imageService';
 import { getGradeBackgroundColor } from '../config/rarityColors';
+import { getSkillStoneEffects, hasSkillStones, SKILL_STONE_TYPES } from '../utils/skillStoneEffects';
+import { useGameData, useGameDataIndex } from '../hooks/useGameData';
+import { findGameDataItem } from '../services/gameData';
+
+const formatStat = (value) => Number(value.toFixed(2)).toString();
 
 /**
  * SkillCard component - Displays skill information in a card format
@@ -15,51 +20,23 @@ import { getGradeBackgroundColor } from '../config/rarityColors';
  * <SkillCard name="Fire Slash" mode="advanced" />
  *
  * @param {string} mode - Display mode: 'compact', 'detailed' (default), 'advanced'
+ * @param {object} skillStoneBuild - Skill stone build to apply in advanced mode
+ *   (defaults to B-tier stones of the skill's element as a reference)
  */
-const SkillCard = ({ id, name, skill, mode = 'detailed' }) => {
-  const [skillData, setSkillData] = React.useState(null);
-  const [loading, setLoading] = React.useState(true);
-  const [error, setError] = React.useState(null);
-
-  React.useEffect(() => {
-    // If skill object provided directly, use it
-    if (skill) {
-      setSkillData(skill);
-      setLoading(false);
-      return;
-    }
-
-    // Otherwise, fetch from skills.json
-    const loadSkill = async () => {
-      try {
-        const response = await fetch('/data/skills.json');
-        if (!response.ok) {
-          throw new Error('Failed to load skills data');
-        }
-        const skills = await response.json();
-
-        // Find skill by id or name
-        let foundSkill;
-        if (id !== undefined) {
-          foundSkill = skills.find(s => s.id === parseInt(id));
-        } else if (name) {
-          foundSkill = skills.find(s => s.name === name);
-        }
-
-        if (!foundSkill) {
-          throw new Error(`Skill not found: ${name || `ID ${id}`}`);
-        }
-
-        setSkillData(foundSkill);
-        setLoading(false);
-      } catch (err) {
-        setError(err.message);
-        setLoading(false);
-      }
-    };
-
-    loadSkill();
-  }, [id, name, skill]);
+const SkillCard = ({ id, name, skill, mode = 'detailed', skillStoneBuild = null }) => {
+  // Skill stone data is only needed for the advanced comparison
+  const { data: stoneData } = useGameData(mode === 'advanced' ? 'skillStones' : null);
+  // Shared skills index, so many cards on a page cost a single request
+  const { index: skillIndex, loading: indexLoading, error: indexError } = useGameDataIndex(skill ? null : 'skills');
+
+  // Find skill by id or name unless the skill object was provided directly
+  const skillData = skill || findGameDataItem(skillIndex, id !== undefined ? { id } : { name });
+  const loading = !skill && indexLoading;
+  let error = null;
+  if (!skill) {
+    if (indexError) error = 'Failed to load skills data';
+    else if (skillIndex && !skillData) error = `Skill not found: ${name || `ID ${id}`}`;
+  }
 
   if (loading) {
     return (
@@ -96,6 +73,26 @@ const SkillCard = ({ id, name, skill, mode = 'detailed' }) => {
   // Calculate damage at max level
   const maxLevelDamage = skillData.baseValue + (skillData.upgradeValue * (skillData.maxLevel - 1));
 
+  // Skill stone before/after (advanced mode)
+  const usingReferenceStones = !hasSkillStones(skillStoneBuild);
+  const stoneBuild = usingReferenceStones && skillData.attribute
+    ? {
+        slots: SKILL_STONE_TYPES.map(type => ({
+          type,
+          element: skillData.attribute.toLowerCase(),
+          tier: stoneData?.tiers?.[stoneData.tiers.length - 1]
+        }))
+      }
+    : skillStoneBuild;
+  const stoneEffects = stoneData && stoneBuild ? getSkillStoneEffects(skillData, stoneBuild, stoneData) : null;
+  const stoneRows = stoneEffects
+    ? [
+        { label: 'Cooldown', stat: skillData.cooldown > 0 ? stoneEffects.cooldown : null, unit: 's' },
+        { label: 'Duration', stat: stoneEffects.duration, unit: 's' },
+        { label: 'Required Attacks', stat: stoneEffects.requiredAttacks, unit: '' }
+      ].filter(row => row.stat)
+    : [];
+
   // Render based on mode
   if (mode === 'compact') {
     return (
@@ -250,6 +247,32 @@ const SkillCard = ({ id, name, skill, mode = 'detailed' }) => {
               })}
             </div>
           </div>
+
+          {/* Skill Stone Effects */}
+          {stoneRows.length > 0 && (
+            <div className="bg-gray-50 dark:bg-gray-900/50 rounded p-2">
+              <div className="text-[10px] font-semibold text-gray-600 dark:text-gray-400 uppercase mb-1.5">
+                {usingReferenceStones ? `With ${stoneBuild.slots[0].tier}-tier ${skillData.attribute} Stones` : 'With Skill Stones'}
+              </div>
+              <div className="space-y-1 text-xs">
+                {stoneRows.map(({ label, stat, unit }) => (
+                  <div key={label} className="flex items-center justify-between">
+                    <span className="text-gray-500 dark:text-gray-500">{label}</span>
+                    <span>
+                      <span className="text-gray-600 dark:text-gray-400">{formatStat(stat.base)}{unit}</span>
+                      <span className="mx-1 text-gray-400">→</span>
+                      <span className={`font-bold ${stat.effective !== stat.base ? 'text-green-600 dark:text-green-400' : 'text-gray-800 dark:text-gray-200'}`}>
+                        {formatStat(stat.effective)}{unit}
+                      </span>
+                      {stat.bonusPercent !== 0 && (
+                        <span className="ml-1 text-[10px] text-gray-500 dark:text-gray-400">({stat.bonusPercent > 0 ? '+' : ''}{stat.bonusPercent}%)</span>
+                      )}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     );
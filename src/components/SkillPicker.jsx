@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { ChevronLeft, ChevronRight, X, AlignLeft, AlignCenter, AlignRight } from 'lucide-react';
 import { getSkillGradeColor } from '../config/rarityColors';
+import { loadGameData } from '../services/gameData';
 
 /**
  * SkillPicker Modal - Select a skill to insert into markdown
@@ -42,11 +43,7 @@ const SkillPicker = ({ isOpen, onClose, onSelect, renderPreview = null }) => {
     const loadSkills = async () => {
       try {
         setLoading(true);
-        const response = await fetch('/data/skills.json');
-        if (!response.ok) {
-          throw new Error('Failed to load skills');
-        }
-        const data = await response.json();
+        const data = await loadGameData('skills');
         setSkills(data);
         setLoading(false);
       } catch (err) {
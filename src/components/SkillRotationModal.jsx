@@ -0,0 +1,225 @@
+import React, { useState, useMemo } from 'react';
+import { X, Activity, RotateCcw, AlertTriangle } from 'lucide-react';
+import { simulateSkillRotation, DEFAULT_ROTATION_OPTIONS } from '../utils/skillRotation';
+import { getSkillGradeColor } from '../config/rarityColors';
+
+const DURATION_OPTIONS = [30, 60, 120, 300];
+
+const ROLE_STYLES = {
+  damage: { marker: 'bg-red-500', label: 'Damage' },
+  utility: { marker: 'bg-blue-500', label: 'Utility' },
+  passive: { marker: 'bg-gray-400', label: 'Passive' }
+};
+
+const formatPercent = (value) => `${Math.round(value).toLocaleString()}%`;
+
+/**
+ * Skill Rotation Modal
+ *
+ * Runs the skill rotation simulator on the current build and shows a cast
+ * timeline per slot, the MP curve and damage % totals. MP pool and regen are
+ * editable because they aren't part of the game data.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Close handler
+ * @param {Array} slots - Build slots ({ skill, level })
+ */
+const SkillRotationModal = ({ isOpen, onClose, slots }) => {
+  const [options, setOptions] = useState(DEFAULT_ROTATION_OPTIONS);
+
+  const result = useMemo(
+    () => (isOpen ? simulateSkillRotation(slots, options) : null),
+    [isOpen, slots, options]
+  );
+
+  if (!isOpen) return null;
+
+  const handleOptionChange = (key, value) => {
+    const parsed = parseFloat(value);
+    if (Number.isNaN(parsed) || parsed < 0) return;
+    setOptions(prev => ({ ...prev, [key]: parsed }));
+  };
+
+  const castsBySlot = result.casts.reduce((acc, cast) => {
+    (acc[cast.slotIndex] = acc[cast.slotIndex] || []).push(cast);
+    return acc;
+  }, {});
+
+  const mpPoints = result.mpTimeline
+    .map(({ time, mp }) => `${(time / result.duration) * 100},${options.maxMp > 0 ? 100 - (mp / options.maxMp) * 100 : 100}`)
+    .join(' ');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-0 md:p-4 z-50">
+      <div className="bg-white dark:bg-gray-900 rounded-none md:rounded-lg shadow-2xl w-full h-full md:max-w-4xl md:h-auto md:max-h-[90vh] overflow-hidden border-0 md:border border-gray-300 dark:border-gray-700 flex flex-col">
+        {/* Header */}
+        <div className="bg-red-600 text-white px-4 md:px-6 py-4 flex items-center justify-between flex-shrink-0">
+          <div className="flex items-center gap-2 md:gap-3">
+            <Activity className="w-5 h-5 md:w-6 md:h-6" />
+            <div>
+              <h2 className="text-lg md:text-xl font-bold">Skill Rotation</h2>
+              <p className="text-xs md:text-sm text-red-100">Auto-cast timeline and skill damage output</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-red-700 rounded transition-colors" title="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-3 md:p-6 overflow-y-auto flex-1 space-y-4">
+          {/* Settings */}
+          <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Simulation settings</span>
+              <button
+                onClick={() => setOptions(DEFAULT_ROTATION_OPTIONS)}
+                className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+              >
+                <RotateCcw className="w-3 h-3" />
+                Reset
+              </button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <span className="w-24">Duration</span>
+                <select
+                  value={options.duration}
+                  onChange={(e) => handleOptionChange('duration', e.target.value)}
+                  className="flex-1 px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                >
+                  {DURATION_OPTIONS.map(seconds => (
+                    <option key={seconds} value={seconds}>{seconds} sec</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <span className="w-24">Max MP</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={options.maxMp}
+                  onChange={(e) => handleOptionChange('maxMp', e.target.value)}
+                  className="flex-1 min-w-0 px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                />
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <span className="w-24">MP regen/sec</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={options.mpRegenPerSecond}
+                  onChange={(e) => handleOptionChange('mpRegenPerSecond', e.target.value)}
+                  className="flex-1 min-w-0 px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                />
+              </label>
+            </div>
+            <div className="flex items-start gap-2 mt-2 text-xs text-yellow-700 dark:text-yellow-300">
+              <AlertTriangle className="w-3 h-3 flex-shrink-0 mt-0.5" />
+              <span>MP pool and regen aren't in the game data, so these are estimates. Skills cast in slot order whenever they're off cooldown and affordable; damage is % of ATK per target and ignores stats and elements.</span>
+            </div>
+          </div>
+
+          {result.skills.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">Add skills to your build to simulate a rotation.</p>
+          ) : (
+            <>
+              {/* Totals */}
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {[
+                  { label: 'Skill DMG / sec', value: formatPercent(result.damagePercentPerSecond) },
+                  { label: `Total DMG (${result.duration}s)`, value: formatPercent(result.totalDamagePercent) },
+                  { label: 'Casts', value: result.casts.length.toLocaleString() },
+                  { label: 'Waiting on MP', value: `${result.mpStarvedSeconds.toFixed(1)}s` }
+                ].map(stat => (
+                  <div key={stat.label} className="bg-gray-50 dark:bg-gray-800 rounded-lg p-2 text-center">
+                    <div className="text-xs text-gray-600 dark:text-gray-400">{stat.label}</div>
+                    <div className="text-lg font-bold text-gray-900 dark:text-white">{stat.value}</div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Timeline */}
+              <div className="space-y-1">
+                {result.skills.map(entry => (
+                  <div key={entry.slotIndex} className="flex items-center gap-2 text-xs">
+                    <div className="w-32 sm:w-40 flex-shrink-0 truncate" title={`${entry.skill.name} Lv.${entry.level}`}>
+                      <span className={`inline-block w-2 h-2 rounded-full mr-1.5 ${getSkillGradeColor(entry.skill.grade).background}`} />
+                      <span className="font-semibold text-gray-900 dark:text-white">{entry.skill.name}</span>
+                      <span className="text-gray-500 dark:text-gray-400"> Lv.{entry.level}</span>
+                    </div>
+                    <div className="relative flex-1 h-4 bg-gray-100 dark:bg-gray-800 rounded">
+                      {(castsBySlot[entry.slotIndex] || []).map((cast, idx) => (
+                        <div
+                          key={idx}
+                          className={`absolute top-0.5 bottom-0.5 w-1 rounded-sm ${ROLE_STYLES[entry.role].marker}`}
+                          style={{ left: `${(cast.time / result.duration) * 100}%` }}
+                          title={`${cast.time.toFixed(1)}s${cast.damagePercent ? ` • ${formatPercent(cast.damagePercent)}` : ''}`}
+                        />
+                      ))}
+                    </div>
+                    <div className="w-28 flex-shrink-0 text-right text-gray-600 dark:text-gray-400">
+                      {entry.role === 'passive'
+                        ? ROLE_STYLES.passive.label
+                        : `${entry.casts}× ${entry.role === 'damage' ? formatPercent(entry.damagePerSecond) + '/s' : ROLE_STYLES[entry.role].label}`}
+                    </div>
+                  </div>
+                ))}
+
+                {/* MP curve */}
+                <div className="flex items-center gap-2 text-xs pt-1">
+                  <div className="w-32 sm:w-40 flex-shrink-0 text-gray-600 dark:text-gray-400">MP</div>
+                  <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="flex-1 h-10 bg-gray-100 dark:bg-gray-800 rounded">
+                    <polyline points={mpPoints} fill="none" stroke="#3b82f6" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                  </svg>
+                  <div className="w-28 flex-shrink-0 text-right text-gray-600 dark:text-gray-400">
+                    {result.mpSpent.toLocaleString()} spent
+                  </div>
+                </div>
+                <div className="flex text-xs text-gray-500 dark:text-gray-400">
+                  <div className="w-32 sm:w-40 flex-shrink-0" />
+                  <div className="flex-1 flex justify-between px-0.5">
+                    <span>0s</span>
+                    <span>{result.duration / 2}s</span>
+                    <span>{result.duration}s</span>
+                  </div>
+                  <div className="w-28 flex-shrink-0" />
+                </div>
+              </div>
+
+              {/* Damage share */}
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                      <th className="py-1 pr-2">Skill</th>
+                      <th className="py-1 pr-2 text-right">Casts</th>
+                      <th className="py-1 pr-2 text-right">DMG</th>
+                      <th className="py-1 pr-2 text-right">Share</th>
+                      <th className="py-1 text-right">Waiting on MP</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.skills.filter(entry => entry.role === 'damage').map(entry => (
+                      <tr key={entry.slotIndex} className="border-b border-gray-100 dark:border-gray-800 text-gray-900 dark:text-white">
+                        <td className="py-1 pr-2">{entry.skill.name}</td>
+                        <td className="py-1 pr-2 text-right">{entry.casts}</td>
+                        <td className="py-1 pr-2 text-right">{formatPercent(entry.damagePercent)}</td>
+                        <td className="py-1 pr-2 text-right">
+                          {result.totalDamagePercent > 0 ? ((entry.damagePercent / result.totalDamagePercent) * 100).toFixed(1) : '0.0'}%
+                        </td>
+                        <td className="py-1 text-right">{entry.blockedByMpSeconds.toFixed(1)}s</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SkillRotationModal;
@@ -1,5 +1,6 @@
 import React from 'react';
 import { createPortal } from 'react-dom';
+import { useGameData } from '../hooks/useGameData';
 import './SkillStone.css';
 
 /**
@@ -15,20 +16,13 @@ import './SkillStone.css';
  * @param {boolean} disableHover - If true, disables hover scale and tooltip effects (default: false)
  */
 const SkillStone = ({ stoneType, element, tier = 'A', data, size = 'medium', disableHover = false }) => {
-  const [stoneData, setStoneData] = React.useState(data);
+  // Only fetched when no data was passed in
+  const { data: loadedData } = useGameData(data ? null : 'skillStones');
+  const stoneData = data || loadedData;
   const [isHovered, setIsHovered] = React.useState(false);
   const [tooltipPosition, setTooltipPosition] = React.useState({ left: 0, top: 0 });
   const stoneRef = React.useRef(null);
 
-  React.useEffect(() => {
-    if (!data) {
-      fetch('/data/skill_stones.json')
-        .then(res => res.json())
-        .then(setStoneData)
-        .catch(err => console.error('Failed to load skill stones data:', err));
-    }
-  }, [data]);
-
   // Position tooltip on hover
   const handleMouseEnter = () => {
     if (disableHover || !stoneRef.current) return;
@@ -4,13 +4,20 @@ import SkillStoneSlot from './SkillStoneSlot';
 import SkillStoneSelector from './SkillStoneSelector';
 import SavedBuildsPanel from './SavedBuildsPanel';
 import ValidatedInput from './ValidatedInput';
+import UndoRedoControls from './UndoRedoControls';
+import ExportImageButton from './ExportImageButton';
+import PublishBuildButton from './PublishBuildButton';
 import { encodeBuild, decodeBuild } from '../../wiki-framework/src/components/wiki/BuildEncoder';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { setCache } from '../utils/buildCache';
 import { saveBuild as saveSharedBuild, loadBuild as loadSharedBuild, generateShareUrl } from '../../wiki-framework/src/services/github/buildShare';
 import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { useUndoHistory } from '../hooks/useUndoHistory';
 import { getSaveDataEndpoint, getLoadDataEndpoint } from '../utils/apiEndpoints.js';
 import { validateBuildName, STRING_LIMITS } from '../utils/validation';
+import { decodeShareCode, generateShareCodeUrl } from '../utils/shareCodes';
+import { createBuildCard } from '../utils/buildCard';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('SkillStoneBuilder');
@@ -59,6 +66,16 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
     { buildName, build }
   );
 
+  // Undo/redo for stone changes; stepping back to the last saved state clears the unsaved flag
+  const { undo, redo, canUndo, canRedo, resetHistory, markSaved } = useUndoHistory(
+    { build },
+    (snapshot, { isSaved }) => {
+      setBuild(snapshot.build);
+      setHasUnsavedChanges(!isSaved);
+    },
+    { enabled: !loading }
+  );
+
   // Load stone data
   useEffect(() => {
     loadStoneData();
@@ -71,24 +88,31 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
 
     const urlParams = new URLSearchParams(window.location.hash.split('?')[1]);
     const shareChecksum = urlParams.get('share');
+    const shareCode = urlParams.get('code');
     const encodedBuild = urlParams.get('data');
     const buildId = urlParams.get('build');
 
-    // Load from new share system (short URL)
-    if (shareChecksum) {
+    // Load from share code or share system (short URL)
+    if (shareCode || shareChecksum) {
       const loadFromSharedUrl = async () => {
         try {
           setLoading(true);
-          logger.info('Loading shared build', { shareChecksum });
+          logger.info('Loading shared build', { shareChecksum, shareCode });
 
-          const configResponse = await fetch('/wiki-config.json');
-          const config = await configResponse.json();
-          const owner = config.wiki.repository.owner;
-          const repo = config.wiki.repository.repo;
+          let buildData;
+          if (shareCode) {
+            buildData = decodeShareCode(shareCode);
+          } else {
+            const configResponse = await fetch('/wiki-config.json');
+            const config = await configResponse.json();
+            const owner = config.wiki.repository.owner;
+            const repo = config.wiki.repository.repo;
 
-          const buildData = await loadSharedBuild(owner, repo, shareChecksum);
+            buildData = await loadSharedBuild(owner, repo, shareChecksum);
+          }
 
           if (buildData.type === 'skill-stone-builds') {
+            resetHistory();
             setBuildName(buildData.data.name || '');
             setBuild({ slots: buildData.data.slots || createEmptySlots() });
             setHasUnsavedChanges(true);
@@ -122,10 +146,12 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
 
           const savedBuild = builds.find(b => b.id === buildId);
           if (savedBuild) {
+            resetHistory();
             setBuildName(savedBuild.name || '');
             setBuild({ slots: savedBuild.slots || createEmptySlots() });
             setCurrentLoadedBuildId(buildId);
             setHasUnsavedChanges(false);
+            markSaved();
             logger.info('Saved build loaded successfully', { buildName: savedBuild.name });
           } else {
             logger.error('Build not found', { buildId });
@@ -145,6 +171,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
       try {
         const decodedBuild = decodeBuild(encodedBuild);
         if (decodedBuild) {
+          resetHistory();
           setBuildName(decodedBuild.name || '');
           setBuild({ slots: decodedBuild.slots || createEmptySlots() });
           setHasUnsavedChanges(true); // Mark as having changes to block navigation
@@ -157,18 +184,20 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
     else {
       const draft = loadDraft();
       if (draft) {
+        resetHistory();
         setBuildName(draft.buildName || '');
         setBuild(draft.build || { slots: createEmptySlots() });
         setHasUnsavedChanges(true);
       }
     }
-  }, [stoneData, isModal, loadDraft, isAuthenticated, user]); // Trigger when stone data loads
+  }, [stoneData, isModal, loadDraft, isAuthenticated, user, resetHistory, markSaved]); // Trigger when stone data loads
 
   // Load initial build in modal mode
   useEffect(() => {
     if (!stoneData) return; // Wait for stone data to load
     if (!isModal || !initialBuild) return; // Only in modal mode with initial data
 
+    resetHistory();
     setBuildName(initialBuild.name || 'My Skill Stone Build');
     setBuild({ slots: initialBuild.slots || createEmptySlots() });
     setHasUnsavedChanges(true); // Mark as having changes to block navigation
@@ -176,8 +205,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
 
   const loadStoneData = async () => {
     try {
-      const response = await fetch('/data/skill_stones.json');
-      const data = await response.json();
+      const data = await loadGameData('skillStones');
       setStoneData(data);
     } catch (error) {
       logger.error('Failed to load skill stones data', { error });
@@ -218,6 +246,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
       }
       if (!hasContent && hasUnsavedChanges) {
         setHasUnsavedChanges(false);
+        markSaved();
       } else if (hasContent && !hasUnsavedChanges) {
         setHasUnsavedChanges(true);
       }
@@ -235,7 +264,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
         setHasUnsavedChanges(true);
       }
     }
-  }, [buildName, build, savedBuilds, isAuthenticated, hasUnsavedChanges]);
+  }, [buildName, build, savedBuilds, isAuthenticated, hasUnsavedChanges, markSaved]);
 
   // Handle slot actions
   const handleSelectSlot = (index) => {
@@ -273,22 +302,29 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
 
       logger.debug('Generating share URL');
 
-      const configResponse = await fetch('/wiki-config.json');
-      const config = await configResponse.json();
-      const owner = config.wiki.repository.owner;
-      const repo = config.wiki.repository.repo;
-
       // Serialize build
       const serializedBuild = serializeBuild({ ...build, name: buildName });
 
-      // Save build and get checksum
-      const checksum = await saveSharedBuild(owner, repo, 'skill-stone-builds', serializedBuild);
+      const baseURL = window.location.origin + window.location.pathname;
+      let shareURL;
 
-      logger.debug('Generated checksum', { checksum });
+      // Compact share code (works offline); fall back to the share service, then to a ?data= link
+      try {
+        shareURL = generateShareCodeUrl(baseURL, 'skill-stone-builds', serializedBuild);
+      } catch (codeError) {
+        logger.warn('Share code unavailable, using share service', { error: codeError });
 
-      // Generate share URL
-      const baseURL = window.location.origin + window.location.pathname;
-      const shareURL = generateShareUrl(baseURL, 'skill-stone-builds', checksum);
+        const configResponse = await fetch('/wiki-config.json');
+        const config = await configResponse.json();
+        const owner = config.wiki.repository.owner;
+        const repo = config.wiki.repository.repo;
+
+        // Save build and get checksum
+        const checksum = await saveSharedBuild(owner, repo, 'skill-stone-builds', serializedBuild);
+        logger.debug('Generated checksum', { checksum });
+
+        shareURL = generateShareUrl(baseURL, 'skill-stone-builds', checksum);
+      }
 
       await navigator.clipboard.writeText(shareURL);
 
@@ -310,7 +346,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
       logger.error('Failed to generate share URL', { error });
       setShareError(error.message || 'Failed to generate share URL');
 
-      // Fallback to old method
+      // Last resort: the old ?data= link, which needs neither a share code nor the share service
       try {
         logger.warn('Falling back to old encoding method');
         const serializedBuild = serializeBuild({ ...build, name: buildName });
@@ -394,6 +430,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
     reader.onload = (e) => {
       try {
         const buildData = JSON.parse(e.target.result);
+        resetHistory();
         setBuildName(buildData.name || '');
         setBuild({ slots: buildData.slots || createEmptySlots() });
         setHasUnsavedChanges(true);
@@ -422,6 +459,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
     setBuild({ slots: createEmptySlots() });
     setBuildName('');
     setHasUnsavedChanges(false);
+    markSaved();
     setCurrentLoadedBuildId(null);
     clearDraft();
   };
@@ -440,6 +478,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
       if (!confirmed) return;
     }
 
+    resetHistory();
     setBuildName(savedBuild.name);
     setBuild({ slots: savedBuild.slots || createEmptySlots() });
     setHasUnsavedChanges(true);
@@ -495,6 +534,7 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
 
       setSaveSuccess(true);
       setHasUnsavedChanges(false);
+      markSaved();
 
       setCache('skill_stone_builds', user.id, sortedBuilds);
       clearDraft();
@@ -650,6 +690,16 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
                 <span>Export</span>
               </button>
 
+              <ExportImageButton
+                name={buildName}
+                getCard={(layout) => createBuildCard('skill-stone-builds', { ...build, name: buildName }, { layout })}
+              />
+
+              <PublishBuildButton
+                type="skill-stone-builds"
+                getShareData={() => serializeBuild({ ...build, name: buildName })}
+              />
+
               <label className="flex items-center justify-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors cursor-pointer whitespace-nowrap">
                 <Upload className="w-4 h-4 flex-shrink-0 text-purple-600 dark:text-purple-400" />
                 <span>Import</span>
@@ -668,6 +718,8 @@ const SkillStoneBuilder = forwardRef(({ isModal = false, initialBuild = null, on
                 <Trash2 className="w-4 h-4 flex-shrink-0 text-red-600 dark:text-red-400" />
                 <span>Clear</span>
               </button>
+
+              <UndoRedoControls onUndo={undo} onRedo={redo} canUndo={canUndo} canRedo={canRedo} />
             </div>
             {shareError && (
               <div className="mt-2 p-2 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg text-sm text-red-800 dark:text-red-200">
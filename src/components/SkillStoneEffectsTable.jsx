@@ -0,0 +1,87 @@
+import React from 'react';
+import { getSkillStoneEffects, hasSkillStones } from '../utils/skillStoneEffects';
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Before -> after cell for one stat
+ */
+const StatChange = ({ stat, unit = '' }) => {
+  if (!stat) return <span className="text-gray-400 dark:text-gray-600">—</span>;
+  if (stat.effective === stat.base) {
+    return <span className="text-gray-600 dark:text-gray-400">{formatNumber(stat.base)}{unit}</span>;
+  }
+  return (
+    <span className="whitespace-nowrap">
+      <span className="text-gray-500 dark:text-gray-500 line-through">{formatNumber(stat.base)}{unit}</span>
+      <span className="mx-1 text-gray-400">→</span>
+      <span className="font-semibold text-green-600 dark:text-green-400">{formatNumber(stat.effective)}{unit}</span>
+      <span className="ml-1 text-[10px] text-gray-500 dark:text-gray-400">({stat.bonusPercent > 0 ? '+' : ''}{stat.bonusPercent}%)</span>
+    </span>
+  );
+};
+
+/**
+ * Skill Stone Effects Table
+ *
+ * Before/after comparison of cooldown, duration and required attacks for the
+ * equipped skills of a build, given a skill stone build.
+ *
+ * @param {Array} slots - Skill build slots ({ skill, level })
+ * @param {Object} stoneBuild - Skill stone build ({ slots: [{ type, element, tier }] })
+ * @param {Object} stoneData - Parsed skill_stones.json
+ */
+const SkillStoneEffectsTable = ({ slots, stoneBuild, stoneData }) => {
+  if (!stoneData) return null;
+
+  if (!hasSkillStones(stoneBuild)) {
+    return (
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        No skill stones set. Add stones to see their effect on your skills.
+      </p>
+    );
+  }
+
+  const rows = slots
+    .filter(slot => slot?.skill)
+    .map(slot => ({ skill: slot.skill, effects: getSkillStoneEffects(slot.skill, stoneBuild, stoneData) }));
+
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-600 dark:text-gray-400">No skills equipped.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+            <th className="py-1 pr-3">Skill</th>
+            <th className="py-1 pr-3">Cooldown</th>
+            <th className="py-1 pr-3">Duration</th>
+            <th className="py-1">Required Attacks</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ skill, effects }, idx) => (
+            <tr
+              key={idx}
+              className={`border-b border-gray-100 dark:border-gray-800 ${effects.affected ? '' : 'opacity-60'}`}
+            >
+              <td className="py-1 pr-3 text-gray-900 dark:text-white whitespace-nowrap">
+                {skill.name}
+                {skill.attribute && (
+                  <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">({skill.attribute})</span>
+                )}
+              </td>
+              <td className="py-1 pr-3"><StatChange stat={effects.cooldown.base > 0 ? effects.cooldown : null} unit="s" /></td>
+              <td className="py-1 pr-3"><StatChange stat={effects.duration} unit="s" /></td>
+              <td className="py-1"><StatChange stat={effects.requiredAttacks} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SkillStoneEffectsTable;
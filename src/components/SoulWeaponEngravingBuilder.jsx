@@ -1,7 +1,8 @@
-import React, { useState, useEffect, useRef, useImperativeHandle, forwardRef } from 'react';
-import { Share2, Download, Upload, Settings, Trash2, Check, Loader, RefreshCw, RotateCw, Lock, X, CheckCircle, CheckCircle2, Zap, Edit, Send, Save } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo, useImperativeHandle, forwardRef } from 'react';
+import { Share2, Download, Upload, Settings, Trash2, Check, Loader, RefreshCw, RotateCw, Lock, X, CheckCircle, CheckCircle2, Zap, Edit, Send, Save, TrendingUp, Dices } from 'lucide-react';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { useUndoHistory } from '../hooks/useUndoHistory';
 import { encodeBuild, decodeBuild } from '../../wiki-framework/src/components/wiki/BuildEncoder';
 import { saveBuild as saveSharedBuild, loadBuild as loadSharedBuild, generateShareUrl } from '../../wiki-framework/src/services/github/buildShare';
 import { createGitHubIssue, searchGitHubIssues, getGitHubIssue, updateGitHubIssue, getOctokit } from '../../wiki-framework/src/services/github/api';
@@ -13,10 +14,23 @@ import SoulWeaponEngravingGrid from './SoulWeaponEngravingGrid';
 import CustomDropdown from './CustomDropdown';
 import ValidatedInput from './ValidatedInput';
 import SavedBuildsPanel from './SavedBuildsPanel';
+import EngravingOptimizerModal from './EngravingOptimizerModal';
+import ChaosSoulSimulatorModal from './ChaosSoulSimulatorModal';
+import GridConsensusPanel from './GridConsensusPanel';
+import UndoRedoControls from './UndoRedoControls';
+import ExportImageButton from './ExportImageButton';
+import PublishBuildButton from './PublishBuildButton';
 import { getSaveDataEndpoint, getLoadDataEndpoint } from '../utils/apiEndpoints.js';
 import { validateBuildName, validateCompletionEffect, STRING_LIMITS } from '../utils/validation';
+import { decodeShareCode, generateShareCodeUrl } from '../utils/shareCodes';
+import { createBuildCard } from '../utils/buildCard';
 import { setCache } from '../utils/buildCache';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
+import { getRotatedPattern, getCacheKey, clearGridPieces, createEmptyGrid } from '../utils/engravingSolver';
+import { runSolverJob } from '../utils/engravingSolverClient';
+import { buildGridConsensus, getLayoutSignature, isConsensusVerified } from '../utils/gridConsensus';
+import { canPromoteGrids, promoteGridConsensus } from '../services/gridPromotion';
 
 const logger = createLogger('SoulWeapon');
 const cacheLogger = logger.child('Cache');
@@ -122,6 +136,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
   const [weapons, setWeapons] = useState([]); // Weapons WITH grid data (from soul-weapon-grids.json)
   const [allWeapons, setAllWeapons] = useState([]); // ALL weapons (from soul-weapons.json)
   const [engravings, setEngravings] = useState([]);
+  const [rarityTiers, setRarityTiers] = useState([]); // Rarity tiers with drop weight labels
   const [loading, setLoading] = useState(true);
   const [wikiConfig, setWikiConfig] = useState(null); // Wiki config for repo info
 
@@ -196,11 +211,21 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
   const [showSolutionPicker, setShowSolutionPicker] = useState(false);
   const [isSolving, setIsSolving] = useState(false);
 
+  // Stat optimizer state
+  const [showOptimizer, setShowOptimizer] = useState(false);
+
+  // Chaos Soul simulator state
+  const [showChaosSimulator, setShowChaosSimulator] = useState(false);
+
   // Find Best Weapon state
   const [showBestWeaponModal, setShowBestWeaponModal] = useState(false);
   const [bestWeaponResults, setBestWeaponResults] = useState([]);
   const [isFindingBestWeapon, setIsFindingBestWeapon] = useState(false);
 
+  // Solver worker job state (shared by Auto-Solve and Find Best Weapon)
+  const [solveProgress, setSolveProgress] = useState(null); // { placementsTried, solutionsFound, weaponIndex?, weaponCount?, weaponName? }
+  const solverJobRef = useRef(null); // { promise, cancel } for the running job
+
   // Solution cache - stores solutions by weapon and inventory signature
   const [solutionCache, setSolutionCache] = useState({});
 
@@ -215,13 +240,17 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
   const [existingSubmissions, setExistingSubmissions] = useState([]); // Existing submissions from GitHub
   const [loadingSubmissions, setLoadingSubmissions] = useState(false); // Loading submissions
   const [submissionLoadError, setSubmissionLoadError] = useState(null); // Error loading submissions
-  const [selectedSubmissionIndex, setSelectedSubmissionIndex] = useState(0); // Which submission to show (0 = first)
+  const [selectedSubmissionIndex, setSelectedSubmissionIndex] = useState(null); // Which submission to show (null = consensus layout)
   const [weaponsWithSubmissions, setWeaponsWithSubmissions] = useState(new Set()); // Set of weapon names that have community submissions
   const [currentSubmissionMeta, setCurrentSubmissionMeta] = useState(null); // Metadata for currently loaded submission
+  const [canPromoteGrid, setCanPromoteGrid] = useState(false); // Current user can promote consensus grids (admin)
+  const [promotingGrid, setPromotingGrid] = useState(false); // Promotion PR in progress
+  const [gridPromotionResult, setGridPromotionResult] = useState(null); // { prNumber, prUrl }
+  const [gridPromotionError, setGridPromotionError] = useState(null);
   const [loadingSharedBuild, setLoadingSharedBuild] = useState(false); // True while loading a shared build (prevents grid initialization)
   const hasInitializedGridForWeapon = useRef(null); // Track which weapon we've initialized the grid for
   const hasLoadedSubmissionsForWeapon = useRef(null); // Track which weapon we've loaded submissions for
-  const loadedShareChecksum = useRef(null); // Track which share checksum we've loaded
+  const loadedShareChecksum = useRef(null); // Track which share checksum/code we've loaded
 
   // Submission cache constants
   const SUBMISSION_CACHE_KEY = cacheName('soul_weapon_submissions');
@@ -405,6 +434,22 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     serializedDraftData
   );
 
+  // Undo/redo for piece placement and inventory changes (locked indices are derived from these).
+  // History is reset whenever a grid is loaded or re-initialized for a different weapon.
+  const { undo, redo, canUndo, canRedo, resetHistory, markSaved } = useUndoHistory(
+    { gridState, inventory },
+    (snapshot, { isSaved }) => {
+      // Drop any pending placement; the restored grid/inventory already account for the piece
+      setPlacingPiece(null);
+      setPlacingPosition(null);
+      setPlacingInventoryIndex(null);
+      setGridState(snapshot.gridState);
+      setInventory(snapshot.inventory);
+      setHasUnsavedChanges(!isSaved);
+    },
+    { enabled: !loading && !loadingSharedBuild }
+  );
+
   // Load data
   useEffect(() => {
     loadData();
@@ -421,29 +466,36 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
 
     const urlParams = new URLSearchParams(window.location.hash.split('?')[1]);
     const shareChecksum = urlParams.get('share');
+    const shareCode = urlParams.get('code');
     const buildId = urlParams.get('build');
+    const shareRef = shareCode || shareChecksum;
 
-    // Skip if no share checksum OR if we've already loaded this exact checksum
-    if (!shareChecksum && !buildId) return;
-    if (shareChecksum && loadedShareChecksum.current === shareChecksum) return;
+    // Skip if no share reference OR if we've already loaded this exact reference
+    if (!shareRef && !buildId) return;
+    if (shareRef && loadedShareChecksum.current === shareRef) return;
 
-    if (shareChecksum) {
-      loadedShareChecksum.current = shareChecksum; // Mark this checksum as being loaded
+    if (shareRef) {
+      loadedShareChecksum.current = shareRef; // Mark this reference as being loaded
       const loadFromSharedUrl = async () => {
         try {
           setLoading(true);
           setLoadingSharedBuild(true); // Prevent grid initialization
-          logger.info('Loading shared build', { shareChecksum });
+          logger.info('Loading shared build', { shareChecksum, shareCode });
 
-          if (!wikiConfig) {
-            logger.error('Wiki config not loaded');
-            return;
-          }
+          let buildData;
+          if (shareCode) {
+            buildData = decodeShareCode(shareCode);
+          } else {
+            if (!wikiConfig) {
+              logger.error('Wiki config not loaded');
+              return;
+            }
 
-          const owner = wikiConfig.wiki.repository.owner;
-          const repo = wikiConfig.wiki.repository.repo;
+            const owner = wikiConfig.wiki.repository.owner;
+            const repo = wikiConfig.wiki.repository.repo;
 
-          const buildData = await loadSharedBuild(owner, repo, shareChecksum);
+            buildData = await loadSharedBuild(owner, repo, shareChecksum);
+          }
 
           if (buildData.type === 'soul-weapon-engraving') {
             // Load the build data
@@ -515,6 +567,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
                   }
                 });
 
+                resetHistory();
                 setGridState(newGrid);
               }
             } else if (buildData.data.gridState) {
@@ -531,6 +584,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
                 }))
               );
 
+              resetHistory();
               setGridState(deserializedGridState);
             }
 
@@ -709,6 +763,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
                   }
                 });
 
+                resetHistory();
                 setGridState(newGrid);
                 logger.debug('Grid state set from saved build (optimized format)');
               }
@@ -726,6 +781,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
                 }))
               );
 
+              resetHistory();
               setGridState(deserializedGridState);
             }
 
@@ -766,6 +822,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
             setForceDesignMode(false);
             setCurrentLoadedBuildId(buildId);
             setHasUnsavedChanges(false);
+            markSaved();
             logger.info('Saved build loaded successfully', { buildName: savedBuild.name });
           } else {
             logger.error('Build not found', { buildId });
@@ -781,7 +838,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
       };
       loadFromSavedBuilds();
     }
-  }, [weapons, engravings, allWeapons, wikiConfig, isAuthenticated, user]);
+  }, [weapons, engravings, allWeapons, wikiConfig, isAuthenticated, user, resetHistory, markSaved]);
 
   // Load all weapons with submissions after config and weapons load
   useEffect(() => {
@@ -844,6 +901,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
 
         logger.debug('Initializing grid for weapon change');
         hasInitializedGridForWeapon.current = weaponKey;
+        resetHistory();
         initializeGrid();
       } else {
         logger.trace('Skipping grid initialization - already initialized for this weapon');
@@ -851,6 +909,41 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     }
   }, [selectedWeapon, loadingSharedBuild]);
 
+  // Aggregate community submissions (one vote per submitter)
+  const gridConsensus = useMemo(() => buildGridConsensus(existingSubmissions), [existingSubmissions]);
+
+  // Optimizer inputs, memoized because the optimizer re-runs when they change
+  const optimizerGrid = useMemo(
+    () => (showOptimizer ? clearGridPieces(gridState) : []),
+    [showOptimizer, gridState]
+  );
+  const optimizerPieces = useMemo(
+    () => (showOptimizer ? inventory.filter(p => p !== null).map((piece, idx) => ({ ...piece, inventoryIndex: idx })) : []),
+    [showOptimizer, inventory]
+  );
+
+  // Submission to show: the user's pick, otherwise the consensus layout
+  const getDisplayedSubmission = () => {
+    return existingSubmissions[selectedSubmissionIndex] || gridConsensus?.consensus.submissions[0] || existingSubmissions[0];
+  };
+
+  // Reset consensus selection and promotion state when switching weapons
+  useEffect(() => {
+    setSelectedSubmissionIndex(null);
+    setGridPromotionResult(null);
+    setGridPromotionError(null);
+  }, [selectedWeapon?.id]);
+
+  // Check admin permission once there is something to promote
+  useEffect(() => {
+    if (!isAuthenticated || !user || !wikiConfig || existingSubmissions.length === 0) {
+      setCanPromoteGrid(false);
+      return;
+    }
+    const { owner, repo } = wikiConfig.wiki.repository;
+    canPromoteGrids(owner, repo, user.login).then(setCanPromoteGrid);
+  }, [isAuthenticated, user, wikiConfig, existingSubmissions.length]);
+
   // Handle mode switching when submissions load
   useEffect(() => {
     // Check if grid is already populated (from shared build or draft)
@@ -890,7 +983,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
       // Submissions exist and not forcing design mode - show normal grid mode with submission
       logger.debug('Switching to normal mode with submission');
       setIsGridDesigner(false);
-      loadSubmissionIntoNormalGrid(existingSubmissions[0]);
+      loadSubmissionIntoNormalGrid(getDisplayedSubmission());
     } else {
       // No submissions or forcing design mode - show designer mode
       logger.debug('Switching to designer mode');
@@ -898,7 +991,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
       if (existingSubmissions.length > 0) {
         // Load submission into designer for editing
         logger.debug('Loading submission into designer');
-        loadSubmissionIntoDesigner(existingSubmissions[0]);
+        loadSubmissionIntoDesigner(getDisplayedSubmission());
       } else {
         // No submissions - start with empty grid
         logger.debug('Initializing empty designer grid');
@@ -1092,6 +1185,13 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     };
   }, []);
 
+  // Stop any running solver worker on unmount
+  useEffect(() => {
+    return () => {
+      solverJobRef.current?.cancel();
+    };
+  }, []);
+
   const loadData = async () => {
     try {
       setLoading(true);
@@ -1102,16 +1202,13 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
       setWikiConfig(configData);
 
       // Load ALL weapons (from soul-weapons.json)
-      const allWeaponsResponse = await fetch('/data/soul-weapons.json');
-      const allWeaponsData = await allWeaponsResponse.json();
+      const allWeaponsData = await loadGameData('soulWeapons');
 
       // Load weapon grids (only weapons with grid data)
-      const weaponsResponse = await fetch('/data/soul-weapon-grids.json');
-      const weaponsData = await weaponsResponse.json();
+      const weaponsData = await loadGameData('weaponGrids');
 
       // Load engraving pieces
-      const engravingsResponse = await fetch('/data/soul-weapon-engravings.json');
-      const engravingsData = await engravingsResponse.json();
+      const engravingsData = await loadGameData('engravings');
 
       // Filter allWeapons to only include weapons from first grid weapon onward
       // Weapons before first grid entry don't have grid layouts (can't use engravings)
@@ -1137,6 +1234,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
       setAllWeapons(filteredAllWeapons);
       setWeapons(weaponsData.weapons || []);
       setEngravings(engravingsData.shapes || []);
+      setRarityTiers(engravingsData.rarityTiers || []);
 
       // Set first weapon as default if none selected
       // Prefer weapons WITH grid data, but show ALL weapons (after filtering)
@@ -1265,6 +1363,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
             );
           }
 
+          resetHistory();
           setGridState(gridState);
         }
 
@@ -1365,6 +1464,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
                 } : null
               }))
             );
+            resetHistory();
             setGridState(gridState);
           }
 
@@ -1869,6 +1969,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     });
     logger.debug('Active cell positions in grid', { positions: activePositions.join(', ') });
 
+    resetHistory();
     setGridState(grid);
     setPlacingPiece(null);
     setPlacingPosition(null);
@@ -2402,9 +2503,11 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     // Set build data
     setBuildName(savedBuild.name);
     setSelectedWeapon(weapon);
+    resetHistory();
     setGridState(deserialized.gridState);
     setInventory(deserialized.inventory);
     setHasUnsavedChanges(false);
+    markSaved();
     setCurrentLoadedBuildId(savedBuild.id);
 
     // Update locked inventory indices
@@ -2472,6 +2575,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
 
       setSaveSuccess(true);
       setHasUnsavedChanges(false);
+      markSaved();
 
       // Cache the updated builds
       setCache('engraving_builds', user.id, sortedBuilds);
@@ -2508,6 +2612,41 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     saveBuild: handleSaveBuild
   }));
 
+  // Show a specific community layout (from the consensus panel)
+  const handleSelectConsensusLayout = (submission) => {
+    setSelectedSubmissionIndex(existingSubmissions.indexOf(submission));
+    loadSubmissionIntoNormalGrid(submission);
+  };
+
+  // Admin: open a PR promoting the consensus layout into soul-weapon-grids.json
+  const handlePromoteGridConsensus = async () => {
+    if (!gridConsensus || !wikiConfig || !selectedWeapon) return;
+
+    const { owner, repo } = wikiConfig.wiki.repository;
+    const { consensus, totalSubmissions } = gridConsensus;
+    if (!confirm(`Open a PR adding the consensus layout for ${selectedWeapon.name} (${consensus.count}/${totalSubmissions} submitters agree) to the official grid data?`)) {
+      return;
+    }
+
+    setPromotingGrid(true);
+    setGridPromotionError(null);
+    try {
+      const result = await promoteGridConsensus({
+        owner,
+        repo,
+        weaponId: selectedWeapon.id,
+        expectedSignature: consensus.signature,
+        userToken: useAuthStore.getState().getToken?.()
+      });
+      setGridPromotionResult(result);
+    } catch (error) {
+      logger.error('Failed to promote grid consensus', { error });
+      setGridPromotionError(error.message);
+    } finally {
+      setPromotingGrid(false);
+    }
+  };
+
   const handleWeaponChange = (weaponId) => {
     logger.debug('Switching weapon', { weaponId });
 
@@ -3438,33 +3577,6 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     return canPlacePiece(placingPosition.row, placingPosition.col, pattern);
   };
 
-  const getRotatedPattern = (pattern, rotation) => {
-    if (rotation === 0) return pattern;
-
-    let rotated = pattern;
-    const times = rotation / 90;
-
-    for (let i = 0; i < times; i++) {
-      rotated = rotatePattern90(rotated);
-    }
-
-    return rotated;
-  };
-
-  const rotatePattern90 = (pattern) => {
-    const rows = pattern.length;
-    const cols = pattern[0].length;
-    const rotated = Array(cols).fill(null).map(() => Array(rows).fill(0));
-
-    for (let r = 0; r < rows; r++) {
-      for (let c = 0; c < cols; c++) {
-        rotated[c][rows - 1 - r] = pattern[r][c];
-      }
-    }
-
-    return rotated;
-  };
-
   // Fallback calculation when image fails to load
   const getPieceImageSizeFallback = (pattern) => {
     // Calculate the actual bounding box of filled cells (1s), not the entire array
@@ -3614,6 +3726,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
       initializeGrid();
       clearDraft();
       setHasUnsavedChanges(false);
+      markSaved();
     }
   };
 
@@ -3630,215 +3743,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     return selectedWeapon.completionEffect;
   };
 
-  // ===== AUTO-SOLVE ALGORITHM =====
-
-  const canPlacePieceAtPosition = (grid, piece, rotation, anchorRow, anchorCol) => {
-    const pattern = getRotatedPattern(piece.shape.pattern, rotation);
-
-    for (let pRow = 0; pRow < pattern.length; pRow++) {
-      for (let pCol = 0; pCol < pattern[pRow].length; pCol++) {
-        if (pattern[pRow][pCol] === 1) {
-          const gridRow = anchorRow + pRow;
-          const gridCol = anchorCol + pCol;
-
-          // Check bounds
-          if (gridRow < 0 || gridCol < 0 || gridRow >= grid.length || gridCol >= grid[0].length) {
-            return false;
-          }
-
-          // Check if slot is active
-          if (!grid[gridRow][gridCol].active) {
-            return false;
-          }
-
-          // Check if slot is already occupied
-          if (grid[gridRow][gridCol].piece) {
-            return false;
-          }
-        }
-      }
-    }
-
-    return true;
-  };
-
-  const placePieceOnGrid = (grid, piece, rotation, anchorRow, anchorCol) => {
-    const newGrid = JSON.parse(JSON.stringify(grid));
-    const pattern = getRotatedPattern(piece.shape.pattern, rotation);
-
-    for (let pRow = 0; pRow < pattern.length; pRow++) {
-      for (let pCol = 0; pCol < pattern[pRow].length; pCol++) {
-        if (pattern[pRow][pCol] === 1) {
-          const gridRow = anchorRow + pRow;
-          const gridCol = anchorCol + pCol;
-
-          newGrid[gridRow][gridCol].piece = {
-            shapeId: piece.shapeId,
-            shape: piece.shape,
-            rarity: piece.rarity,
-            level: piece.level,
-            rotation: rotation,
-            anchorRow: anchorRow,
-            anchorCol: anchorCol,
-            inventoryIndex: piece.inventoryIndex
-          };
-        }
-      }
-    }
-
-    return newGrid;
-  };
-
-  const isGridFullyCovered = (grid) => {
-    return grid.every(row =>
-      row.every(cell => !cell.active || cell.piece)
-    );
-  };
-
-  // Generate all combinations of k items from array
-  const getCombinations = (array, k) => {
-    if (k === 0) return [[]];
-    if (array.length === 0) return [];
-
-    const [first, ...rest] = array;
-    const combsWithFirst = getCombinations(rest, k - 1).map(comb => [first, ...comb]);
-    const combsWithoutFirst = getCombinations(rest, k);
-
-    return [...combsWithFirst, ...combsWithoutFirst];
-  };
-
-  // Try to place a specific set of pieces on the grid - return first successful placement
-  const tryPlacePieceCombination = (grid, pieces) => {
-    const gridSize = grid.length;
-
-    // Find first empty active cell to guide placement (optimization)
-    const findFirstEmptyActiveCell = (grid) => {
-      for (let row = 0; row < gridSize; row++) {
-        for (let col = 0; col < gridSize; col++) {
-          if (grid[row][col].active && !grid[row][col].piece) {
-            return { row, col };
-          }
-        }
-      }
-      return null;
-    };
-
-    const tryPlace = (grid, remainingPieces, currentSolution) => {
-      // Base case: all pieces placed successfully
-      if (remainingPieces.length === 0) {
-        // Check if grid is fully covered
-        if (isGridFullyCovered(grid)) {
-          return currentSolution;
-        }
-        return null; // Pieces placed but grid not covered
-      }
-
-      // Find the first empty active cell to try placing pieces there (optimization)
-      const emptyCell = findFirstEmptyActiveCell(grid);
-      if (!emptyCell) {
-        return null; // No empty cells, shouldn't happen
-      }
-
-      // Try placing each remaining piece at or near the empty cell
-      for (let i = 0; i < remainingPieces.length; i++) {
-        const piece = remainingPieces[i];
-
-        // Try all 4 rotations
-        for (const rotation of [0, 90, 180, 270]) {
-          // Try positions near the empty cell first (optimization)
-          // This dramatically reduces search space
-          const pattern = getRotatedPattern(piece.shape.pattern, rotation);
-          const patternRows = pattern.length;
-          const patternCols = pattern[0].length;
-
-          // Calculate anchor position that would cover the empty cell
-          for (let pRow = 0; pRow < patternRows; pRow++) {
-            for (let pCol = 0; pCol < patternCols; pCol++) {
-              if (pattern[pRow][pCol] === 1) {
-                // This filled cell could cover the empty cell
-                const anchorRow = emptyCell.row - pRow;
-                const anchorCol = emptyCell.col - pCol;
-
-                // Check if this anchor is valid
-                if (anchorRow >= 0 && anchorCol >= 0 &&
-                    anchorRow < gridSize && anchorCol < gridSize &&
-                    canPlacePieceAtPosition(grid, piece, rotation, anchorRow, anchorCol)) {
-
-                  // Place piece
-                  const newGrid = placePieceOnGrid(grid, piece, rotation, anchorRow, anchorCol);
-
-                  // Remove this piece from remaining
-                  const newRemaining = remainingPieces.filter((_, idx) => idx !== i);
-
-                  // Record placement
-                  const placement = {
-                    piece: piece,
-                    rotation: rotation,
-                    anchorRow: anchorRow,
-                    anchorCol: anchorCol
-                  };
-
-                  // Recurse - try to place remaining pieces
-                  const result = tryPlace(newGrid, newRemaining, [...currentSolution, placement]);
-
-                  // If successful, return immediately
-                  if (result) {
-                    return result;
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-
-      return null; // No valid placement found
-    };
-
-    return tryPlace(grid, pieces, []);
-  };
-
-  const getSolutionSignature = (solution) => {
-    // Create a signature based on which pieces are used (inventory indices sorted)
-    // This identifies solutions that use the same pieces, regardless of rotation/position
-    return solution
-      .map(placement => placement.piece.inventoryIndex)
-      .sort((a, b) => a - b)
-      .join(',');
-  };
-
-  const deduplicateSolutions = (solutions) => {
-    const seen = new Set();
-    const unique = [];
-
-    for (const solution of solutions) {
-      const signature = getSolutionSignature(solution);
-      if (!seen.has(signature)) {
-        seen.add(signature);
-        unique.push(solution);
-      }
-    }
-
-    gridLogger.trace(`🔍 Deduplicated: ${solutions.length} → ${unique.length} unique solutions`);
-    return unique;
-  };
-
-  // Generate cache key for weapon + inventory combination
-  const getCacheKey = (weaponId, pieces) => {
-    // Sort pieces by shape ID, then rarity, then level for consistent key
-    const sortedPieces = [...pieces].sort((a, b) => {
-      if (a.shapeId !== b.shapeId) return a.shapeId - b.shapeId;
-      if (a.rarity !== b.rarity) return a.rarity - b.rarity;
-      return a.level - b.level;
-    });
-
-    // Create signature: weaponId-shapeId:rarity:level,shapeId:rarity:level,...
-    const inventorySignature = sortedPieces
-      .map(p => `${p.shapeId}:${p.rarity}:${p.level}`)
-      .join(',');
-
-    return `${weaponId}-${inventorySignature}`;
-  };
+  // ===== AUTO-SOLVE =====
 
   const handleAutoSolve = () => {
     if (!selectedWeapon) {
@@ -3880,131 +3785,72 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     autoSolveLogger.debug('Pieces', { pieces: validPieces.map(p => `[${p.inventoryIndex}] ${p.shape.name}`).join(', ') });
     setIsSolving(true);
     setAutoSolveSolutions([]);
+    setSolveProgress({ placementsTried: 0, solutionsFound: 0 });
+
+    // Solve in a worker and stream solutions into the picker as they are found
+    const job = runSolverJob('solve', { grid: clearGridPieces(gridState), pieces: validPieces }, {
+      onProgress: setSolveProgress,
+      onSolution: (solution) => {
+        setAutoSolveSolutions(prev => [...prev, solution]);
+        setShowSolutionPicker(true);
+      }
+    });
+    solverJobRef.current = job;
 
-    // Run solver in a timeout to allow UI to update
-    setTimeout(() => {
-      const solutions = [];
-      const emptyGrid = JSON.parse(JSON.stringify(gridState));
-
-      // Clear all pieces from grid for solving
-      emptyGrid.forEach(row => {
-        row.forEach(cell => {
-          cell.piece = null;
-        });
-      });
-
-      try {
-        // Calculate minimum pieces needed based on grid size
-        const totalActiveSlots = emptyGrid.flat().filter(cell => cell.active).length;
-        gridLogger.trace(`📊 Grid has ${totalActiveSlots} active slots to cover`);
-
-        // Calculate average cells per piece
-        const avgCellsPerPiece = validPieces.reduce((sum, p) => {
-          const pattern = p.shape.pattern;
-          const cells = pattern.flat().filter(c => c === 1).length;
-          return sum + cells;
-        }, 0) / validPieces.length;
-
-        // Start from minimum possible pieces (optimized!)
-        const minPieces = Math.max(1, Math.floor(totalActiveSlots / avgCellsPerPiece));
-        const maxPiecesToTry = Math.min(validPieces.length, 8);
-
-        gridLogger.trace(`⚡ Optimization: Starting from ${minPieces} pieces (skipping impossible sizes)`);
-
-        // Track which shape type combinations we've already found
-        const foundShapeTypeSignatures = new Set();
-
-        // Helper to get shape type signature (e.g., "Line:4" or "L-Shape:2,Line:2")
-        const getShapeTypeSignature = (combination) => {
-          const shapeCounts = {};
-          combination.forEach(piece => {
-            const shapeName = piece.shape.name;
-            shapeCounts[shapeName] = (shapeCounts[shapeName] || 0) + 1;
-          });
-
-          // Sort by shape name for consistency
-          return Object.keys(shapeCounts)
-            .sort()
-            .map(name => `${name}:${shapeCounts[name]}`)
-            .join(',');
-        };
-
-        for (let numPieces = minPieces; numPieces <= maxPiecesToTry; numPieces++) {
-          gridLogger.trace(`\n🔍 Trying combinations of ${numPieces} piece(s)...`);
-
-          // Generate ALL unique combinations of this size
-          const combinations = getCombinations(validPieces, numPieces);
-          gridLogger.trace(`   Generated ${combinations.length} piece combinations`);
-
-          let foundInThisSize = 0;
-          let skippedDuplicates = 0;
-
-          // For each unique combination, check if we've seen this shape type combo before
-          for (let i = 0; i < combinations.length; i++) {
-            const combination = combinations[i];
-
-            // Get the shape type signature
-            const shapeTypeSignature = getShapeTypeSignature(combination);
-
-            // Skip if we've already found a solution with this shape type combination
-            if (foundShapeTypeSignatures.has(shapeTypeSignature)) {
-              skippedDuplicates++;
-              continue;
-            }
-
-            // Try to place this specific combination on the grid
-            const solution = tryPlacePieceCombination(emptyGrid, combination);
-
-            if (solution) {
-              // Mark this shape type combination as found
-              foundShapeTypeSignatures.add(shapeTypeSignature);
-              solutions.push(solution);
-              foundInThisSize++;
-
-              const pieceIndices = combination.map(p => p.inventoryIndex).join(',');
-              gridLogger.trace(`   ✅ Solution ${solutions.length}: [${pieceIndices}] = ${shapeTypeSignature}`);
-            }
-          }
-
-          gridLogger.trace(`   Found ${foundInThisSize} unique shape combinations (skipped ${skippedDuplicates} duplicates)`);
-
-          // Continue to next size to find all possible shape type combinations
+    job.promise
+      .then(({ solutions, placementsTried, cancelled }) => {
+        if (cancelled) {
+          autoSolveLogger.debug('Auto-solve cancelled', { placementsTried, solutionsFound: solutions.length });
+          return;
         }
 
-        gridLogger.trace(`\n✅ Total: ${solutions.length} unique solution(s) found`);
-        gridLogger.trace('💡 Each solution uses a different combination of pieces');
+        gridLogger.trace(`✅ Total: ${solutions.length} unique solution(s) found (${placementsTried} placements tried)`);
 
         if (solutions.length === 0) {
           alert('No complete solutions found. Try different pieces or fewer pieces that can cover the grid.');
-        } else {
-          // Cache the solutions for this weapon + inventory combination
-          const cacheKey = getCacheKey(selectedWeapon.id, validPieces);
-          setSolutionCache(prev => ({
-            ...prev,
-            [cacheKey]: solutions
-          }));
-          gridLogger.trace('💾 Cached solutions for future use');
-
-          setAutoSolveSolutions(solutions);
-          setShowSolutionPicker(true);
-
-          // Trigger donation prompt on successful solve
-          window.triggerDonationPrompt?.({
-            messages: [
-              "Let the AI do the work! 🤖",
-              "Work smarter, not harder! 🧠",
-              "Puzzle solved instantly! ⚡",
-              "That's using your brain... or mine! 🎯",
-            ]
-          });
+          return;
         }
-      } catch (error) {
+
+        // Cache the solutions for this weapon + inventory combination
+        setSolutionCache(prev => ({
+          ...prev,
+          [cacheKey]: solutions
+        }));
+        gridLogger.trace('💾 Cached solutions for future use');
+
+        // Trigger donation prompt on successful solve
+        window.triggerDonationPrompt?.({
+          messages: [
+            "Let the AI do the work! 🤖",
+            "Work smarter, not harder! 🧠",
+            "Puzzle solved instantly! ⚡",
+            "That's using your brain... or mine! 🎯",
+          ]
+        });
+      })
+      .catch(error => {
         autoSolveLogger.error('Auto-solve error', { error });
         alert('An error occurred while solving. Please try again.');
-      } finally {
-        setIsSolving(false);
-      }
-    }, 100);
+      })
+      .finally(() => {
+        if (solverJobRef.current === job) {
+          solverJobRef.current = null;
+          setIsSolving(false);
+          setSolveProgress(null);
+        }
+      });
+  };
+
+  const handleCancelSolve = () => {
+    solverJobRef.current?.cancel();
+  };
+
+  const handleCloseSolutionPicker = () => {
+    // Closing the picker mid-search abandons the search
+    if (isSolving) {
+      handleCancelSolve();
+    }
+    setShowSolutionPicker(false);
   };
 
   const handleApplySolution = (solution) => {
@@ -4044,10 +3890,27 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     });
 
     setGridState(newGrid);
-    setShowSolutionPicker(false);
+    handleCloseSolutionPicker();
     setHasUnsavedChanges(true);
   };
 
+  const handleOpenOptimizer = () => {
+    if (!selectedWeapon) {
+      alert('Please select a weapon first');
+      return;
+    }
+    if (inventory.filter(p => p !== null).length === 0) {
+      alert('No pieces in inventory to optimize with');
+      return;
+    }
+    setShowOptimizer(true);
+  };
+
+  const handleApplyOptimizedLayout = (placements) => {
+    handleApplySolution(placements);
+    setShowOptimizer(false);
+  };
+
   const handleFindBestWeapon = async () => {
     const validPieces = inventory.filter(p => p !== null).map((piece, idx) => ({
       ...piece,
@@ -4108,7 +3971,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     const confirmed = window.confirm(
       `Finding the best weapon will test ${unlockedWeapons.length} unlocked weapon${unlockedWeapons.length !== 1 ? 's' : ''} with your current inventory.\n\n` +
       `Highest unlocked: ${highestWeaponName}\n\n` +
-      'This may take 10-30 seconds to complete.\n\n' +
+      'This usually takes a few seconds (you can cancel at any time).\n\n' +
       'Note: This will check for both official grid data and community submissions.\n\n' +
       'Continue?'
     );
@@ -4120,213 +3983,118 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     autoSolveLogger.debug('Finding best weapon for', validPieces.length, 'pieces');
     setIsFindingBestWeapon(true);
     setBestWeaponResults([]);
+    setSolveProgress({ weaponIndex: 0, weaponCount: unlockedWeapons.length, placementsTried: 0, solutionsFound: 0 });
 
-    // Run in timeout to allow UI to update
-    setTimeout(async () => {
-      try {
-        const results = [];
-        const startTime = Date.now();
-        const newCacheEntries = {}; // Batch cache updates
-
-        gridLogger.trace(`🔓 Testing ${unlockedWeapons.length} unlocked weapons (up to ${highestWeaponName})`);
-
-        // Test each unlocked weapon
-        for (let weaponIndex = 0; weaponIndex < unlockedWeapons.length; weaponIndex++) {
-          const weapon = unlockedWeapons[weaponIndex];
-          gridLogger.trace(`\n🗡️ Testing weapon ${weaponIndex + 1}/${unlockedWeapons.length}: ${weapon.name}`);
-
-          // Get grid data for this weapon (official or community)
-          const weaponGridData = await getWeaponGridData(weapon);
-
-          if (!weaponGridData || !weaponGridData.hasData) {
-            gridLogger.trace(`   ⚠️ No grid data available (skipping)`);
-            continue; // Skip weapons without grid data
-          }
-
-          if (weaponGridData.source === 'community') {
-            gridLogger.trace(`   📝 Using community submission from ${weaponGridData.submittedBy || 'Anonymous'}`);
-          }
-
-          // Create empty grid for this weapon using the grid data
-          const gridSize = weaponGridData.gridType === '4x4' ? 4 : 5;
-          const emptyGrid = Array(gridSize).fill(null).map((_, row) =>
-            Array(gridSize).fill(null).map((_, col) => {
-              const activeSlot = weaponGridData.activeSlots?.some(
-                slot => slot.row === row && slot.col === col
-              );
-              return {
-                active: activeSlot || false,
-                piece: null
-              };
-            })
-          );
-
-          // Run auto-solve for this weapon (with caching)
-          const solutions = solveForWeapon(emptyGrid, validPieces, weapon.id, newCacheEntries);
+    // Allow cancelling while grid data is still being gathered
+    let cancelledWhileLoading = false;
+    const loadingJob = { cancel: () => { cancelledWhileLoading = true; } };
+    solverJobRef.current = loadingJob;
 
-          if (solutions.length > 0) {
-            // Calculate score
-            let score = solutions.length; // Base score: number of solutions
-
-            // Bonus: count solutions with all same piece types
-            const samePieceSolutions = solutions.filter(solution => {
-              const shapeTypes = new Set();
-              solution.forEach(placement => {
-                shapeTypes.add(placement.piece.shape.name);
-              });
-              return shapeTypes.size === 1; // All pieces are same type
-            });
-
-            const samePieceBonus = samePieceSolutions.length * 2; // 2x bonus for same-piece solutions
-            score += samePieceBonus;
-
-            // Weapon tier bonus: HEAVILY favor higher tier weapons (weapons ordered by progression)
-            // This ensures highest level weapons with solutions always rank at the top
-            // Multiply by 10 to make weapon level the dominant factor
-            const tierBonus = weapon.id * 10; // 10 points per weapon level (weapon 42 gets +420)
-            score += tierBonus;
-
-            gridLogger.trace(`   ✅ Found ${solutions.length} solutions (${samePieceSolutions.length} same-piece) - Base: ${solutions.length + samePieceBonus}, Tier: +${tierBonus} = Score: ${score.toFixed(1)}`);
-
-            // Enrich weapon object with grid data if it doesn't have it
-            const enrichedWeapon = {
-              ...weapon,
-              gridType: weapon.gridType || weaponGridData.gridType,
-              completionEffect: weapon.completionEffect || weaponGridData.completionEffect
-            };
-
-            results.push({
-              weapon: enrichedWeapon,
-              solutionCount: solutions.length,
-              samePieceCount: samePieceSolutions.length,
-              score,
-              solutions: solutions.slice(0, 5), // Keep top 5 solutions for preview
-              totalActiveSlots: emptyGrid.flat().filter(cell => cell.active).length,
-              gridDataSource: weaponGridData.source, // 'official' or 'community'
-              submittedBy: weaponGridData.submittedBy // For community submissions
-            });
-          } else {
-            gridLogger.trace(`   ❌ No solutions found`);
-          }
+    try {
+      const startTime = Date.now();
+      const newCacheEntries = {}; // Batch cache updates
 
-          // Timeout check (max 30 seconds)
-          if (Date.now() - startTime > 30000) {
-            gridLogger.trace('⏱️ Timeout reached, stopping search');
-            break;
-          }
-        }
+      gridLogger.trace(`🔓 Testing ${unlockedWeapons.length} unlocked weapons (up to ${highestWeaponName})`);
 
-        // Sort results by score (descending) - score already includes weapon tier bonus
-        results.sort((a, b) => b.score - a.score);
+      // Grid data may come from community submissions on GitHub, so gather it
+      // on the main thread before handing the solving off to the worker
+      const weaponJobs = [];
+      for (const weapon of unlockedWeapons) {
+        if (cancelledWhileLoading) break;
 
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-        gridLogger.trace(`\n🏆 Best weapon search complete in ${elapsed}s`);
-        gridLogger.trace(`📊 Found ${results.length} weapons with solutions (tested ${unlockedWeapons.length} unlocked weapons)`);
+        const weaponGridData = await getWeaponGridData(weapon);
 
-        // Update cache with all new entries found during search
-        if (Object.keys(newCacheEntries).length > 0) {
-          setSolutionCache(prev => ({
-            ...prev,
-            ...newCacheEntries
-          }));
-          gridLogger.trace(`💾 Cached ${Object.keys(newCacheEntries).length} new weapon solutions`);
+        if (!weaponGridData || !weaponGridData.hasData) {
+          gridLogger.trace(`   ⚠️ ${weapon.name}: no grid data available (skipping)`);
+          continue; // Skip weapons without grid data
         }
 
-        if (results.length === 0) {
-          alert('No weapons found that can fit your current inventory pieces');
-        } else {
-          // Cache the results
-          setBestWeaponCache(results);
-          setBestWeaponResults(results);
-          setShowBestWeaponModal(true);
-
-          // Trigger donation prompt on successful find
-          window.triggerDonationPrompt?.({
-            messages: [
-              "Finding the meta! Nice! 📊",
-              "Optimizing like a pro! 🏆",
-              "Min-maxing at its finest! 🎯",
-              "That's some big brain energy! 🧠",
-            ]
-          });
+        if (weaponGridData.source === 'community') {
+          gridLogger.trace(`   📝 ${weapon.name}: using community submission from ${weaponGridData.submittedBy || 'Anonymous'}`);
         }
-      } catch (error) {
-        autoSolveLogger.error('Find best weapon error', { error });
-        alert('An error occurred while searching. Please try again.');
-      } finally {
-        setIsFindingBestWeapon(false);
-      }
-    }, 100);
-  };
 
-  // Helper function to solve for a specific weapon grid
-  const solveForWeapon = (emptyGrid, validPieces, weaponId, newCacheEntries = null) => {
-    // Check cache first (both existing cache and new cache entries from current search)
-    const cacheKey = getCacheKey(weaponId, validPieces);
-    if (solutionCache[cacheKey]) {
-      gridLogger.trace(`   💾 Using cached solutions (existing)`);
-      return solutionCache[cacheKey];
-    }
-    if (newCacheEntries && newCacheEntries[cacheKey]) {
-      gridLogger.trace(`   💾 Using cached solutions (current search)`);
-      return newCacheEntries[cacheKey];
-    }
-
-    const solutions = [];
-    const totalActiveSlots = emptyGrid.flat().filter(cell => cell.active).length;
-
-    // Calculate minimum pieces needed
-    const avgCellsPerPiece = validPieces.reduce((sum, p) => {
-      const pattern = p.shape.pattern;
-      const cells = pattern.flat().filter(c => c === 1).length;
-      return sum + cells;
-    }, 0) / validPieces.length;
+        // Enrich weapon object with grid data if it doesn't have it
+        const enrichedWeapon = {
+          ...weapon,
+          gridType: weapon.gridType || weaponGridData.gridType,
+          completionEffect: weapon.completionEffect || weaponGridData.completionEffect
+        };
 
-    const minPieces = Math.max(1, Math.floor(totalActiveSlots / avgCellsPerPiece));
-    const maxPiecesToTry = Math.min(validPieces.length, 8);
+        weaponJobs.push({
+          weapon: enrichedWeapon,
+          grid: createEmptyGrid(weaponGridData.gridType, weaponGridData.activeSlots),
+          gridDataSource: weaponGridData.source, // 'official' or 'community'
+          submittedBy: weaponGridData.submittedBy, // For community submissions
+          cachedSolutions: solutionCache[getCacheKey(weapon.id, validPieces)]
+        });
+      }
 
-    // Track shape type signatures
-    const foundShapeTypeSignatures = new Set();
+      if (cancelledWhileLoading) {
+        autoSolveLogger.debug('Find best weapon cancelled while loading grid data');
+        return;
+      }
 
-    const getShapeTypeSignature = (combination) => {
-      const shapeCounts = {};
-      combination.forEach(piece => {
-        const shapeName = piece.shape.name;
-        shapeCounts[shapeName] = (shapeCounts[shapeName] || 0) + 1;
+      const job = runSolverJob('findBestWeapons', {
+        weaponJobs,
+        pieces: validPieces,
+        options: { timeLimitMs: 30000 }
+      }, {
+        onProgress: setSolveProgress,
+        onWeaponSolved: (cacheKey, solutions) => {
+          newCacheEntries[cacheKey] = solutions;
+        }
       });
-      return Object.keys(shapeCounts)
-        .sort()
-        .map(name => `${name}:${shapeCounts[name]}`)
-        .join(',');
-    };
+      solverJobRef.current = job;
 
-    // Try different piece counts
-    for (let numPieces = minPieces; numPieces <= maxPiecesToTry && solutions.length < 15; numPieces++) {
-      const combinations = getCombinations(validPieces, numPieces);
+      const { results, cancelled, timedOut } = await job.promise;
 
-      for (let i = 0; i < combinations.length && solutions.length < 15; i++) {
-        const combination = combinations[i];
-        const shapeTypeSignature = getShapeTypeSignature(combination);
-
-        if (foundShapeTypeSignatures.has(shapeTypeSignature)) {
-          continue;
-        }
+      // Update cache with all new entries found during search (kept even if cancelled)
+      if (Object.keys(newCacheEntries).length > 0) {
+        setSolutionCache(prev => ({
+          ...prev,
+          ...newCacheEntries
+        }));
+        gridLogger.trace(`💾 Cached ${Object.keys(newCacheEntries).length} new weapon solutions`);
+      }
 
-        const solution = tryPlacePieceCombination(emptyGrid, combination);
+      if (cancelled) {
+        autoSolveLogger.debug('Find best weapon cancelled');
+        return;
+      }
 
-        if (solution) {
-          foundShapeTypeSignatures.add(shapeTypeSignature);
-          solutions.push(solution);
-        }
+      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      if (timedOut) {
+        gridLogger.trace('⏱️ Timeout reached, stopping search');
       }
-    }
+      gridLogger.trace(`🏆 Best weapon search complete in ${elapsed}s`);
+      gridLogger.trace(`📊 Found ${results.length} weapons with solutions (tested ${weaponJobs.length} weapons with grid data)`);
 
-    // Cache the solutions if cache object provided
-    if (newCacheEntries !== null) {
-      newCacheEntries[cacheKey] = solutions;
-    }
+      if (results.length === 0) {
+        alert('No weapons found that can fit your current inventory pieces');
+      } else {
+        // Cache the results
+        setBestWeaponCache(results);
+        setBestWeaponResults(results);
+        setShowBestWeaponModal(true);
 
-    return solutions;
+        // Trigger donation prompt on successful find
+        window.triggerDonationPrompt?.({
+          messages: [
+            "Finding the meta! Nice! 📊",
+            "Optimizing like a pro! 🏆",
+            "Min-maxing at its finest! 🎯",
+            "That's some big brain energy! 🧠",
+          ]
+        });
+      }
+    } catch (error) {
+      autoSolveLogger.error('Find best weapon error', { error });
+      alert('An error occurred while searching. Please try again.');
+    } finally {
+      solverJobRef.current = null;
+      setIsFindingBestWeapon(false);
+      setSolveProgress(null);
+    }
   };
 
   const handleSelectBestWeapon = (weaponResult) => {
@@ -4336,53 +4104,58 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
     // Grid will be re-initialized by useEffect
   };
 
-  const handleShareBuild = async () => {
-    try {
-      setSharing(true);
-      setShareError(null);
+  // Share data, used by Share and Publish
+  const getShareData = () => {
+    // Optimized serialization: Only store placed pieces with anchor coordinates
+    // This eliminates storing empty cells and redundant data
+    const placedPieces = [];
+    const seenPieces = new Set(); // Track unique pieces by anchor position
 
-      // Optimized serialization: Only store placed pieces with anchor coordinates
-      // This eliminates storing empty cells and redundant data
-      const placedPieces = [];
-      const seenPieces = new Set(); // Track unique pieces by anchor position
+    gridState.forEach((row, rowIndex) => {
+      row.forEach((cell, colIndex) => {
+        if (cell.piece) {
+          const pieceKey = `${cell.piece.anchorRow},${cell.piece.anchorCol}`;
 
-      gridState.forEach((row, rowIndex) => {
-        row.forEach((cell, colIndex) => {
-          if (cell.piece) {
-            const pieceKey = `${cell.piece.anchorRow},${cell.piece.anchorCol}`;
-
-            // Only store each piece once (at its anchor position)
-            if (!seenPieces.has(pieceKey)) {
-              seenPieces.add(pieceKey);
-              placedPieces.push({
-                row: cell.piece.anchorRow,
-                col: cell.piece.anchorCol,
-                shapeId: cell.piece.shapeId,
-                rarity: cell.piece.rarity,
-                level: cell.piece.level,
-                rotation: cell.piece.rotation
-              });
-            }
+          // Only store each piece once (at its anchor position)
+          if (!seenPieces.has(pieceKey)) {
+            seenPieces.add(pieceKey);
+            placedPieces.push({
+              row: cell.piece.anchorRow,
+              col: cell.piece.anchorCol,
+              shapeId: cell.piece.shapeId,
+              rarity: cell.piece.rarity,
+              level: cell.piece.level,
+              rotation: cell.piece.rotation
+            });
           }
-        });
+        }
       });
+    });
+
+    // Optimized inventory: Only store non-null items with their slot index
+    const inventoryItems = inventory
+      .map((item, index) => item ? {
+        slot: index,
+        shapeId: item.shapeId,
+        rarity: item.rarity,
+        level: item.level
+      } : null)
+      .filter(item => item !== null);
 
-      // Optimized inventory: Only store non-null items with their slot index
-      const inventoryItems = inventory
-        .map((item, index) => item ? {
-          slot: index,
-          shapeId: item.shapeId,
-          rarity: item.rarity,
-          level: item.level
-        } : null)
-        .filter(item => item !== null);
+    return {
+      name: buildName || 'Unnamed Build',
+      weaponId: selectedWeapon?.id,
+      pieces: placedPieces,
+      inventory: inventoryItems
+    };
+  };
 
-      const buildData = {
-        name: buildName || 'Unnamed Build',
-        weaponId: selectedWeapon?.id,
-        pieces: placedPieces,
-        inventory: inventoryItems
-      };
+  const handleShareBuild = async () => {
+    try {
+      setSharing(true);
+      setShareError(null);
+
+      const buildData = getShareData();
 
       logger.debug('Sharing build', {
         name: buildData.name,
@@ -4391,19 +4164,26 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
         inventoryItems: inventory.filter(i => i !== null).length
       });
 
-      const configResponse = await fetch('/wiki-config.json');
-      const config = await configResponse.json();
-      const owner = config.wiki.repository.owner;
-      const repo = config.wiki.repository.repo;
+      const baseURL = window.location.origin + window.location.pathname;
+      let shareURL;
 
-      // Save build and get checksum (returns string, not object)
-      const checksum = await saveSharedBuild(owner, repo, 'soul-weapon-engraving', buildData);
+      // Compact share code (works offline); fall back to the share service
+      try {
+        shareURL = generateShareCodeUrl(baseURL, 'soul-weapon-engraving', buildData);
+      } catch (codeError) {
+        logger.warn('Share code unavailable, using share service', { error: codeError });
 
-      logger.debug('Generated checksum', { checksum });
+        const configResponse = await fetch('/wiki-config.json');
+        const config = await configResponse.json();
+        const owner = config.wiki.repository.owner;
+        const repo = config.wiki.repository.repo;
 
-      // Generate share URL
-      const baseURL = window.location.origin + window.location.pathname;
-      const shareURL = generateShareUrl(baseURL, 'soul-weapon-engraving', checksum);
+        // Save build and get checksum (returns string, not object)
+        const checksum = await saveSharedBuild(owner, repo, 'soul-weapon-engraving', buildData);
+        logger.debug('Generated checksum', { checksum });
+
+        shareURL = generateShareUrl(baseURL, 'soul-weapon-engraving', checksum);
+      }
 
       await navigator.clipboard.writeText(shareURL);
       setCopied(true);
@@ -4574,6 +4354,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
               }
             });
 
+            resetHistory();
             setGridState(newGrid);
           }
         } else if (data.gridState) {
@@ -4587,6 +4368,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
               } : null
             }))
           );
+          resetHistory();
           setGridState(deserializedGridState);
         }
 
@@ -4838,6 +4620,16 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
               <span>Export</span>
             </button>
 
+            <ExportImageButton
+              name={buildName}
+              getCard={(layout) => createBuildCard('engraving-builds', { name: buildName, weaponName: selectedWeapon?.name, gridState }, { layout })}
+            />
+
+            <PublishBuildButton
+              type="soul-weapon-engraving"
+              getShareData={getShareData}
+            />
+
             <label className="flex items-center justify-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors cursor-pointer whitespace-nowrap">
               <Upload className="w-4 h-4 flex-shrink-0 text-purple-600 dark:text-purple-400" />
               <span>Import</span>
@@ -4857,6 +4649,8 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
               <span>Clear</span>
             </button>
 
+            <UndoRedoControls onUndo={undo} onRedo={redo} canUndo={canUndo} canRedo={canRedo} />
+
             {/* Grid Scale Control - Hidden for now (may show again later) */}
             {false && (
               <div className="flex items-center gap-3 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg">
@@ -4938,7 +4732,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
                 const gridData = weapons.find(gw => gw.name === selectedWeapon.name);
                 let description = '';
                 if (gridData) {
-                  description = `${gridData.gridType} Grid • ATK +${gridData.completionEffect.atk}% HP +${gridData.completionEffect.hp}%`;
+                  description = `${gridData.gridType} Grid • ATK +${gridData.completionEffect.atk}% HP +${gridData.completionEffect.hp}%${isConsensusVerified(gridData) ? ' • ✓ Community Verified' : ''}`;
                 } else if (weaponsWithSubmissions.has(selectedWeapon.name)) {
                   description = 'Community Entry (Unverified)';
                 } else {
@@ -4958,7 +4752,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
                 const gridData = weapons.find(gw => gw.name === weapon.name);
                 let description = '';
                 if (gridData) {
-                  description = `${gridData.gridType} Grid • ATK +${gridData.completionEffect.atk}% HP +${gridData.completionEffect.hp}%`;
+                  description = `${gridData.gridType} Grid • ATK +${gridData.completionEffect.atk}% HP +${gridData.completionEffect.hp}%${isConsensusVerified(gridData) ? ' • ✓ Community Verified' : ''}`;
                 } else if (weaponsWithSubmissions.has(weapon.name)) {
                   description = 'Community Entry (Unverified)';
                 } else {
@@ -5103,7 +4897,7 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
               <>
                 <div className="mt-2 p-2 bg-yellow-100 dark:bg-yellow-900/20 border border-yellow-300 dark:border-yellow-700 rounded text-sm text-yellow-800 dark:text-yellow-200">
                   ⚠️ {existingSubmissions.length} submission(s) already exist for this weapon.
-                  Showing the primary layout (first submission).
+                  Showing the community consensus layout.
                 </div>
                 <button
                   onClick={() => setForceDesignMode(false)}
@@ -5327,6 +5121,20 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
           </div>
         )}
 
+        {/* Community Consensus */}
+        {!weaponHasGridData() && gridConsensus && (
+          <GridConsensusPanel
+            consensus={gridConsensus}
+            selectedSignature={currentSubmissionMeta ? getLayoutSignature(currentSubmissionMeta) : null}
+            onSelectLayout={handleSelectConsensusLayout}
+            canPromote={canPromoteGrid}
+            onPromote={handlePromoteGridConsensus}
+            promoting={promotingGrid}
+            promotionResult={gridPromotionResult}
+            promotionError={gridPromotionError}
+          />
+        )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
         {/* Grid Display */}
         <div
@@ -5334,9 +5142,21 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
           className="bg-white dark:bg-gray-900 rounded-lg p-2 sm:p-6 border border-gray-200 dark:border-gray-800 shadow-sm"
         >
           <div className="flex items-center justify-between mb-4">
-            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
-              Engraving Grid
-            </h2>
+            <div className="flex items-center gap-2">
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                Engraving Grid
+              </h2>
+              {/* Verified badge - grid promoted from community consensus */}
+              {isConsensusVerified(selectedWeapon) && (
+                <span
+                  className="inline-flex items-center gap-1 px-2 py-0.5 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 border border-green-300 dark:border-green-700 rounded-full text-xs font-semibold"
+                  title={`Verified from ${selectedWeapon.verification.agreeingSubmissions}/${selectedWeapon.verification.totalSubmissions} matching community submissions`}
+                >
+                  <CheckCircle2 className="w-3 h-3" />
+                  Verified
+                </span>
+              )}
+            </div>
             <div className="flex items-center gap-2">
               {/* Debug badge - only in development */}
               {import.meta.env.DEV && debugMode && (
@@ -5346,17 +5166,37 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
               )}
               {/* Auto-Solve Button */}
               <button
-                onClick={handleAutoSolve}
-                disabled={isSolving || inventory.filter(p => p !== null).length === 0}
+                onClick={isSolving ? handleCancelSolve : handleAutoSolve}
+                disabled={!isSolving && (isFindingBestWeapon || inventory.filter(p => p !== null).length === 0)}
                 className="flex items-center gap-1.5 px-3 py-1.5 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
-                title="Find all possible complete solutions"
+                title={isSolving ? 'Cancel auto-solve' : 'Find all possible complete solutions'}
               >
                 {isSolving ? (
                   <Loader className="w-4 h-4 animate-spin" />
                 ) : (
                   <Zap className="w-4 h-4" />
                 )}
-                <span className="hidden sm:inline">{isSolving ? 'Solving...' : 'Auto-Solve'}</span>
+                <span className="hidden sm:inline">{isSolving ? 'Cancel' : 'Auto-Solve'}</span>
+              </button>
+              {/* Stat Optimizer Button */}
+              <button
+                onClick={handleOpenOptimizer}
+                disabled={isSolving || isFindingBestWeapon || inventory.filter(p => p !== null).length === 0}
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                title="Find the layout with the highest ATK/HP, including partial layouts"
+              >
+                <TrendingUp className="w-4 h-4" />
+                <span className="hidden sm:inline">Optimize</span>
+              </button>
+              {/* Chaos Soul Simulator Button */}
+              <button
+                onClick={() => setShowChaosSimulator(true)}
+                disabled={weapons.length === 0}
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-fuchsia-600 hover:bg-fuchsia-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                title="Estimate how many Chaos Souls it takes to complete a grid"
+              >
+                <Dices className="w-4 h-4" />
+                <span className="hidden sm:inline">Chaos Soul</span>
               </button>
               {/* Clear Grid Button */}
               <button
@@ -5371,6 +5211,16 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
             </div>
           </div>
 
+          {/* Auto-Solve Progress */}
+          {isSolving && solveProgress && (
+            <div className="mb-3 flex items-center gap-2 text-xs text-purple-700 dark:text-purple-300">
+              <Loader className="w-3 h-3 animate-spin" />
+              <span>
+                Solving... {solveProgress.placementsTried.toLocaleString()} placements tried • {solveProgress.solutionsFound} solution{solveProgress.solutionsFound !== 1 ? 's' : ''} found
+              </span>
+            </div>
+          )}
+
           {/* Debug Info Panel - only in development */}
           {import.meta.env.DEV && debugMode && draggingPiece && (
             <div className="mb-4 p-3 bg-black/90 border-2 border-yellow-400 rounded-lg text-xs font-mono text-yellow-400">
@@ -5874,22 +5724,35 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
               </select>
 
               <button
-                onClick={handleFindBestWeapon}
-                disabled={isFindingBestWeapon || inventory.filter(p => p !== null).length === 0}
+                onClick={isFindingBestWeapon ? handleCancelSolve : handleFindBestWeapon}
+                disabled={!isFindingBestWeapon && (isSolving || inventory.filter(p => p !== null).length === 0)}
                 className="flex items-center gap-1.5 px-2 sm:px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded-lg text-xs sm:text-sm font-medium transition-colors whitespace-nowrap"
-                title="Find the best weapon for your current inventory"
+                title={isFindingBestWeapon ? 'Cancel best weapon search' : 'Find the best weapon for your current inventory'}
               >
                 {isFindingBestWeapon ? (
                   <Loader className="w-4 h-4 animate-spin" />
                 ) : (
                   <CheckCircle className="w-4 h-4" />
                 )}
-                <span className="hidden xs:inline sm:inline">{isFindingBestWeapon ? 'Finding...' : 'Best Weapon'}</span>
-                <span className="xs:hidden sm:hidden">{isFindingBestWeapon ? '...' : 'Best'}</span>
+                <span className="hidden xs:inline sm:inline">{isFindingBestWeapon ? 'Cancel' : 'Best Weapon'}</span>
+                <span className="xs:hidden sm:hidden">{isFindingBestWeapon ? 'Stop' : 'Best'}</span>
               </button>
             </div>
           </div>
 
+          {/* Best Weapon Search Progress */}
+          {isFindingBestWeapon && solveProgress && (
+            <div className="mb-3 flex items-center gap-2 text-xs text-blue-700 dark:text-blue-300">
+              <Loader className="w-3 h-3 animate-spin" />
+              <span>
+                {solveProgress.weaponName
+                  ? `Testing ${solveProgress.weaponName} (${solveProgress.weaponIndex + 1}/${solveProgress.weaponCount})`
+                  : 'Loading weapon grids...'}
+                {' • '}{solveProgress.placementsTried.toLocaleString()} placements tried • {solveProgress.solutionsFound} solution{solveProgress.solutionsFound !== 1 ? 's' : ''} found
+              </span>
+            </div>
+          )}
+
           <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
             Drag pieces onto the grid to place them. Click level to edit or scroll to adjust.
           </p>
@@ -6357,6 +6220,31 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
         </div>
       )}
 
+      {/* Stat Optimizer Modal */}
+      <EngravingOptimizerModal
+        isOpen={showOptimizer}
+        onClose={() => setShowOptimizer(false)}
+        weapon={selectedWeapon}
+        grid={optimizerGrid}
+        pieces={optimizerPieces}
+        onApply={handleApplyOptimizedLayout}
+        getRarityColor={getRarityColor}
+        getRarityName={getRarityName}
+      />
+
+      {/* Chaos Soul Simulator Modal */}
+      <ChaosSoulSimulatorModal
+        isOpen={showChaosSimulator}
+        onClose={() => setShowChaosSimulator(false)}
+        weapons={weapons}
+        defaultWeaponName={selectedWeapon?.name}
+        pieces={inventory.filter(p => p !== null)}
+        shapes={engravings}
+        rarityTiers={rarityTiers}
+        getRarityColor={getRarityColor}
+        getRarityName={getRarityName}
+      />
+
       {/* Auto-Solve Solution Picker Modal */}
       {showSolutionPicker && autoSolveSolutions.length > 0 && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-0 md:p-4 z-50">
@@ -6367,16 +6255,31 @@ const SoulWeaponEngravingBuilder = forwardRef(({ isModal = false, initialBuild =
                 <Zap className="w-5 h-5 md:w-6 md:h-6" />
                 <div>
                   <h2 className="text-lg md:text-xl font-bold">Auto-Solve Solutions</h2>
-                  <p className="text-xs md:text-sm text-purple-100">Found {autoSolveSolutions.length} complete layout{autoSolveSolutions.length !== 1 ? 's' : ''}</p>
+                  <p className="text-xs md:text-sm text-purple-100">
+                    Found {autoSolveSolutions.length} complete layout{autoSolveSolutions.length !== 1 ? 's' : ''}
+                    {isSolving && solveProgress && ` so far (${solveProgress.placementsTried.toLocaleString()} placements tried)`}
+                  </p>
                 </div>
               </div>
-              <button
-                onClick={() => setShowSolutionPicker(false)}
-                className="p-1 hover:bg-purple-700 rounded transition-colors"
-                title="Close"
-              >
-                <X className="w-6 h-6" />
-              </button>
+              <div className="flex items-center gap-2">
+                {isSolving && (
+                  <button
+                    onClick={handleCancelSolve}
+                    className="flex items-center gap-1.5 px-3 py-1.5 bg-purple-700 hover:bg-purple-800 rounded-lg text-sm font-medium transition-colors"
+                    title="Stop searching and keep the solutions found so far"
+                  >
+                    <Loader className="w-4 h-4 animate-spin" />
+                    Stop
+                  </button>
+                )}
+                <button
+                  onClick={handleCloseSolutionPicker}
+                  className="p-1 hover:bg-purple-700 rounded transition-colors"
+                  title="Close"
+                >
+                  <X className="w-6 h-6" />
+                </button>
+              </div>
             </div>
 
             {/* Solution Grid */}
@@ -5,15 +5,22 @@ import SpiritSelector from './SpiritSelector';
 import SavedSpiritBuildsPanel from './SavedSpiritBuildsPanel';
 import SavedSpiritsGallery from './SavedSpiritsGallery';
 import ValidatedInput from './ValidatedInput';
+import UndoRedoControls from './UndoRedoControls';
+import ExportImageButton from './ExportImageButton';
+import PublishBuildButton from './PublishBuildButton';
 import { encodeBuild, decodeBuild } from '../../wiki-framework/src/components/wiki/BuildEncoder';
 import { useAuthStore } from '../../wiki-framework/src/store/authStore';
 import { useConfigStore } from '../../wiki-framework/src/store/configStore';
 import { setCache, getCache } from '../utils/buildCache';
 import { saveBuild as saveSharedBuild, loadBuild as loadSharedBuild, generateShareUrl } from '../../wiki-framework/src/services/github/buildShare';
 import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { useUndoHistory } from '../hooks/useUndoHistory';
 import { getSaveDataEndpoint, getLoadDataEndpoint } from '../utils/apiEndpoints.js';
 import { serializeBuild, deserializeBuild, serializeBuildForSharing } from '../utils/spiritSerialization';
 import { validateBuildName, STRING_LIMITS } from '../utils/validation';
+import { decodeShareCode, generateShareCodeUrl } from '../utils/shareCodes';
+import { createBuildCard } from '../utils/buildCard';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 import { queueAchievementCheck } from '../../wiki-framework/src/services/achievements/achievementQueue.js';
 
@@ -92,6 +99,16 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     serializedDraft
   );
 
+  // Undo/redo for slot and level changes; stepping back to the last saved state clears the unsaved flag
+  const { undo, redo, canUndo, canRedo, resetHistory, markSaved } = useUndoHistory(
+    { build },
+    (snapshot, { isSaved }) => {
+      setBuild(snapshot.build);
+      setHasUnsavedChanges(!isSaved);
+    },
+    { enabled: !loading }
+  );
+
   // Load spirits data
   useEffect(() => {
     loadSpirits();
@@ -122,25 +139,32 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
 
     const urlParams = new URLSearchParams(window.location.hash.split('?')[1]);
     const shareChecksum = urlParams.get('share');
+    const shareCode = urlParams.get('code');
     const encodedBuild = urlParams.get('data');
     const buildId = urlParams.get('build');
 
-    // Load from new share system (short URL)
-    if (shareChecksum) {
+    // Load from share code or share system (short URL)
+    if (shareCode || shareChecksum) {
       const loadFromSharedUrl = async () => {
         try {
           setLoading(true);
-          logger.info('Loading shared build', { shareChecksum });
+          logger.info('Loading shared build', { shareChecksum, shareCode });
 
-          const configResponse = await fetch('/wiki-config.json');
-          const config = await configResponse.json();
-          const owner = config.wiki.repository.owner;
-          const repo = config.wiki.repository.repo;
+          let buildData;
+          if (shareCode) {
+            buildData = decodeShareCode(shareCode);
+          } else {
+            const configResponse = await fetch('/wiki-config.json');
+            const config = await configResponse.json();
+            const owner = config.wiki.repository.owner;
+            const repo = config.wiki.repository.repo;
 
-          const buildData = await loadSharedBuild(owner, repo, shareChecksum);
+            buildData = await loadSharedBuild(owner, repo, shareChecksum);
+          }
 
           if (buildData.type === 'spirit-builds') {
             const deserializedBuild = deserializeBuild(buildData.data, spirits, mySpirits);
+            resetHistory();
             setBuildName(buildData.data.name || '');
             setBuild({ slots: normalizeSlots(deserializedBuild.slots) });
             setHasUnsavedChanges(true);
@@ -176,10 +200,12 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
           const savedBuild = builds.find(b => b.id === buildId);
           if (savedBuild) {
             const deserializedBuild = deserializeBuild(savedBuild, spirits, mySpirits);
+            resetHistory();
             setBuildName(savedBuild.name || '');
             setBuild({ slots: normalizeSlots(deserializedBuild.slots) });
             setCurrentLoadedBuildId(buildId);
             setHasUnsavedChanges(false);
+            markSaved();
             setHasLoadedInitialData(true);
             logger.info('Saved build loaded successfully', { buildName: savedBuild.name });
           } else {
@@ -200,6 +226,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       try {
         const decodedBuild = decodeBuild(encodedBuild);
         if (decodedBuild) {
+          resetHistory();
           setBuildName(decodedBuild.name || '');
 
           // Deserialize build (convert spirit IDs back to full spirit objects)
@@ -226,6 +253,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
             spiritId: s.spiritId
           }))
         });
+        resetHistory();
         setBuildName(draft.buildName || '');
 
         // Deserialize build to ensure spirit objects are current
@@ -248,7 +276,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
         setHasLoadedInitialData(true);
       }
     }
-  }, [spirits, mySpiritsLoaded, isAuthenticated, user?.id, isModal, loadDraft]);
+  }, [spirits, mySpiritsLoaded, isAuthenticated, user?.id, isModal, loadDraft, resetHistory, markSaved]);
 
   // Load initial build in modal mode
   useEffect(() => {
@@ -268,6 +296,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       mySpiritsCount: mySpirits.length
     });
 
+    resetHistory();
     setBuildName(initialBuild.name || 'My Spirit Build');
 
     // Deserialize build to ensure spirit objects are current
@@ -280,8 +309,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
 
   const loadSpirits = async () => {
     try {
-      const response = await fetch('/data/spirit-characters.json');
-      const data = await response.json();
+      const data = await loadGameData('spirits');
       setSpirits(data.spirits);
     } catch (error) {
       logger.error('Failed to load spirits', { error });
@@ -511,6 +539,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       }
       if (!hasContent && hasUnsavedChanges) {
         setHasUnsavedChanges(false);
+        markSaved();
       } else if (hasContent && !hasUnsavedChanges) {
         setHasUnsavedChanges(true);
       }
@@ -531,7 +560,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
         setHasUnsavedChanges(true);
       }
     }
-  }, [buildName, build, savedBuilds, isAuthenticated, hasUnsavedChanges]);
+  }, [buildName, build, savedBuilds, isAuthenticated, hasUnsavedChanges, markSaved]);
 
   // Handle slot actions
   const handleSelectSlot = (index) => {
@@ -847,7 +876,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     // Use functional setState to get the latest state
     setBuild(prevBuild => {
       const newSlots = [...prevBuild.slots];
-      newSlots[index].level = newLevel;
+      newSlots[index] = { ...newSlots[index], level: newLevel };
       updatedSlots = newSlots;
       return { slots: newSlots };
     });
@@ -864,7 +893,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     // Use functional setState to get the latest state
     setBuild(prevBuild => {
       const newSlots = [...prevBuild.slots];
-      newSlots[index].awakeningLevel = newAwakeningLevel;
+      newSlots[index] = { ...newSlots[index], awakeningLevel: newAwakeningLevel };
       updatedSlots = newSlots; // Capture for collection update
       return { slots: newSlots };
     });
@@ -881,7 +910,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     // Use functional setState to get the latest state
     setBuild(prevBuild => {
       const newSlots = [...prevBuild.slots];
-      newSlots[index].evolutionLevel = newEvolution;
+      newSlots[index] = { ...newSlots[index], evolutionLevel: newEvolution };
       updatedSlots = newSlots;
       return { slots: newSlots };
     });
@@ -898,7 +927,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     // Use functional setState to get the latest state
     setBuild(prevBuild => {
       const newSlots = [...prevBuild.slots];
-      newSlots[index].skillEnhancementLevel = newSkillEnhancement;
+      newSlots[index] = { ...newSlots[index], skillEnhancementLevel: newSkillEnhancement };
       updatedSlots = newSlots;
       return { slots: newSlots };
     });
@@ -1026,6 +1055,12 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     }
   };
 
+  // Share data (collection spirits converted to base format), used by Share and Publish
+  const getShareData = () => ({
+    name: buildName,
+    slots: serializeBuildForSharing(build).slots
+  });
+
   // Share build
   const handleShareBuild = async () => {
     try {
@@ -1034,26 +1069,28 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
 
       logger.debug('Generating share URL');
 
-      const configResponse = await fetch('/wiki-config.json');
-      const config = await configResponse.json();
-      const owner = config.wiki.repository.owner;
-      const repo = config.wiki.repository.repo;
+      const buildData = getShareData();
 
-      // Serialize build for sharing (convert collection spirits to base format)
-      const serializedBuild = serializeBuildForSharing(build);
-      const buildData = {
-        name: buildName,
-        slots: serializedBuild.slots
-      };
+      const baseURL = window.location.origin + window.location.pathname;
+      let shareURL;
 
-      // Save build and get checksum
-      const checksum = await saveSharedBuild(owner, repo, 'spirit-builds', buildData);
+      // Compact share code (works offline); fall back to the share service, then to a ?data= link
+      try {
+        shareURL = generateShareCodeUrl(baseURL, 'spirit-builds', buildData);
+      } catch (codeError) {
+        logger.warn('Share code unavailable, using share service', { error: codeError });
 
-      logger.debug('Generated checksum', { checksum });
+        const configResponse = await fetch('/wiki-config.json');
+        const config = await configResponse.json();
+        const owner = config.wiki.repository.owner;
+        const repo = config.wiki.repository.repo;
 
-      // Generate share URL
-      const baseURL = window.location.origin + window.location.pathname;
-      const shareURL = generateShareUrl(baseURL, 'spirit-builds', checksum);
+        // Save build and get checksum
+        const checksum = await saveSharedBuild(owner, repo, 'spirit-builds', buildData);
+        logger.debug('Generated checksum', { checksum });
+
+        shareURL = generateShareUrl(baseURL, 'spirit-builds', checksum);
+      }
 
       await navigator.clipboard.writeText(shareURL);
 
@@ -1075,7 +1112,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       logger.error('Failed to generate share URL', { error });
       setShareError(error.message || 'Failed to generate share URL');
 
-      // Fallback to old method if share service fails
+      // Last resort: the old ?data= link, which needs neither a share code nor the share service
       try {
         logger.warn('Falling back to old encoding method');
         const serializedBuild = serializeBuildForSharing(build);
@@ -1161,6 +1198,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     reader.onload = (e) => {
       try {
         const buildData = JSON.parse(e.target.result);
+        resetHistory();
         setBuildName(buildData.name || '');
 
         const deserializedBuild = deserializeBuild(buildData, spirits, mySpirits);
@@ -1199,6 +1237,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
     });
     setBuildName('');
     setHasUnsavedChanges(false);
+    markSaved();
     setCurrentLoadedBuildId(null);
     clearDraft(); // Clear localStorage draft
   };
@@ -1217,6 +1256,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       if (!confirmed) return;
     }
 
+    resetHistory();
     setBuildName(savedBuild.name);
 
     // Check if build is already deserialized (has spirit objects vs spiritId/mySpiritId)
@@ -1230,6 +1270,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
 
     setBuild({ slots: normalizeSlots(deserializedBuild.slots) });
     setHasUnsavedChanges(false); // Loaded from saved, no changes yet
+    markSaved();
     setCurrentLoadedBuildId(savedBuild.id);
 
     // Trigger donation prompt on successful load
@@ -1285,6 +1326,7 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
       setSavedBuilds(sortedBuilds);
       setSaveSuccess(true);
       setHasUnsavedChanges(false);
+      markSaved();
 
       // Find the saved build ID (it's the one with the matching name)
       const savedBuild = sortedBuilds.find(b => b.name === buildName);
@@ -1452,6 +1494,16 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
                 <span>Export</span>
               </button>
 
+              <ExportImageButton
+                name={buildName}
+                getCard={(layout) => createBuildCard('spirit-builds', { ...build, name: buildName }, { layout })}
+              />
+
+              <PublishBuildButton
+                type="spirit-builds"
+                getShareData={getShareData}
+              />
+
               <label className="flex items-center justify-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors cursor-pointer whitespace-nowrap">
                 <Upload className="w-4 h-4 flex-shrink-0 text-purple-600 dark:text-purple-400" />
                 <span>Import</span>
@@ -1470,6 +1522,8 @@ const SpiritBuilder = forwardRef(({ isModal = false, initialBuild = null, onSave
                 <Trash2 className="w-4 h-4 flex-shrink-0 text-red-600 dark:text-red-400" />
                 <span>Clear</span>
               </button>
+
+              <UndoRedoControls onUndo={undo} onRedo={redo} canUndo={canUndo} canRedo={canRedo} />
             </div>
             {/* Share Error Message */}
             {shareError && (
@@ -1,5 +1,7 @@
 import React from 'react';
 import SpiritSprite from './SpiritSprite';
+import { useGameDataIndex } from '../hooks/useGameData';
+import { findGameDataItem } from '../services/gameData';
 
 /**
  * SpiritCard component - Displays Spirit character information in a card format
@@ -23,49 +25,17 @@ import SpiritSprite from './SpiritSprite';
  * @param {boolean} inline - For compact mode: true (default) for inline, false for block-level
  */
 const SpiritCard = ({ id, name, spirit, mode = 'detailed', level = 0, inline = true }) => {
-  const [spiritData, setSpiritData] = React.useState(null);
-  const [loading, setLoading] = React.useState(true);
-  const [error, setError] = React.useState(null);
+  // Shared spirits index, so many cards on a page cost a single request
+  const { index: spiritIndex, loading: indexLoading, error: indexError } = useGameDataIndex(spirit ? null : 'spirits');
 
-  React.useEffect(() => {
-    // If spirit object provided directly, use it
-    if (spirit) {
-      setSpiritData(spirit);
-      setLoading(false);
-      return;
-    }
-
-    // Otherwise, fetch from spirit-characters.json
-    const loadSpirit = async () => {
-      try {
-        const response = await fetch('/data/spirit-characters.json');
-        if (!response.ok) {
-          throw new Error('Failed to load spirit data');
-        }
-        const data = await response.json();
-
-        // Find spirit by id or name
-        let foundSpirit;
-        if (id !== undefined) {
-          foundSpirit = data.spirits.find(s => s.id === parseInt(id));
-        } else if (name) {
-          foundSpirit = data.spirits.find(s => s.name.toLowerCase() === name.toLowerCase());
-        }
-
-        if (!foundSpirit) {
-          throw new Error(`Spirit not found: ${name || `ID ${id}`}`);
-        }
-
-        setSpiritData(foundSpirit);
-        setLoading(false);
-      } catch (err) {
-        setError(err.message);
-        setLoading(false);
-      }
-    };
-
-    loadSpirit();
-  }, [id, name, spirit]);
+  // Find spirit by id or name unless the spirit object was provided directly
+  const spiritData = spirit || findGameDataItem(spiritIndex, id !== undefined ? { id } : { name });
+  const loading = !spirit && indexLoading;
+  let error = null;
+  if (!spirit) {
+    if (indexError) error = 'Failed to load spirit data';
+    else if (spiritIndex && !spiritData) error = `Spirit not found: ${name || `ID ${id}`}`;
+  }
 
   if (loading) {
     return (
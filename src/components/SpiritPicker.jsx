@@ -3,6 +3,7 @@ import { createPortal } from 'react-dom';
 import { ChevronLeft, ChevronRight, X, AlignLeft, AlignCenter, AlignRight } from 'lucide-react';
 import SpiritSprite from './SpiritSprite';
 import SpiritCard from './SpiritCard';
+import { loadGameData } from '../services/gameData';
 
 /**
  * SpiritPicker Modal - Select a spirit to insert into markdown
@@ -44,11 +45,7 @@ const SpiritPicker = ({ isOpen, onClose, onSelect, renderPreview = null }) => {
     const loadSpirits = async () => {
       try {
         setLoading(true);
-        const response = await fetch('/data/spirit-characters.json');
-        if (!response.ok) {
-          throw new Error('Failed to load spirits');
-        }
-        const data = await response.json();
+        const data = await loadGameData('spirits');
         setSpirits(data.spirits || []);
         setLoading(false);
       } catch (err) {
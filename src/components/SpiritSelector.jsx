@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { X, Search } from 'lucide-react';
 import SpiritSprite from './SpiritSprite';
+import { loadGameData } from '../services/gameData';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('SpiritSelector');
@@ -38,8 +39,7 @@ const SpiritSelector = ({ isOpen, onClose, onSelectSpirit, currentBuild = null }
 
   const loadSpirits = async () => {
     try {
-      const response = await fetch('/data/spirit-characters.json');
-      const data = await response.json();
+      const data = await loadGameData('spirits');
       setSpirits(data.spirits);
     } catch (error) {
       logger.error('Failed to load spirits:', error);
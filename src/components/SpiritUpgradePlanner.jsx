@@ -0,0 +1,403 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Plus, Trash2, Loader, TrendingUp } from 'lucide-react';
+import { useAuthStore } from '../../wiki-framework/src/store/authStore';
+import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { getCache, setCache } from '../utils/buildCache';
+import { getLoadDataEndpoint } from '../utils/apiEndpoints.js';
+import { useSpiritsData } from '../hooks/useSpiritsData';
+import { deserializeBuild } from '../utils/spiritSerialization';
+import {
+  clampLevel,
+  getFactorCapLevel,
+  planSpiritUpgrades,
+  suggestUpgradeOrder
+} from '../utils/spiritUpgradePlanner';
+import { loadGameData } from '../services/gameData';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('SpiritUpgradePlanner');
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500';
+const formatNumber = (value) => Math.round(value).toLocaleString();
+const formatFactor = (value) => Number(value.toFixed(2)).toString();
+
+let nextEntryKey = 0;
+const createEntryKey = () => `spirit-${Date.now()}-${nextEntryKey++}`;
+
+/**
+ * SpiritUpgradePlanner Component
+ *
+ * Plans spirit level upgrades using spirit-upgrades.json
+ * Features:
+ * - Add spirits from My Spirits, a saved spirit build, or any spirit
+ * - Total Enhance Cube / Mana Crystal cost to reach target levels
+ * - ATK/HP factor gained per resource spent
+ * - Suggested upgrade order that maximizes factor gain within a budget
+ */
+const SpiritUpgradePlanner = () => {
+  const { isAuthenticated, user } = useAuthStore();
+  const { spiritsData } = useSpiritsData();
+  const [levels, setLevels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [mySpirits, setMySpirits] = useState([]);
+  const [spiritBuilds, setSpiritBuilds] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [budget, setBudget] = useState({ enhanceCubes: '', manaCrystal: '' });
+  const [manualSpiritId, setManualSpiritId] = useState('');
+  const [hasLoadedDraft, setHasLoadedDraft] = useState(false);
+
+  const { loadDraft } = useDraftStorage('spiritUpgradePlanner', user, false, { entries, budget });
+
+  // Load upgrade table
+  useEffect(() => {
+    const loadLevels = async () => {
+      try {
+        const data = await loadGameData('spiritUpgrades');
+        setLevels(data.spirits || []);
+      } catch (error) {
+        logger.error('Failed to load spirit upgrade data', { error });
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLevels();
+  }, []);
+
+  // Restore draft once
+  useEffect(() => {
+    if (hasLoadedDraft) return;
+    const draft = loadDraft();
+    if (draft) {
+      setEntries(Array.isArray(draft.entries) ? draft.entries : []);
+      if (draft.budget) setBudget(draft.budget);
+    }
+    setHasLoadedDraft(true);
+  }, [hasLoadedDraft, loadDraft]);
+
+  // Load my-spirits and spirit builds when authenticated
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id) return;
+
+    const loadMySpirits = async () => {
+      const cached = getCache('my_spirits', user.id);
+      if (cached && Array.isArray(cached)) {
+        setMySpirits(cached);
+        return;
+      }
+      try {
+        const response = await fetch(`${getLoadDataEndpoint()}?type=my-spirits&userId=${user.id}`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        const spiritsArray = Array.isArray(data.spirits) ? data.spirits : [];
+        setMySpirits(spiritsArray);
+        setCache('my_spirits', user.id, spiritsArray);
+      } catch (error) {
+        logger.error('Failed to load my-spirits collection', { error });
+      }
+    };
+
+    const loadSpiritBuilds = async () => {
+      try {
+        const response = await fetch(`${getLoadDataEndpoint()}?type=spirit-builds&userId=${user.id}`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        setSpiritBuilds(data.builds || []);
+      } catch (error) {
+        logger.error('Failed to load spirit builds', { error });
+      }
+    };
+
+    loadMySpirits();
+    loadSpiritBuilds();
+  }, [isAuthenticated, user?.id]);
+
+  const maxLevel = Math.max(0, levels.length - 1);
+  const factorCapLevel = useMemo(() => (levels.length > 0 ? getFactorCapLevel(levels) : 0), [levels]);
+
+  const createEntry = (spirit, currentLevel) => ({
+    key: createEntryKey(),
+    spiritId: spirit.id,
+    name: spirit.name,
+    image: spirit.image,
+    currentLevel: currentLevel || 1,
+    targetLevel: Math.max(currentLevel || 1, Math.min(factorCapLevel || maxLevel, (currentLevel || 1) + 10))
+  });
+
+  const addEntries = (newEntries) => {
+    if (newEntries.length === 0) return;
+    setEntries(prev => [...prev, ...newEntries]);
+  };
+
+  const handleAddMySpirits = () => {
+    addEntries(mySpirits
+      .map(mySpirit => {
+        const spirit = spiritsData.find(s => s.id === mySpirit.spiritId);
+        return spirit ? createEntry(spirit, mySpirit.level) : null;
+      })
+      .filter(Boolean));
+  };
+
+  const handleAddBuild = (buildId) => {
+    const savedBuild = spiritBuilds.find(b => b.id === buildId);
+    if (!savedBuild) return;
+    const build = deserializeBuild(savedBuild, spiritsData, mySpirits);
+    addEntries(build.slots
+      .filter(slot => slot?.spirit)
+      .map(slot => createEntry(slot.spirit, slot.level)));
+  };
+
+  const handleAddManual = () => {
+    const spirit = spiritsData.find(s => String(s.id) === manualSpiritId);
+    if (!spirit) return;
+    addEntries([createEntry(spirit, 1)]);
+    setManualSpiritId('');
+  };
+
+  const updateEntry = (key, field, value) => {
+    setEntries(prev => prev.map(entry => (
+      entry.key === key ? { ...entry, [field]: clampLevel(levels, value) } : entry
+    )));
+  };
+
+  const removeEntry = (key) => {
+    setEntries(prev => prev.filter(entry => entry.key !== key));
+  };
+
+  const plan = useMemo(() => (
+    levels.length > 0 ? planSpiritUpgrades(levels, entries) : null
+  ), [levels, entries]);
+
+  const suggestion = useMemo(() => (
+    levels.length > 0 && entries.length > 0 ? suggestUpgradeOrder(levels, entries, budget) : null
+  ), [levels, entries, budget]);
+
+  const entryNames = useMemo(() => (
+    Object.fromEntries(entries.map(entry => [entry.key, entry.name]))
+  ), [entries]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader className="w-8 h-8 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-950">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-800">
+        <div className="max-w-7xl mx-auto px-3 sm:px-4 py-4 sm:py-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <span>📈</span>
+            <span>Spirit Upgrade Planner</span>
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            Plan spirit level upgrades, total their Enhance Cube and Mana Crystal cost, and find the best upgrade order for your budget
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-3 sm:px-4 py-6 space-y-6">
+        {/* Add Spirits */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Add Spirits</h2>
+          <div className="flex flex-wrap items-center gap-2">
+            {isAuthenticated && (
+              <>
+                <button
+                  onClick={handleAddMySpirits}
+                  disabled={mySpirits.length === 0}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>My Spirits ({mySpirits.length})</span>
+                </button>
+                <select
+                  value=""
+                  onChange={(e) => handleAddBuild(e.target.value)}
+                  disabled={spiritBuilds.length === 0}
+                  className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+                >
+                  <option value="">From spirit build...</option>
+                  {spiritBuilds.map(build => (
+                    <option key={build.id} value={build.id}>{build.name}</option>
+                  ))}
+                </select>
+              </>
+            )}
+            <select
+              value={manualSpiritId}
+              onChange={(e) => setManualSpiritId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+            >
+              <option value="">Select spirit...</option>
+              {spiritsData.map(spirit => (
+                <option key={spirit.id} value={spirit.id}>{spirit.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleAddManual}
+              disabled={!manualSpiritId}
+              className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add</span>
+            </button>
+          </div>
+          {!isAuthenticated && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Sign in to add spirits from your collection or saved spirit builds.
+            </p>
+          )}
+        </div>
+
+        {/* Plan */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Upgrade Plan</h2>
+          {entries.length === 0 || !plan ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">No spirits added yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-1 pr-3">Spirit</th>
+                    <th className="py-1 pr-3">Current</th>
+                    <th className="py-1 pr-3">Target</th>
+                    <th className="py-1 pr-3 text-right">Enhance Cubes</th>
+                    <th className="py-1 pr-3 text-right">Mana Crystal</th>
+                    <th className="py-1 pr-3 text-right">ATK/HP Factor</th>
+                    <th className="py-1 pr-3 text-right">Factor / 1M Cubes</th>
+                    <th className="py-1"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry, idx) => {
+                    const planned = plan.entries[idx];
+                    return (
+                    <tr key={entry.key} className="border-b border-gray-100 dark:border-gray-800">
+                      <td className="py-1 pr-3 text-gray-900 dark:text-white whitespace-nowrap">
+                        <div className="flex items-center gap-2">
+                          {entry.image && <img src={entry.image} alt={entry.name} className="w-6 h-6 object-contain" />}
+                          <span>{entry.name}</span>
+                        </div>
+                      </td>
+                      <td className="py-1 pr-3 w-20">
+                        <input
+                          type="number"
+                          min="0"
+                          max={maxLevel}
+                          value={entry.currentLevel}
+                          onChange={(e) => updateEntry(entry.key, 'currentLevel', e.target.value)}
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="py-1 pr-3 w-20">
+                        <input
+                          type="number"
+                          min="0"
+                          max={maxLevel}
+                          value={entry.targetLevel}
+                          onChange={(e) => updateEntry(entry.key, 'targetLevel', e.target.value)}
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="py-1 pr-3 text-right text-gray-700 dark:text-gray-300">{formatNumber(planned.cost.enhanceCubes)}</td>
+                      <td className="py-1 pr-3 text-right text-gray-700 dark:text-gray-300">{formatNumber(planned.cost.manaCrystal)}</td>
+                      <td className="py-1 pr-3 text-right text-green-600 dark:text-green-400">+{formatFactor(planned.factorGain)}</td>
+                      <td className="py-1 pr-3 text-right text-gray-700 dark:text-gray-300">{formatFactor(planned.factorPerMillionCubes)}</td>
+                      <td className="py-1 text-right">
+                        <button
+                          onClick={() => removeEntry(entry.key)}
+                          className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+                          title="Remove"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                    );
+                  })}
+                </tbody>
+                <tfoot>
+                  <tr className="font-semibold text-gray-900 dark:text-white">
+                    <td className="py-2 pr-3" colSpan={3}>Total</td>
+                    <td className="py-2 pr-3 text-right">{formatNumber(plan.totalCost.enhanceCubes)}</td>
+                    <td className="py-2 pr-3 text-right">{formatNumber(plan.totalCost.manaCrystal)}</td>
+                    <td className="py-2 pr-3 text-right text-green-600 dark:text-green-400">+{formatFactor(plan.totalFactorGain)}</td>
+                    <td colSpan={2}></td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )}
+          {factorCapLevel > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              The ATK/HP factor stops increasing after level {factorCapLevel}; levels beyond it add no factor.
+            </p>
+          )}
+        </div>
+
+        {/* Budget & Suggested Order */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3 flex items-center gap-2">
+            <TrendingUp className="w-5 h-5 text-green-600 dark:text-green-400" />
+            <span>Suggested Upgrade Order</span>
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+            <label className="block text-sm text-gray-700 dark:text-gray-300">
+              Enhance Cube budget
+              <input
+                type="number"
+                min="0"
+                placeholder="Unlimited"
+                value={budget.enhanceCubes}
+                onChange={(e) => setBudget(prev => ({ ...prev, enhanceCubes: e.target.value }))}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="block text-sm text-gray-700 dark:text-gray-300">
+              Mana Crystal budget
+              <input
+                type="number"
+                min="0"
+                placeholder="Unlimited"
+                value={budget.manaCrystal}
+                onChange={(e) => setBudget(prev => ({ ...prev, manaCrystal: e.target.value }))}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          </div>
+
+          {!suggestion || suggestion.steps.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {entries.length === 0 ? 'Add spirits to get a suggestion.' : 'No upgrade fits this budget.'}
+            </p>
+          ) : (
+            <>
+              <ol className="space-y-1 text-sm">
+                {suggestion.steps.map((step, idx) => (
+                  <li key={idx} className="flex flex-wrap items-center gap-x-3 text-gray-700 dark:text-gray-300">
+                    <span className="font-semibold text-gray-900 dark:text-white">{idx + 1}. {entryNames[step.key]}</span>
+                    <span>Lv.{step.fromLevel} → Lv.{step.toLevel}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatNumber(step.cost.enhanceCubes)} cubes · {formatNumber(step.cost.manaCrystal)} crystal
+                    </span>
+                    <span className="text-green-600 dark:text-green-400">+{formatFactor(step.factorGain)}</span>
+                  </li>
+                ))}
+              </ol>
+              <div className="mt-3 text-sm text-gray-700 dark:text-gray-300">
+                Spends {formatNumber(suggestion.spent.enhanceCubes)} cubes and {formatNumber(suggestion.spent.manaCrystal)} crystal
+                for <span className="font-semibold text-green-600 dark:text-green-400">+{formatFactor(suggestion.totalFactorGain)}</span> ATK/HP factor.
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpiritUpgradePlanner;
@@ -0,0 +1,392 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Loader, Swords, AlertTriangle } from 'lucide-react';
+import { useAuthStore } from '../../wiki-framework/src/store/authStore';
+import { useDraftStorage } from '../../wiki-framework/src/hooks/useDraftStorage';
+import { loadBuild } from '../../wiki-framework/src/services/github/buildShare';
+import { getLoadDataEndpoint } from '../utils/apiEndpoints.js';
+import { deserializeLoadout } from '../utils/battleLoadoutSerializer';
+import { loadStatData, calculateLoadoutStats } from '../utils/loadoutStats';
+import { decodeShareCode } from '../utils/shareCodes';
+import { parseBuildReference } from '../utils/buildComparison';
+import { formatIdleAmount } from '../utils/idleIncome';
+import { useFormulaSet } from '../hooks/useFormulaSet';
+import { getLoadoutBonuses, applyLoadoutBonuses, evaluateStage, estimateProgress } from '../utils/stageReadiness';
+import { loadGameData } from '../services/gameData';
+import { loadStageIndex, loadStagesUntil } from '../services/stageData';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('StageReadinessEstimator');
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500';
+const formatSeconds = (value) => (Number.isFinite(value) ? `${Number(value.toFixed(1))}s` : '∞');
+const formatIncrease = (value) => (Number.isFinite(value) ? `+${Number(value.toFixed(1))}%` : 'n/a');
+const stageLabel = (stage) => [stage.region, stage.area].filter(Boolean).join(' · ');
+
+const STAT_FIELDS = [
+  { key: 'attack', label: 'ATK' },
+  { key: 'hp', label: 'HP' },
+  { key: 'attackSpeed', label: 'Attacks per second' },
+  { key: 'accuracy', label: 'Accuracy' }
+];
+
+/**
+ * StageReadinessEstimator Component
+ *
+ * Estimates the furthest stage a player can clear from the stage data
+ * Features:
+ * - Manual ATK/HP/attack speed/accuracy, optionally boosted by a battle loadout's stat sheet
+ * - Boss kill time and survival time at the furthest stage
+ * - First "wall" stage and the ATK, HP or accuracy that would pass it
+ * - Stage chunks are only loaded up to the wall
+ */
+const StageReadinessEstimator = () => {
+  const { isAuthenticated, user } = useAuthStore();
+  const { formulas, error: formulaError } = useFormulaSet('stage');
+  const [stageIndex, setStageIndex] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [baseStats, setBaseStats] = useState({ attack: '', hp: '', attackSpeed: '1', accuracy: '' });
+  const [fromStage, setFromStage] = useState('');
+  const [hasLoadedDraft, setHasLoadedDraft] = useState(false);
+
+  // Loadout stat source
+  const [savedLoadouts, setSavedLoadouts] = useState([]);
+  const [userBuilds, setUserBuilds] = useState({ skillBuilds: [], spiritBuilds: [], mySpirits: [] });
+  const [loadoutInput, setLoadoutInput] = useState('');
+  const [loadoutRef, setLoadoutRef] = useState('');
+  const [loadoutSheet, setLoadoutSheet] = useState(null);
+  const [loadoutName, setLoadoutName] = useState('');
+  const [loadoutError, setLoadoutError] = useState(null);
+  const [resolvingLoadout, setResolvingLoadout] = useState(false);
+
+  const { loadDraft } = useDraftStorage('stageReadinessEstimator', user, false, { baseStats, fromStage });
+
+  // Load stage index (chunks are loaded while estimating)
+  useEffect(() => {
+    const loadIndex = async () => {
+      try {
+        setStageIndex(await loadStageIndex());
+      } catch (error) {
+        logger.error('Failed to load stage data', { error });
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadIndex();
+  }, []);
+
+  // Restore draft once
+  useEffect(() => {
+    if (hasLoadedDraft) return;
+    const draft = loadDraft();
+    if (draft) {
+      if (draft.baseStats) setBaseStats(prev => ({ ...prev, ...draft.baseStats }));
+      if (draft.fromStage !== undefined) setFromStage(draft.fromStage);
+    }
+    setHasLoadedDraft(true);
+  }, [hasLoadedDraft, loadDraft]);
+
+  // Load saved loadouts (and the builds they reference) when authenticated
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id) return;
+
+    const loadUserData = async () => {
+      try {
+        const load = async (type) => {
+          const response = await fetch(`${getLoadDataEndpoint()}?type=${type}&userId=${user.id}`);
+          return response.ok ? response.json() : {};
+        };
+        const [loadouts, skillBuilds, spiritBuilds, mySpirits] = await Promise.all([
+          load('battle-loadouts'), load('skill-builds'), load('spirit-builds'), load('my-spirits')
+        ]);
+        setSavedLoadouts(loadouts.loadouts || []);
+        setUserBuilds({
+          skillBuilds: skillBuilds.builds || [],
+          spiritBuilds: spiritBuilds.builds || [],
+          mySpirits: mySpirits.spirits || []
+        });
+      } catch (error) {
+        logger.error('Failed to load saved loadouts', { error });
+      }
+    };
+
+    loadUserData();
+  }, [isAuthenticated, user?.id]);
+
+  // Resolve the selected loadout into a stat sheet
+  useEffect(() => {
+    const ref = parseBuildReference(loadoutRef);
+    if (!ref) {
+      setLoadoutSheet(null);
+      setLoadoutError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const resolveLoadout = async () => {
+      setResolvingLoadout(true);
+      try {
+        let data = savedLoadouts.find(loadout => loadout.id === ref) || null;
+        if (!data) {
+          let shared = null;
+          try {
+            shared = decodeShareCode(ref);
+          } catch (error) {
+            // Not a share code; look it up in the share service
+            const config = await fetch('/wiki-config.json').then(r => r.json());
+            shared = await loadBuild(config.wiki.repository.owner, config.wiki.repository.repo, ref);
+          }
+          if (!shared) throw new Error('Loadout not found');
+          if (shared.type !== 'battle-loadouts') throw new Error(`This is a shared ${shared.type} build, not a battle loadout`);
+          data = shared.data;
+        }
+
+        const [skills, spiritsData, shapesData, statData] = await Promise.all([
+          loadGameData('skills'),
+          loadGameData('spirits'),
+          loadGameData('engravings'),
+          loadStatData()
+        ]);
+        const loadout = deserializeLoadout(
+          data,
+          skills,
+          spiritsData.spirits || [],
+          userBuilds.mySpirits,
+          userBuilds.skillBuilds,
+          userBuilds.spiritBuilds,
+          shapesData.shapes || []
+        );
+
+        if (cancelled) return;
+        setLoadoutSheet(calculateLoadoutStats(loadout, statData));
+        setLoadoutName(loadout?.name || 'Loadout');
+        setLoadoutError(null);
+      } catch (error) {
+        logger.error('Failed to load loadout stats', { ref, error });
+        if (cancelled) return;
+        setLoadoutSheet(null);
+        setLoadoutError(error.message || 'Failed to load loadout');
+      } finally {
+        if (!cancelled) setResolvingLoadout(false);
+      }
+    };
+
+    resolveLoadout();
+    return () => {
+      cancelled = true;
+    };
+  }, [loadoutRef, savedLoadouts, userBuilds]);
+
+  const bonuses = useMemo(() => (loadoutSheet ? getLoadoutBonuses(loadoutSheet) : null), [loadoutSheet]);
+  const stats = useMemo(() => applyLoadoutBonuses(baseStats, bonuses), [baseStats, bonuses]);
+
+  // Estimate progress, loading stage chunks in order only up to the first wall
+  useEffect(() => {
+    if (!formulas || !stageIndex || stats.attack <= 0 || stats.hp <= 0) {
+      setProgress(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const start = Number(fromStage) || 1;
+    const hitsWall = (chunkStages) => chunkStages.some(stage => (
+      stage.stageNo >= start && !evaluateStage(stage, stats, formulas).cleared
+    ));
+
+    loadStagesUntil({ from: start }, hitsWall)
+      .then((stages) => {
+        if (!cancelled) setProgress(estimateProgress(stages, stats, formulas, { fromStage: start }));
+      })
+      .catch((error) => {
+        if (!cancelled) logger.error('Failed to load stage data', { error, fromStage: start });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [formulas, stageIndex, stats, fromStage]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader className="w-8 h-8 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
+  const timeLimit = formulas?.constants.bossTimeLimit;
+  const { furthestStage, furthestResult, wall, wallResult, requirements } = progress || {};
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-950">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-800">
+        <div className="max-w-7xl mx-auto px-3 sm:px-4 py-4 sm:py-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <span>🏔️</span>
+            <span>Stage Readiness</span>
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            Estimate the furthest stage your stats can clear, how long the boss takes, and what it takes to pass the next wall
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-3 sm:px-4 py-6 space-y-6">
+        {formulaError && (
+          <p className="text-sm text-red-600 dark:text-red-400">{formulaError}</p>
+        )}
+
+        {/* Stats */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Your Stats</h2>
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+            {STAT_FIELDS.map(field => (
+              <label key={field.key} className="block text-sm text-gray-700 dark:text-gray-300">
+                {field.label}
+                <input
+                  type="number"
+                  min="0"
+                  value={baseStats[field.key]}
+                  onChange={(e) => setBaseStats(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+            ))}
+            <label className="block text-sm text-gray-700 dark:text-gray-300">
+              Start at stage
+              <input
+                type="number"
+                min="1"
+                placeholder="1"
+                value={fromStage}
+                onChange={(e) => setFromStage(e.target.value)}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          </div>
+
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white mt-4 mb-2">Loadout bonuses (optional)</h3>
+          <div className="flex flex-wrap items-center gap-2">
+            {isAuthenticated && (
+              <select
+                value={savedLoadouts.some(loadout => loadout.id === loadoutRef) ? loadoutRef : ''}
+                onChange={(e) => {
+                  setLoadoutRef(e.target.value);
+                  setLoadoutInput('');
+                }}
+                disabled={savedLoadouts.length === 0}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+              >
+                <option value="">Saved loadout...</option>
+                {savedLoadouts.map(loadout => (
+                  <option key={loadout.id} value={loadout.id}>{loadout.name}</option>
+                ))}
+              </select>
+            )}
+            <input
+              type="text"
+              value={loadoutInput}
+              onChange={(e) => setLoadoutInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && setLoadoutRef(loadoutInput)}
+              placeholder="Loadout share code or link"
+              className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+            />
+            <button
+              onClick={() => setLoadoutRef(loadoutInput)}
+              disabled={!loadoutInput.trim()}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              Apply
+            </button>
+            {loadoutRef && (
+              <button
+                onClick={() => {
+                  setLoadoutRef('');
+                  setLoadoutInput('');
+                }}
+                className="px-3 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+              >
+                Clear
+              </button>
+            )}
+            {resolvingLoadout && <Loader className="w-4 h-4 text-blue-600 animate-spin" />}
+          </div>
+          {loadoutError && <p className="text-xs text-red-600 dark:text-red-400 mt-2">{loadoutError}</p>}
+          {bonuses && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              {loadoutName}: +{formatIdleAmount(bonuses.flatAttack)} ATK, ×{Number(bonuses.attackMultiplier.toFixed(2))} ATK,
+              ×{Number(bonuses.hpMultiplier.toFixed(2))} HP, +{bonuses.attackSpeedPercent}% ATK SPD, +{bonuses.accuracy} accuracy,
+              {' '}{bonuses.skillDamage}% ATK/s from skills. Effective ATK {formatIdleAmount(stats.attack)}, HP {formatIdleAmount(stats.hp)}.
+              {loadoutSheet.usesEstimates && ' Includes estimated values.'}
+            </p>
+          )}
+        </div>
+
+        {/* Result */}
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-800 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3 flex items-center gap-2">
+            <Swords className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+            <span>Estimate</span>
+          </h2>
+          {!progress ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">Enter your ATK and HP to get an estimate.</p>
+          ) : (
+            <div className="space-y-4 text-sm text-gray-700 dark:text-gray-300">
+              {furthestStage ? (
+                <div>
+                  <div className="text-gray-900 dark:text-white">
+                    Furthest stage: <span className="text-xl font-bold text-green-600 dark:text-green-400">{furthestStage.stageNo}</span>
+                    {stageLabel(furthestStage) && <span className="text-gray-500 dark:text-gray-400"> · {stageLabel(furthestStage)}</span>}
+                  </div>
+                  <div className="mt-1">
+                    Boss kill {formatSeconds(furthestResult.bossKillTime)} · survive {formatSeconds(furthestResult.survivalTime)} ·
+                    {' '}wave clear {formatSeconds(furthestResult.waveClearTime)} · hit chance {Math.round(furthestResult.hitChance * 100)}%
+                  </div>
+                </div>
+              ) : (
+                <p className="text-gray-900 dark:text-white">These stats can't clear the first stage checked.</p>
+              )}
+
+              {wall ? (
+                <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800">
+                  <div className="flex items-center gap-2 font-semibold text-amber-700 dark:text-amber-300">
+                    <AlertTriangle className="w-4 h-4" />
+                    <span>Wall at stage {wall.stageNo}{stageLabel(wall) && ` · ${stageLabel(wall)}`}</span>
+                  </div>
+                  <p className="mt-1">
+                    {wallResult.limitedBy === 'hp'
+                      ? `The boss kills you in ${formatSeconds(wallResult.survivalTime)} but needs ${formatSeconds(wallResult.bossKillTime)} to kill.`
+                      : `The boss needs ${formatSeconds(wallResult.bossKillTime)} to kill, over the ${timeLimit}s time limit.`}
+                  </p>
+                  <ul className="mt-2 space-y-1">
+                    {requirements.attack && (
+                      <li>ATK {formatIdleAmount(requirements.attack.required)} ({formatIncrease(requirements.attack.increasePercent)})</li>
+                    )}
+                    {requirements.hp && (
+                      <li>or HP {formatIdleAmount(requirements.hp.required)} ({formatIncrease(requirements.hp.increasePercent)})</li>
+                    )}
+                    {requirements.accuracy && (
+                      <li>
+                        {requirements.accuracy.passes ? 'or accuracy' : 'Accuracy'} {formatIdleAmount(requirements.accuracy.required)} for 100% hit chance
+                        {' '}({formatIncrease(requirements.accuracy.increasePercent)}){!requirements.accuracy.passes && ', not enough alone'}
+                      </li>
+                    )}
+                  </ul>
+                </div>
+              ) : (
+                <p className="text-green-600 dark:text-green-400 font-semibold">No wall: these stats clear every stage.</p>
+              )}
+            </div>
+          )}
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+            Estimate only: bosses must die within {timeLimit ?? '?'}s and before they kill you. Dodge, crits, skills without a loadout
+            and other effects are not modeled; the combat formulas live in the "stage" section of formulas.json.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StageReadinessEstimator;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Undo2, Redo2 } from 'lucide-react';
+
+const buttonClass = 'flex items-center justify-center gap-2 px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-colors whitespace-nowrap disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-white dark:disabled:hover:bg-gray-800';
+
+/**
+ * Undo/Redo Controls
+ * Toolbar buttons for builders using useUndoHistory
+ *
+ * @param {Function} onUndo - Undo handler
+ * @param {Function} onRedo - Redo handler
+ * @param {boolean} canUndo - Whether there is anything to undo
+ * @param {boolean} canRedo - Whether there is anything to redo
+ */
+const UndoRedoControls = ({ onUndo, onRedo, canUndo, canRedo }) => {
+  return (
+    <>
+      <button
+        onClick={onUndo}
+        disabled={!canUndo}
+        className={buttonClass}
+        title="Undo (Ctrl+Z)"
+        aria-label="Undo"
+      >
+        <Undo2 className="w-4 h-4 flex-shrink-0" />
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!canRedo}
+        className={buttonClass}
+        title="Redo (Ctrl+Shift+Z)"
+        aria-label="Redo"
+      >
+        <Redo2 className="w-4 h-4 flex-shrink-0" />
+      </button>
+    </>
+  );
+};
+
+export default UndoRedoControls;
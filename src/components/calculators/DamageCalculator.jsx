@@ -1,39 +1,43 @@
 import React, { useState } from 'react';
 import Button from '../../wiki-framework/src/components/common/Button';
+import { useFormulaSet } from '../../hooks/useFormulaSet';
 
+/**
+ * Damage Calculator
+ * Math comes from the "damage" section of formulas.json
+ */
 const DamageCalculator = () => {
+  const { formulas, error } = useFormulaSet('damage');
   const [attack, setAttack] = useState('');
   const [critDamage, setCritDamage] = useState('');
   const [critChance, setCritChance] = useState('');
   const [elementalBonus, setElementalBonus] = useState('');
   const [result, setResult] = useState(null);
+  const [calculationError, setCalculationError] = useState(null);
 
   const calculateDamage = () => {
-    const atk = parseFloat(attack) || 0;
-    const critDmg = parseFloat(critDamage) || 0;
-    const critCh = parseFloat(critChance) || 0;
-    const elemBonus = parseFloat(elementalBonus) || 0;
-
-    // Base damage
-    const baseDamage = atk;
-
-    // Critical multiplier (average damage considering crit chance)
-    const avgCritMultiplier = 1 + (critCh / 100) * (critDmg / 100);
-
-    // Elemental bonus
-    const elemMultiplier = 1 + (elemBonus / 100);
-
-    // Total average damage
-    const avgDamage = baseDamage * avgCritMultiplier * elemMultiplier;
-
-    // Max damage (full crit)
-    const maxDamage = baseDamage * (1 + critDmg / 100) * elemMultiplier;
+    if (!formulas) return;
+
+    let results;
+    try {
+      results = formulas.evaluateAll({
+        attack: parseFloat(attack) || 0,
+        critDamage: parseFloat(critDamage) || 0,
+        critChance: parseFloat(critChance) || 0,
+        elementalBonus: parseFloat(elementalBonus) || 0,
+      });
+    } catch (err) {
+      setCalculationError(`Damage formulas failed: ${err.message}`);
+      setResult(null);
+      return;
+    }
+    setCalculationError(null);
 
     setResult({
-      baseDamage: baseDamage.toFixed(0),
-      avgDamage: avgDamage.toFixed(0),
-      maxDamage: maxDamage.toFixed(0),
-      critMultiplier: avgCritMultiplier.toFixed(2),
+      baseDamage: results.baseDamage.toFixed(0),
+      avgDamage: results.averageDamage.toFixed(0),
+      maxDamage: results.maxDamage.toFixed(0),
+      critMultiplier: results.critMultiplier.toFixed(2),
     });
 
     // Trigger donation prompt on successful calculation
@@ -53,6 +57,7 @@ const DamageCalculator = () => {
     setCritChance('');
     setElementalBonus('');
     setResult(null);
+    setCalculationError(null);
   };
 
   return (
@@ -115,7 +120,7 @@ const DamageCalculator = () => {
       </div>
 
       <div className="flex gap-3">
-        <Button onClick={calculateDamage} className="flex-1">
+        <Button onClick={calculateDamage} className="flex-1" disabled={!formulas}>
           Calculate
         </Button>
         <Button onClick={reset} variant="secondary">
@@ -123,6 +128,10 @@ const DamageCalculator = () => {
         </Button>
       </div>
 
+      {(error || calculationError) && (
+        <p className="mt-4 text-sm text-red-600 dark:text-red-400">{error || calculationError}</p>
+      )}
+
       {result && (
         <div className="mt-6 p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg">
           <h3 className="font-semibold text-lg mb-3">Results</h3>
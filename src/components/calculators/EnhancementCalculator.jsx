@@ -1,28 +1,25 @@
 import React, { useState } from 'react';
 import Button from '../../wiki-framework/src/components/common/Button';
+import { useFormulaSet } from '../../hooks/useFormulaSet';
+import { getVariableOptions } from '../../utils/formulaEngine';
 
+/**
+ * Enhancement Cost Calculator
+ * Per-level gold cost comes from the "enhancement" section of formulas.json
+ */
 const EnhancementCalculator = () => {
+  const { formulas, error } = useFormulaSet('enhancement');
   const [currentLevel, setCurrentLevel] = useState('');
   const [targetLevel, setTargetLevel] = useState('');
   const [grade, setGrade] = useState('common');
   const [result, setResult] = useState(null);
+  const [calculationError, setCalculationError] = useState(null);
 
-  // Cost formulas (estimated based on common RPG patterns)
-  const calculateCost = (level, gradeMultiplier) => {
-    return Math.floor(100 * Math.pow(1.15, level) * gradeMultiplier);
-  };
-
-  const gradeMultipliers = {
-    common: 1,
-    advanced: 1.5,
-    rare: 2,
-    hero: 3,
-    legendary: 5,
-    mythic: 8,
-    immortal: 12,
-  };
+  const maxLevel = formulas?.constants.maxLevel;
 
   const calculate = () => {
+    if (!formulas) return;
+
     const current = parseInt(currentLevel) || 0;
     const target = parseInt(targetLevel) || 0;
 
@@ -31,17 +28,23 @@ const EnhancementCalculator = () => {
       return;
     }
 
-    if (target > 200) {
-      alert('Max level is 200');
+    if (target > maxLevel) {
+      alert(`Max level is ${maxLevel}`);
       return;
     }
 
-    const multiplier = gradeMultipliers[grade];
     let totalGold = 0;
 
-    for (let i = current; i < target; i++) {
-      totalGold += calculateCost(i, multiplier);
+    try {
+      for (let level = current; level < target; level++) {
+        totalGold += formulas.evaluate('goldCost', { level, grade });
+      }
+    } catch (err) {
+      setCalculationError(`Enhancement formulas failed: ${err.message}`);
+      setResult(null);
+      return;
     }
+    setCalculationError(null);
 
     setResult({
       levels: target - current,
@@ -74,13 +77,11 @@ const EnhancementCalculator = () => {
             onChange={(e) => setGrade(e.target.value)}
             className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500"
           >
-            <option value="common">Common</option>
-            <option value="advanced">Advanced</option>
-            <option value="rare">Rare</option>
-            <option value="hero">Hero</option>
-            <option value="legendary">Legendary</option>
-            <option value="mythic">Mythic</option>
-            <option value="immortal">Immortal</option>
+            {getVariableOptions(formulas?.section, 'grade').map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
           </select>
         </div>
 
@@ -95,7 +96,7 @@ const EnhancementCalculator = () => {
             className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500"
             placeholder="e.g., 50"
             min="0"
-            max="200"
+            max={maxLevel}
           />
         </div>
 
@@ -110,15 +111,19 @@ const EnhancementCalculator = () => {
             className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500"
             placeholder="e.g., 100"
             min="0"
-            max="200"
+            max={maxLevel}
           />
         </div>
       </div>
 
-      <Button onClick={calculate} className="w-full">
+      <Button onClick={calculate} className="w-full" disabled={!formulas}>
         Calculate Cost
       </Button>
 
+      {(error || calculationError) && (
+        <p className="mt-4 text-sm text-red-600 dark:text-red-400">{error || calculationError}</p>
+      )}
+
       {result && (
         <div className="mt-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg">
           <h3 className="font-semibold text-lg mb-3">Total Cost</h3>
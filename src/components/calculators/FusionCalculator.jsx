@@ -1,49 +1,53 @@
 import React, { useState } from 'react';
 import Button from '../../wiki-framework/src/components/common/Button';
+import { useFormulaSet } from '../../hooks/useFormulaSet';
+import { getVariableOptions } from '../../utils/formulaEngine';
 
+/**
+ * Fusion Calculator
+ * Fusion ratio and grade tiers come from the "fusion" section of formulas.json
+ */
 const FusionCalculator = () => {
+  const { formulas, error } = useFormulaSet('fusion');
   const [targetGrade, setTargetGrade] = useState('advanced');
   const [result, setResult] = useState(null);
+  const [calculationError, setCalculationError] = useState(null);
 
-  const grades = [
-    { id: 'common', name: 'Common', tier: 1 },
-    { id: 'advanced', name: 'Advanced', tier: 2 },
-    { id: 'rare', name: 'Rare', tier: 3 },
-    { id: 'hero', name: 'Hero', tier: 4 },
-    { id: 'legendary', name: 'Legendary', tier: 5 },
-    { id: 'mythic', name: 'Mythic', tier: 6 },
-    { id: 'immortal', name: 'Immortal', tier: 7 },
-  ];
+  const ratio = formulas?.constants.ratio;
+  const grades = getVariableOptions(formulas?.section, 'grade').map((option) => ({
+    id: option.value,
+    name: option.label,
+    tier: formulas.tables.gradeTiers[option.value],
+  }));
 
   const calculate = () => {
+    if (!formulas) return;
+
     const target = grades.find((g) => g.id === targetGrade);
     if (!target || target.tier === 1) {
       alert('Select a valid target grade');
       return;
     }
 
-    // Calculate items needed at each tier
-    // 5:1 fusion ratio means you need 5 items of tier N to get 1 item of tier N+1
-    const breakdown = [];
-    let currentTier = target.tier;
-    let quantity = 1;
-
-    while (currentTier > 1) {
-      const prevTier = currentTier - 1;
-      const prevGrade = grades.find((g) => g.tier === prevTier);
-      quantity *= 5;
-
-      breakdown.push({
-        grade: prevGrade.name,
-        quantity: quantity,
-      });
-
-      currentTier = prevTier;
+    // Items needed at each lower tier to fuse 1 item of the target grade
+    let breakdown;
+    try {
+      breakdown = grades
+        .filter((g) => g.tier < target.tier)
+        .map((g) => ({
+          grade: g.name,
+          quantity: formulas.evaluate('itemsNeeded', { grade: g.id, targetGrade }),
+        }));
+    } catch (err) {
+      setCalculationError(`Fusion formulas failed: ${err.message}`);
+      setResult(null);
+      return;
     }
+    setCalculationError(null);
 
     setResult({
       targetGrade: target.name,
-      breakdown: breakdown.reverse(),
+      breakdown,
     });
 
     // Trigger donation prompt on successful calculation
@@ -61,7 +65,7 @@ const FusionCalculator = () => {
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
       <h2 className="text-2xl font-bold mb-6">Fusion Calculator</h2>
       <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
-        Calculate how many items you need to fuse to your target grade (5:1 ratio)
+        Calculate how many items you need to fuse to your target grade{ratio && ` (${ratio}:1 ratio)`}
       </p>
 
       <div className="space-y-4 mb-6">
@@ -83,10 +87,14 @@ const FusionCalculator = () => {
         </div>
       </div>
 
-      <Button onClick={calculate} className="w-full">
+      <Button onClick={calculate} className="w-full" disabled={!formulas}>
         Calculate
       </Button>
 
+      {(error || calculationError) && (
+        <p className="mt-4 text-sm text-red-600 dark:text-red-400">{error || calculationError}</p>
+      )}
+
       {result && (
         <div className="mt-6 p-4 bg-purple-50 dark:bg-purple-900/20 border border-purple-200 dark:border-purple-800 rounded-lg">
           <h3 className="font-semibold text-lg mb-3">
@@ -104,7 +112,7 @@ const FusionCalculator = () => {
           </div>
           <div className="mt-4 pt-4 border-t border-purple-200 dark:border-purple-700">
             <p className="text-sm text-gray-600 dark:text-gray-400">
-              Fusion Ratio: 5 items → 1 item of next grade
+              Fusion Ratio: {ratio} items → 1 item of next grade
             </p>
           </div>
         </div>
@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../../wiki-framework/src/components/common/Button';
+import { useFormulaSet } from '../../hooks/useFormulaSet';
+import { checkPromotionTrials } from '../../utils/promotionTrials';
+import { formatIdleAmount } from '../../utils/idleIncome';
+import { loadGameData } from '../../services/gameData';
+import { createLogger } from '../../utils/logger';
+
+const logger = createLogger('PromotionCalculator');
+
+const formatSeconds = (value) => (Number.isFinite(value) ? `${Number(value.toFixed(1))}s` : '∞');
+const formatMultiplier = (value) => `${(value || 1).toLocaleString()}x`;
+
+/**
+ * Promotion Trial Calculator
+ * Class multipliers and trial stats come from promotions.json, the trial math
+ * from the "promotion" section of formulas.json
+ */
+const PromotionCalculator = () => {
+  const { formulas, error } = useFormulaSet('promotion');
+  const [promotions, setPromotions] = useState([]);
+  const [currentTier, setCurrentTier] = useState('0');
+  const [attack, setAttack] = useState('');
+  const [hp, setHP] = useState('');
+  const [attackSpeed, setAttackSpeed] = useState('1');
+  const [accuracy, setAccuracy] = useState('');
+  const [result, setResult] = useState(null);
+  const [calculationError, setCalculationError] = useState(null);
+
+  useEffect(() => {
+    const loadPromotions = async () => {
+      try {
+        const data = await loadGameData('promotions');
+        setPromotions(Array.isArray(data) ? data : []);
+      } catch (err) {
+        logger.error('Failed to load promotions', { error: err });
+      }
+    };
+    loadPromotions();
+  }, []);
+
+  const calculate = () => {
+    if (!formulas || promotions.length === 0) return;
+
+    const stats = {
+      attack: parseFloat(attack) || 0,
+      hp: parseFloat(hp) || 0,
+      attackSpeed: parseFloat(attackSpeed) || 0,
+      accuracy: parseFloat(accuracy) || 0,
+    };
+
+    if (stats.attack <= 0 || stats.hp <= 0 || stats.attackSpeed <= 0) {
+      alert('Enter your ATK, HP and attack speed');
+      return;
+    }
+
+    let trials;
+    try {
+      trials = checkPromotionTrials(promotions, stats, formulas, Number(currentTier));
+    } catch (err) {
+      logger.error('Promotion formulas failed', { error: err });
+      setCalculationError(`Promotion formulas failed: ${err.message}`);
+      setResult(null);
+      return;
+    }
+    setCalculationError(null);
+    if (trials.length === 0) {
+      alert('You are already at the highest promotion');
+      return;
+    }
+
+    setResult({ trials });
+
+    // Trigger donation prompt on successful calculation
+    window.triggerDonationPrompt?.({
+      messages: [
+        "Crunching those numbers! 🧮",
+        "Math is fun... right? 📊",
+        "Stats looking good! 💪",
+        "Calculating like a scientist! 🔬",
+      ]
+    });
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
+      <h2 className="text-2xl font-bold mb-6">Promotion Trial Calculator</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Check which promotion trials your stats can clear, waves and boss included, within each trial's time limit
+      </p>
+
+      <div className="space-y-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium mb-2">
+            Current Promotion
+          </label>
+          <select
+            value={currentTier}
+            onChange={(e) => setCurrentTier(e.target.value)}
+            className={inputClass}
+          >
+            {promotions.map((promotion) => (
+              <option key={promotion.id} value={promotion.id}>
+                {promotion.name} (ATK {formatMultiplier(promotion.classATK)}, HP {formatMultiplier(promotion.classHP)})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              ATK
+            </label>
+            <input
+              type="number"
+              value={attack}
+              onChange={(e) => setAttack(e.target.value)}
+              className={inputClass}
+              placeholder="Current ATK"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              HP
+            </label>
+            <input
+              type="number"
+              value={hp}
+              onChange={(e) => setHP(e.target.value)}
+              className={inputClass}
+              placeholder="Current HP"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              Attacks per Second
+            </label>
+            <input
+              type="number"
+              value={attackSpeed}
+              onChange={(e) => setAttackSpeed(e.target.value)}
+              className={inputClass}
+              step="0.1"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              Accuracy
+            </label>
+            <input
+              type="number"
+              value={accuracy}
+              onChange={(e) => setAccuracy(e.target.value)}
+              className={inputClass}
+              placeholder="e.g., 500"
+            />
+          </div>
+        </div>
+      </div>
+
+      <Button onClick={calculate} className="w-full" disabled={!formulas || promotions.length === 0}>
+        Check Trials
+      </Button>
+
+      {(error || calculationError) && (
+        <p className="mt-4 text-sm text-red-600 dark:text-red-400">{error || calculationError}</p>
+      )}
+
+      {result && (
+        <div className="mt-6 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg">
+          <h3 className="font-semibold text-lg mb-3">Promotion Trials</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-600 dark:text-gray-400 border-b border-amber-200 dark:border-amber-800">
+                  <th className="py-1 pr-3">Trial</th>
+                  <th className="py-1 pr-3 text-right">Class ATK / HP</th>
+                  <th className="py-1 pr-3 text-right">Waves</th>
+                  <th className="py-1 pr-3 text-right">Clear Time</th>
+                  <th className="py-1 pr-3 text-right">Damage Taken</th>
+                  <th className="py-1 text-right">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.trials.map(({ promotion, stats, result: trial }) => (
+                  <tr key={promotion.id} className="border-b border-amber-100 dark:border-amber-900/40 align-top">
+                    <td className="py-1 pr-3 font-medium whitespace-nowrap">{promotion.name}</td>
+                    <td className="py-1 pr-3 text-right whitespace-nowrap">
+                      {formatMultiplier(promotion.classATK)} / {formatMultiplier(promotion.classHP)}
+                    </td>
+                    <td className="py-1 pr-3 text-right">{promotion.waveCount} + boss</td>
+                    <td className="py-1 pr-3 text-right whitespace-nowrap">
+                      {formatSeconds(trial.clearTime)} / {promotion.timeLimit}s
+                    </td>
+                    <td className="py-1 pr-3 text-right whitespace-nowrap">
+                      {formatIdleAmount(trial.damageTaken)} / {formatIdleAmount(stats.hp)}
+                    </td>
+                    <td className="py-1 text-right">
+                      {trial.cleared ? (
+                        <span className="font-semibold text-green-600 dark:text-green-400">Clear</span>
+                      ) : (
+                        <div>
+                          <span className="font-semibold text-red-600 dark:text-red-400">
+                            {trial.limitedBy === 'time' ? 'Too slow' : 'Too fragile'}
+                          </span>
+                          <div className="text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                            ATK {formatIdleAmount(trial.requiredAttack)}
+                            {trial.limitedBy === 'hp' && ` or HP ${formatIdleAmount(trial.requiredHp)}`}
+                          </div>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-gray-600 dark:text-gray-400">
+            Estimate only. Later trials assume your stats grow with the class multiplier of each promotion you pass;
+            required ATK/HP are shown at that trial's class.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromotionCalculator;
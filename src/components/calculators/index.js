@@ -1,4 +1,4 @@
 export { default as DamageCalculator } from './DamageCalculator';
 export { default as EnhancementCalculator } from './EnhancementCalculator';
 export { default as FusionCalculator } from './FusionCalculator';
-export { default as StatCalculator } from './StatCalculator';
+export { default as PromotionCalculator } from './PromotionCalculator';
@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { createFormulaSet } from '../utils/formulaEngine';
+import { loadGameData } from '../services/gameData';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('useFormulaSet');
+
+/**
+ * Custom hook to load one section of formulas.json as a formula set
+ * @param {string} sectionName - Section name ('damage', 'enhancement', ...)
+ * @returns {{formulas: Object|null, loading: boolean, error: string|null}}
+ */
+export const useFormulaSet = (sectionName) => {
+  const [formulas, setFormulas] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        setLoading(true);
+        const data = await loadGameData('formulas');
+        setFormulas(createFormulaSet(data[sectionName]));
+        setError(null);
+      } catch (err) {
+        logger.error(`[useFormulaSet] Failed to load ${sectionName} formulas:`, err);
+        setError(err.message || 'Failed to load formulas');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, [sectionName]);
+
+  return { formulas, loading, error };
+};
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { loadGameData, loadGameDataIndex, peekGameData, peekGameDataIndex } from '../services/gameData';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('useGameData');
+
+/**
+ * Shared state for a game data request; starts from the cache when the file
+ * is already loaded so repeated embeds render without a loading flash.
+ * A falsy name skips loading (for data that is only needed in some modes).
+ */
+const useGameDataRequest = (name, load, peek) => {
+  const [value, setValue] = useState(() => (name ? peek(name) : undefined));
+  const [loading, setLoading] = useState(() => Boolean(name) && value === undefined);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!name) return undefined;
+    let cancelled = false;
+
+    const cached = peek(name);
+    setValue(cached);
+    setLoading(cached === undefined);
+
+    load(name)
+      .then((result) => {
+        if (cancelled) return;
+        setValue(result);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        logger.error(`Failed to load game data: ${name}`, { error: err });
+        setError(err.message || `Failed to load ${name}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [name, load, peek]);
+
+  return { value, loading, error };
+};
+
+/**
+ * Load a data file through the shared game data service
+ *
+ * @param {string|null} name - Key of GAME_DATA_SOURCES (e.g. 'skills', 'spirits'), or null to skip
+ * @returns {{ data: any, loading: boolean, error: string|null }}
+ */
+export const useGameData = (name) => {
+  const { value, loading, error } = useGameDataRequest(name, loadGameData, peekGameData);
+  return { data: value, loading, error };
+};
+
+/**
+ * Id/name index of a data file (see findGameDataItem)
+ *
+ * @param {string|null} name - Key of GAME_DATA_SOURCES, or null to skip
+ * @returns {{ index: { items: Array, byId: Map, byName: Map }|undefined, loading: boolean, error: string|null }}
+ */
+export const useGameDataIndex = (name) => {
+  const { value, loading, error } = useGameDataRequest(name, loadGameDataIndex, peekGameDataIndex);
+  return { index: value, loading, error };
+};
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { loadStageIndex, loadStages } from '../services/stageData';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('useStages');
+
+/**
+ * Stages for a query, loaded from the stage chunks
+ *
+ * Only the chunks the query needs are fetched; the previous stages stay in
+ * place while a changed query loads so tables don't flash empty.
+ *
+ * @param {Object} [query] - { from, to, region, equipment, equipmentRarity } (see selectStageChunks)
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - False to wait (e.g. until a draft is restored)
+ * @returns {{ stages: Array, index: Object|null, loading: boolean, error: string|null }}
+ */
+export const useStages = ({ from, to, region, equipment, equipmentRarity } = {}, { enabled = true } = {}) => {
+  const [stages, setStages] = useState([]);
+  const [index, setIndex] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+    setLoading(true);
+
+    Promise.all([loadStageIndex(), loadStages({ from, to, region, equipment, equipmentRarity })])
+      .then(([stageIndex, result]) => {
+        if (cancelled) return;
+        setIndex(stageIndex);
+        setStages(result);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        logger.error('Failed to load stage data', { error: err, from, to, region });
+        setError(err.message || 'Failed to load stage data');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, from, to, region, equipment, equipmentRarity]);
+
+  return { stages, index, loading, error };
+};
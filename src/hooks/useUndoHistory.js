@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  DEFAULT_HISTORY_LIMIT,
+  createHistory,
+  recordHistory,
+  undoHistory,
+  redoHistory,
+  snapshotsEqual,
+  getHistoryShortcut
+} from '../utils/undoHistory';
+
+// Mounted history instances, most recent last. Only the last enabled one
+// handles keyboard shortcuts so a builder opened in a modal wins over the page.
+const shortcutStack = [];
+
+/**
+ * Custom hook adding undo/redo to a builder
+ *
+ * Watches a snapshot of builder state and records each change. Undo/redo hand
+ * a previous snapshot to `onRestore`, which should set the builder state back.
+ * The hook also remembers the last saved snapshot (see markSaved), so
+ * `onRestore` can tell whether stepping through history landed on it.
+ *
+ * @param {Object} snapshot - Current state values to track, e.g. { build }
+ * @param {Function} onRestore - Called with (snapshot, { isSaved }) where isSaved is true if the
+ *   snapshot is the last saved one
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Max undo steps
+ * @param {boolean} [options.enabled=true] - When false, changes update the baseline without recording (e.g. while loading)
+ * @param {number} [options.mergeWindowMs=300] - Changes closer together than this count as one step
+ * @returns {{undo: Function, redo: Function, canUndo: boolean, canRedo: boolean, resetHistory: Function, markSaved: Function}}
+ */
+export const useUndoHistory = (snapshot, onRestore, { limit = DEFAULT_HISTORY_LIMIT, enabled = true, mergeWindowMs = 300 } = {}) => {
+  const historyRef = useRef(createHistory(snapshot));
+  const resetPendingRef = useRef(false);
+  const savedRef = useRef(snapshot);
+  const savePendingRef = useRef(false);
+  const onRestoreRef = useRef(onRestore);
+  const [counts, setCounts] = useState({ past: 0, future: 0 });
+  const [, setSaveRequests] = useState(0);
+
+  onRestoreRef.current = onRestore;
+
+  const syncCounts = useCallback(() => {
+    const { past, future } = historyRef.current;
+    setCounts(prev => (prev.past === past.length && prev.future === future.length)
+      ? prev
+      : { past: past.length, future: future.length });
+  }, []);
+
+  // Record changes (restored snapshots equal the present, so they are skipped)
+  useEffect(() => {
+    const history = historyRef.current;
+
+    if (savePendingRef.current) {
+      savePendingRef.current = false;
+      savedRef.current = snapshot;
+    }
+
+    if (resetPendingRef.current) {
+      resetPendingRef.current = false;
+      historyRef.current = createHistory(snapshot);
+    } else if (snapshotsEqual(history.present, snapshot)) {
+      return;
+    } else if (!enabled) {
+      historyRef.current = createHistory(snapshot);
+    } else {
+      historyRef.current = recordHistory(history, snapshot, { limit, mergeWindowMs });
+    }
+    syncCounts();
+  });
+
+  const step = useCallback((move) => {
+    const next = move(historyRef.current);
+    if (next === historyRef.current) return;
+    historyRef.current = next;
+    syncCounts();
+    onRestoreRef.current(next.present, { isSaved: snapshotsEqual(next.present, savedRef.current) });
+  }, [syncCounts]);
+
+  const undo = useCallback(() => step(undoHistory), [step]);
+  const redo = useCallback(() => step(redoHistory), [step]);
+
+  /**
+   * Drop all history; the next state change becomes the new baseline.
+   * Call before loading a saved/shared/imported build.
+   */
+  const resetHistory = useCallback(() => {
+    resetPendingRef.current = true;
+    historyRef.current = createHistory(historyRef.current.present);
+    // Always re-render so the pending reset is applied even if no state changes
+    setCounts({ past: 0, future: 0 });
+  }, []);
+
+  /**
+   * Remember the state after the current update as saved.
+   * Call wherever the builder clears its unsaved-changes flag (save, load, clear).
+   */
+  const markSaved = useCallback(() => {
+    savePendingRef.current = true;
+    // Re-render so the snapshot is taken even if no other state changes
+    setSaveRequests(n => n + 1);
+  }, []);
+
+  const enabledRef = useRef(enabled);
+  enabledRef.current = enabled;
+
+  useEffect(() => {
+    const entry = { undo, redo, isEnabled: () => enabledRef.current };
+    shortcutStack.push(entry);
+
+    const handleKeyDown = (event) => {
+      const active = [...shortcutStack].reverse().find(e => e.isEnabled());
+      if (active !== entry) return;
+
+      const action = getHistoryShortcut(event);
+      if (!action) return;
+      event.preventDefault();
+      entry[action]();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      shortcutStack.splice(shortcutStack.indexOf(entry), 1);
+    };
+  }, [undo, redo]);
+
+  return {
+    undo,
+    redo,
+    canUndo: counts.past > 0,
+    canRedo: counts.future > 0,
+    resetHistory,
+    markSaved
+  };
+};
@@ -0,0 +1,26 @@
+import React from 'react';
+import BuildComparison from '../components/BuildComparison';
+import MetaTags from '../components/MetaTags';
+
+/**
+ * BuildComparePage Component
+ *
+ * Page wrapper for the build comparison view
+ * Accessible at /#/compare?type=...&a=...&b=...
+ */
+const BuildComparePage = () => {
+  return (
+    <>
+      <MetaTags
+        title="Compare Builds"
+        description="Compare two Slayer Legend skill builds, spirit builds, engraving builds or battle loadouts side by side. See added, removed and changed slots, level differences and stat deltas."
+        image="/images/og-default.svg"
+        url="/compare"
+        keywords={['build comparison', 'compare loadouts', 'skill build', 'spirit build', 'battle loadout']}
+      />
+      <BuildComparison />
+    </>
+  );
+};
+
+export default BuildComparePage;
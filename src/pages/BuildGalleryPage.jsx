@@ -0,0 +1,26 @@
+import React from 'react';
+import BuildGallery from '../components/BuildGallery';
+import MetaTags from '../components/MetaTags';
+
+/**
+ * BuildGalleryPage Component
+ *
+ * Page wrapper for the public build gallery
+ * Accessible at /#/gallery
+ */
+const BuildGalleryPage = () => {
+  return (
+    <>
+      <MetaTags
+        title="Build Gallery"
+        description="Browse Slayer Legend skill builds, spirit builds, skill stone builds, soul weapon engravings and battle loadouts published by other players. Filter by element, skill, spirit or weapon and sort by popularity."
+        image="/images/og-default.svg"
+        url="/gallery"
+        keywords={['build gallery', 'community builds', 'skill build', 'spirit build', 'battle loadout']}
+      />
+      <BuildGallery />
+    </>
+  );
+};
+
+export default BuildGalleryPage;
@@ -0,0 +1,26 @@
+import React from 'react';
+import DropSimulator from '../components/DropSimulator';
+import MetaTags from '../components/MetaTags';
+
+/**
+ * DropSimulatorPage Component
+ *
+ * Page wrapper for the Equipment Drop Simulator
+ * Accessible at /#/drop-simulator
+ */
+const DropSimulatorPage = () => {
+  return (
+    <>
+      <MetaTags
+        title="Equipment Drop Simulator"
+        description="Find the best Slayer Legend stage to farm any weapon or accessory rarity, with expected drops per hour and simulated time to collect the copies you need for fusion."
+        image="/images/og-default.svg"
+        url="/drop-simulator"
+        keywords={['equipment drops', 'drop rates', 'farming guide', 'legendary weapons', 'drop simulator']}
+      />
+      <DropSimulator />
+    </>
+  );
+};
+
+export default DropSimulatorPage;
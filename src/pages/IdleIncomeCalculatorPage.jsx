@@ -0,0 +1,26 @@
+import React from 'react';
+import IdleIncomeCalculator from '../components/IdleIncomeCalculator';
+import MetaTags from '../components/MetaTags';
+
+/**
+ * IdleIncomeCalculatorPage Component
+ *
+ * Page wrapper for the Idle Income Calculator
+ * Accessible at /#/idle-income
+ */
+const IdleIncomeCalculatorPage = () => {
+  return (
+    <>
+      <MetaTags
+        title="Idle Income Calculator"
+        description="Calculate Slayer Legend idle rewards for any stage. Gold, EXP, cubes, stones, dice, soul and diamonds per hour, per day and at the offline cap, with nearby stage comparisons and the best stage to idle on."
+        image="/images/og-default.svg"
+        url="/idle-income"
+        keywords={['idle income', 'idle rewards', 'offline rewards', 'gold per hour', 'best idle stage']}
+      />
+      <IdleIncomeCalculator />
+    </>
+  );
+};
+
+export default IdleIncomeCalculatorPage;
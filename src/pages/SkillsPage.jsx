@@ -1,35 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import SkillCard from '../components/SkillCard';
+import { useGameData } from '../hooks/useGameData';
 import LoadingSpinner from '../wiki-framework/src/components/common/LoadingSpinner';
 
 /**
  * SkillsPage - Showcase page for all skills using SkillCard component
  */
 const SkillsPage = () => {
-  const [skills, setSkills] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { data, loading, error } = useGameData('skills');
   const [selectedAttribute, setSelectedAttribute] = useState('All');
   const [selectedGrade, setSelectedGrade] = useState('All');
-
-  useEffect(() => {
-    const loadSkills = async () => {
-      try {
-        const response = await fetch('/data/skills.json');
-        if (!response.ok) {
-          throw new Error('Failed to load skills');
-        }
-        const data = await response.json();
-        setSkills(data);
-        setLoading(false);
-      } catch (err) {
-        setError(err.message);
-        setLoading(false);
-      }
-    };
-
-    loadSkills();
-  }, []);
+  const skills = Array.isArray(data) ? data : [];
 
   if (loading) {
     return (
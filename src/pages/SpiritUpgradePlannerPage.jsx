@@ -0,0 +1,26 @@
+import React from 'react';
+import SpiritUpgradePlanner from '../components/SpiritUpgradePlanner';
+import MetaTags from '../components/MetaTags';
+
+/**
+ * SpiritUpgradePlannerPage Component
+ *
+ * Page wrapper for the Spirit Upgrade Planner
+ * Accessible at /#/spirit-upgrade-planner
+ */
+const SpiritUpgradePlannerPage = () => {
+  return (
+    <>
+      <MetaTags
+        title="Spirit Upgrade Planner"
+        description="Plan spirit level upgrades for Slayer Legend. Total Enhance Cube and Mana Crystal costs, compare ATK/HP factor gains, and get the best upgrade order for your budget."
+        image="/images/og-default.svg"
+        url="/spirit-upgrade-planner"
+        keywords={['spirit upgrade', 'enhance cubes', 'mana crystal', 'spirit planner', 'upgrade cost']}
+      />
+      <SpiritUpgradePlanner />
+    </>
+  );
+};
+
+export default SpiritUpgradePlannerPage;
@@ -0,0 +1,26 @@
+import React from 'react';
+import StageReadinessEstimator from '../components/StageReadinessEstimator';
+import MetaTags from '../components/MetaTags';
+
+/**
+ * StageReadinessPage Component
+ *
+ * Page wrapper for the Stage Readiness estimator
+ * Accessible at /#/stage-readiness
+ */
+const StageReadinessPage = () => {
+  return (
+    <>
+      <MetaTags
+        title="Stage Readiness"
+        description="Estimate the furthest Slayer Legend stage your ATK, HP, attack speed and accuracy can clear, how long each boss takes, and the stat increase needed to pass your next wall."
+        image="/images/og-default.svg"
+        url="/stage-readiness"
+        keywords={['stage progression', 'stage wall', 'boss kill time', 'stage calculator', 'progression estimator']}
+      />
+      <StageReadinessEstimator />
+    </>
+  );
+};
+
+export default StageReadinessPage;
@@ -3,6 +3,8 @@
  * Slayer Legend specific deciders for builds and loadouts
  */
 
+import { getPopularity } from '../../../utils/buildGallery.js';
+
 /**
  * Helper: Check game data count from GitHub Issues
  * @param {Object} octokit - Octokit instance
@@ -180,6 +182,38 @@ async function getUserSpiritsData(octokit, owner, repo, userId) {
   }
 }
 
+/**
+ * Helper: Get all user's published build gallery entries
+ */
+async function getUserGalleryEntries(octokit, owner, repo, userId) {
+  try {
+    const { data: issues } = await octokit.rest.issues.listForRepo({
+      owner,
+      repo,
+      labels: `gallery-builds,user-id:${userId}`,
+      state: 'open',
+      per_page: 100,
+    });
+
+    const entries = [];
+    for (const issue of issues) {
+      try {
+        const data = JSON.parse(issue.body);
+        if (Array.isArray(data)) {
+          entries.push(...data);
+        }
+      } catch (error) {
+        console.error('Failed to parse gallery-builds issue:', error);
+      }
+    }
+
+    return entries;
+  } catch (error) {
+    console.error('Failed to get user gallery entries:', error);
+    return [];
+  }
+}
+
 /**
  * Spirit Collector - User collected and saved 10 different spirits
  */
@@ -427,39 +461,22 @@ export async function collector(userData, context) {
 }
 
 /**
- * Build Sharer - User shared a build with other players
- *
- * NOTE: This achievement requires additional tracking infrastructure:
- * - Track when users export builds (copy link, download JSON)
- * - Add "shareCount" or "shared" flag to build metadata
- * - Add analytics event when builds are exported/shared
- *
- * For now, returns false until sharing tracking is implemented.
+ * Build Sharer - User published a build to the build gallery
  */
 export async function buildSharer(userData, context) {
-  // TODO: Implement when build sharing tracking is added
-  // Possible approaches:
-  // 1. Add shareCount to build metadata
-  // 2. Track export events in separate analytics issue
-  // 3. Add "lastShared" timestamp to builds
-  return false;
+  const { octokit, owner, repo, userId } = context;
+  return await checkGameDataCount(octokit, owner, repo, userId, 'gallery-builds', 1);
 }
 
 /**
- * Popular Builder - User's build was viewed 10+ times
- *
- * NOTE: This achievement requires additional tracking infrastructure:
- * - Track view counts for each build (anonymous + authenticated)
- * - Store view counts in build metadata or separate analytics
- * - Handle privacy concerns (opt-in analytics)
- *
- * For now, returns false until view tracking is implemented.
+ * Popular Builder - One of the user's gallery builds reached a popularity of 10
+ * Popularity is views plus weighted likes, the score the gallery sorts by. The
+ * build-gallery function counts a view once per visitor per day and only
+ * takes likes from signed-in users.
  */
 export async function popularBuilder(userData, context) {
-  // TODO: Implement when build view tracking is added
-  // Possible approaches:
-  // 1. Add viewCount to build metadata
-  // 2. Track views in separate analytics issue
-  // 3. Use GitHub API issue views (not granular enough)
-  return false;
+  const { octokit, owner, repo, userId } = context;
+  const POPULAR_SCORE = 10;
+  const entries = await getUserGalleryEntries(octokit, owner, repo, userId);
+  return entries.some(entry => getPopularity(entry) >= POPULAR_SCORE);
 }
@@ -1,5 +1,6 @@
 import { getOctokit } from '../../wiki-framework/src/services/github/api.js';
 import { createUserIdLabel } from '../../wiki-framework/src/utils/githubLabelUtils.js';
+import { loadGameData } from './gameData.js';
 import { createLogger } from '../utils/logger';
 import { eventBus, EventNames } from '../../wiki-framework/src/services/eventBus.js';
 import { queueAchievementCheck } from '../../wiki-framework/src/services/achievements/achievementQueue.js';
@@ -100,13 +101,12 @@ export async function getUserLoadouts(owner, repo, username, userId = null) {
       logger.debug(`Loaded ${loadouts.length} loadouts for ${username}`);
 
       // Deserialize soul weapon builds (reconstruct shape objects from shapeIds)
-      const shapesResponse = await fetch('/data/soul-weapon-engravings.json').catch(err => {
+      const shapesData = await loadGameData('engravings').catch(err => {
         logger.warn('Failed to load shapes for deserialization', { error: err });
         return null;
       });
 
-      if (shapesResponse && shapesResponse.ok) {
-        const shapesData = await shapesResponse.json();
+      if (shapesData) {
         // The JSON file has shapes in a "shapes" property, not as a direct array
         const shapes = shapesData.shapes || [];
 
@@ -0,0 +1,133 @@
+import { getBuildGalleryEndpoint } from '../utils/apiEndpoints.js';
+import { createGalleryEntry, addGalleryView } from '../utils/buildGallery.js';
+import { encodeShareCode } from '../utils/shareCodes.js';
+import { loadGameData } from './gameData.js';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('BuildGallery');
+
+/**
+ * Build Gallery Service
+ *
+ * Client for the build-gallery function. Entries and their view/like counts
+ * live in GitHub Issues (type 'gallery-builds', one issue per author); see
+ * functions/_shared/handlers/build-gallery.js. Publishing, unpublishing and
+ * liking send the user's GitHub token; the function looks the user up from it.
+ */
+
+const VIEWED_KEY = 'buildGallery:viewed';
+
+/**
+ * Skills and spirits used to tag published builds with elements
+ * @returns {Promise<{skills: Array, spirits: Array}>}
+ */
+async function loadTagData() {
+  const [skills, spiritData] = await Promise.all([loadGameData('skills'), loadGameData('spirits')]);
+  return { skills, spirits: spiritData.spirits || [] };
+}
+
+async function postGalleryAction(body, userToken = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (userToken) {
+    headers.Authorization = `Bearer ${userToken}`;
+  }
+
+  const response = await fetch(getBuildGalleryEndpoint(), {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Gallery request failed (${response.status})`);
+  }
+  return result;
+}
+
+/**
+ * Load every published entry
+ * @returns {Promise<Array>} Gallery entries
+ */
+export async function loadGalleryEntries() {
+  const response = await fetch(getBuildGalleryEndpoint());
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Failed to load gallery (${response.status})`);
+  }
+  return result.entries || [];
+}
+
+/**
+ * Publish a build to the gallery
+ *
+ * @param {string} userToken - Signed-in user's GitHub token
+ * @param {string} type - Share type
+ * @param {Object} data - Share data (what the builder shares)
+ * @param {string} [description] - Optional description
+ * @returns {Promise<Object>} Published entry
+ * @throws {Error} If the build can't be encoded as a share code or the request fails
+ */
+export async function publishGalleryBuild(userToken, type, data, description = '') {
+  const shareCode = encodeShareCode(type, data);
+  const { skills, spirits } = await loadTagData();
+  const entry = createGalleryEntry(type, data, shareCode, { description, skills, spirits });
+
+  const result = await postGalleryAction({ action: 'publish', entry }, userToken);
+
+  logger.info('Published build to gallery', { type, entryId: result.entry.id });
+  return result.entry;
+}
+
+/**
+ * Remove one of the user's entries from the gallery
+ *
+ * @param {string} userToken - Signed-in user's GitHub token
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Array>} User's remaining entries
+ */
+export async function unpublishGalleryBuild(userToken, entryId) {
+  const result = await postGalleryAction({ action: 'unpublish', entryId }, userToken);
+
+  logger.info('Unpublished gallery build', { entryId });
+  return result.entries;
+}
+
+/**
+ * Count a view of an entry (at most once per entry per browser session; the
+ * function also ignores repeat views from the same visitor)
+ *
+ * @param {Object} entry - Gallery entry
+ * @returns {Promise<Object|null>} Entry with the view added, or null if not counted
+ */
+export async function recordGalleryView(entry) {
+  let viewed = [];
+  try {
+    viewed = JSON.parse(sessionStorage.getItem(VIEWED_KEY) || '[]');
+  } catch (error) {
+    logger.debug('Ignoring unreadable viewed list', { error: error.message });
+  }
+  if (viewed.includes(entry.id)) return null;
+
+  try {
+    const result = await postGalleryAction({ action: 'view', ownerId: entry.authorId, entryId: entry.id });
+    sessionStorage.setItem(VIEWED_KEY, JSON.stringify([...viewed, entry.id]));
+    return result.counted ? addGalleryView(entry) : null;
+  } catch (error) {
+    // Views are best effort; opening the build must not depend on them
+    logger.warn('Failed to record gallery view', { entryId: entry.id, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Like or unlike an entry
+ *
+ * @param {string} userToken - Signed-in user's GitHub token
+ * @param {Object} entry - Gallery entry
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function toggleGalleryBuildLike(userToken, entry) {
+  const result = await postGalleryAction({ action: 'like', ownerId: entry.authorId, entryId: entry.id }, userToken);
+  return result.entry;
+}
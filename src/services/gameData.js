@@ -0,0 +1,268 @@
+/**
+ * Game Data Service - Shared loader for the JSON files in /data
+ *
+ * Every file is fetched at most once per build: concurrent callers share the
+ * in-flight request, the parsed result is memoized, and id/name indexes are
+ * built on first use. Cache entries are keyed by the build version that
+ * scripts/injectVersion.js writes into wiki-config.json (version.commit); the
+ * version is also appended to each data URL so the HTTP cache can't serve a
+ * previous deploy's files, and a version change drops everything cached.
+ *
+ * Returned data is shared between callers - treat it as read-only (copy
+ * before sorting or editing).
+ *
+ * Stage data is split into chunks at build time; load it through
+ * services/stageData.js rather than from stages.json.
+ *
+ * No logger here so the tests can import it; failures are thrown to the
+ * caller, which logs them.
+ */
+
+/**
+ * Known data files
+ * - items: list of entries in the file (defaults to the file itself when it is an array)
+ * - idField: id used by the byId index (defaults to 'id')
+ */
+export const GAME_DATA_SOURCES = {
+  skills: { url: '/data/skills.json' },
+  spirits: { url: '/data/spirit-characters.json', items: (data) => data.spirits },
+  soulWeapons: { url: '/data/soul-weapons.json' },
+  skillStones: { url: '/data/skill_stones.json' },
+  engravings: { url: '/data/soul-weapon-engravings.json', items: (data) => data.shapes },
+  weaponGrids: { url: '/data/soul-weapon-grids.json', items: (data) => data.weapons },
+  spiritUpgrades: { url: '/data/spirit-upgrades.json', items: (data) => data.spirits, idField: 'level' },
+  promotions: { url: '/data/promotions.json' },
+  relics: { url: '/data/relics.json' },
+  companions: { url: '/data/companion-characters.json' },
+  familiars: { url: '/data/familiars.json' },
+  clothing: { url: '/data/appearance-clothing.json' },
+  equipmentDrops: { url: '/data/equipment-drops.json', items: (data) => data.equipmentDrops },
+  formulas: { url: '/data/formulas.json' },
+  // Typed copies built by scripts/normalizeData.js from the text data files
+  adventures: { url: '/data/typed/adventures.json' },
+  campaigns: { url: '/data/typed/campaigns.json' },
+  quests: { url: '/data/typed/quests.json' }
+};
+
+const UNKNOWN_VERSION = 'unknown';
+
+// name -> { version, promise, data, index }
+const cache = new Map();
+let currentVersion = null;
+let versionPromise = null;
+
+const getSource = (name) => {
+  const source = GAME_DATA_SOURCES[name];
+  if (!source) throw new Error(`Unknown game data: ${name}`);
+  return source;
+};
+
+const readVersion = async (options) => {
+  const response = await fetch('/wiki-config.json', options);
+  if (!response.ok) throw new Error(`Failed to load wiki config: ${response.status}`);
+  const config = await response.json();
+  return config?.version?.commit || UNKNOWN_VERSION;
+};
+
+/**
+ * Set the build version; a different version than before drops all cached data
+ *
+ * @param {string} version - Build commit
+ */
+export const setGameDataVersion = (version) => {
+  const next = version || UNKNOWN_VERSION;
+  if (currentVersion !== null && next !== currentVersion) {
+    cache.clear();
+  }
+  currentVersion = next;
+  versionPromise = Promise.resolve(next);
+};
+
+/**
+ * Current build version, read from wiki-config.json on first use
+ *
+ * @returns {Promise<string>}
+ */
+export const getGameDataVersion = () => {
+  if (!versionPromise) {
+    versionPromise = readVersion()
+      .catch(() => UNKNOWN_VERSION)
+      .then((version) => {
+        if (currentVersion === null) currentVersion = version;
+        return currentVersion;
+      });
+  }
+  return versionPromise;
+};
+
+/**
+ * Re-read the build version bypassing the HTTP cache (e.g. when a tab comes
+ * back after a while) and drop cached data if a new build was deployed
+ *
+ * @returns {Promise<boolean>} True if the version changed
+ */
+export const checkGameDataVersion = async () => {
+  try {
+    const previous = await getGameDataVersion();
+    const version = await readVersion({ cache: 'no-store' });
+    if (version === previous) return false;
+    setGameDataVersion(version);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Re-check the build version whenever the tab becomes visible again, at most
+ * once per interval, so a tab left open across a deploy picks up new data
+ *
+ * @param {number} [minInterval=300000] - Minimum ms between checks
+ * @returns {Function} Stops watching
+ */
+export const watchGameDataVersion = (minInterval = 5 * 60 * 1000) => {
+  let lastCheck = Date.now();
+  const handleVisibility = () => {
+    if (document.visibilityState !== 'visible' || Date.now() - lastCheck < minInterval) return;
+    lastCheck = Date.now();
+    checkGameDataVersion();
+  };
+  document.addEventListener('visibilitychange', handleVisibility);
+  return () => document.removeEventListener('visibilitychange', handleVisibility);
+};
+
+/**
+ * Data URL for a build version (unversioned in dev builds without a commit)
+ */
+export const getVersionedUrl = (url, version) => (
+  version && version !== UNKNOWN_VERSION ? `${url}?v=${encodeURIComponent(version)}` : url
+);
+
+const loadCached = async (key, url) => {
+  const version = await getGameDataVersion();
+
+  const cached = cache.get(key);
+  if (cached && cached.version === version) return cached.promise;
+
+  const entry = { version, data: undefined, index: null };
+  entry.promise = fetch(getVersionedUrl(url, version))
+    .then((response) => {
+      if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+      return response.json();
+    })
+    .then((data) => {
+      entry.data = data;
+      return data;
+    })
+    .catch((error) => {
+      // Let the next caller retry
+      if (cache.get(key) === entry) cache.delete(key);
+      throw error;
+    });
+  cache.set(key, entry);
+  return entry.promise;
+};
+
+/**
+ * Load a data file
+ *
+ * @param {string} name - Key of GAME_DATA_SOURCES
+ * @returns {Promise<any>} Parsed JSON (shared, read-only)
+ */
+export const loadGameData = async (name) => loadCached(name, getSource(name).url);
+
+/**
+ * Load a file under /data that isn't in GAME_DATA_SOURCES (e.g. generated
+ * chunks), with the same caching
+ *
+ * @param {string} path - Path relative to /data (e.g. "stages/index.json")
+ * @returns {Promise<any>} Parsed JSON (shared, read-only)
+ */
+export const loadGameDataFile = async (path) => loadCached(`file:${path}`, `/data/${path}`);
+
+/**
+ * Already loaded data for the current version, without waiting
+ *
+ * @param {string} name - Key of GAME_DATA_SOURCES
+ * @returns {any} Parsed JSON, or undefined if not loaded yet
+ */
+export const peekGameData = (name) => {
+  const cached = cache.get(name);
+  return cached && cached.version === currentVersion ? cached.data : undefined;
+};
+
+/**
+ * Entries of a data file
+ *
+ * @param {string} name - Key of GAME_DATA_SOURCES
+ * @param {any} data - Parsed file
+ * @returns {Array}
+ */
+export const getGameDataItems = (name, data) => {
+  const { items } = getSource(name);
+  const list = items ? items(data) : data;
+  return Array.isArray(list) ? list : [];
+};
+
+const buildIndex = (name, data) => {
+  const { idField = 'id' } = getSource(name);
+  const items = getGameDataItems(name, data);
+  const byId = new Map();
+  const byName = new Map();
+  // First entry wins, like Array.find
+  items.forEach((item) => {
+    const id = item?.[idField];
+    if (id !== undefined && !byId.has(String(id))) byId.set(String(id), item);
+    const key = typeof item?.name === 'string' ? item.name.toLowerCase() : null;
+    if (key !== null && !byName.has(key)) byName.set(key, item);
+  });
+  return { items, byId, byName };
+};
+
+/**
+ * Id and name lookups for a data file, built once per version
+ *
+ * @param {string} name - Key of GAME_DATA_SOURCES
+ * @returns {Promise<{ items: Array, byId: Map, byName: Map }>} byId is keyed by String(id), byName by lowercased name
+ */
+export const loadGameDataIndex = async (name) => {
+  const data = await loadGameData(name);
+  const entry = cache.get(name);
+  if (entry?.data !== data) return buildIndex(name, data);
+  if (!entry.index) entry.index = buildIndex(name, data);
+  return entry.index;
+};
+
+/**
+ * Already loaded index for the current version, without waiting
+ *
+ * @param {string} name - Key of GAME_DATA_SOURCES
+ * @returns {{ items: Array, byId: Map, byName: Map }|undefined}
+ */
+export const peekGameDataIndex = (name) => {
+  const entry = cache.get(name);
+  if (!entry || entry.version !== currentVersion || entry.data === undefined) return undefined;
+  if (!entry.index) entry.index = buildIndex(name, entry.data);
+  return entry.index;
+};
+
+/**
+ * Look up one entry by id or name (case-insensitive)
+ *
+ * @param {{ byId: Map, byName: Map }} index - loadGameDataIndex() result
+ * @param {Object} ref - { id } or { name }
+ * @returns {Object|null}
+ */
+export const findGameDataItem = (index, { id, name } = {}) => {
+  if (!index) return null;
+  if (id !== undefined && id !== null && id !== '') return index.byId.get(String(id)) || null;
+  if (name) return index.byName.get(String(name).toLowerCase()) || null;
+  return null;
+};
+
+/**
+ * Drop all cached data (the version is kept)
+ */
+export const clearGameDataCache = () => {
+  cache.clear();
+};
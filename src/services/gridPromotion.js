@@ -0,0 +1,70 @@
+import { getOctokit } from '../../wiki-framework/src/services/github/api.js';
+import { getGithubBotEndpoint } from '../utils/apiEndpoints.js';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('GridPromotion');
+
+/**
+ * Soul Weapon Grid Promotion
+ *
+ * Admin flow for turning a community grid consensus into official data.
+ * The github-bot `promote-grid-consensus` action re-reads the submissions,
+ * rebuilds the consensus and opens a PR against soul-weapon-grids.json.
+ */
+
+/**
+ * Check whether a user can promote grids (repo owner or admin)
+ * Only used to show the admin UI; the bot verifies permissions again.
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} username - GitHub username
+ * @returns {Promise<boolean>}
+ */
+export async function canPromoteGrids(owner, repo, username) {
+  if (!username) return false;
+  if (owner === username) return true;
+
+  try {
+    const octokit = getOctokit();
+    const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+    return data.permission === 'admin';
+  } catch (error) {
+    logger.debug('Permission check failed, treating as non-admin', { username, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Open a PR promoting a weapon's consensus grid
+ *
+ * @param {Object} params
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {number|string} params.weaponId - Weapon ID
+ * @param {string} params.expectedSignature - Consensus signature the admin reviewed
+ * @param {string} params.userToken - Admin's GitHub token
+ * @returns {Promise<{prNumber: number, prUrl: string}>}
+ */
+export async function promoteGridConsensus({ owner, repo, weaponId, expectedSignature, userToken }) {
+  const response = await fetch(getGithubBotEndpoint(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      action: 'promote-grid-consensus',
+      owner,
+      repo,
+      weaponId,
+      expectedSignature,
+      userToken
+    })
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Promotion failed (${response.status})`);
+  }
+
+  logger.info('Grid promotion PR created', { weaponId, prNumber: result.prNumber });
+  return { prNumber: result.prNumber, prUrl: result.prUrl };
+}
@@ -0,0 +1,95 @@
+/**
+ * Stage Data Service - Loads stages from the chunks built by scripts/splitStages.js
+ *
+ * The index (stage ranges, regions, summary stats) is small; chunks are only
+ * fetched for the stages a caller asks for. Both go through the game data
+ * cache, so a chunk is downloaded once however many pages use it.
+ *
+ * No logger here so the tests can import it; failures are thrown to the
+ * caller, which logs them.
+ */
+
+import { loadGameDataFile } from './gameData';
+import {
+  STAGE_CHUNK_DIR,
+  STAGE_INDEX_FILE,
+  selectStageChunks,
+  findStageChunk,
+  mergeStageChunks
+} from '../utils/stageChunks';
+
+/**
+ * Load the stage index
+ *
+ * @returns {Promise<Object>} { stageCount, firstStage, lastStage, regions, chunks }
+ */
+export const loadStageIndex = () => loadGameDataFile(`${STAGE_CHUNK_DIR}/${STAGE_INDEX_FILE}`);
+
+/**
+ * Load one chunk
+ *
+ * @param {Object} chunk - Stage index entry
+ * @returns {Promise<Array>} Stages of the chunk
+ */
+export const loadStageChunk = (chunk) => loadGameDataFile(`${STAGE_CHUNK_DIR}/${chunk.file}`);
+
+/**
+ * Load the stages matching a query (see selectStageChunks); without a query
+ * every chunk is loaded
+ *
+ * Stages outside `from`..`to` are dropped; the equipment and region filters
+ * only pick chunks, so callers still filter individual stages.
+ *
+ * @param {Object} [query] - { from, to, region, equipment, equipmentRarity }
+ * @returns {Promise<Array>} Stages sorted by stageNo (shared, read-only)
+ */
+export const loadStages = async (query = {}) => {
+  const index = await loadStageIndex();
+  const chunks = selectStageChunks(index, query);
+  const chunkStages = await Promise.all(chunks.map(loadStageChunk));
+  return mergeStageChunks(chunkStages, query);
+};
+
+/**
+ * Load chunks in stage order until one satisfies `isDone`, for scans that
+ * stop early (e.g. at the first stage a player can't clear)
+ *
+ * Chunks are fetched `batchSize` at a time, so a few past the stopping point
+ * may be loaded (and cached) too; the result only includes the chunks up to
+ * and including the one that satisfied `isDone`.
+ *
+ * @param {Object} query - selectStageChunks query
+ * @param {Function} isDone - (chunkStages) => boolean
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=4] - Chunks fetched in parallel
+ * @returns {Promise<Array>} Stages sorted by stageNo (shared, read-only)
+ */
+export const loadStagesUntil = async (query, isDone, { batchSize = 4 } = {}) => {
+  const index = await loadStageIndex();
+  const chunks = selectStageChunks(index, query);
+  const loaded = [];
+
+  for (let start = 0; start < chunks.length; start += batchSize) {
+    const batch = await Promise.all(chunks.slice(start, start + batchSize).map(loadStageChunk));
+    for (const chunkStages of batch) {
+      loaded.push(chunkStages);
+      if (isDone(chunkStages)) return mergeStageChunks(loaded, query);
+    }
+  }
+
+  return mergeStageChunks(loaded, query);
+};
+
+/**
+ * Load a single stage
+ *
+ * @param {number} stageNo
+ * @returns {Promise<Object|null>}
+ */
+export const loadStage = async (stageNo) => {
+  const index = await loadStageIndex();
+  const chunk = findStageChunk(index, Number(stageNo));
+  if (!chunk) return null;
+  const stages = await loadStageChunk(chunk);
+  return stages.find(stage => stage.stageNo === Number(stageNo)) || null;
+};
@@ -109,6 +109,14 @@ export function getDeleteDataEndpoint() {
   return `${getFunctionsBaseUrl()}/delete-data`;
 }
 
+/**
+ * Get build-gallery endpoint
+ * @returns {string} - Endpoint URL
+ */
+export function getBuildGalleryEndpoint() {
+  return `${getFunctionsBaseUrl()}/build-gallery`;
+}
+
 // ===== GITHUB BOT ENDPOINTS =====
 
 /**
@@ -183,6 +191,7 @@ export function getEndpoint(name) {
     'save-data': getSaveDataEndpoint(),
     'load-data': getLoadDataEndpoint(),
     'delete-data': getDeleteDataEndpoint(),
+    'build-gallery': getBuildGalleryEndpoint(),
     'github-bot': getGithubBotEndpoint(),
     'device-code': getDeviceCodeEndpoint(),
     'access-token': getAccessTokenEndpoint(),
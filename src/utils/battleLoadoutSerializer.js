@@ -3,6 +3,7 @@
  *
  * Handles conversion between:
  * - Serialized format (build IDs only) - for storage/API
+ * - Gear (relics, companions, familiar, clothing, promotion tier) - game data IDs in every format
  * - Deserialized format (full build objects) - for display
  * - Share format (full serialized builds) - for sharing via checksum
  * - Encoded format (base64) - for URL parameters
@@ -16,6 +17,7 @@
 
 import { createLogger } from './logger.js';
 import { serializeBuild, deserializeBuild, serializeBuildForSharing } from './spiritSerialization.js';
+import { serializeLoadoutGear } from './loadoutGear.js';
 
 const logger = createLogger('BattleLoadoutSerializer');
 
@@ -229,7 +231,7 @@ export const serializeLoadoutForStorage = (loadout) => {
     spirit: loadout.spirit || null,
     skillStone: loadout.skillStone || null,
     promotionAbility: loadout.promotionAbility || null,
-    familiar: loadout.familiar || null
+    ...serializeLoadoutGear(loadout)
   };
 
   // Preserve ID and timestamps if they exist
@@ -259,7 +261,7 @@ export const serializeLoadoutForSharing = (loadout) => {
     spirit: loadout.spirit || null,
     skillStone: loadout.skillStone || null,
     promotionAbility: loadout.promotionAbility || null,
-    familiar: loadout.familiar || null
+    ...serializeLoadoutGear(loadout)
   };
 };
 
@@ -344,6 +346,7 @@ export const deserializeLoadout = (
 
   return {
     ...loadout,
+    ...serializeLoadoutGear(loadout),
     skillBuild,
     spiritBuild,
     soulWeaponBuild
@@ -0,0 +1,202 @@
+/**
+ * Build Cards
+ *
+ * Turns a deserialized build or battle loadout into a card model: a title and a
+ * list of sections (icon rows, an engraving grid, text lines) that
+ * buildCardRenderer draws onto a canvas for PNG export.
+ *
+ * Layouts:
+ * - compact: icons with level badges only
+ * - detailed: adds names, spirit/stone details, stats and gear
+ *
+ * Items carry image paths from game data; items without one carry an `element`
+ * so the renderer can fall back to the element icon from imageService.
+ */
+
+import { RARITY_KEYS } from './engravingOptimizer.js';
+import { STATS } from './loadoutStats.js';
+
+export const CARD_LAYOUTS = ['compact', 'detailed'];
+
+// Hex equivalents of the skill-rarity border colors (config/rarityColors.js)
+const SKILL_GRADE_COLORS = {
+  Common: '#6B7280',
+  Great: '#22C55E',
+  Rare: '#F97316',
+  Epic: '#A855F7',
+  Legendary: '#EF4444',
+  Mythic: '#14B8A6',
+  Immortal: '#FACC15'
+};
+
+// Same colors as EngravingPiece, indexed by rarity id
+const ENGRAVING_RARITY_COLORS = ['#9CA3AF', '#10B981', '#F59E0B', '#8B5CF6', '#EF4444', '#3B82F6'];
+
+const STONE_TYPE_LABELS = { cooldown: 'Cooldown', time: 'Time', heat: 'Heat' };
+
+const BUILD_TYPE_LABELS = {
+  'skill-builds': 'Skill Build',
+  'spirit-builds': 'Spirit Build',
+  'skill-stone-builds': 'Skill Stone Build',
+  'engraving-builds': 'Soul Weapon Engraving',
+  'battle-loadouts': 'Battle Loadout'
+};
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toLocaleString('en-US');
+
+const skillSection = (build) => ({
+  id: 'skills',
+  title: 'Skills',
+  type: 'icons',
+  items: (build?.slots || [])
+    .filter(slot => slot?.skill)
+    .map(slot => ({
+      image: slot.skill.icon || null,
+      element: slot.skill.attribute,
+      label: slot.skill.name,
+      badge: `Lv.${slot.level || 1}`,
+      color: SKILL_GRADE_COLORS[slot.skill.grade] || SKILL_GRADE_COLORS.Common
+    }))
+});
+
+const spiritSection = (build) => ({
+  id: 'spirits',
+  title: 'Spirits',
+  type: 'icons',
+  items: (build?.slots || [])
+    .filter(slot => slot?.spirit)
+    .map(slot => ({
+      image: slot.spirit.image || null,
+      element: slot.spirit.element,
+      label: slot.spirit.name,
+      badge: `Lv.${slot.level || 1}`,
+      details: [`Awakening ${slot.awakeningLevel || 0}`, `Evolution ${slot.evolutionLevel ?? 0}`]
+    }))
+});
+
+const stoneSection = (build) => ({
+  id: 'stones',
+  title: 'Skill Stones',
+  type: 'icons',
+  items: (build?.slots || [])
+    .filter(slot => slot?.element && slot?.tier)
+    .map(slot => ({
+      image: null,
+      element: capitalize(slot.element.toLowerCase()),
+      label: `${STONE_TYPE_LABELS[slot.type] || capitalize(slot.type)} Stone`,
+      badge: slot.tier,
+      details: [capitalize(slot.element.toLowerCase())]
+    }))
+});
+
+const engravingSection = (build, weapons = []) => {
+  const gridState = build?.gridState || [];
+  const cells = gridState.flatMap((row, rowIndex) => row.map((cell, colIndex) => {
+    const rarity = cell?.piece?.rarity ?? 0;
+    return {
+      row: rowIndex,
+      col: colIndex,
+      active: !!cell?.active,
+      color: cell?.piece ? ENGRAVING_RARITY_COLORS[rarity] || ENGRAVING_RARITY_COLORS[0] : null,
+      image: cell?.piece
+        ? `/images/equipment/soul-weapons/SoulGem_${capitalize(RARITY_KEYS[rarity] || 'common')}_Base.png`
+        : null
+    };
+  }));
+
+  return {
+    id: 'engraving',
+    title: 'Soul Weapon',
+    type: 'grid',
+    caption: build?.weaponName
+      || weapons.find(weapon => weapon.id === build?.weaponId)?.name
+      || (build?.weaponId ? `Weapon #${build.weaponId}` : ''),
+    rows: gridState.length,
+    cols: gridState[0]?.length || 0,
+    cells
+  };
+};
+
+const statLines = (statSheet) => {
+  if (!statSheet) return [];
+  return [
+    { label: 'Power Score', value: `${statSheet.powerScore.toLocaleString('en-US')}${statSheet.usesEstimates ? '*' : ''}` },
+    ...STATS
+      .filter(stat => statSheet.stats[stat.key])
+      .map(stat => ({ label: stat.label, value: `+${formatNumber(statSheet.stats[stat.key])}${stat.unit}` }))
+  ];
+};
+
+const gearLines = (gear) => {
+  if (!gear) return [];
+  const lines = [];
+  if (gear.promotion) lines.push({ label: 'Promotion', value: gear.promotion.name });
+  gear.relics.forEach(({ relic, level }) => lines.push({ label: relic.name, value: `Lv.${level}` }));
+  gear.companions.forEach(({ companion, level }) => lines.push({ label: companion.name, value: `Lv.${level}` }));
+  if (gear.familiar) {
+    lines.push({
+      label: gear.familiar.familiar.name,
+      value: gear.familiar.weapon ? `${gear.familiar.weapon.name} T${gear.familiar.weaponTier}` : 'Familiar'
+    });
+  }
+  gear.clothing.forEach(item => lines.push({ label: item.name, value: item.bonusType }));
+  return lines;
+};
+
+/**
+ * Create a card model for a build or loadout
+ *
+ * @param {string} type - 'skill-builds' | 'spirit-builds' | 'skill-stone-builds' | 'engraving-builds' | 'battle-loadouts'
+ * @param {Object} build - Deserialized build (engraving builds: { name, weaponName, gridState })
+ * @param {Object} [options]
+ * @param {string} [options.layout='detailed'] - 'compact' | 'detailed'
+ * @param {Object} [options.statSheet] - calculateLoadoutStats() result (loadouts, detailed layout)
+ * @param {Object} [options.gear] - resolveLoadoutGear() result (loadouts, detailed layout)
+ * @param {Array} [options.weapons] - soul-weapons.json, to name the engraved weapon when the build only has weaponId
+ * @returns {{layout: string, title: string, subtitle: string, sections: Array}}
+ */
+export const createBuildCard = (type, build, { layout = 'detailed', statSheet = null, gear = null, weapons = [] } = {}) => {
+  if (!BUILD_TYPE_LABELS[type]) throw new Error(`Unsupported build type: ${type}`);
+
+  let sections;
+  if (type === 'skill-builds') {
+    sections = [skillSection(build)];
+  } else if (type === 'spirit-builds') {
+    sections = [spiritSection(build)];
+  } else if (type === 'skill-stone-builds') {
+    sections = [stoneSection(build)];
+  } else if (type === 'engraving-builds') {
+    sections = [engravingSection(build, weapons)];
+  } else {
+    sections = [
+      skillSection(build?.skillBuild),
+      spiritSection(build?.spiritBuild),
+      engravingSection(build?.soulWeaponBuild, weapons),
+      stoneSection(build?.skillStoneBuild)
+    ];
+    if (layout === 'detailed') {
+      sections.push({ id: 'stats', title: 'Stats', type: 'lines', lines: statLines(statSheet) });
+      sections.push({ id: 'gear', title: 'Gear', type: 'lines', lines: gearLines(gear) });
+    } else if (statSheet) {
+      sections.unshift({ id: 'stats', title: '', type: 'lines', lines: statLines(statSheet).slice(0, 1) });
+    }
+  }
+
+  return {
+    layout: CARD_LAYOUTS.includes(layout) ? layout : 'detailed',
+    title: build?.name || 'Untitled Build',
+    subtitle: BUILD_TYPE_LABELS[type],
+    sections: sections.filter(section => (
+      (section.items && section.items.length > 0) ||
+      (section.cells && section.cells.some(cell => cell.active || cell.image)) ||
+      (section.lines && section.lines.length > 0)
+    ))
+  };
+};
+
+/**
+ * File name for an exported card ("My Build" -> "My_Build_compact.png")
+ */
+export const getCardFilename = (name, layout) => `${(name || 'build').trim().replace(/\s+/g, '_') || 'build'}_${layout}.png`;
@@ -0,0 +1,307 @@
+/**
+ * Build Card Renderer
+ *
+ * Draws a card model from buildCard.js onto a canvas and exports it as PNG.
+ * Browser only (canvas + Image). Images that fail to load are skipped, so a
+ * card still renders when an icon is missing.
+ */
+
+import { getElementIcon } from '../services/imageService';
+import { createLogger } from './logger';
+
+const logger = createLogger('BuildCardRenderer');
+
+const SCALE = 2; // Render at 2x for sharp images in chat apps
+
+const THEME = {
+  background: ['#111827', '#1e1b4b'],
+  header: ['#3b82f6', '#9333ea'],
+  panel: 'rgba(255, 255, 255, 0.06)',
+  slot: '#1f2937',
+  inactiveCell: 'rgba(255, 255, 255, 0.03)',
+  emptyCell: '#374151',
+  title: '#ffffff',
+  text: '#e5e7eb',
+  muted: '#9ca3af',
+  accent: '#fbbf24',
+  font: '"Inter", "Segoe UI", Roboto, Helvetica, Arial, sans-serif'
+};
+
+const SIZES = {
+  compact: { width: 560, icon: 56, iconGap: 10, labelHeight: 0, cell: 26 },
+  detailed: { width: 800, icon: 72, iconGap: 14, labelHeight: 40, cell: 38 }
+};
+
+const PADDING = 24;
+const HEADER_HEIGHT = 84;
+const FOOTER_HEIGHT = 36;
+const SECTION_TITLE_HEIGHT = 26;
+const SECTION_GAP = 18;
+const LINE_HEIGHT = 24;
+const CELL_GAP = 4;
+
+const imageCache = new Map();
+
+const loadImage = (src) => {
+  if (!src) return Promise.resolve(null);
+  if (!imageCache.has(src)) {
+    imageCache.set(src, new Promise(resolve => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => {
+        logger.warn('Card image failed to load', { src });
+        resolve(null);
+      };
+      img.src = src;
+    }));
+  }
+  return imageCache.get(src);
+};
+
+const itemImageSrc = (item) => item.image || (item.element ? getElementIcon(item.element) : null);
+
+const font = (size, weight = 'normal') => `${weight} ${size}px ${THEME.font}`;
+
+// Truncate text with an ellipsis to fit maxWidth
+const fitText = (ctx, text, maxWidth) => {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let truncated = text;
+  while (truncated.length > 1 && ctx.measureText(`${truncated}…`).width > maxWidth) {
+    truncated = truncated.slice(0, -1);
+  }
+  return `${truncated}…`;
+};
+
+const roundRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+const drawImageContain = (ctx, img, x, y, size) => {
+  const ratio = Math.min(size / img.width, size / img.height);
+  const width = img.width * ratio;
+  const height = img.height * ratio;
+  ctx.drawImage(img, x + (size - width) / 2, y + (size - height) / 2, width, height);
+};
+
+// ===== Section layout =====
+
+const iconColumns = (sizes, contentWidth) => Math.max(1, Math.floor((contentWidth + sizes.iconGap) / (sizes.icon + sizes.iconGap)));
+
+const sectionHeight = (section, sizes, contentWidth) => {
+  const titleHeight = section.title ? SECTION_TITLE_HEIGHT : 0;
+  if (section.type === 'icons') {
+    const rows = Math.ceil(section.items.length / iconColumns(sizes, contentWidth));
+    return titleHeight + rows * (sizes.icon + sizes.labelHeight) + (rows - 1) * sizes.iconGap;
+  }
+  if (section.type === 'grid') {
+    return titleHeight + section.rows * (sizes.cell + CELL_GAP) - CELL_GAP;
+  }
+  return titleHeight + Math.ceil(section.lines.length / 2) * LINE_HEIGHT;
+};
+
+const drawSectionTitle = (ctx, title, x, y) => {
+  if (!title) return 0;
+  ctx.fillStyle = THEME.muted;
+  ctx.font = font(13, 'bold');
+  ctx.textBaseline = 'top';
+  ctx.fillText(title.toUpperCase(), x, y);
+  return SECTION_TITLE_HEIGHT;
+};
+
+const drawIcons = (ctx, section, images, sizes, x, y, contentWidth, detailed) => {
+  const columns = iconColumns(sizes, contentWidth);
+
+  section.items.forEach((item, index) => {
+    const itemX = x + (index % columns) * (sizes.icon + sizes.iconGap);
+    const itemY = y + Math.floor(index / columns) * (sizes.icon + sizes.labelHeight + sizes.iconGap);
+
+    roundRect(ctx, itemX, itemY, sizes.icon, sizes.icon, 8);
+    ctx.fillStyle = THEME.slot;
+    ctx.fill();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = item.color || THEME.emptyCell;
+    ctx.stroke();
+
+    const img = images.get(itemImageSrc(item));
+    if (img) drawImageContain(ctx, img, itemX + 4, itemY + 4, sizes.icon - 8);
+
+    if (item.badge) {
+      ctx.font = font(detailed ? 12 : 11, 'bold');
+      const badgeWidth = Math.min(ctx.measureText(item.badge).width + 8, sizes.icon);
+      const badgeHeight = detailed ? 18 : 16;
+      roundRect(ctx, itemX + sizes.icon - badgeWidth, itemY + sizes.icon - badgeHeight, badgeWidth, badgeHeight, 4);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+      ctx.fill();
+      ctx.fillStyle = THEME.accent;
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'center';
+      ctx.fillText(item.badge, itemX + sizes.icon - badgeWidth / 2, itemY + sizes.icon - badgeHeight / 2);
+      ctx.textAlign = 'left';
+    }
+
+    if (detailed) {
+      const maxWidth = sizes.icon + sizes.iconGap - 4;
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = THEME.text;
+      ctx.font = font(12, 'bold');
+      ctx.fillText(fitText(ctx, item.label || '', maxWidth), itemX, itemY + sizes.icon + 5);
+      if (item.details?.length) {
+        ctx.fillStyle = THEME.muted;
+        ctx.font = font(10);
+        ctx.fillText(fitText(ctx, item.details.join(' · '), maxWidth), itemX, itemY + sizes.icon + 21);
+      }
+    }
+  });
+};
+
+const drawGrid = (ctx, section, images, sizes, x, y, detailed) => {
+  section.cells.forEach(cell => {
+    const cellX = x + cell.col * (sizes.cell + CELL_GAP);
+    const cellY = y + cell.row * (sizes.cell + CELL_GAP);
+
+    roundRect(ctx, cellX, cellY, sizes.cell, sizes.cell, 4);
+    ctx.fillStyle = cell.color || (cell.active ? THEME.emptyCell : THEME.inactiveCell);
+    ctx.fill();
+
+    const img = images.get(cell.image);
+    if (img) drawImageContain(ctx, img, cellX + 2, cellY + 2, sizes.cell - 4);
+  });
+
+  if (section.caption) {
+    const captionX = x + section.cols * (sizes.cell + CELL_GAP) + 12;
+    ctx.fillStyle = THEME.text;
+    ctx.font = font(detailed ? 16 : 13, 'bold');
+    ctx.textBaseline = 'top';
+    ctx.fillText(section.caption, captionX, y);
+
+    const pieces = section.cells.filter(cell => cell.image).length;
+    const active = section.cells.filter(cell => cell.active).length;
+    ctx.fillStyle = THEME.muted;
+    ctx.font = font(12);
+    ctx.fillText(`${pieces}/${active} slots filled`, captionX, y + (detailed ? 22 : 18));
+  }
+};
+
+const drawLines = (ctx, section, x, y, contentWidth) => {
+  const columnWidth = contentWidth / 2;
+  section.lines.forEach((line, index) => {
+    const lineX = x + (index % 2) * columnWidth;
+    const lineY = y + Math.floor(index / 2) * LINE_HEIGHT;
+    ctx.textBaseline = 'top';
+    ctx.font = font(13);
+    ctx.fillStyle = THEME.muted;
+    ctx.fillText(fitText(ctx, line.label, columnWidth * 0.6), lineX, lineY);
+    ctx.font = font(13, 'bold');
+    ctx.fillStyle = line.label === 'Power Score' ? THEME.accent : THEME.text;
+    ctx.textAlign = 'right';
+    ctx.fillText(fitText(ctx, line.value, columnWidth * 0.35), lineX + columnWidth - 16, lineY);
+    ctx.textAlign = 'left';
+  });
+};
+
+/**
+ * Render a card model to a canvas
+ *
+ * @param {Object} card - createBuildCard() result
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const renderBuildCard = async (card) => {
+  const sizes = SIZES[card.layout] || SIZES.detailed;
+  const detailed = card.layout !== 'compact';
+  const contentWidth = sizes.width - PADDING * 2;
+
+  // Preload every image the card uses
+  const sources = new Set();
+  card.sections.forEach(section => {
+    section.items?.forEach(item => sources.add(itemImageSrc(item)));
+    section.cells?.forEach(cell => cell.image && sources.add(cell.image));
+  });
+  const images = new Map();
+  await Promise.all([...sources].filter(Boolean).map(async src => images.set(src, await loadImage(src))));
+
+  const bodyHeight = card.sections.reduce((sum, section) => sum + sectionHeight(section, sizes, contentWidth) + SECTION_GAP, 0);
+  const height = HEADER_HEIGHT + PADDING + bodyHeight + FOOTER_HEIGHT;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = sizes.width * SCALE;
+  canvas.height = height * SCALE;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(SCALE, SCALE);
+
+  // Background
+  const background = ctx.createLinearGradient(0, 0, sizes.width, height);
+  background.addColorStop(0, THEME.background[0]);
+  background.addColorStop(1, THEME.background[1]);
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, sizes.width, height);
+
+  // Header
+  const header = ctx.createLinearGradient(0, 0, sizes.width, 0);
+  header.addColorStop(0, THEME.header[0]);
+  header.addColorStop(1, THEME.header[1]);
+  ctx.fillStyle = header;
+  ctx.fillRect(0, 0, sizes.width, HEADER_HEIGHT);
+
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = THEME.title;
+  ctx.font = font(detailed ? 28 : 24, 'bold');
+  ctx.fillText(fitText(ctx, card.title, contentWidth), PADDING, 16);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.font = font(14);
+  ctx.fillText(card.subtitle, PADDING, detailed ? 52 : 50);
+
+  // Sections
+  let y = HEADER_HEIGHT + PADDING;
+  card.sections.forEach(section => {
+    const top = y + drawSectionTitle(ctx, section.title, PADDING, y);
+    if (section.type === 'icons') drawIcons(ctx, section, images, sizes, PADDING, top, contentWidth, detailed);
+    else if (section.type === 'grid') drawGrid(ctx, section, images, sizes, PADDING, top, detailed);
+    else drawLines(ctx, section, PADDING, top, contentWidth);
+    y += sectionHeight(section, sizes, contentWidth) + SECTION_GAP;
+  });
+
+  // Footer branding
+  ctx.fillStyle = THEME.panel;
+  ctx.fillRect(0, height - FOOTER_HEIGHT, sizes.width, FOOTER_HEIGHT);
+  ctx.textBaseline = 'middle';
+  ctx.font = font(12, 'bold');
+  ctx.fillStyle = THEME.muted;
+  ctx.fillText('Slayer Legend Wiki', PADDING, height - FOOTER_HEIGHT / 2);
+  ctx.textAlign = 'right';
+  ctx.font = font(12);
+  ctx.fillText(window.location.host, sizes.width - PADDING, height - FOOTER_HEIGHT / 2);
+  ctx.textAlign = 'left';
+
+  return canvas;
+};
+
+/**
+ * Render a card model and download it as PNG
+ *
+ * @param {Object} card - createBuildCard() result
+ * @param {string} filename - Download file name
+ */
+export const downloadBuildCard = async (card, filename) => {
+  const canvas = await renderBuildCard(card);
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Failed to create image'))), 'image/png');
+  });
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  logger.info('Build card exported', { filename, layout: card.layout });
+};
@@ -0,0 +1,332 @@
+/**
+ * Build Comparison
+ *
+ * Aligns two deserialized builds of the same type slot by slot and classifies
+ * each row as same / added / removed / changed (with level deltas). Stat deltas
+ * come from the shared stat engine (loadoutStats), which works for single
+ * builds by wrapping them in a loadout section.
+ *
+ * Supported types: skill builds, spirit builds, engraving builds and battle loadouts.
+ */
+
+import { getRotatedPattern } from './engravingSolver.js';
+import { RARITY_KEYS } from './engravingOptimizer.js';
+import { STATS, calculateLoadoutStats, getPlacedPieces } from './loadoutStats.js';
+import { resolveLoadoutGear } from './loadoutGear.js';
+import { SKILL_STONE_TYPES } from './skillStoneEffects.js';
+
+/**
+ * Comparable build types
+ * - shareType: `type` of the shared build (buildShare) for this build type
+ * - listKey: key of the saved list in the load-data response
+ */
+export const COMPARE_TYPES = {
+  'skill-builds': { label: 'Skill Build', shareType: 'skill-builds', listKey: 'builds' },
+  'spirit-builds': { label: 'Spirit Build', shareType: 'spirit-builds', listKey: 'builds' },
+  'engraving-builds': { label: 'Engraving Build', shareType: 'soul-weapon-engraving', listKey: 'builds' },
+  'battle-loadouts': { label: 'Battle Loadout', shareType: 'battle-loadouts', listKey: 'loadouts' }
+};
+
+export const isComparableType = (type) => Object.prototype.hasOwnProperty.call(COMPARE_TYPES, type);
+
+/**
+ * Extract a build reference from user input
+ * Accepts a saved build ID, a share checksum or code, or a URL containing `share=`/`code=`/`build=`.
+ *
+ * @param {string} input - Raw input
+ * @returns {string} Reference ('' if empty)
+ */
+export const parseBuildReference = (input) => {
+  const value = String(input ?? '').trim();
+  const match = value.match(/[?&](?:share|code|build)=([^&#\s]+)/);
+  return match ? decodeURIComponent(match[1]) : value;
+};
+
+/**
+ * Compare two entries
+ * Entries are { id, label, level?, details? }; `id` decides whether it's the same item.
+ *
+ * @returns {{status: 'same'|'added'|'removed'|'changed'|'empty', levelDelta: number|null}}
+ */
+export const compareEntry = (left, right) => {
+  if (!left && !right) return { status: 'empty', levelDelta: null };
+  if (!left) return { status: 'added', levelDelta: null };
+  if (!right) return { status: 'removed', levelDelta: null };
+  if (left.id !== right.id) return { status: 'changed', levelDelta: null };
+
+  const levelDelta = typeof left.level === 'number' && typeof right.level === 'number'
+    ? right.level - left.level
+    : null;
+  const detailsChanged = JSON.stringify(left.details || []) !== JSON.stringify(right.details || []);
+
+  return {
+    status: levelDelta || detailsChanged ? 'changed' : 'same',
+    levelDelta: levelDelta || null
+  };
+};
+
+/**
+ * Align two keyed entry lists into comparison rows
+ *
+ * @param {Array<{key: string, slot: string, entry: Object|null}>} left
+ * @param {Array<{key: string, slot: string, entry: Object|null}>} right
+ * @returns {Array<{key, slot, left, right, status, levelDelta}>} Rows in left-then-right key order (empty rows dropped)
+ */
+export const alignEntries = (left, right) => {
+  const keys = [];
+  const slots = new Map();
+  [...left, ...right].forEach(({ key, slot }) => {
+    if (!slots.has(key)) {
+      keys.push(key);
+      slots.set(key, slot);
+    }
+  });
+
+  const leftByKey = new Map(left.map(item => [item.key, item.entry]));
+  const rightByKey = new Map(right.map(item => [item.key, item.entry]));
+
+  return keys
+    .map(key => {
+      const leftEntry = leftByKey.get(key) || null;
+      const rightEntry = rightByKey.get(key) || null;
+      return { key, slot: slots.get(key), left: leftEntry, right: rightEntry, ...compareEntry(leftEntry, rightEntry) };
+    })
+    .filter(row => row.status !== 'empty');
+};
+
+const slotItems = (slots, toEntry) => (slots || []).map((slot, index) => ({
+  key: String(index),
+  slot: `Slot ${index + 1}`,
+  entry: toEntry(slot)
+}));
+
+const skillEntry = (slot) => (slot?.skill ? {
+  id: slot.skill.id,
+  label: slot.skill.name,
+  level: slot.level || 1,
+  icon: slot.skill.icon
+} : null);
+
+const spiritEntry = (slot) => (slot?.spirit ? {
+  id: slot.spirit.id,
+  label: slot.spirit.name,
+  level: slot.level || 1,
+  icon: slot.spirit.image,
+  details: [
+    `Awakening ${slot.awakeningLevel || 0}`,
+    `Evolution ${slot.evolutionLevel ?? 0}`,
+    `Skill +${slot.skillEnhancementLevel || 0}`
+  ]
+} : null);
+
+const rarityName = (rarity) => {
+  const key = RARITY_KEYS[rarity] || 'common';
+  return key.charAt(0).toUpperCase() + key.slice(1);
+};
+
+// Engraving pieces are aligned by their anchor cell
+const engravingItems = (build) => getPlacedPieces(build?.gridState)
+  .map(piece => ({
+    key: `${piece.anchorRow}:${piece.anchorCol}`,
+    slot: `R${piece.anchorRow + 1} C${piece.anchorCol + 1}`,
+    sortKey: piece.anchorRow * 100 + piece.anchorCol,
+    entry: {
+      id: `${piece.shapeId ?? piece.shape.id}:${piece.rarity}:${piece.rotation || 0}`,
+      label: `${rarityName(piece.rarity)} ${piece.shape.name}`,
+      level: piece.level || 1,
+      details: [`${piece.shape.statName || piece.shape.stat}`, `${piece.rotation || 0}°`]
+    }
+  }))
+  .sort((a, b) => a.sortKey - b.sortKey);
+
+const weaponItems = (build) => (build?.weaponId ? [{
+  key: 'weapon',
+  slot: 'Weapon',
+  entry: { id: build.weaponId, label: build.weaponName || `Weapon #${build.weaponId}` }
+}] : []);
+
+const stoneItems = (stoneBuild) => SKILL_STONE_TYPES.map(type => {
+  const slot = stoneBuild?.slots?.find(s => s?.type === type);
+  return {
+    key: type,
+    slot: `${type.charAt(0).toUpperCase()}${type.slice(1)} Stone`,
+    entry: slot?.element && slot?.tier ? { id: `${slot.element}:${slot.tier}`, label: `${slot.element} ${slot.tier}` } : null
+  };
+});
+
+const gearItems = (loadout, gearData) => {
+  const gear = resolveLoadoutGear(loadout, gearData);
+  return {
+    promotion: gear.promotion
+      ? [{ key: 'promotion', slot: 'Promotion', entry: { id: gear.promotion.id, label: gear.promotion.name } }]
+      : [],
+    relics: gear.relics.map(({ relic, level }) => ({
+      key: String(relic.id), slot: relic.buff, entry: { id: relic.id, label: relic.name, level }
+    })),
+    companions: gear.companions.map(({ companion, level }) => ({
+      key: String(companion.id), slot: companion.element, entry: { id: companion.id, label: companion.name, level }
+    })),
+    familiar: gear.familiar
+      ? [{
+        key: 'familiar',
+        slot: 'Familiar',
+        entry: {
+          id: gear.familiar.familiar.id,
+          label: gear.familiar.familiar.name,
+          level: gear.familiar.weaponTier,
+          details: [gear.familiar.weapon?.name || 'No weapon']
+        }
+      }]
+      : [],
+    clothing: gear.clothing.map(item => ({
+      key: String(item.id), slot: item.bonusType, entry: { id: item.id, label: item.name, details: [item.effect] }
+    }))
+  };
+};
+
+const section = (id, title, rows) => {
+  const summary = { same: 0, added: 0, removed: 0, changed: 0 };
+  rows.forEach(row => { summary[row.status] += 1; });
+  return { id, title, rows, summary };
+};
+
+/**
+ * Wrap a single build in a loadout so the stat engine can score it
+ */
+export const toStatLoadout = (type, build) => {
+  if (!build) return {};
+  if (type === 'skill-builds') return { skillBuild: build };
+  if (type === 'spirit-builds') return { spiritBuild: build };
+  if (type === 'engraving-builds') return { soulWeaponBuild: build };
+  return build;
+};
+
+/**
+ * Stat deltas between two stat sheets (see calculateLoadoutStats)
+ * Rows where both sides are zero are dropped, except the power score.
+ *
+ * @returns {Array<{key, label, unit, left, right, delta}>}
+ */
+export const compareStatSheets = (left, right) => {
+  const rows = [
+    { key: 'powerScore', label: 'Power Score', unit: '', value: sheet => sheet.powerScore, always: true },
+    { key: 'weaponAttack', label: 'Weapon ATK', unit: '', value: sheet => sheet.weaponAttack },
+    { key: 'skillDamagePerSecond', label: 'Skill DMG/s', unit: '%', value: sheet => sheet.skillDamagePerSecond },
+    { key: 'cooldownReduction', label: 'Cooldown Reduction', unit: '%', value: sheet => sheet.cooldownReduction },
+    { key: 'classATK', label: 'Class ATK', unit: '×', value: sheet => (sheet.classATK === 1 ? 0 : sheet.classATK) },
+    ...STATS.map(stat => ({ ...stat, value: sheet => sheet.stats[stat.key] || 0 }))
+  ];
+
+  return rows
+    .map(({ key, label, unit, value, always }) => {
+      const leftValue = value(left) || 0;
+      const rightValue = value(right) || 0;
+      return { key, label, unit, left: leftValue, right: rightValue, delta: Math.round((rightValue - leftValue) * 100) / 100, always };
+    })
+    .filter(row => row.always || row.left !== 0 || row.right !== 0)
+    .map(({ always, ...row }) => row);
+};
+
+/**
+ * Compare two deserialized builds of the same type
+ *
+ * @param {string} type - One of COMPARE_TYPES
+ * @param {Object} left - Deserialized build (engraving builds: see normalizeEngravingBuild)
+ * @param {Object} right - Deserialized build
+ * @param {Object} [statData] - Result of loadStatData(); stat deltas are skipped without it
+ * @returns {{sections: Array<{id, title, rows, summary}>, stats: Array|null}}
+ */
+export const compareBuilds = (type, left, right, statData = null) => {
+  const sections = [];
+
+  if (type === 'skill-builds') {
+    sections.push(section('skills', 'Skills', alignEntries(slotItems(left?.slots, skillEntry), slotItems(right?.slots, skillEntry))));
+  } else if (type === 'spirit-builds') {
+    sections.push(section('spirits', 'Spirits', alignEntries(slotItems(left?.slots, spiritEntry), slotItems(right?.slots, spiritEntry))));
+  } else if (type === 'engraving-builds') {
+    sections.push(section('weapon', 'Soul Weapon', alignEntries(weaponItems(left), weaponItems(right))));
+    sections.push(section('engravings', 'Engravings', alignEntries(engravingItems(left), engravingItems(right))));
+  } else if (type === 'battle-loadouts') {
+    sections.push(section('skills', 'Skills', alignEntries(
+      slotItems(left?.skillBuild?.slots, skillEntry),
+      slotItems(right?.skillBuild?.slots, skillEntry)
+    )));
+    sections.push(section('spirits', 'Spirits', alignEntries(
+      slotItems(left?.spiritBuild?.slots, spiritEntry),
+      slotItems(right?.spiritBuild?.slots, spiritEntry)
+    )));
+    sections.push(section('soulWeapon', 'Soul Weapon', alignEntries(
+      [...weaponItems(left?.soulWeaponBuild), ...engravingItems(left?.soulWeaponBuild)],
+      [...weaponItems(right?.soulWeaponBuild), ...engravingItems(right?.soulWeaponBuild)]
+    )));
+    sections.push(section('skillStones', 'Skill Stones', alignEntries(stoneItems(left?.skillStoneBuild), stoneItems(right?.skillStoneBuild))));
+
+    const leftGear = gearItems(left || {}, statData?.gear);
+    const rightGear = gearItems(right || {}, statData?.gear);
+    [['promotion', 'Promotion'], ['relics', 'Relics'], ['companions', 'Companions'], ['familiar', 'Familiar'], ['clothing', 'Clothing']]
+      .forEach(([id, title]) => sections.push(section(id, title, alignEntries(leftGear[id], rightGear[id]))));
+  } else {
+    throw new Error(`Unsupported build type: ${type}`);
+  }
+
+  const stats = statData
+    ? compareStatSheets(
+      calculateLoadoutStats(toStatLoadout(type, left), statData),
+      calculateLoadoutStats(toStatLoadout(type, right), statData)
+    )
+    : null;
+
+  return { sections: sections.filter(s => s.rows.length > 0), stats };
+};
+
+/**
+ * Normalize a saved or shared engraving build to a gridState with shape objects
+ * Shared builds may use the compact `pieces` format ({ shapeId, rarity, level, rotation, row, col }).
+ *
+ * @param {Object} build - Engraving build (saved or shared data)
+ * @param {Array} shapes - soul-weapon-engravings.json shapes
+ * @param {Array} weaponGrids - soul-weapon-grids.json weapons
+ * @returns {Object} Build with `gridState`
+ */
+export const normalizeEngravingBuild = (build, shapes = [], weaponGrids = []) => {
+  if (!build) return null;
+
+  if (Array.isArray(build.pieces)) {
+    const grid = weaponGrids.find(w => w.id === build.weaponId);
+    const size = grid?.gridType === '4x4' ? 4 : 5;
+    const gridState = Array.from({ length: size }, () => Array.from({ length: size }, () => ({ active: false, piece: null })));
+    (grid?.activeSlots || []).forEach(({ row, col }) => {
+      if (row < size && col < size) gridState[row][col].active = true;
+    });
+
+    build.pieces.forEach(piece => {
+      const shape = shapes.find(s => s.id === piece.shapeId);
+      if (!shape) return;
+      const pattern = getRotatedPattern(shape.pattern, piece.rotation || 0);
+      pattern.forEach((patternRow, pRow) => patternRow.forEach((filled, pCol) => {
+        const row = piece.row + pRow;
+        const col = piece.col + pCol;
+        if (!filled || row >= size || col >= size) return;
+        gridState[row][col].piece = {
+          shapeId: piece.shapeId,
+          shape,
+          rarity: piece.rarity,
+          level: piece.level,
+          rotation: piece.rotation || 0,
+          anchorRow: piece.row,
+          anchorCol: piece.col
+        };
+      }));
+    });
+
+    return { ...build, gridState };
+  }
+
+  return {
+    ...build,
+    gridState: (build.gridState || []).map(row => row.map(cell => {
+      const shape = cell?.piece ? cell.piece.shape || shapes.find(s => s.id === cell.piece.shapeId) : null;
+      return { active: !!cell?.active, piece: shape ? { ...cell.piece, shape } : null };
+    }))
+  };
+};
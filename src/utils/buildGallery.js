@@ -0,0 +1,197 @@
+/**
+ * Build Gallery
+ *
+ * Entries are builds users chose to publish. Each entry stores the compact share
+ * code (utils/shareCodes) plus the metadata the gallery filters on, so listing
+ * the gallery never has to decode codes or load game data.
+ *
+ * Entry format:
+ * {
+ *   id, type, name, description, shareCode,
+ *   skillIds: [], spiritIds: [], weaponId, elements: ['Fire', ...],
+ *   authorName, authorId, views, likedBy: [userId, ...],
+ *   createdAt, updatedAt
+ * }
+ *
+ * Shared by the gallery page and the build-gallery serverless handler.
+ */
+
+import { SHARE_CODE_ROUTES } from './shareCodes.js';
+
+/**
+ * Share types that can be published, with display labels
+ */
+export const GALLERY_BUILD_TYPES = {
+  'skill-builds': 'Skill Build',
+  'spirit-builds': 'Spirit Build',
+  'skill-stone-builds': 'Skill Stone Build',
+  'soul-weapon-engraving': 'Soul Weapon Engraving',
+  'battle-loadouts': 'Battle Loadout'
+};
+
+export const GALLERY_SORTS = ['newest', 'popular'];
+
+export const GALLERY_ELEMENTS = ['Fire', 'Water', 'Wind', 'Earth'];
+
+// A like counts as this many views in the popularity score
+const LIKE_WEIGHT = 5;
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).toLowerCase() : '');
+
+const unique = (values) => [...new Set(values.filter(value => value !== null && value !== undefined))];
+
+const collectParts = (type, data) => {
+  if (type === 'skill-builds') return { skillBuild: data };
+  if (type === 'spirit-builds') return { spiritBuild: data };
+  if (type === 'skill-stone-builds') return { skillStoneBuild: data };
+  if (type === 'soul-weapon-engraving') return { weaponId: data?.weaponId };
+  return {
+    skillBuild: data?.skillBuild,
+    spiritBuild: data?.spiritBuild,
+    skillStoneBuild: data?.skillStoneBuild,
+    weaponId: data?.soulWeaponBuild?.weaponId
+  };
+};
+
+/**
+ * Extract the filterable metadata from share data
+ *
+ * @param {string} type - Share type
+ * @param {Object} data - Share data (the object passed to encodeShareCode)
+ * @param {Object} [gameData]
+ * @param {Array} [gameData.skills] - skills.json, to resolve skill elements
+ * @param {Array} [gameData.spirits] - spirit-characters.json spirits, to resolve spirit elements
+ * @returns {{skillIds: Array<number>, spiritIds: Array<number>, weaponId: number|null, elements: Array<string>}}
+ */
+export const describeGalleryBuild = (type, data, { skills = [], spirits = [] } = {}) => {
+  const parts = collectParts(type, data);
+
+  const skillIds = unique((parts.skillBuild?.slots || []).map(slot => slot?.skillId));
+  const spiritIds = unique((parts.spiritBuild?.slots || []).map(slot => slot?.spiritId));
+  const stoneElements = (parts.skillStoneBuild?.slots || [])
+    .filter(slot => slot?.element && slot?.tier)
+    .map(slot => capitalize(slot.element));
+
+  const elements = unique([
+    ...skillIds.map(id => skills.find(skill => skill.id === id)?.attribute),
+    ...spiritIds.map(id => spirits.find(spirit => spirit.id === id)?.element),
+    ...stoneElements
+  ]).filter(element => GALLERY_ELEMENTS.includes(element));
+
+  return {
+    skillIds,
+    spiritIds,
+    weaponId: parts.weaponId ?? null,
+    elements: GALLERY_ELEMENTS.filter(element => elements.includes(element))
+  };
+};
+
+/**
+ * Create the entry a user publishes (author, id and counters are set by the server)
+ *
+ * @param {string} type - Share type
+ * @param {Object} data - Share data
+ * @param {string} shareCode - encodeShareCode(type, data)
+ * @param {Object} [options]
+ * @param {string} [options.description]
+ * @param {Array} [options.skills] - For element lookup
+ * @param {Array} [options.spirits] - For element lookup
+ * @returns {Object} Gallery entry
+ */
+export const createGalleryEntry = (type, data, shareCode, { description = '', skills = [], spirits = [] } = {}) => {
+  if (!GALLERY_BUILD_TYPES[type]) throw new Error(`Unsupported build type: ${type}`);
+
+  return {
+    type,
+    name: (data?.name || '').trim() || 'Untitled Build',
+    description: description.trim(),
+    shareCode,
+    ...describeGalleryBuild(type, data, { skills, spirits })
+  };
+};
+
+/**
+ * Number of likes on an entry
+ */
+export const getLikeCount = (entry) => (entry?.likedBy || []).length;
+
+/**
+ * Popularity score used for the "popular" sort (views plus weighted likes)
+ */
+export const getPopularity = (entry) => (entry?.views || 0) + getLikeCount(entry) * LIKE_WEIGHT;
+
+/**
+ * Filter gallery entries
+ *
+ * @param {Array} entries - Gallery entries
+ * @param {Object} filters
+ * @param {string} [filters.type] - Share type
+ * @param {string} [filters.element] - Element name
+ * @param {number} [filters.skillId] - Build must use this skill
+ * @param {number} [filters.spiritId] - Build must use this spirit
+ * @param {number} [filters.weaponId] - Build must use this soul weapon
+ * @param {string} [filters.search] - Matches name, description and author
+ * @returns {Array} Matching entries
+ */
+export const filterGalleryEntries = (entries, { type, element, skillId, spiritId, weaponId, search } = {}) => {
+  const query = (search || '').trim().toLowerCase();
+
+  return entries.filter(entry => {
+    if (type && entry.type !== type) return false;
+    if (element && !(entry.elements || []).includes(element)) return false;
+    if (skillId != null && !(entry.skillIds || []).includes(skillId)) return false;
+    if (spiritId != null && !(entry.spiritIds || []).includes(spiritId)) return false;
+    if (weaponId != null && entry.weaponId !== weaponId) return false;
+    if (query) {
+      const haystack = [entry.name, entry.description, entry.authorName].join(' ').toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Sort gallery entries (returns a new array)
+ *
+ * @param {Array} entries - Gallery entries
+ * @param {string} sort - 'newest' | 'popular' (ties fall back to newest)
+ * @returns {Array} Sorted entries
+ */
+export const sortGalleryEntries = (entries, sort = 'newest') => {
+  const newest = (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '');
+  const compare = sort === 'popular'
+    ? (a, b) => getPopularity(b) - getPopularity(a) || newest(a, b)
+    : newest;
+  return [...entries].sort(compare);
+};
+
+/**
+ * Entry with more views
+ *
+ * @param {Object} entry - Gallery entry
+ * @param {number} [count=1] - Views to add
+ */
+export const addGalleryView = (entry, count = 1) => ({ ...entry, views: (entry.views || 0) + count });
+
+/**
+ * Entry with the user's like toggled
+ *
+ * @param {Object} entry - Gallery entry
+ * @param {number} userId - Liking user
+ * @returns {Object} Updated entry
+ */
+export const toggleGalleryLike = (entry, userId) => {
+  const likedBy = entry.likedBy || [];
+  return {
+    ...entry,
+    likedBy: likedBy.includes(userId) ? likedBy.filter(id => id !== userId) : [...likedBy, userId]
+  };
+};
+
+/**
+ * Builder link that opens the entry's build
+ *
+ * @param {Object} entry - Gallery entry
+ * @returns {string} Hash route (#/<builder>?code=...)
+ */
+export const getGalleryEntryUrl = (entry) => `#/${SHARE_CODE_ROUTES[entry.type]}?code=${entry.shareCode}`;
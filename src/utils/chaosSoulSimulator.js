@@ -0,0 +1,292 @@
+/**
+ * Chaos Soul Reroll Simulator
+ *
+ * Monte Carlo estimate of how many Chaos Souls it takes to turn the current
+ * engraving inventory into one that can complete a weapon's grid using only
+ * pieces of a minimum rarity or better.
+ *
+ * Model (assumptions, since the game does not publish exact rates):
+ * - One Chaos Soul rerolls one inventory piece into a uniformly random shape
+ *   and a rarity drawn from the per-rarity drop weights. Level is kept.
+ * - The player rerolls pieces below the target rarity first, then a random
+ *   copy of the most duplicated shape, until some subset of qualifying pieces
+ *   exactly covers the grid.
+ *
+ * Pure module (no React/DOM/logger) so it can run in the solver worker.
+ */
+
+import { solveEngravingGrid, countActiveSlots, countPatternCells } from './engravingSolver.js';
+
+// Numeric stand-ins for the descriptive `dropWeight` labels in soul-weapon-engravings.json
+export const DROP_WEIGHT_PRESETS = {
+  'Very High': 50,
+  'High': 30,
+  'Medium': 12,
+  'Low': 5,
+  'Very Low': 2.5,
+  'Extremely Low': 0.5
+};
+
+// Common -> Mythic, matching the order of rarityTiers
+export const DEFAULT_DROP_WEIGHTS = Object.values(DROP_WEIGHT_PRESETS);
+
+const DEFAULT_TRIALS = 1000;
+const DEFAULT_MAX_ROLLS_PER_TRIAL = 20000;
+const HISTOGRAM_BUCKETS = 10;
+
+/**
+ * Convert rarity tiers into numeric drop weights indexed by rarity id
+ *
+ * @param {Array<Object>} rarityTiers - Tiers from soul-weapon-engravings.json ({ id, dropWeight })
+ * @returns {Array<number>} Drop weight per rarity id
+ */
+export const getDefaultDropWeights = (rarityTiers = []) => {
+  const weights = [];
+  rarityTiers.forEach(tier => {
+    const numeric = typeof tier.dropWeight === 'number' ? tier.dropWeight : DROP_WEIGHT_PRESETS[tier.dropWeight];
+    weights[tier.id] = numeric ?? 0;
+  });
+  return Array.from(weights, weight => weight ?? 0);
+};
+
+/**
+ * Seedable PRNG (mulberry32) so simulations can be reproduced
+ *
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a rarity id according to drop weights
+ */
+export const rollRarity = (dropWeights, random = Math.random) => {
+  const total = dropWeights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+  if (total <= 0) return 0;
+
+  let roll = random() * total;
+  for (let rarity = 0; rarity < dropWeights.length; rarity++) {
+    roll -= Math.max(0, dropWeights[rarity]);
+    if (roll < 0) return rarity;
+  }
+  return dropWeights.length - 1;
+};
+
+/**
+ * Reroll a piece into a random shape and rarity (level is kept)
+ */
+export const rerollPiece = (piece, shapes, dropWeights, random = Math.random) => {
+  const shape = shapes[Math.floor(random() * shapes.length)];
+  return {
+    ...piece,
+    shapeId: shape.id,
+    shape,
+    rarity: rollRarity(dropWeights, random)
+  };
+};
+
+/**
+ * Chance that a single Chaos Soul roll lands on the minimum rarity or better
+ */
+export const getQualifyingChance = (dropWeights, minRarity) => {
+  const total = dropWeights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+  if (total <= 0) return 0;
+  const qualifying = dropWeights.reduce((sum, weight, rarity) => sum + (rarity >= minRarity ? Math.max(0, weight) : 0), 0);
+  return qualifying / total;
+};
+
+/**
+ * Build a memoized "can these pieces complete the grid?" check
+ *
+ * Completion only depends on which shapes qualify, so results are cached by
+ * the sorted list of qualifying shape ids.
+ *
+ * @param {Array<Array<Object>>} grid - Weapon grid
+ * @param {number} minRarity - Minimum rarity id that counts
+ * @returns {Function} (pieces) => boolean
+ */
+export const createCompletionChecker = (grid, minRarity) => {
+  const cache = new Map();
+
+  return (pieces) => {
+    const qualifying = pieces.filter(piece => piece.rarity >= minRarity);
+    const key = qualifying.map(piece => piece.shapeId).sort((a, b) => a - b).join(',');
+    if (cache.has(key)) return cache.get(key);
+
+    const indexed = qualifying.map((piece, inventoryIndex) => ({ ...piece, inventoryIndex }));
+    const complete = solveEngravingGrid(grid, indexed, { maxSolutions: 1 }).solutions.length > 0;
+    cache.set(key, complete);
+    return complete;
+  };
+};
+
+/**
+ * Choose which inventory piece the next Chaos Soul should reroll
+ *
+ * Pieces below the target rarity go first; otherwise reroll a random copy of
+ * the most duplicated shape to diversify the inventory.
+ *
+ * @returns {number} Index into pieces
+ */
+export const choosePieceToReroll = (pieces, minRarity, random = Math.random) => {
+  const belowTarget = pieces.findIndex(piece => piece.rarity < minRarity);
+  if (belowTarget !== -1) return belowTarget;
+
+  const counts = {};
+  pieces.forEach(piece => {
+    counts[piece.shapeId] = (counts[piece.shapeId] || 0) + 1;
+  });
+
+  const maxCount = Math.max(...Object.values(counts));
+  const candidates = [];
+  pieces.forEach((piece, index) => {
+    if (counts[piece.shapeId] === maxCount) candidates.push(index);
+  });
+  return candidates[Math.floor(random() * candidates.length)];
+};
+
+/**
+ * Value at a percentile of an ascending array (nearest rank)
+ */
+export const getPercentile = (sorted, percentile) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+};
+
+const buildHistogram = (sortedCosts) => {
+  if (sortedCosts.length === 0) return [];
+  const min = sortedCosts[0];
+  const max = sortedCosts[sortedCosts.length - 1];
+  const width = Math.max(1, Math.ceil((max - min + 1) / HISTOGRAM_BUCKETS));
+  const buckets = [];
+
+  for (let from = min; from <= max; from += width) {
+    buckets.push({ from, to: from + width - 1, count: 0 });
+  }
+  sortedCosts.forEach(cost => {
+    buckets[Math.floor((cost - min) / width)].count++;
+  });
+  return buckets;
+};
+
+/**
+ * Simulate the Chaos Soul cost of completing a grid
+ *
+ * @param {Array<Array<Object>>} grid - Weapon grid (only active flags are used)
+ * @param {Array<Object>} pieces - Current inventory pieces ({ shapeId, shape, rarity, level })
+ * @param {Array<Object>} shapes - All engraving shapes a reroll can produce
+ * @param {Object} [options]
+ * @param {number} [options.minRarity=0] - Minimum rarity id every used piece must have
+ * @param {Array<number>} [options.dropWeights] - Weight per rarity id
+ * @param {number} [options.trials=1000] - Simulated runs
+ * @param {number} [options.maxRollsPerTrial=20000] - Give up on a run after this many rolls
+ * @param {number} [options.seed] - Seed for reproducible results
+ * @param {Function} [options.shouldCancel] - () => boolean, polled between trials
+ * @param {Function} [options.onProgress] - ({ trialsDone, trials }) => void
+ * @returns {Object} { mean, median, p90, p99, min, max, histogram, completedTrials, gaveUpTrials,
+ *   alreadyComplete, impossible, qualifyingChance, cancelled }. Percentiles are null when they
+ *   fall among runs that gave up. mean only averages the finished runs, so when some gave up it
+ *   is a lower bound of the real average.
+ */
+export const simulateChaosSoulCost = (grid, pieces, shapes, options = {}) => {
+  const {
+    minRarity = 0,
+    dropWeights = DEFAULT_DROP_WEIGHTS,
+    trials = DEFAULT_TRIALS,
+    maxRollsPerTrial = DEFAULT_MAX_ROLLS_PER_TRIAL,
+    seed = null,
+    shouldCancel = null,
+    onProgress = null
+  } = options;
+
+  const result = {
+    trials,
+    completedTrials: 0,
+    gaveUpTrials: 0,
+    alreadyComplete: false,
+    impossible: false,
+    qualifyingChance: getQualifyingChance(dropWeights, minRarity),
+    mean: null,
+    median: null,
+    p90: null,
+    p99: null,
+    min: null,
+    max: null,
+    histogram: [],
+    cancelled: false
+  };
+
+  const isComplete = createCompletionChecker(grid, minRarity);
+  if (isComplete(pieces)) {
+    return { ...result, alreadyComplete: true, completedTrials: trials, mean: 0, median: 0, p90: 0, p99: 0, min: 0, max: 0 };
+  }
+
+  // Not enough cells in the whole inventory, or no roll can ever qualify
+  const maxCells = pieces.length * Math.max(0, ...shapes.map(shape => countPatternCells(shape.pattern)));
+  if (pieces.length === 0 || shapes.length === 0 || maxCells < countActiveSlots(grid) || result.qualifyingChance === 0) {
+    return { ...result, impossible: true };
+  }
+
+  const random = seed !== null ? createSeededRandom(seed) : Math.random;
+  const costs = [];
+  const progressInterval = Math.max(1, Math.floor(trials / 20));
+
+  for (let trial = 0; trial < trials; trial++) {
+    if (shouldCancel?.()) return { ...result, cancelled: true };
+    if (trial % progressInterval === 0) onProgress?.({ trialsDone: trial, trials });
+
+    const inventory = [...pieces];
+    let rolls = 0;
+    let done = false;
+
+    while (rolls < maxRollsPerTrial) {
+      const index = choosePieceToReroll(inventory, minRarity, random);
+      const before = inventory[index];
+      inventory[index] = rerollPiece(before, shapes, dropWeights, random);
+      rolls++;
+
+      // Swapping one non-qualifying piece for another can't change the outcome
+      const qualifyingChanged = before.rarity >= minRarity || inventory[index].rarity >= minRarity;
+      if (qualifyingChanged && isComplete(inventory)) {
+        done = true;
+        break;
+      }
+    }
+
+    if (done) {
+      costs.push(rolls);
+    } else {
+      result.gaveUpTrials++;
+    }
+  }
+  onProgress?.({ trialsDone: trials, trials });
+
+  costs.sort((a, b) => a - b);
+  result.completedTrials = costs.length;
+
+  if (costs.length > 0) {
+    result.mean = costs.reduce((sum, cost) => sum + cost, 0) / costs.length;
+    result.min = costs[0];
+    result.max = costs[costs.length - 1];
+    result.histogram = buildHistogram(costs);
+  }
+
+  // Percentiles count runs that gave up as "more than maxRollsPerTrial" (null)
+  const withGaveUp = [...costs, ...Array(result.gaveUpTrials).fill(Infinity)];
+  const toResult = (value) => (value === null || value === Infinity ? null : value);
+  result.median = toResult(getPercentile(withGaveUp, 50));
+  result.p90 = toResult(getPercentile(withGaveUp, 90));
+  result.p99 = toResult(getPercentile(withGaveUp, 99));
+
+  return result;
+};
@@ -0,0 +1,110 @@
+/**
+ * Data Normalization
+ *
+ * Some data files keep every value as text, the way it was copied from the
+ * game sheets ("boss_hp": "2,846", "is_boss?": "TRUE"). The build converts
+ * them with a per-file field type map (scripts/data-normalization.json) into
+ * typed copies; the text files stay the ones people edit.
+ *
+ * Field types:
+ * - number: decimal number, thousands separators allowed ("2,846", "1.8"),
+ *   or the exponent form sheets use for large values ("3.86E+51")
+ * - integer: number without a fractional part
+ * - boolean: TRUE/FALSE in any case
+ * - string: kept as text (numbers are turned into text)
+ *
+ * Values that don't convert are left unchanged and reported.
+ */
+
+export const FIELD_TYPES = ['number', 'integer', 'boolean', 'string'];
+
+const NUMBER_PATTERN = /^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?([eE][+-]?\d+)?$/;
+
+const escapePointer = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Parse a sheet number
+ *
+ * @param {string|number} value - e.g. "2,846", "0.8" or "1.50E+01"
+ * @returns {number|null} null if the value isn't a number
+ */
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!NUMBER_PATTERN.test(text)) return null;
+  return Number(text.replace(/,/g, ''));
+};
+
+/**
+ * Convert one value
+ *
+ * @param {*} value - Source value
+ * @param {string} type - One of FIELD_TYPES
+ * @returns {{ value: * } | { error: string }}
+ */
+export const convertValue = (value, type) => {
+  switch (type) {
+    case 'number': {
+      const number = parseNumber(value);
+      return number === null ? { error: 'not a number' } : { value: number };
+    }
+    case 'integer': {
+      const number = parseNumber(value);
+      if (number === null) return { error: 'not a number' };
+      return Number.isInteger(number) ? { value: number } : { error: 'not a whole number' };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      const text = typeof value === 'string' ? value.trim().toUpperCase() : '';
+      if (text === 'TRUE') return { value: true };
+      if (text === 'FALSE') return { value: false };
+      return { error: 'not TRUE or FALSE' };
+    }
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number'
+        ? { value: String(value) }
+        : { error: 'not text' };
+    default:
+      throw new Error(`Unknown field type: ${type}`);
+  }
+};
+
+/**
+ * Convert the fields of every record in a list
+ *
+ * Fields missing from a record are skipped; fields not in the map are copied
+ * as they are.
+ *
+ * @param {Array<Object>} records - Source records
+ * @param {Object<string, string>} fields - Field name -> type
+ * @returns {{ records: Array<Object>, errors: Array<{ pointer: string, field: string, type: string, value: *, message: string }> }}
+ */
+export const normalizeRecords = (records, fields) => {
+  Object.entries(fields).forEach(([field, type]) => {
+    if (!FIELD_TYPES.includes(type)) throw new Error(`Unknown field type for ${field}: ${type}`);
+  });
+
+  const errors = [];
+  const normalized = records.map((record, index) => {
+    const next = { ...record };
+    Object.entries(fields).forEach(([field, type]) => {
+      if (!(field in record)) return;
+      const result = convertValue(record[field], type);
+      if ('error' in result) {
+        errors.push({
+          pointer: `/${index}/${escapePointer(field)}`,
+          field,
+          type,
+          value: record[field],
+          message: `${result.error}: ${JSON.stringify(record[field])} (expected ${type})`
+        });
+        return;
+      }
+      next[field] = result.value;
+    });
+    return next;
+  });
+
+  return { records: normalized, errors };
+};
@@ -0,0 +1,249 @@
+/**
+ * Soul Weapon Engraving Stat Optimizer
+ *
+ * Ranks engraving layouts by stat output instead of just grid coverage.
+ * Full-coverage layouts earn the weapon's completion effect; partial layouts
+ * can leave slots empty to fit higher-stat pieces. Both are scored against a
+ * user-selected objective (ATK, HP or a weighted mix) so they can be compared.
+ *
+ * Piece stat values come from `baseStats` in soul-weapon-engravings.json. Until
+ * those are filled in (they are currently "TBD"), per-rarity estimates are used
+ * and every result is flagged as estimated.
+ *
+ * Pure module (no React/DOM/logger) so it can run in the solver worker.
+ */
+
+import {
+  solveEngravingGrid,
+  findPackingLayout,
+  generateCombinations,
+  countActiveSlots,
+  countPatternCells
+} from './engravingSolver.js';
+
+// Rarity id -> key used in shape.baseStats
+export const RARITY_KEYS = ['common', 'great', 'rare', 'epic', 'legendary', 'mythic'];
+
+// Placeholder per-rarity estimates (% at level 1, % per extra level), indexed by rarity id.
+// Only used where the data has no numeric baseStats; editable in the optimizer UI.
+export const DEFAULT_STAT_ESTIMATES = [
+  { level1: 1.0, levelScaling: 0.1 },
+  { level1: 1.5, levelScaling: 0.15 },
+  { level1: 2.0, levelScaling: 0.2 },
+  { level1: 3.0, levelScaling: 0.3 },
+  { level1: 4.5, levelScaling: 0.45 },
+  { level1: 6.5, levelScaling: 0.65 }
+];
+
+export const OBJECTIVES = [
+  { id: 'atk', label: 'ATK' },
+  { id: 'hp', label: 'HP' },
+  { id: 'mix', label: 'Weighted Mix' }
+];
+
+// Partial layouts to keep (the best ones dominate the rest)
+const DEFAULT_MAX_PARTIAL_CANDIDATES = 5;
+
+const parseStatNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return null;
+};
+
+/**
+ * Get a piece's stat bonus from data, falling back to rarity estimates
+ *
+ * @param {Object} piece - Piece with shape.baseStats, rarity and level
+ * @param {Array<Object>} [estimates] - Per-rarity { level1, levelScaling } fallbacks
+ * @returns {{value: number, estimated: boolean}} Stat bonus in percent
+ */
+export const getPieceStatValue = (piece, estimates = DEFAULT_STAT_ESTIMATES) => {
+  const rarityStats = piece.shape?.baseStats?.[RARITY_KEYS[piece.rarity]];
+  const level1 = parseStatNumber(rarityStats?.level1);
+  const levelScaling = parseStatNumber(rarityStats?.levelScaling);
+  const levelsAboveOne = Math.max(0, (piece.level || 1) - 1);
+
+  if (level1 !== null && levelScaling !== null) {
+    const value = level1 + levelScaling * levelsAboveOne;
+    const maxValue = parseStatNumber(rarityStats.maxLevel);
+    return { value: maxValue !== null ? Math.min(value, maxValue) : value, estimated: false };
+  }
+
+  const estimate = estimates[piece.rarity];
+  if (!estimate) return { value: 0, estimated: true };
+  return { value: estimate.level1 + estimate.levelScaling * levelsAboveOne, estimated: true };
+};
+
+/**
+ * Normalize a completion effect (official {atk, hp} or legacy {atkPercent, hpPercent})
+ */
+export const normalizeCompletionEffect = (effect) => ({
+  atk: parseStatNumber(effect?.atk ?? effect?.atkPercent) ?? 0,
+  hp: parseStatNumber(effect?.hp ?? effect?.hpPercent) ?? 0
+});
+
+/**
+ * Convert an objective selection into stat weights
+ *
+ * @param {'atk'|'hp'|'mix'} objective - Objective id
+ * @param {number} [atkWeight=0.5] - ATK share for the weighted mix (HP gets the rest)
+ * @returns {Object} Weights keyed by stat (e.g. { ATK: 0.5, HP: 0.5 })
+ */
+export const getObjectiveWeights = (objective, atkWeight = 0.5) => {
+  if (objective === 'hp') return { HP: 1 };
+  if (objective === 'mix') return { ATK: atkWeight, HP: 1 - atkWeight };
+  return { ATK: 1 };
+};
+
+/**
+ * Weighted sum of stat totals
+ */
+export const scoreStats = (totals, weights) => {
+  return Object.entries(weights).reduce((sum, [stat, weight]) => sum + (totals[stat] || 0) * weight, 0);
+};
+
+/**
+ * Total up a layout's stats
+ *
+ * @param {Array<Object>} placements - Solution placements
+ * @param {Object} options
+ * @param {Object} [options.completionEffect] - Weapon completion effect
+ * @param {boolean} [options.isComplete=false] - Whether the layout fills every slot
+ * @param {Array<Object>} [options.estimates] - Per-rarity fallback estimates
+ * @returns {{totals: Object, pieces: Array, completionBonus: Object|null, usesEstimates: boolean}}
+ */
+export const calculateLayoutStats = (placements, { completionEffect = null, isComplete = false, estimates } = {}) => {
+  const totals = {};
+  let usesEstimates = false;
+
+  const pieces = placements.map(({ piece }) => {
+    const { value, estimated } = getPieceStatValue(piece, estimates);
+    const stat = piece.shape.stat;
+    usesEstimates = usesEstimates || estimated;
+    totals[stat] = (totals[stat] || 0) + value;
+
+    return {
+      inventoryIndex: piece.inventoryIndex,
+      name: piece.shape.name,
+      stat,
+      statName: piece.shape.statName || stat,
+      rarity: piece.rarity,
+      level: piece.level,
+      value,
+      estimated
+    };
+  });
+
+  const completionBonus = isComplete ? normalizeCompletionEffect(completionEffect) : null;
+  if (completionBonus) {
+    totals.ATK = (totals.ATK || 0) + completionBonus.atk;
+    totals.HP = (totals.HP || 0) + completionBonus.hp;
+  }
+
+  return { totals, pieces, completionBonus, usesEstimates };
+};
+
+/**
+ * Find the layouts that maximize an objective
+ *
+ * Scores every full-coverage layout (with completion bonus) and the best
+ * partial layouts (highest-stat piece sets that fit without filling the grid).
+ *
+ * @param {Array<Array<Object>>} grid - Weapon grid
+ * @param {Array<Object>} pieces - Inventory pieces with inventoryIndex
+ * @param {Object} [options]
+ * @param {Object} [options.completionEffect] - Weapon completion effect
+ * @param {Object} [options.weights={ATK: 1}] - Stat weights (see getObjectiveWeights)
+ * @param {Array<Object>} [options.estimates] - Per-rarity fallback estimates
+ * @param {number} [options.maxCandidates=10] - Candidates to return
+ * @param {Function} [options.shouldCancel] - () => boolean
+ * @param {Function} [options.onProgress] - ({ stage, checked, total }) => void
+ * @returns {{candidates: Array, bestFull: Object|null, bestPartial: Object|null, cancelled: boolean}}
+ */
+export const optimizeEngravingLayout = (grid, pieces, options = {}) => {
+  const {
+    completionEffect = null,
+    weights = { ATK: 1 },
+    estimates = DEFAULT_STAT_ESTIMATES,
+    maxCandidates = 10,
+    maxPartialCandidates = DEFAULT_MAX_PARTIAL_CANDIDATES,
+    shouldCancel = null,
+    onProgress = null
+  } = options;
+
+  const totalSlots = countActiveSlots(grid);
+  const candidates = [];
+  const empty = { candidates, bestFull: null, bestPartial: null, cancelled: false };
+
+  if (pieces.length === 0 || totalSlots === 0) return empty;
+
+  const buildCandidate = (placements, kind) => {
+    const stats = calculateLayoutStats(placements, { completionEffect, isComplete: kind === 'full', estimates });
+    return {
+      kind,
+      placements,
+      ...stats,
+      score: scoreStats(stats.totals, weights),
+      coveredSlots: placements.reduce((sum, p) => sum + countPatternCells(p.piece.shape.pattern), 0),
+      totalSlots
+    };
+  };
+
+  // Full coverage: every distinct piece set that completes the grid
+  onProgress?.({ stage: 'full', checked: 0, total: 1 });
+  const fullResult = solveEngravingGrid(grid, pieces, { shouldCancel });
+  if (fullResult.cancelled) return { ...empty, cancelled: true };
+  fullResult.solutions.forEach(solution => candidates.push(buildCandidate(solution, 'full')));
+
+  // Partial coverage: rank piece sets that can't fill the grid by their own stats,
+  // then keep the best ones that actually fit
+  const pieceScores = pieces.map(piece =>
+    scoreStats({ [piece.shape.stat]: getPieceStatValue(piece, estimates).value }, weights)
+  );
+  const pieceCells = pieces.map(piece => countPatternCells(piece.shape.pattern));
+  const indices = pieces.map((_, i) => i);
+
+  const subsets = [];
+  for (let k = 1; k <= pieces.length; k++) {
+    for (const subset of generateCombinations(indices, k)) {
+      const cells = subset.reduce((sum, i) => sum + pieceCells[i], 0);
+      if (cells >= totalSlots) continue; // Would have to be a full layout
+      subsets.push({ subset, score: subset.reduce((sum, i) => sum + pieceScores[i], 0) });
+    }
+  }
+  subsets.sort((a, b) => b.score - a.score || b.subset.length - a.subset.length);
+
+  const partialCandidates = [];
+  for (let i = 0; i < subsets.length && partialCandidates.length < maxPartialCandidates; i++) {
+    if (shouldCancel?.()) return { ...empty, cancelled: true };
+    onProgress?.({ stage: 'partial', checked: i, total: subsets.length });
+
+    const { subset } = subsets[i];
+
+    // A subset of an already kept layout can only score the same or lower
+    const dominated = partialCandidates.some(candidate => {
+      const used = new Set(candidate.placements.map(p => p.piece.inventoryIndex));
+      return subset.every(index => used.has(pieces[index].inventoryIndex));
+    });
+    if (dominated) continue;
+
+    const layout = findPackingLayout(grid, subset.map(index => pieces[index]));
+    if (layout) {
+      partialCandidates.push(buildCandidate(layout, 'partial'));
+    }
+  }
+  candidates.push(...partialCandidates);
+
+  // Highest score first; on ties prefer full coverage
+  candidates.sort((a, b) => b.score - a.score || (a.kind === 'full' ? -1 : 1) - (b.kind === 'full' ? -1 : 1));
+
+  const bestFull = candidates.find(c => c.kind === 'full') || null;
+  const bestPartial = candidates.find(c => c.kind === 'partial') || null;
+
+  return {
+    candidates: candidates.slice(0, maxCandidates),
+    bestFull,
+    bestPartial,
+    cancelled: false
+  };
+};
@@ -0,0 +1,597 @@
+/**
+ * Soul Weapon Engraving Solver
+ *
+ * Pure, framework-free solver for fitting engraving pieces into a soul weapon grid.
+ * Grid coverage is solved as an exact cover problem (see ./exactCover.js).
+ * Has no React, DOM or logger dependencies so it can run inside a Web Worker
+ * (see src/workers/engravingSolver.worker.js) as well as on the main thread.
+ *
+ * Grid format: 2D array of cells `{ active: boolean, piece: Object|null }`
+ * Piece format: `{ shapeId, shape: { name, pattern, stat }, rarity, level, inventoryIndex }`
+ * Solution format: array of placements `{ piece, rotation, anchorRow, anchorCol }`
+ *
+ * Usage:
+ * - solveEngravingGrid: Find every distinct complete layout for one weapon grid
+ * - findBestWeapons: Solve and score a batch of weapon grids
+ */
+
+import { createExactCoverMatrix, searchExactCover } from './exactCover.js';
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+// Minimum interval between progress callbacks
+const DEFAULT_PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Rotate a pattern 90 degrees clockwise
+ *
+ * @param {Array<Array<number>>} pattern - Piece pattern (1 = filled)
+ * @returns {Array<Array<number>>} Rotated pattern
+ */
+export const rotatePattern90 = (pattern) => {
+  const rows = pattern.length;
+  const cols = pattern[0].length;
+  const rotated = Array(cols).fill(null).map(() => Array(rows).fill(0));
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      rotated[c][rows - 1 - r] = pattern[r][c];
+    }
+  }
+
+  return rotated;
+};
+
+/**
+ * Rotate a pattern by a multiple of 90 degrees
+ *
+ * @param {Array<Array<number>>} pattern - Piece pattern (1 = filled)
+ * @param {number} rotation - Rotation in degrees (0, 90, 180, 270)
+ * @returns {Array<Array<number>>} Rotated pattern
+ */
+export const getRotatedPattern = (pattern, rotation) => {
+  if (rotation === 0) return pattern;
+
+  let rotated = pattern;
+  const times = rotation / 90;
+
+  for (let i = 0; i < times; i++) {
+    rotated = rotatePattern90(rotated);
+  }
+
+  return rotated;
+};
+
+/**
+ * Create an empty solver grid from weapon grid data
+ *
+ * @param {string} gridType - '4x4' or '5x5'
+ * @param {Array<{row: number, col: number}>} activeSlots - Active slot coordinates
+ * @returns {Array<Array<Object>>} Grid of { active, piece } cells
+ */
+export const createEmptyGrid = (gridType, activeSlots = []) => {
+  const gridSize = gridType === '4x4' ? 4 : 5;
+  return Array(gridSize).fill(null).map((_, row) =>
+    Array(gridSize).fill(null).map((_, col) => ({
+      active: activeSlots.some(slot => slot.row === row && slot.col === col),
+      piece: null
+    }))
+  );
+};
+
+/**
+ * Copy a grid keeping only the active flags (all pieces removed)
+ *
+ * @param {Array<Array<Object>>} grid - Grid to clear
+ * @returns {Array<Array<Object>>} New grid with no pieces
+ */
+export const clearGridPieces = (grid) => {
+  return grid.map(row => row.map(cell => ({ active: !!cell.active, piece: null })));
+};
+
+/**
+ * Count active slots in a grid
+ */
+export const countActiveSlots = (grid) => {
+  return grid.reduce((sum, row) => sum + row.filter(cell => cell.active).length, 0);
+};
+
+/**
+ * Count filled cells in a piece pattern
+ */
+export const countPatternCells = (pattern) => {
+  return pattern.flat().filter(c => c === 1).length;
+};
+
+/**
+ * Check whether a piece fits at an anchor position
+ *
+ * @param {Array<Array<Object>>} grid - Current grid
+ * @param {Object} piece - Piece with shape.pattern
+ * @param {number} rotation - Rotation in degrees
+ * @param {number} anchorRow - Top-left row of the rotated pattern
+ * @param {number} anchorCol - Top-left column of the rotated pattern
+ * @returns {boolean} True if every filled cell lands on an empty active slot
+ */
+export const canPlacePieceAtPosition = (grid, piece, rotation, anchorRow, anchorCol) => {
+  const pattern = getRotatedPattern(piece.shape.pattern, rotation);
+
+  for (let pRow = 0; pRow < pattern.length; pRow++) {
+    for (let pCol = 0; pCol < pattern[pRow].length; pCol++) {
+      if (pattern[pRow][pCol] === 1) {
+        const gridRow = anchorRow + pRow;
+        const gridCol = anchorCol + pCol;
+
+        // Check bounds
+        if (gridRow < 0 || gridCol < 0 || gridRow >= grid.length || gridCol >= grid[0].length) {
+          return false;
+        }
+
+        // Check if slot is active
+        if (!grid[gridRow][gridCol].active) {
+          return false;
+        }
+
+        // Check if slot is already occupied
+        if (grid[gridRow][gridCol].piece) {
+          return false;
+        }
+      }
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Lazily generate all combinations of k items from an array
+ * Generator form avoids materializing every k-subset up front
+ *
+ * @param {Array} array - Source items
+ * @param {number} k - Combination size
+ * @yields {Array} One combination at a time
+ */
+export function* generateCombinations(array, k, start = 0, prefix = []) {
+  if (k === 0) {
+    yield prefix;
+    return;
+  }
+
+  for (let i = start; i <= array.length - k; i++) {
+    yield* generateCombinations(array, k - 1, i + 1, [...prefix, array[i]]);
+  }
+}
+
+/**
+ * Signature of the inventory pieces a solution uses (ignores rotation/position)
+ */
+export const getSolutionSignature = (solution) => {
+  return solution
+    .map(placement => placement.piece.inventoryIndex)
+    .sort((a, b) => a - b)
+    .join(',');
+};
+
+/**
+ * Remove solutions that use the same set of inventory pieces
+ */
+export const deduplicateSolutions = (solutions) => {
+  const seen = new Set();
+  const unique = [];
+
+  for (const solution of solutions) {
+    const signature = getSolutionSignature(solution);
+    if (!seen.has(signature)) {
+      seen.add(signature);
+      unique.push(solution);
+    }
+  }
+
+  return unique;
+};
+
+/**
+ * Cache key for a weapon + inventory combination
+ * Pieces are sorted by shape, rarity and level so order doesn't matter
+ *
+ * @returns {string} Key in the form weaponId-shapeId:rarity:level,...
+ */
+export const getCacheKey = (weaponId, pieces) => {
+  const sortedPieces = [...pieces].sort((a, b) => {
+    if (a.shapeId !== b.shapeId) return a.shapeId - b.shapeId;
+    if (a.rarity !== b.rarity) return a.rarity - b.rarity;
+    return a.level - b.level;
+  });
+
+  const inventorySignature = sortedPieces
+    .map(p => `${p.shapeId}:${p.rarity}:${p.level}`)
+    .join(',');
+
+  return `${weaponId}-${inventorySignature}`;
+};
+
+/**
+ * Check whether some subset of pieces has exactly the given number of cells
+ * Cheap pre-check that skips grids no combination could ever cover
+ */
+const canCoverCellCount = (pieces, cellCount) => {
+  let reachable = new Set([0]);
+  for (const piece of pieces) {
+    const cells = countPatternCells(piece.shape.pattern);
+    const next = new Set(reachable);
+    reachable.forEach(sum => {
+      if (sum + cells <= cellCount) next.add(sum + cells);
+    });
+    reachable = next;
+  }
+  return reachable.has(cellCount);
+};
+
+/**
+ * Build every distinct placement of each shape on a grid's active slots
+ * Rotations that cover the same cells (e.g. a rotated Square) are only kept once
+ *
+ * @param {Array<Array<Object>>} grid - Empty grid
+ * @param {Array<Object>} shapes - Distinct shapes ({ id, pattern })
+ * @returns {{placements: Array<Object>, columnCount: number}} Placements as
+ *   { shapeId, rotation, anchorRow, anchorCol, columns } where columns index the active slots
+ */
+export const getShapePlacements = (grid, shapes) => {
+  const columnByCell = new Map();
+  grid.forEach((row, rowIndex) => {
+    row.forEach((cell, colIndex) => {
+      if (cell.active) columnByCell.set(`${rowIndex},${colIndex}`, columnByCell.size);
+    });
+  });
+
+  const placements = [];
+  const seen = new Set();
+
+  for (const shape of shapes) {
+    for (const rotation of ROTATIONS) {
+      const pattern = getRotatedPattern(shape.pattern, rotation);
+
+      for (let anchorRow = 0; anchorRow < grid.length; anchorRow++) {
+        for (let anchorCol = 0; anchorCol < grid[0].length; anchorCol++) {
+          if (!canPlacePieceAtPosition(grid, { shape }, rotation, anchorRow, anchorCol)) continue;
+
+          const columns = [];
+          pattern.forEach((patternRow, pRow) => {
+            patternRow.forEach((filled, pCol) => {
+              if (filled === 1) columns.push(columnByCell.get(`${anchorRow + pRow},${anchorCol + pCol}`));
+            });
+          });
+          columns.sort((a, b) => a - b);
+
+          const key = `${shape.id}:${columns.join(',')}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          placements.push({ shapeId: shape.id, rotation, anchorRow, anchorCol, columns });
+        }
+      }
+    }
+  }
+
+  return { placements, columnCount: columnByCell.size };
+};
+
+/**
+ * Yield every way to assign inventory pieces to the placements of one tiling
+ *
+ * @param {Array<Object>} groups - [{ pieces, placements }] per shape, where
+ *   pieces are the inventory pieces of that shape and placements the tiling's
+ *   placements of that shape
+ * @yields {Array<Object>} Solution placements { piece, rotation, anchorRow, anchorCol }
+ */
+function* assignPiecesToTiling(groups, groupIndex = 0) {
+  if (groupIndex === groups.length) {
+    yield [];
+    return;
+  }
+
+  const { pieces, placements } = groups[groupIndex];
+  for (const chosen of generateCombinations(pieces, placements.length)) {
+    const assigned = chosen.map((piece, i) => ({
+      piece,
+      rotation: placements[i].rotation,
+      anchorRow: placements[i].anchorRow,
+      anchorCol: placements[i].anchorCol
+    }));
+    for (const rest of assignPiecesToTiling(groups, groupIndex + 1)) {
+      yield [...assigned, ...rest];
+    }
+  }
+}
+
+/**
+ * Find every distinct complete layout for a grid using the given pieces
+ *
+ * Runs an exact cover search (Dancing Links) where each active slot must be
+ * covered once and each shape can be used at most as many times as the
+ * inventory holds it. The search works on shapes rather than individual
+ * pieces, so duplicate pieces don't multiply the work; each tiling is then
+ * expanded into every assignment of inventory pieces, deduplicated by
+ * getSolutionSignature.
+ *
+ * @param {Array<Array<Object>>} grid - Weapon grid (existing pieces are ignored)
+ * @param {Array<Object>} pieces - Inventory pieces with inventoryIndex
+ * @param {Object} [options]
+ * @param {number} [options.maxSolutions=Infinity] - Stop after this many solutions
+ * @param {number} [options.timeLimitMs=Infinity] - Stop after this long
+ * @param {Function} [options.onProgress] - ({ placementsTried, solutionsFound }) => void
+ * @param {Function} [options.onSolution] - (solution, index) => void, called as each is found
+ * @param {Function} [options.shouldCancel] - () => boolean, polled during the search
+ * @param {number} [options.progressIntervalMs=100] - Minimum time between progress callbacks
+ * @returns {{solutions: Array, placementsTried: number, cancelled: boolean, timedOut: boolean}}
+ */
+export const solveEngravingGrid = (grid, pieces, options = {}) => {
+  const {
+    maxSolutions = Infinity,
+    timeLimitMs = Infinity,
+    onProgress = null,
+    onSolution = null,
+    shouldCancel = null,
+    progressIntervalMs = DEFAULT_PROGRESS_INTERVAL_MS
+  } = options;
+
+  const emptyGrid = clearGridPieces(grid);
+  const solutions = [];
+  const result = { solutions, placementsTried: 0, cancelled: false, timedOut: false };
+
+  if (pieces.length === 0) return result;
+
+  const startTime = Date.now();
+  let lastProgressTime = 0;
+
+  const reportProgress = (force = false) => {
+    if (!onProgress) return;
+    const now = Date.now();
+    if (force || now - lastProgressTime >= progressIntervalMs) {
+      lastProgressTime = now;
+      onProgress({ placementsTried: result.placementsTried, solutionsFound: solutions.length });
+    }
+  };
+
+  reportProgress(true);
+
+  if (shouldCancel?.()) {
+    result.cancelled = true;
+    return result;
+  }
+
+  if (!canCoverCellCount(pieces, countActiveSlots(emptyGrid))) {
+    reportProgress(true);
+    return result;
+  }
+
+  // Group interchangeable pieces by shape (inventory order is kept within a group)
+  const groupsByShape = new Map();
+  pieces.forEach(piece => {
+    if (!groupsByShape.has(piece.shapeId)) {
+      groupsByShape.set(piece.shapeId, { shape: { ...piece.shape, id: piece.shapeId }, pieces: [] });
+    }
+    groupsByShape.get(piece.shapeId).pieces.push(piece);
+  });
+
+  const shapes = [...groupsByShape.values()].map(group => group.shape);
+  const { placements, columnCount } = getShapePlacements(emptyGrid, shapes);
+  const matrix = createExactCoverMatrix(columnCount, placements.map(p => p.columns));
+
+  const remainingByShape = new Map([...groupsByShape].map(([shapeId, group]) => [shapeId, group.pieces.length]));
+  const seenShapeMixes = new Set();
+  const seenSignatures = new Set();
+
+  const handleTiling = (rowIds) => {
+    const tilingPlacements = rowIds.map(rowId => placements[rowId]);
+
+    // Every tiling with the same shape counts expands to the same piece sets
+    const shapeMix = tilingPlacements.map(p => p.shapeId).sort((a, b) => a - b).join(',');
+    if (seenShapeMixes.has(shapeMix)) return false;
+    seenShapeMixes.add(shapeMix);
+
+    const groups = [...groupsByShape].map(([shapeId, group]) => ({
+      pieces: group.pieces,
+      placements: tilingPlacements.filter(p => p.shapeId === shapeId)
+    })).filter(group => group.placements.length > 0);
+
+    for (const solution of assignPiecesToTiling(groups)) {
+      const signature = getSolutionSignature(solution);
+      if (seenSignatures.has(signature)) continue;
+      seenSignatures.add(signature);
+
+      solutions.push(solution);
+      onSolution?.(solution, solutions.length - 1);
+      if (solutions.length >= maxSolutions) return true;
+    }
+
+    reportProgress();
+    return false;
+  };
+
+  searchExactCover(matrix, {
+    onSolution: handleTiling,
+    canUseRow: (rowId) => remainingByShape.get(placements[rowId].shapeId) > 0,
+    onUseRow: (rowId) => {
+      result.placementsTried++;
+      const shapeId = placements[rowId].shapeId;
+      remainingByShape.set(shapeId, remainingByShape.get(shapeId) - 1);
+    },
+    onReleaseRow: (rowId) => {
+      const shapeId = placements[rowId].shapeId;
+      remainingByShape.set(shapeId, remainingByShape.get(shapeId) + 1);
+    },
+    shouldStop: () => {
+      reportProgress();
+      if (shouldCancel?.()) {
+        result.cancelled = true;
+      } else if (Date.now() - startTime > timeLimitMs) {
+        result.timedOut = true;
+      }
+      return result.cancelled || result.timedOut;
+    }
+  });
+
+  reportProgress(true);
+  return result;
+};
+
+/**
+ * Find a layout that places every given piece without overlaps
+ * Unlike solveEngravingGrid the grid doesn't need to be fully covered, which
+ * is what partial-coverage layouts in the stat optimizer need.
+ *
+ * @param {Array<Array<Object>>} grid - Weapon grid (existing pieces are ignored)
+ * @param {Array<Object>} pieces - Pieces that must all be placed
+ * @returns {Array<Object>|null} Solution placements, or null if they don't fit
+ */
+export const findPackingLayout = (grid, pieces) => {
+  const emptyGrid = clearGridPieces(grid);
+  const totalCells = pieces.reduce((sum, p) => sum + countPatternCells(p.shape.pattern), 0);
+  if (totalCells > countActiveSlots(emptyGrid)) return null;
+
+  // Place same-shape pieces consecutively so they can be kept in placement order
+  const ordered = [...pieces].sort((a, b) => a.shapeId - b.shapeId);
+  const shapes = [...new Map(ordered.map(p => [p.shapeId, { ...p.shape, id: p.shapeId }])).values()];
+  const { placements } = getShapePlacements(emptyGrid, shapes);
+
+  // Active slots fit in 25 bits, so each placement is a bitmask
+  const optionsByShape = new Map();
+  placements.forEach(placement => {
+    const mask = placement.columns.reduce((m, column) => m | (1 << column), 0);
+    if (!optionsByShape.has(placement.shapeId)) optionsByShape.set(placement.shapeId, []);
+    optionsByShape.get(placement.shapeId).push({ ...placement, mask });
+  });
+
+  const chosen = [];
+  const place = (pieceIndex, usedMask, minOption) => {
+    if (pieceIndex === ordered.length) return true;
+
+    const piece = ordered[pieceIndex];
+    const options = optionsByShape.get(piece.shapeId) || [];
+    const nextIsSameShape = ordered[pieceIndex + 1]?.shapeId === piece.shapeId;
+
+    for (let i = minOption; i < options.length; i++) {
+      if (options[i].mask & usedMask) continue;
+
+      chosen.push({ piece, rotation: options[i].rotation, anchorRow: options[i].anchorRow, anchorCol: options[i].anchorCol });
+      // Identical shapes are interchangeable, so only try later options for the next one
+      if (place(pieceIndex + 1, usedMask | options[i].mask, nextIsSameShape ? i + 1 : 0)) return true;
+      chosen.pop();
+    }
+
+    return false;
+  };
+
+  return place(0, 0, 0) ? chosen : null;
+};
+
+/**
+ * Score a weapon's solutions for the best weapon ranking
+ * Base = solution count, +2 per same-shape solution, +10 per weapon tier
+ *
+ * @returns {{score: number, samePieceCount: number}}
+ */
+export const scoreWeaponSolutions = (weapon, solutions) => {
+  const samePieceCount = solutions.filter(solution => {
+    const shapeTypes = new Set(solution.map(placement => placement.piece.shape.name));
+    return shapeTypes.size === 1;
+  }).length;
+
+  // Weapons are ordered by progression, so tier dominates the score
+  const score = solutions.length + samePieceCount * 2 + weapon.id * 10;
+
+  return { score, samePieceCount };
+};
+
+/**
+ * Solve and rank a batch of weapon grids
+ *
+ * @param {Array<Object>} weaponJobs - [{ weapon, grid, gridDataSource, submittedBy, cachedSolutions }]
+ *   Jobs with cachedSolutions are scored without being solved again
+ * @param {Array<Object>} pieces - Inventory pieces with inventoryIndex
+ * @param {Object} [options]
+ * @param {number} [options.maxSolutionsPerWeapon=15] - Solutions to search for per weapon
+ * @param {number} [options.timeLimitMs=Infinity] - Total time budget across all weapons
+ * @param {Function} [options.onProgress] - ({ weaponIndex, weaponCount, weaponName, placementsTried, solutionsFound }) => void
+ * @param {Function} [options.onWeaponSolved] - (cacheKey, solutions) => void, for caching per-weapon results
+ * @param {Function} [options.shouldCancel] - () => boolean
+ * @returns {{results: Array, cancelled: boolean, timedOut: boolean}} Results sorted by score (descending)
+ */
+export const findBestWeapons = (weaponJobs, pieces, options = {}) => {
+  const {
+    maxSolutionsPerWeapon = 15,
+    timeLimitMs = Infinity,
+    onProgress = null,
+    onWeaponSolved = null,
+    shouldCancel = null,
+    progressIntervalMs = DEFAULT_PROGRESS_INTERVAL_MS
+  } = options;
+
+  const startTime = Date.now();
+  const results = [];
+  let placementsTried = 0;
+  let solutionsFound = 0;
+  let cancelled = false;
+  let timedOut = false;
+
+  for (let weaponIndex = 0; weaponIndex < weaponJobs.length; weaponIndex++) {
+    const { weapon, grid, gridDataSource, submittedBy, cachedSolutions } = weaponJobs[weaponIndex];
+    const progressBase = { weaponIndex, weaponCount: weaponJobs.length, weaponName: weapon.name };
+
+    const remainingMs = timeLimitMs - (Date.now() - startTime);
+    const solveResult = cachedSolutions ? {
+      solutions: cachedSolutions,
+      placementsTried: 0,
+      cached: true
+    } : solveEngravingGrid(grid, pieces, {
+      maxSolutions: maxSolutionsPerWeapon,
+      timeLimitMs: remainingMs,
+      shouldCancel,
+      progressIntervalMs,
+      onProgress: onProgress
+        ? (progress) => onProgress({
+          ...progressBase,
+          placementsTried: placementsTried + progress.placementsTried,
+          solutionsFound: solutionsFound + progress.solutionsFound
+        })
+        : null
+    });
+
+    placementsTried += solveResult.placementsTried;
+    solutionsFound += solveResult.solutions.length;
+
+    if (solveResult.cancelled) {
+      cancelled = true;
+      break;
+    }
+
+    // Partial results from a timed-out weapon are incomplete, so don't cache them
+    if (!solveResult.timedOut && !solveResult.cached) {
+      onWeaponSolved?.(getCacheKey(weapon.id, pieces), solveResult.solutions);
+    }
+
+    const { solutions } = solveResult;
+    if (solutions.length > 0) {
+      const { score, samePieceCount } = scoreWeaponSolutions(weapon, solutions);
+      results.push({
+        weapon,
+        solutionCount: solutions.length,
+        samePieceCount,
+        score,
+        solutions: solutions.slice(0, 5), // Keep top 5 solutions for preview
+        totalActiveSlots: countActiveSlots(grid),
+        gridDataSource,
+        submittedBy
+      });
+    }
+
+    if (solveResult.timedOut) {
+      timedOut = true;
+      break;
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score);
+  return { results, cancelled, timedOut };
+};
@@ -0,0 +1,149 @@
+/**
+ * Engraving Solver Client
+ *
+ * Main-thread wrapper around the engraving solver worker. Each job gets its own
+ * worker so cancelling is just terminating it. Falls back to solving on the
+ * main thread when Web Workers are unavailable.
+ *
+ * Usage:
+ *   const job = runSolverJob('solve', { grid, pieces, options }, { onProgress, onSolution });
+ *   job.cancel();                       // Stop early (resolves with cancelled: true)
+ *   const result = await job.promise;   // { solutions, placementsTried, cancelled, timedOut }
+ */
+
+import { createLogger } from './logger.js';
+import { solveEngravingGrid, findBestWeapons } from './engravingSolver.js';
+import { optimizeEngravingLayout } from './engravingOptimizer.js';
+import { simulateChaosSoulCost } from './chaosSoulSimulator.js';
+
+const logger = createLogger('EngravingSolverClient');
+
+let nextJobId = 1;
+
+const createSolverWorker = () => {
+  return new Worker(new URL('../workers/engravingSolver.worker.js', import.meta.url), { type: 'module' });
+};
+
+/**
+ * Run a solver job on the main thread (fallback when Workers are unavailable)
+ */
+const runOnMainThread = (type, payload, handlers) => {
+  let cancelRequested = false;
+  let resolveJob;
+
+  const promise = new Promise((resolve, reject) => {
+    resolveJob = resolve;
+
+    // Defer so the caller can render its "solving" state first
+    setTimeout(() => {
+      if (cancelRequested) return;
+      try {
+        const options = {
+          ...payload.options,
+          onProgress: handlers.onProgress,
+          shouldCancel: () => cancelRequested
+        };
+        let result;
+        if (type === 'findBestWeapons') {
+          result = findBestWeapons(payload.weaponJobs, payload.pieces, { ...options, onWeaponSolved: handlers.onWeaponSolved });
+        } else if (type === 'optimize') {
+          result = optimizeEngravingLayout(payload.grid, payload.pieces, options);
+        } else if (type === 'simulateChaosSoul') {
+          result = simulateChaosSoulCost(payload.grid, payload.pieces, payload.shapes, options);
+        } else {
+          result = solveEngravingGrid(payload.grid, payload.pieces, { ...options, onSolution: handlers.onSolution });
+        }
+        resolve(result);
+      } catch (error) {
+        reject(error);
+      }
+    }, 0);
+  });
+
+  const cancel = () => {
+    cancelRequested = true;
+    resolveJob({ solutions: [], results: [], candidates: [], cancelled: true });
+  };
+
+  return { promise, cancel };
+};
+
+/**
+ * Start a solver job
+ *
+ * @param {'solve'|'findBestWeapons'|'optimize'|'simulateChaosSoul'} type - Job type
+ * @param {Object} payload - { grid, pieces, options }, { weaponJobs, pieces, options } or { grid, pieces, shapes, options }
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onProgress] - Progress updates
+ * @param {Function} [handlers.onSolution] - Each solution as it is found ('solve' only)
+ * @param {Function} [handlers.onWeaponSolved] - (cacheKey, solutions) per weapon ('findBestWeapons' only)
+ * @returns {{promise: Promise<Object>, cancel: Function}}
+ */
+export const runSolverJob = (type, payload, handlers = {}) => {
+  if (typeof Worker === 'undefined') {
+    logger.warn('Web Workers unavailable, solving on main thread');
+    return runOnMainThread(type, payload, handlers);
+  }
+
+  const id = nextJobId++;
+  const worker = createSolverWorker();
+  const streamedSolutions = [];
+  let settled = false;
+  let resolveJob;
+
+  const finish = () => {
+    settled = true;
+    worker.terminate();
+  };
+
+  const promise = new Promise((resolve, reject) => {
+    resolveJob = resolve;
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.id !== id || settled) return;
+
+      switch (message.type) {
+        case 'progress':
+          handlers.onProgress?.(message.progress);
+          break;
+        case 'solution':
+          streamedSolutions.push(message.solution);
+          handlers.onSolution?.(message.solution, message.index);
+          break;
+        case 'weaponSolved':
+          handlers.onWeaponSolved?.(message.cacheKey, message.solutions);
+          break;
+        case 'done':
+          finish();
+          resolve(type === 'solve' ? { ...message.result, solutions: streamedSolutions } : message.result);
+          break;
+        case 'error':
+          finish();
+          logger.error('Solver worker failed', { error: message.message });
+          reject(new Error(message.message));
+          break;
+        default:
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      if (settled) return;
+      finish();
+      logger.error('Solver worker crashed', { error: event.message });
+      reject(new Error(event.message || 'Solver worker crashed'));
+    };
+  });
+
+  worker.postMessage({ id, type, ...payload });
+
+  const cancel = () => {
+    if (settled) return;
+    finish();
+    logger.debug('Solver job cancelled', { id, type });
+    resolveJob({ solutions: streamedSolutions, results: [], candidates: [], cancelled: true });
+  };
+
+  return { promise, cancel };
+};
@@ -0,0 +1,161 @@
+/**
+ * Equipment Drops
+ *
+ * Where to farm a piece of equipment and how long it takes. Every stage in
+ * stages.json drops one equipment type and rarity (equipment,
+ * equipmentRarity) with its equipmentProbability per kill; the drop math is
+ * the "drops" section of formulas.json, passed in as a formula set (see
+ * createFormulaSet). Time to N copies is simulated kill by kill so the spread
+ * (lucky and unlucky runs) is visible next to the average. Past a few thousand
+ * copies, where simulating would stall the page, it is approximated instead.
+ */
+
+/**
+ * Split a rarity label into grade and sub-tier
+ *
+ * @param {string} rarity - e.g. "Legendary 4"
+ * @returns {{ grade: string, tier: number|null }}
+ */
+export const parseRarity = (rarity) => {
+  const match = String(rarity || '').trim().match(/^(.*?)\s*(\d+)?$/);
+  return { grade: match[1], tier: match[2] ? Number(match[2]) : null };
+};
+
+/**
+ * Fusion calculator grade id for a drop rarity (see the fusionGrades table)
+ *
+ * @param {string} rarity - e.g. "Epic 2"
+ * @param {Object} formulas - Formula set of the "drops" section
+ * @returns {string|null}
+ */
+export const getFusionGrade = (rarity, formulas) => formulas.tables.fusionGrades?.[parseRarity(rarity).grade] || null;
+
+/**
+ * Drop estimate for one stage
+ *
+ * @param {Object} stage - stages.json entry
+ * @param {Object} formulas - Formula set of the "drops" section
+ * @param {Object} [options]
+ * @param {number} [options.killsPerMinute] - Kill rate (formula default if omitted)
+ * @param {number} [options.copies=1] - Copies wanted
+ * @returns {Object} Formula results plus { stageNo }
+ */
+export const getStageDrops = (stage, formulas, { killsPerMinute, copies = 1 } = {}) => ({
+  stageNo: stage.stageNo,
+  ...formulas.evaluateAll({
+    dropChance: Number(stage.equipmentProbability) || 0,
+    killsPerMinute,
+    copies
+  })
+});
+
+/**
+ * Stages that drop an equipment type and rarity, best first
+ *
+ * Ranked by drops per hour; ties go to the lowest stage since it is the
+ * easiest to farm.
+ *
+ * @param {Array} stages - stages.json
+ * @param {string} type - "Weapon" or "Accessory"
+ * @param {string} rarity - e.g. "Legendary 4"
+ * @param {Object} formulas - Formula set of the "drops" section
+ * @param {Object} [options]
+ * @param {number} [options.maxStage] - Highest stage the player can farm
+ * @param {number} [options.killsPerMinute] - Kill rate
+ * @param {number} [options.copies] - Copies wanted
+ * @returns {Array} [{ stage, ...getStageDrops() }]
+ */
+export const rankDropStages = (stages, type, rarity, formulas, { maxStage = Infinity, ...options } = {}) => {
+  return stages
+    .filter(stage => stage.equipment === type && stage.equipmentRarity === rarity && stage.stageNo <= maxStage)
+    .filter(stage => Number(stage.equipmentProbability) > 0)
+    .map(stage => ({ stage, ...getStageDrops(stage, formulas, options) }))
+    .sort((a, b) => b.dropsPerHour - a.dropsPerHour || a.stageNo - b.stageNo);
+};
+
+// Kills until the next drop: inverse transform of the geometric distribution
+const sampleKillsToDrop = (chance, random) => {
+  if (chance >= 1) return 1;
+  return Math.floor(Math.log(1 - random()) / Math.log(1 - chance)) + 1;
+};
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+
+// Standard normal quantile of 0.9 (and, negated, of 0.1)
+const Z_90 = 1.2815515655446004;
+
+/**
+ * Normal approximation of the kills for `wanted` copies
+ *
+ * The total is a sum of `wanted` geometric draws (a negative binomial), with
+ * mean wanted / p and variance wanted * (1 - p) / p^2; for many copies it is
+ * close to normal.
+ */
+const approximateCopies = (chance, wanted) => {
+  const mean = wanted / chance;
+  const spread = Z_90 * Math.sqrt(wanted * (1 - chance)) / chance;
+  return {
+    runs: 0,
+    approximate: true,
+    mean,
+    median: Math.round(mean),
+    p10: Math.max(wanted, Math.round(mean - spread)),
+    p90: Math.round(mean + spread)
+  };
+};
+
+/**
+ * Simulate farming until a number of copies drop
+ *
+ * The number of runs shrinks for large copy counts so a simulation stays
+ * around `budget` samples. When that leaves fewer than `minRuns` runs, the
+ * result comes from a normal approximation instead (runs 0, approximate true).
+ *
+ * @param {number} chancePerKill - Drop probability per kill
+ * @param {number} copies - Copies wanted
+ * @param {Object} [options]
+ * @param {number} [options.runs=1000] - Simulated farming sessions
+ * @param {number} [options.budget=200000] - Max geometric samples across all runs
+ * @param {number} [options.minRuns=100] - Fewest runs worth simulating
+ * @param {Function} [options.random=Math.random] - Random source in [0, 1)
+ * @returns {{ runs: number, approximate: boolean, mean: number, median: number, p10: number, p90: number }|null}
+ *   Kills needed, or null when nothing can drop
+ */
+export const simulateCopies = (chancePerKill, copies, { runs = 1000, budget = 200000, minRuns = 100, random = Math.random } = {}) => {
+  const wanted = Math.max(1, Math.ceil(copies));
+  if (!(chancePerKill > 0)) return null;
+
+  const runCount = Math.min(runs, Math.floor(budget / wanted));
+  if (runCount < Math.min(runs, minRuns)) {
+    return approximateCopies(Math.min(1, chancePerKill), wanted);
+  }
+
+  const kills = [];
+  for (let run = 0; run < runCount; run++) {
+    let total = 0;
+    for (let copy = 0; copy < wanted; copy++) {
+      total += sampleKillsToDrop(chancePerKill, random);
+    }
+    kills.push(total);
+  }
+  kills.sort((a, b) => a - b);
+
+  return {
+    runs: runCount,
+    approximate: false,
+    mean: kills.reduce((sum, value) => sum + value, 0) / runCount,
+    median: percentile(kills, 0.5),
+    p10: percentile(kills, 0.1),
+    p90: percentile(kills, 0.9)
+  };
+};
+
+/**
+ * Format a farming time: minutes below an hour, hours below two days, then days
+ */
+export const formatHours = (hours) => {
+  if (!Number.isFinite(hours)) return '∞';
+  if (hours < 1) return `${Math.max(1, Math.ceil(hours * 60))}m`;
+  if (hours < 48) return `${Number(hours.toFixed(1))}h`;
+  return `${Number((hours / 24).toFixed(1))} days`;
+};
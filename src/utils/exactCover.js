@@ -0,0 +1,172 @@
+/**
+ * Exact Cover Solver (Knuth's Algorithm X with Dancing Links)
+ *
+ * Generic DLX implementation used by the engraving solver. Columns are the
+ * constraints that must each be covered exactly once; rows are the candidate
+ * choices. Nodes live in flat typed arrays rather than objects so large
+ * matrices stay cheap to build and fast to search.
+ *
+ * Usage:
+ *   const matrix = createExactCoverMatrix(columnCount, [[0, 1], [2], [1, 2]]);
+ *   searchExactCover(matrix, { onSolution: (rowIds) => { ... } });
+ */
+
+// Check the stop condition every N search nodes (Date.now() is not free)
+const STOP_CHECK_INTERVAL = 256;
+
+/**
+ * Build a dancing links matrix
+ *
+ * @param {number} columnCount - Number of primary columns (all must be covered)
+ * @param {Array<Array<number>>} rows - Column indices covered by each row
+ * @returns {Object} Matrix for searchExactCover
+ */
+export const createExactCoverMatrix = (columnCount, rows) => {
+  const nodeCount = 1 + columnCount + rows.reduce((sum, row) => sum + row.length, 0);
+
+  const L = new Int32Array(nodeCount);
+  const R = new Int32Array(nodeCount);
+  const U = new Int32Array(nodeCount);
+  const D = new Int32Array(nodeCount);
+  const C = new Int32Array(nodeCount);
+  const rowOf = new Int32Array(nodeCount).fill(-1);
+  const size = new Int32Array(columnCount + 1);
+
+  // Node 0 is the root; nodes 1..columnCount are column headers
+  for (let i = 0; i <= columnCount; i++) {
+    L[i] = i === 0 ? columnCount : i - 1;
+    R[i] = i === columnCount ? 0 : i + 1;
+    U[i] = i;
+    D[i] = i;
+    C[i] = i;
+  }
+
+  let next = columnCount + 1;
+  rows.forEach((columns, rowId) => {
+    let first = -1;
+    for (const column of columns) {
+      const header = column + 1;
+      const node = next++;
+
+      C[node] = header;
+      rowOf[node] = rowId;
+
+      // Append to bottom of column
+      U[node] = U[header];
+      D[node] = header;
+      D[U[header]] = node;
+      U[header] = node;
+      size[header]++;
+
+      // Append to row
+      if (first === -1) {
+        first = node;
+        L[node] = node;
+        R[node] = node;
+      } else {
+        L[node] = L[first];
+        R[node] = first;
+        R[L[first]] = node;
+        L[first] = node;
+      }
+    }
+  });
+
+  return { L, R, U, D, C, rowOf, size, rowCount: rows.length };
+};
+
+/**
+ * Enumerate exact covers
+ *
+ * @param {Object} matrix - From createExactCoverMatrix
+ * @param {Object} [options]
+ * @param {Function} [options.onSolution] - (rowIds) => void|boolean, return true to stop searching
+ * @param {Function} [options.canUseRow] - (rowId) => boolean, extra constraint checked before choosing a row
+ * @param {Function} [options.onUseRow] - (rowId) => void, called when a row is chosen
+ * @param {Function} [options.onReleaseRow] - (rowId) => void, called when a row is backtracked
+ * @param {Function} [options.shouldStop] - () => boolean, polled periodically during search
+ * @returns {{nodesVisited: number, stopped: boolean}}
+ */
+export const searchExactCover = (matrix, options = {}) => {
+  const { L, R, U, D, C, rowOf, size } = matrix;
+  const {
+    onSolution = null,
+    canUseRow = null,
+    onUseRow = null,
+    onReleaseRow = null,
+    shouldStop = null
+  } = options;
+
+  const partial = [];
+  let nodesVisited = 0;
+  let stopped = false;
+
+  const cover = (c) => {
+    R[L[c]] = R[c];
+    L[R[c]] = L[c];
+    for (let i = D[c]; i !== c; i = D[i]) {
+      for (let j = R[i]; j !== i; j = R[j]) {
+        D[U[j]] = D[j];
+        U[D[j]] = U[j];
+        size[C[j]]--;
+      }
+    }
+  };
+
+  const uncover = (c) => {
+    for (let i = U[c]; i !== c; i = U[i]) {
+      for (let j = L[i]; j !== i; j = L[j]) {
+        size[C[j]]++;
+        D[U[j]] = j;
+        U[D[j]] = j;
+      }
+    }
+    R[L[c]] = c;
+    L[R[c]] = c;
+  };
+
+  const search = () => {
+    if (R[0] === 0) {
+      if (onSolution?.(partial.slice()) === true) {
+        stopped = true;
+      }
+      return;
+    }
+
+    // Choose the column with the fewest candidate rows
+    let column = R[0];
+    for (let c = R[column]; c !== 0; c = R[c]) {
+      if (size[c] < size[column]) column = c;
+    }
+    if (size[column] === 0) return;
+
+    cover(column);
+
+    for (let r = D[column]; r !== column && !stopped; r = D[r]) {
+      const rowId = rowOf[r];
+      if (canUseRow && !canUseRow(rowId)) continue;
+
+      nodesVisited++;
+      if (shouldStop && nodesVisited % STOP_CHECK_INTERVAL === 0 && shouldStop()) {
+        stopped = true;
+        break;
+      }
+
+      partial.push(rowId);
+      onUseRow?.(rowId);
+      for (let j = R[r]; j !== r; j = R[j]) cover(C[j]);
+
+      search();
+
+      for (let j = L[r]; j !== r; j = L[j]) uncover(C[j]);
+      onReleaseRow?.(rowId);
+      partial.pop();
+    }
+
+    uncover(column);
+  };
+
+  search();
+
+  return { nodesVisited, stopped };
+};
@@ -0,0 +1,425 @@
+/**
+ * Formula Engine
+ *
+ * Evaluates the structured formulas in formulas.json so calculator math lives
+ * in data instead of JSX. Each section of the file looks like:
+ *
+ *   {
+ *     "description": "...",
+ *     "variables": { "level": { "label": "Level", "type": "number", "default": 0 } },
+ *     "constants": { "baseCost": 100 },
+ *     "tables": { "gradeMultipliers": { "common": 1, "rare": 2 } },
+ *     "formulas": {
+ *       "goldCost": { "expression": "floor(baseCost * 1.15 ^ level * gradeMultipliers[grade])" }
+ *     }
+ *   }
+ *
+ * Expressions support numbers, 'strings', + - * / % ^ (right associative),
+ * unary minus, parentheses, table lookups (table[key]), the functions in
+ * FUNCTIONS and references to the section's other formulas. They are parsed
+ * by a small recursive-descent parser - never eval/Function - and names only
+ * resolve to the section's own variables, constants, tables and formulas.
+ *
+ * The engine doesn't load anything; hooks/useFormulaSet.js loads formulas.json
+ * through services/gameData.js and passes a section to createFormulaSet.
+ */
+
+export class FormulaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaError';
+  }
+}
+
+const hasOwn = (object, key) => object != null && Object.prototype.hasOwnProperty.call(object, key);
+
+// Functions callable from expressions
+export const FUNCTIONS = Object.freeze({
+  min: Math.min,
+  max: Math.max,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  log: Math.log,
+  pow: Math.pow,
+  clamp: (value, low, high) => Math.min(high, Math.max(low, value))
+});
+
+// ===== Tokenizer =====
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+      if (!match) throw new FormulaError(`Invalid number at position ${i}`);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [name] = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'name', value: name, position: i });
+      i += name.length;
+    } else if (char === '\'' || char === '"') {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) throw new FormulaError(`Unterminated string at position ${i}`);
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else if ('+-*/%^()[],'.includes(char)) {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else {
+      throw new FormulaError(`Unexpected character '${char}' at position ${i}`);
+    }
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// ===== Parser =====
+
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new FormulaError(`Expected '${type}' at position ${token.position}`);
+    }
+    return token;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (peek().type === '+' || peek().type === '-') {
+      const operator = next().type;
+      node = { type: 'binary', operator, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (['*', '/', '%'].includes(peek().type)) {
+      const operator = next().type;
+      node = { type: 'binary', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  // Unary minus binds looser than ^, so -2^2 = -(2^2)
+  const parseUnary = () => {
+    if (peek().type === '-') {
+      next();
+      return { type: 'negate', argument: parseUnary() };
+    }
+    if (peek().type === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePostfix();
+    if (peek().type === '^') {
+      next();
+      return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (peek().type === '[') {
+      next();
+      node = { type: 'lookup', table: node, key: parseAdditive() };
+      expect(']');
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'name': {
+        if (peek().type !== '(') return { type: 'name', name: token.value };
+
+        if (!hasOwn(FUNCTIONS, token.value)) {
+          throw new FormulaError(`Unknown function '${token.value}'`);
+        }
+        next();
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(parseAdditive());
+          while (peek().type === ',') {
+            next();
+            args.push(parseAdditive());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      case '(': {
+        const node = parseAdditive();
+        expect(')');
+        return node;
+      }
+      case 'end':
+        throw new FormulaError('Unexpected end of expression');
+      default:
+        throw new FormulaError(`Unexpected '${token.type}' at position ${token.position}`);
+    }
+  };
+
+  const ast = parseAdditive();
+  if (peek().type !== 'end') {
+    throw new FormulaError(`Unexpected '${peek().value ?? peek().type}' at position ${peek().position}`);
+  }
+  return ast;
+};
+
+const astCache = new Map();
+
+/**
+ * Parse an expression into its syntax tree (cached per source string)
+ *
+ * @param {string} source - Expression, e.g. "floor(base * multipliers[tier])"
+ * @returns {Object} Syntax tree
+ * @throws {FormulaError} On syntax errors and unknown functions
+ */
+export const parseExpression = (source) => {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new FormulaError('Expression must be a non-empty string');
+  }
+  if (!astCache.has(source)) {
+    astCache.set(source, parse(source));
+  }
+  return astCache.get(source);
+};
+
+// ===== Evaluator =====
+
+const toNumber = (value, context) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new FormulaError(`${context} is not a number`);
+  }
+  return value;
+};
+
+const evaluateNode = (node, resolve) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'name':
+      return resolve(node.name);
+    case 'negate':
+      return -toNumber(evaluateNode(node.argument, resolve), 'Operand of -');
+    case 'lookup': {
+      const table = evaluateNode(node.table, resolve);
+      const key = evaluateNode(node.key, resolve);
+      if (table === null || typeof table !== 'object') {
+        throw new FormulaError('Only tables can be indexed');
+      }
+      if (!hasOwn(table, key)) {
+        throw new FormulaError(`Unknown table key '${key}'`);
+      }
+      return table[key];
+    }
+    case 'call': {
+      const args = node.args.map((arg, i) => toNumber(evaluateNode(arg, resolve), `Argument ${i + 1} of ${node.name}()`));
+      return FUNCTIONS[node.name](...args);
+    }
+    case 'binary': {
+      const left = toNumber(evaluateNode(node.left, resolve), `Left side of ${node.operator}`);
+      const right = toNumber(evaluateNode(node.right, resolve), `Right side of ${node.operator}`);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '^': return Math.pow(left, right);
+      }
+    }
+  }
+  throw new FormulaError(`Unsupported expression node '${node.type}'`);
+};
+
+/**
+ * Evaluate an expression against a scope of names
+ *
+ * @param {string} source - Expression
+ * @param {Object} scope - Name -> number, string or table (plain object)
+ * @returns {number|string|Object} Result
+ * @throws {FormulaError} On syntax errors, unknown names or non-numeric math
+ */
+export const evaluateExpression = (source, scope = {}) => {
+  return evaluateNode(parseExpression(source), (name) => {
+    if (!hasOwn(scope, name)) throw new FormulaError(`Unknown name '${name}'`);
+    return scope[name];
+  });
+};
+
+// ===== Formula sections =====
+
+const getExpression = (formula) => (typeof formula === 'string' ? formula : formula?.expression);
+
+/**
+ * Options of an "option" variable as [{ value, label }]
+ */
+export const getVariableOptions = (section, name) => section?.variables?.[name]?.options || [];
+
+// Names an expression reads (table lookups included, function names not)
+const collectNames = (node, names = new Set()) => {
+  switch (node.type) {
+    case 'name':
+      names.add(node.name);
+      break;
+    case 'negate':
+      collectNames(node.argument, names);
+      break;
+    case 'lookup':
+      collectNames(node.table, names);
+      collectNames(node.key, names);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectNames(arg, names));
+      break;
+    case 'binary':
+      collectNames(node.left, names);
+      collectNames(node.right, names);
+      break;
+  }
+  return names;
+};
+
+/**
+ * Check a formulas.json section without evaluating it: every expression must
+ * parse and only use the section's variables, constants, tables and formulas
+ *
+ * @param {Object} section - Section of formulas.json
+ * @returns {Array<{ formula: string, message: string }>} Problems (empty if none)
+ */
+export const validateFormulaSection = (section) => {
+  const formulas = section?.formulas || {};
+  const isDefined = (name) => ['variables', 'constants', 'tables', 'formulas'].some(key => hasOwn(section[key], name));
+  const problems = [];
+
+  Object.entries(formulas).forEach(([formula, definition]) => {
+    let ast;
+    try {
+      ast = parseExpression(getExpression(definition));
+    } catch (error) {
+      problems.push({ formula, message: error.message });
+      return;
+    }
+    collectNames(ast).forEach((name) => {
+      if (!isDefined(name)) problems.push({ formula, message: `Unknown name '${name}'` });
+    });
+  });
+
+  return problems;
+};
+
+/**
+ * Build an evaluator for one formulas.json section
+ *
+ * Names resolve in this order: input variables (falling back to the
+ * variable's default), constants, tables, then the section's other formulas
+ * (evaluated on demand, once per call). Every expression is checked with
+ * validateFormulaSection first, so a broken formulas.json fails here instead
+ * of on the first evaluation.
+ *
+ * @param {Object} section - Section of formulas.json
+ * @returns {{ evaluate: Function, evaluateAll: Function, constants: Object, tables: Object, section: Object }}
+ * @throws {FormulaError} If the section is missing or a formula is invalid
+ */
+export const createFormulaSet = (section) => {
+  if (!section || typeof section !== 'object') {
+    throw new FormulaError('Formula section is missing');
+  }
+
+  const [problem] = validateFormulaSection(section);
+  if (problem) {
+    throw new FormulaError(`Formula '${problem.formula}': ${problem.message}`);
+  }
+
+  const variables = section.variables || {};
+  const constants = section.constants || {};
+  const tables = section.tables || {};
+  const formulas = section.formulas || {};
+
+  const createResolver = (inputs) => {
+    const results = new Map();
+    const evaluating = new Set();
+
+    const resolve = (name) => {
+      if (hasOwn(variables, name)) {
+        const value = hasOwn(inputs, name) && inputs[name] !== undefined ? inputs[name] : variables[name].default;
+        if (value === undefined) throw new FormulaError(`Missing value for variable '${name}'`);
+        return value;
+      }
+      if (hasOwn(inputs, name)) return inputs[name];
+      if (hasOwn(constants, name)) return constants[name];
+      if (hasOwn(tables, name)) return tables[name];
+      if (hasOwn(formulas, name)) {
+        if (results.has(name)) return results.get(name);
+        if (evaluating.has(name)) throw new FormulaError(`Formula '${name}' refers to itself`);
+
+        const expression = getExpression(formulas[name]);
+        if (!expression) throw new FormulaError(`Formula '${name}' has no expression`);
+
+        evaluating.add(name);
+        const value = evaluateNode(parseExpression(expression), resolve);
+        evaluating.delete(name);
+        results.set(name, value);
+        return value;
+      }
+      throw new FormulaError(`Unknown name '${name}'`);
+    };
+
+    return resolve;
+  };
+
+  return {
+    section,
+    constants,
+    tables,
+
+    /**
+     * Evaluate one formula
+     * @param {string} name - Formula name
+     * @param {Object} inputs - Variable values
+     */
+    evaluate: (name, inputs = {}) => {
+      if (!hasOwn(formulas, name)) throw new FormulaError(`Unknown formula '${name}'`);
+      return createResolver(inputs)(name);
+    },
+
+    /**
+     * Evaluate every formula in the section
+     * @param {Object} inputs - Variable values
+     * @returns {Object} Formula name -> value
+     */
+    evaluateAll: (inputs = {}) => {
+      const resolve = createResolver(inputs);
+      return Object.fromEntries(Object.keys(formulas).map(name => [name, resolve(name)]));
+    }
+  };
+};
@@ -0,0 +1,214 @@
+/**
+ * Soul Weapon Grid Consensus
+ *
+ * Aggregates community grid submissions (stored as issue comments by the
+ * save-data `grid-submission` handler) into a consensus layout, and turns a
+ * promoted consensus into a soul-weapon-grids.json entry.
+ *
+ * Shared by the builder UI and the github-bot promotion action, so it must
+ * stay free of React/DOM/framework imports.
+ */
+
+// Marks grid entries that were promoted from community submissions
+export const CONSENSUS_SOURCE = 'community-consensus';
+
+// Fewest agreeing submitters a layout needs before it can be promoted
+export const MIN_PROMOTION_SUBMISSIONS = 2;
+
+const ANONYMOUS = 'Anonymous';
+
+const toNumber = (value) => {
+  const parsed = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+/**
+ * Normalize a submission into a comparable layout
+ *
+ * @param {Object} submission - Grid submission ({ gridType, activeSlots, completionEffect })
+ * @returns {{gridType: string, activeSlots: Array, totalActiveSlots: number, completionEffect: Object}}
+ */
+export const normalizeSubmissionLayout = (submission) => {
+  const seen = new Set();
+  const activeSlots = (submission.activeSlots || [])
+    .map(({ row, col }) => ({ row: Number(row), col: Number(col) }))
+    .filter(({ row, col }) => {
+      const key = `${row},${col}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.row - b.row || a.col - b.col);
+
+  return {
+    gridType: submission.gridType || '4x4',
+    activeSlots,
+    totalActiveSlots: activeSlots.length,
+    completionEffect: {
+      atk: toNumber(submission.completionEffect?.atk),
+      hp: toNumber(submission.completionEffect?.hp)
+    }
+  };
+};
+
+/**
+ * Signature identifying identical layouts (grid, slots and completion effect)
+ */
+export const getLayoutSignature = (submission) => {
+  const layout = normalizeSubmissionLayout(submission);
+  const slots = layout.activeSlots.map(({ row, col }) => `${row},${col}`).join(';');
+  return `${layout.gridType}|${slots}|${layout.completionEffect.atk}|${layout.completionEffect.hp}`;
+};
+
+/**
+ * Keep one submission per signed-in user (their latest); anonymous submissions each count once
+ */
+const dedupeBySubmitter = (submissions) => {
+  const latestByUser = new Map();
+  const anonymous = [];
+
+  submissions.forEach(submission => {
+    const submitter = submission.submittedBy || ANONYMOUS;
+    if (submitter === ANONYMOUS) {
+      anonymous.push(submission);
+      return;
+    }
+    const existing = latestByUser.get(submitter);
+    if (!existing || (submission.submittedAt || '') > (existing.submittedAt || '')) {
+      latestByUser.set(submitter, submission);
+    }
+  });
+
+  return [...latestByUser.values(), ...anonymous];
+};
+
+/**
+ * Aggregate submissions into a consensus view
+ *
+ * @param {Array<Object>} submissions - Grid submissions for one weapon
+ * @returns {Object|null} {
+ *   totalSubmissions, groups: [{ signature, layout, count, submitters, submissions }],
+ *   consensus (top group), agreement (0-1), cellVotes: { "row,col": count },
+ *   disagreeingCells: [{ row, col, votes }], gridTypeVotes, completionEffectVotes
+ * } or null when there are no submissions
+ */
+export const buildGridConsensus = (submissions = []) => {
+  const voters = dedupeBySubmitter(submissions);
+  if (voters.length === 0) return null;
+
+  const groupsBySignature = new Map();
+  const cellVotes = {};
+  const gridTypeVotes = {};
+  const completionEffectVotes = {};
+
+  voters.forEach(submission => {
+    const layout = normalizeSubmissionLayout(submission);
+    const signature = getLayoutSignature(submission);
+
+    if (!groupsBySignature.has(signature)) {
+      groupsBySignature.set(signature, { signature, layout, count: 0, submitters: [], submissions: [], firstSubmittedAt: submission.submittedAt || '' });
+    }
+    const group = groupsBySignature.get(signature);
+    group.count++;
+    group.submitters.push(submission.submittedBy || ANONYMOUS);
+    group.submissions.push(submission);
+    if ((submission.submittedAt || '') < group.firstSubmittedAt) group.firstSubmittedAt = submission.submittedAt;
+
+    layout.activeSlots.forEach(({ row, col }) => {
+      const key = `${row},${col}`;
+      cellVotes[key] = (cellVotes[key] || 0) + 1;
+    });
+    gridTypeVotes[layout.gridType] = (gridTypeVotes[layout.gridType] || 0) + 1;
+    const effectKey = `${layout.completionEffect.atk}/${layout.completionEffect.hp}`;
+    completionEffectVotes[effectKey] = (completionEffectVotes[effectKey] || 0) + 1;
+  });
+
+  // Most votes first; ties go to the layout submitted earliest
+  const groups = [...groupsBySignature.values()].sort((a, b) =>
+    b.count - a.count || a.firstSubmittedAt.localeCompare(b.firstSubmittedAt)
+  );
+
+  // Cells some voters marked active and others didn't
+  const disagreeingCells = Object.entries(cellVotes)
+    .filter(([, votes]) => votes < voters.length)
+    .map(([key, votes]) => {
+      const [row, col] = key.split(',').map(Number);
+      return { row, col, votes };
+    })
+    .sort((a, b) => a.row - b.row || a.col - b.col);
+
+  return {
+    totalSubmissions: voters.length,
+    groups,
+    consensus: groups[0],
+    agreement: groups[0].count / voters.length,
+    cellVotes,
+    disagreeingCells,
+    gridTypeVotes,
+    completionEffectVotes
+  };
+};
+
+/**
+ * Why a consensus can't be promoted yet
+ *
+ * @param {Object} consensus - Result of buildGridConsensus
+ * @returns {string|null} Reason, or null when the consensus can be promoted
+ */
+export const getPromotionBlocker = (consensus) => {
+  if (!consensus) return 'No grid submissions yet';
+  const [top, runnerUp] = consensus.groups;
+  if (top.count < MIN_PROMOTION_SUBMISSIONS) {
+    return `Needs at least ${MIN_PROMOTION_SUBMISSIONS} matching submissions (has ${top.count})`;
+  }
+  if (runnerUp && runnerUp.count === top.count) return 'No consensus: the top layouts are tied';
+  return null;
+};
+
+/**
+ * Insert or replace a weapon's grid in soul-weapon-grids.json data
+ *
+ * @param {Object} gridsData - Parsed soul-weapon-grids.json
+ * @param {Object} weapon - { id, name }
+ * @param {Object} consensus - Result of buildGridConsensus
+ * @param {Object} meta - { promotedBy, promotedAt }
+ * @returns {Object} Updated grids data (input is not mutated)
+ */
+export const applyConsensusToGridData = (gridsData, weapon, consensus, { promotedBy, promotedAt }) => {
+  const { layout, count } = consensus.consensus;
+  const weaponId = Number(weapon.id);
+
+  const entry = {
+    id: weaponId,
+    name: weapon.name,
+    gridType: layout.gridType,
+    completionEffect: layout.completionEffect,
+    activeSlots: layout.activeSlots,
+    totalActiveSlots: layout.totalActiveSlots,
+    weaponId,
+    verification: {
+      source: CONSENSUS_SOURCE,
+      agreeingSubmissions: count,
+      totalSubmissions: consensus.totalSubmissions,
+      promotedBy,
+      promotedAt
+    }
+  };
+
+  const weapons = (gridsData.weapons || []).filter(w => w.id !== weaponId);
+  weapons.push(entry);
+  weapons.sort((a, b) => a.id - b.id);
+
+  return {
+    ...gridsData,
+    weapons,
+    _metadata: gridsData._metadata
+      ? { ...gridsData._metadata, totalWeapons: weapons.length, lastUpdated: promotedAt.slice(0, 10) }
+      : gridsData._metadata
+  };
+};
+
+/**
+ * Whether a grid entry came from a promoted community consensus
+ */
+export const isConsensusVerified = (gridEntry) => gridEntry?.verification?.source === CONSENSUS_SOURCE;
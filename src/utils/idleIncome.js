@@ -0,0 +1,124 @@
+/**
+ * Idle Income
+ *
+ * Idle reward yields per stage from the idle* fields of stages.json. The math
+ * (reward interval, bonus, offline cap) is the "idle" section of formulas.json,
+ * passed in as a formula set (see createFormulaSet).
+ */
+
+// Idle resources in display order, with their stages.json field
+export const IDLE_RESOURCES = [
+  { key: 'gold', field: 'idleGold', label: 'Gold', icon: '🪙' },
+  { key: 'exp', field: 'idleExp', label: 'EXP', icon: '⭐' },
+  { key: 'cubes', field: 'idleCubes', label: 'Enhance Cubes', icon: '🧊' },
+  { key: 'stones', field: 'idleStones', label: 'Stones', icon: '💎' },
+  { key: 'dice', field: 'idleDice', label: 'Dice', icon: '🎲' },
+  { key: 'soul', field: 'idleSoul', label: 'Soul', icon: '👻' },
+  { key: 'diamond', field: 'idleDiamond', label: 'Diamonds', icon: '💠' }
+];
+
+const SUFFIXES = ['', 'K', 'M', 'B', 'T', 'Qa', 'Qi', 'Sx'];
+
+/**
+ * Format a yield: full number below 10,000, suffixed (K, M, B, ...) above
+ */
+export const formatIdleAmount = (value) => {
+  if (!Number.isFinite(value)) return '0';
+  if (Math.abs(value) < 10000) return Number(value.toFixed(2)).toLocaleString('en-US');
+
+  const tier = Math.min(SUFFIXES.length - 1, Math.floor(Math.log10(Math.abs(value)) / 3));
+  return `${Number((value / Math.pow(1000, tier)).toFixed(2))}${SUFFIXES[tier]}`;
+};
+
+/**
+ * Find a stage by number
+ */
+export const getStage = (stages, stageNo) => stages.find(stage => stage.stageNo === Number(stageNo)) || null;
+
+/**
+ * Idle yields of one stage
+ *
+ * @param {Object} stage - stages.json entry
+ * @param {Object} formulas - Formula set of the "idle" section
+ * @param {Object} options
+ * @param {Object} [options.bonuses] - Resource key -> bonus %
+ * @param {number} [options.offlineCapHours] - Offline cap (formula default if omitted)
+ * @returns {Object} Resource key -> { base, perHour, perDay, offlineCap }
+ */
+export const getIdleIncome = (stage, formulas, { bonuses = {}, offlineCapHours } = {}) => {
+  return Object.fromEntries(IDLE_RESOURCES.map(({ key, field }) => {
+    const base = Number(stage?.[field]) || 0;
+    const results = formulas.evaluateAll({
+      baseYield: base,
+      bonus: Number(bonuses[key]) || 0,
+      offlineCapHours
+    });
+    return [key, { base, perHour: results.perHour, perDay: results.perDay, offlineCap: results.offlineCap }];
+  }));
+};
+
+/**
+ * Stages around the current one with their yields and the change against it
+ *
+ * @param {Array} stages - stages.json
+ * @param {number} stageNo - Current stage
+ * @param {Object} formulas - Formula set of the "idle" section
+ * @param {Object} options - getIdleIncome options plus `range` (stages either side, default 5)
+ * @returns {Array} [{ stage, income, changes: { [key]: percent|null }, isCurrent }]
+ */
+export const compareNearbyStages = (stages, stageNo, formulas, { range = 5, ...options } = {}) => {
+  const current = getStage(stages, stageNo);
+  if (!current) return [];
+
+  const currentIncome = getIdleIncome(current, formulas, options);
+
+  return stages
+    .filter(stage => Math.abs(stage.stageNo - current.stageNo) <= range)
+    .map(stage => {
+      const income = getIdleIncome(stage, formulas, options);
+      const changes = Object.fromEntries(IDLE_RESOURCES.map(({ key }) => {
+        const from = currentIncome[key].perHour;
+        return [key, from > 0 ? ((income[key].perHour - from) / from) * 100 : null];
+      }));
+      return { stage, income, changes, isCurrent: stage.stageNo === current.stageNo };
+    });
+};
+
+/**
+ * Best stage to idle on for one resource
+ *
+ * Only stages up to `maxStage` (the highest stage the player has cleared) are
+ * considered. When several stages pay the same, the lowest one is picked since
+ * it is the easiest to hold.
+ *
+ * @param {Array} stages - stages.json
+ * @param {string} resourceKey - IDLE_RESOURCES key
+ * @param {Object} formulas - Formula set of the "idle" section
+ * @param {Object} options - getIdleIncome options plus `maxStage` and `currentStage`
+ * @returns {Object|null} { stage, perHour, currentPerHour, gainPercent } or null if nothing pays
+ */
+export const recommendIdleStage = (stages, resourceKey, formulas, { maxStage = Infinity, currentStage, ...options } = {}) => {
+  const resource = IDLE_RESOURCES.find(item => item.key === resourceKey);
+  if (!resource) throw new Error(`Unknown idle resource: ${resourceKey}`);
+
+  let best = null;
+  for (const stage of stages) {
+    if (stage.stageNo > maxStage) continue;
+    const value = Number(stage[resource.field]) || 0;
+    if (value > 0 && (!best || value > best.value || (value === best.value && stage.stageNo < best.stage.stageNo))) {
+      best = { stage, value };
+    }
+  }
+  if (!best) return null;
+
+  const perHour = getIdleIncome(best.stage, formulas, options)[resourceKey].perHour;
+  const current = currentStage != null ? getStage(stages, currentStage) : null;
+  const currentPerHour = current ? getIdleIncome(current, formulas, options)[resourceKey].perHour : null;
+
+  return {
+    stage: best.stage,
+    perHour,
+    currentPerHour,
+    gainPercent: currentPerHour > 0 ? ((perHour - currentPerHour) / currentPerHour) * 100 : null
+  };
+};
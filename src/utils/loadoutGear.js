@@ -0,0 +1,171 @@
+/**
+ * Battle Loadout Gear Utilities
+ *
+ * Loads and resolves the gear sections of a battle loadout:
+ * - relics: [{ relicId, level }] (relics.json)
+ * - companions: [{ companionId, level }] (companion-characters.json)
+ * - familiar: { familiarId, weaponId, weaponTier } (familiars.json)
+ * - clothing: [clothingId] (appearance-clothing.json)
+ * - promotionTier: promotion id (promotions.json)
+ */
+
+import { loadGameData } from '../services/gameData.js';
+
+// Game data service names of the gear files
+const GEAR_DATA = ['relics', 'companions', 'familiars', 'clothing', 'promotions'];
+
+/**
+ * Load all gear data files
+ *
+ * @returns {Promise<{relics: Array, companions: Array, familiars: Array, clothing: Array, promotions: Array}>}
+ */
+export const loadGearData = async () => {
+  const entries = await Promise.all(GEAR_DATA.map(async (key) => {
+    const data = await loadGameData(key);
+    return [key, Array.isArray(data) ? data : []];
+  }));
+  return Object.fromEntries(entries);
+};
+
+const toInteger = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) ? number : null;
+};
+
+/**
+ * Normalize a list of leveled items ({ [idKey], level }) - drops invalid and duplicate IDs
+ */
+const normalizeLeveledItems = (items, idKey) => {
+  if (!Array.isArray(items)) return [];
+  const seen = new Set();
+  return items.reduce((result, item) => {
+    const id = toInteger(item?.[idKey]);
+    if (id === null || seen.has(id)) return result;
+    seen.add(id);
+    result.push({ [idKey]: id, level: Math.max(1, toInteger(item.level) || 1) });
+    return result;
+  }, []);
+};
+
+/**
+ * Serialize the gear sections of a loadout (relics, companions, familiar, clothing, promotion tier)
+ * Gear only references game data by ID, so storage and share formats are the same.
+ * Invalid entries (e.g. the old placeholder familiar string) are dropped.
+ *
+ * @param {Object} loadout - Loadout
+ * @returns {Object} { relics, companions, familiar, clothing, promotionTier }
+ */
+export const serializeLoadoutGear = (loadout) => {
+  const familiarId = toInteger(loadout?.familiar?.familiarId);
+  const clothing = Array.isArray(loadout?.clothing)
+    ? [...new Set(loadout.clothing.map(toInteger).filter(id => id !== null))]
+    : [];
+  const promotionTier = toInteger(loadout?.promotionTier);
+
+  return {
+    relics: normalizeLeveledItems(loadout?.relics, 'relicId'),
+    companions: normalizeLeveledItems(loadout?.companions, 'companionId'),
+    familiar: familiarId === null ? null : {
+      familiarId,
+      weaponId: typeof loadout.familiar.weaponId === 'string' ? loadout.familiar.weaponId : null,
+      weaponTier: Math.max(1, toInteger(loadout.familiar.weaponTier) || 1)
+    },
+    clothing,
+    promotionTier: promotionTier !== null && promotionTier >= 0 ? promotionTier : null
+  };
+};
+
+/**
+ * Whether a loadout has any gear set
+ */
+export const hasLoadoutGear = (loadout) => {
+  const gear = serializeLoadoutGear(loadout);
+  return gear.relics.length > 0 ||
+    gear.companions.length > 0 ||
+    gear.familiar !== null ||
+    gear.clothing.length > 0 ||
+    gear.promotionTier !== null;
+};
+
+/**
+ * Parse a clothing effect string ("3", "5%")
+ * @returns {{value: number, percent: boolean}}
+ */
+export const parseClothingEffect = (effect) => {
+  const text = String(effect ?? '').trim();
+  return {
+    value: parseFloat(text) || 0,
+    percent: text.endsWith('%')
+  };
+};
+
+/**
+ * Total clothing bonuses by bonus type
+ *
+ * @param {Array<number>} clothingIds - Selected clothing IDs
+ * @param {Array} clothingData - appearance-clothing.json
+ * @returns {Array<{bonusType: string, value: number, percent: boolean}>}
+ */
+export const summarizeClothingBonuses = (clothingIds, clothingData = []) => {
+  const totals = new Map();
+  (clothingIds || []).forEach(id => {
+    const item = clothingData.find(c => c.id === id);
+    if (!item) return;
+    const { value, percent } = parseClothingEffect(item.effect);
+    const total = totals.get(item.bonusType) || { bonusType: item.bonusType, value: 0, percent };
+    total.value = Math.round((total.value + value) * 100) / 100;
+    totals.set(item.bonusType, total);
+  });
+  return [...totals.values()];
+};
+
+/**
+ * Resolve loadout gear IDs to game data for display
+ * Entries whose IDs no longer exist in the data are dropped.
+ *
+ * @param {Object} loadout - Loadout (any format)
+ * @param {Object} gearData - Result of loadGearData()
+ * @returns {Object} { relics, companions, familiar, clothing, clothingBonuses, promotion, isEmpty }
+ */
+export const resolveLoadoutGear = (loadout, gearData) => {
+  const gear = serializeLoadoutGear(loadout);
+  const data = gearData || {};
+
+  const relics = gear.relics
+    .map(({ relicId, level }) => ({ relic: data.relics?.find(r => r.id === relicId), level }))
+    .filter(entry => entry.relic);
+
+  const companions = gear.companions
+    .map(({ companionId, level }) => ({ companion: data.companions?.find(c => c.id === companionId), level }))
+    .filter(entry => entry.companion);
+
+  let familiar = null;
+  if (gear.familiar) {
+    const familiarData = data.familiars?.find(f => f.id === gear.familiar.familiarId);
+    if (familiarData) {
+      familiar = {
+        familiar: familiarData,
+        weapon: familiarData.weapons?.find(w => w.id === gear.familiar.weaponId) || null,
+        weaponTier: gear.familiar.weaponTier
+      };
+    }
+  }
+
+  const clothing = gear.clothing
+    .map(id => data.clothing?.find(c => c.id === id))
+    .filter(Boolean);
+
+  const promotion = gear.promotionTier === null
+    ? null
+    : data.promotions?.find(p => p.id === gear.promotionTier) || null;
+
+  return {
+    relics,
+    companions,
+    familiar,
+    clothing,
+    clothingBonuses: summarizeClothingBonuses(gear.clothing, data.clothing),
+    promotion,
+    isEmpty: relics.length === 0 && companions.length === 0 && !familiar && clothing.length === 0 && !promotion
+  };
+};
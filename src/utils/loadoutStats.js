@@ -0,0 +1,308 @@
+/**
+ * Loadout Stat Engine
+ *
+ * Aggregates every section of a deserialized battle loadout (see
+ * deserializeLoadout) into one stat sheet and a "power score":
+ * - Skills: rotation skill damage per second (with skill stones applied) and
+ *   permanent "Total ATK +X%" skills
+ * - Spirits: ATK/HP factor at each equipped spirit's level (spirit-upgrades.json)
+ * - Soul weapon: weapon ATK, engraving piece stats and the completion effect
+ * - Skill stones: average cooldown reduction of the equipped skills
+ * - Gear: relics, clothing bonuses and the promotion class multipliers
+ *
+ * Percent stats are additive within a stat. Values that come from estimates
+ * (engraving pieces without numeric baseStats, relic levels) are flagged so the
+ * UI can say so. Companions and familiars have no stat data yet.
+ */
+
+import { calculateLayoutStats } from './engravingOptimizer.js';
+import { simulateSkillRotation, getSkillValue } from './skillRotation.js';
+import { applySkillStonesToSlots, getSkillStoneEffects } from './skillStoneEffects.js';
+import { loadGearData, serializeLoadoutGear, resolveLoadoutGear, summarizeClothingBonuses } from './loadoutGear.js';
+import { loadGameData } from '../services/gameData.js';
+
+// Stat sheet entries, in display order
+export const STATS = [
+  { key: 'ATK', label: 'ATK', unit: '%' },
+  { key: 'HP', label: 'HP', unit: '%' },
+  { key: 'EXTRA_DMG', label: 'Extra DMG', unit: '%' },
+  { key: 'CRIT_DMG', label: 'CRIT DMG', unit: '%' },
+  { key: 'ATK_SPD', label: 'ATK SPD', unit: '%' },
+  { key: 'HP_RECOVERY', label: 'HP Recovery', unit: '%' },
+  { key: 'FIRE_DMG', label: 'Fire DMG', unit: '%' },
+  { key: 'WATER_DMG', label: 'Water DMG', unit: '%' },
+  { key: 'WIND_DMG', label: 'Wind DMG', unit: '%' },
+  { key: 'EARTH_DMG', label: 'Earth DMG', unit: '%' },
+  { key: 'ACCURACY', label: 'Accuracy', unit: '' },
+  { key: 'DODGE', label: 'Dodge', unit: '' },
+  { key: 'EXTRA_GOLD', label: 'Extra Gold', unit: '%' },
+  { key: 'EXTRA_EXP', label: 'Extra EXP', unit: '%' }
+];
+
+// Relic buff (relics.json) -> stat key
+const RELIC_STATS = {
+  'Extra DMG': 'EXTRA_DMG',
+  'CRIT Dmg': 'CRIT_DMG',
+  'Extra HP': 'HP',
+  'Extra HP Recovery': 'HP_RECOVERY',
+  'ATK SPD': 'ATK_SPD',
+  'Monster Defeat Gold': 'EXTRA_GOLD',
+  'Accuracy Rate': 'ACCURACY',
+  'Dodge Rate': 'DODGE',
+  'Fire DMG': 'FIRE_DMG',
+  'Water DMG': 'WATER_DMG',
+  'Wind DMG': 'WIND_DMG',
+  'Earth DMG': 'EARTH_DMG'
+};
+
+// Clothing bonusType (appearance-clothing.json) -> stat key
+const CLOTHING_STATS = {
+  Dodge: 'DODGE',
+  Accuracy: 'ACCURACY',
+  'Extra EXP': 'EXTRA_EXP',
+  'Monster Gold': 'EXTRA_GOLD'
+};
+
+/**
+ * Power score assumptions
+ * - referenceAtk: base character ATK the soul weapon's flat ATK is added to
+ * - critDamageWeight: share of hits assumed to crit
+ * - offenseWeight: offense share of the score (HP gets the rest)
+ */
+export const POWER_SCORE_ASSUMPTIONS = {
+  referenceAtk: 10000,
+  critDamageWeight: 0.5,
+  offenseWeight: 0.75
+};
+
+// Stat data key -> game data service name
+const STAT_DATA = {
+  spiritLevels: 'spiritUpgrades',
+  soulWeapons: 'soulWeapons',
+  weaponGrids: 'weaponGrids',
+  skillStones: 'skillStones'
+};
+
+const roundTo = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Load the game data the stat engine needs
+ *
+ * @returns {Promise<{spiritLevels: Array, soulWeapons: Array, weaponGrids: Array, skillStones: Object, gear: Object}>}
+ */
+export const loadStatData = async () => {
+  const [files, gear] = await Promise.all([
+    Promise.all(Object.entries(STAT_DATA).map(async ([key, name]) => [key, await loadGameData(name)]))
+      .then(Object.fromEntries),
+    loadGearData()
+  ]);
+
+  return {
+    spiritLevels: files.spiritLevels?.spirits || [],
+    soulWeapons: Array.isArray(files.soulWeapons) ? files.soulWeapons : [],
+    weaponGrids: files.weaponGrids?.weapons || [],
+    skillStones: files.skillStones || null,
+    gear
+  };
+};
+
+/**
+ * Skills that permanently raise total ATK/HP ("Total ATK +X%", "Total ATK, HP +X%")
+ * Timed and conditional buffs are left out.
+ *
+ * @returns {Array<string>} Stat keys the skill raises (empty if none)
+ */
+export const getPermanentSkillStats = (skill) => {
+  const match = (skill?.specificDescription || '').match(/^Total (ATK(?:, HP)?) \+X%\.?(?: The effect is applied without equipped in the slot)?$/i);
+  return match ? match[1].toUpperCase().split(', ') : [];
+};
+
+/**
+ * Unique engraving pieces placed in a soul weapon grid (a piece covers several cells)
+ */
+export const getPlacedPieces = (gridState) => {
+  const pieces = new Map();
+  (gridState || []).flat().forEach(cell => {
+    const piece = cell?.piece;
+    if (!piece?.shape) return;
+    const key = piece.inventoryIndex ?? `${piece.anchorRow}:${piece.anchorCol}`;
+    if (!pieces.has(key)) pieces.set(key, piece);
+  });
+  return [...pieces.values()];
+};
+
+const skillSources = (loadout, data) => {
+  const slots = (loadout.skillBuild?.slots || []).filter(slot => slot?.skill);
+  const sources = [];
+
+  slots.forEach(slot => {
+    getPermanentSkillStats(slot.skill).forEach(stat => {
+      sources.push({ section: 'skills', label: slot.skill.name, stat, value: getSkillValue(slot.skill, slot.level || 1) });
+    });
+  });
+
+  let skillDamagePerSecond = 0;
+  let cooldownReduction = 0;
+  if (slots.length > 0) {
+    const stoneSlots = applySkillStonesToSlots(slots, loadout.skillStoneBuild, data.skillStones);
+    skillDamagePerSecond = simulateSkillRotation(stoneSlots).damagePercentPerSecond;
+
+    // Cooldown reduction across castable skills, weighted by base cooldown
+    const cooldowns = slots
+      .filter(slot => slot.skill.cooldown > 0)
+      .map(slot => getSkillStoneEffects(slot.skill, loadout.skillStoneBuild, data.skillStones).cooldown);
+    const baseTotal = cooldowns.reduce((sum, c) => sum + c.base, 0);
+    const effectiveTotal = cooldowns.reduce((sum, c) => sum + c.effective, 0);
+    cooldownReduction = baseTotal > 0 ? roundTo((1 - effectiveTotal / baseTotal) * 100) : 0;
+  }
+
+  return { sources, skillDamagePerSecond, cooldownReduction };
+};
+
+const spiritSources = (loadout, data) => {
+  const levels = data.spiritLevels || [];
+  if (levels.length === 0) return [];
+
+  return (loadout.spiritBuild?.slots || [])
+    .filter(slot => slot?.spirit)
+    .flatMap(slot => {
+      const level = Math.max(0, Math.min(levels.length - 1, Math.floor(slot.level || 0)));
+      const factor = levels[level]?.attackHpFactor || 0;
+      const label = `${slot.spirit.name} Lv.${level}`;
+      return [
+        { section: 'spirits', label, stat: 'ATK', value: factor },
+        { section: 'spirits', label, stat: 'HP', value: factor }
+      ];
+    });
+};
+
+const soulWeaponSources = (loadout, data) => {
+  const build = loadout.soulWeaponBuild;
+  if (!build?.weaponId) return { sources: [], weaponAttack: 0 };
+
+  const weapon = data.soulWeapons?.find(w => w.id === build.weaponId);
+  const cells = (build.gridState || []).flat();
+  const activeCells = cells.filter(cell => cell?.active);
+  const isComplete = activeCells.length > 0 && activeCells.every(cell => cell.piece);
+  const completionEffect = data.weaponGrids?.find(w => w.id === build.weaponId)?.completionEffect;
+
+  const placements = getPlacedPieces(build.gridState).map(piece => ({ piece }));
+  const { pieces, completionBonus } = calculateLayoutStats(placements, { completionEffect, isComplete });
+
+  const sources = pieces.map(piece => ({
+    section: 'soulWeapon',
+    label: `${piece.name} (Lv.${piece.level || 1})`,
+    stat: piece.stat,
+    value: piece.value,
+    estimated: piece.estimated
+  }));
+
+  if (completionBonus?.atk) sources.push({ section: 'soulWeapon', label: 'Completion effect', stat: 'ATK', value: completionBonus.atk });
+  if (completionBonus?.hp) sources.push({ section: 'soulWeapon', label: 'Completion effect', stat: 'HP', value: completionBonus.hp });
+
+  return { sources, weaponAttack: weapon?.attack || 0 };
+};
+
+const gearSources = (loadout, data) => {
+  const gear = resolveLoadoutGear(loadout, data.gear);
+  const sources = [];
+
+  // relics.json has no per-level table yet; scalingFactors are read as the bonus at levels 1-10
+  gear.relics.forEach(({ relic, level }) => {
+    const stat = RELIC_STATS[relic.buff];
+    const factors = relic.scalingFactors || [];
+    if (!stat || factors.length === 0) return;
+    sources.push({
+      section: 'relics',
+      label: `${relic.name} Lv.${level}`,
+      stat,
+      value: factors[Math.min(level, factors.length) - 1],
+      estimated: true
+    });
+  });
+
+  summarizeClothingBonuses(serializeLoadoutGear(loadout).clothing, data.gear?.clothing).forEach(bonus => {
+    const stat = CLOTHING_STATS[bonus.bonusType];
+    if (stat) sources.push({ section: 'clothing', label: bonus.bonusType, stat, value: bonus.value });
+  });
+
+  return {
+    sources,
+    classATK: gear.promotion?.classATK || 1,
+    classHP: gear.promotion?.classHP || 1
+  };
+};
+
+/**
+ * Power score from a stat sheet
+ * 100 × offense^w × defense^(1-w), so an empty loadout scores 100.
+ *
+ * @param {Object} sheet - Result of calculateLoadoutStats (stats + multipliers)
+ * @param {Object} [assumptions] - See POWER_SCORE_ASSUMPTIONS
+ * @returns {{powerScore: number, offense: number, defense: number}}
+ */
+export const calculatePowerScore = (sheet, assumptions = {}) => {
+  const { referenceAtk, critDamageWeight, offenseWeight } = { ...POWER_SCORE_ASSUMPTIONS, ...assumptions };
+  const stat = (key) => sheet.stats[key] || 0;
+
+  const offense = sheet.classATK *
+    ((referenceAtk + sheet.weaponAttack) / referenceAtk) *
+    (1 + stat('ATK') / 100) *
+    (1 + stat('EXTRA_DMG') / 100) *
+    (1 + (stat('CRIT_DMG') / 100) * critDamageWeight) *
+    // Basic attacks deal 100% ATK per second; skills add their damage % per second
+    (1 + sheet.skillDamagePerSecond / 100);
+  const defense = sheet.classHP * (1 + stat('HP') / 100);
+
+  return {
+    powerScore: Math.round(100 * (offense ** offenseWeight) * (defense ** (1 - offenseWeight))),
+    offense: roundTo(offense),
+    defense: roundTo(defense)
+  };
+};
+
+/**
+ * Aggregate a deserialized loadout into a stat sheet and power score
+ *
+ * @param {Object} loadout - Deserialized loadout
+ * @param {Object} data - Result of loadStatData() (missing parts are skipped)
+ * @param {Object} [assumptions] - Power score assumptions
+ * @returns {Object} {
+ *   stats: { [statKey]: number }, sources: [{ section, label, stat, value, estimated }],
+ *   weaponAttack, classATK, classHP, skillDamagePerSecond, cooldownReduction,
+ *   powerScore, offense, defense, usesEstimates
+ * }
+ */
+export const calculateLoadoutStats = (loadout, data = {}, assumptions = {}) => {
+  const skills = skillSources(loadout || {}, data);
+  const soulWeapon = soulWeaponSources(loadout || {}, data);
+  const gear = gearSources(loadout || {}, data);
+
+  const sources = [
+    ...skills.sources,
+    ...spiritSources(loadout || {}, data),
+    ...soulWeapon.sources,
+    ...gear.sources
+  ];
+
+  const stats = {};
+  sources.forEach(source => {
+    stats[source.stat] = roundTo((stats[source.stat] || 0) + source.value);
+  });
+
+  const sheet = {
+    stats,
+    sources,
+    weaponAttack: soulWeapon.weaponAttack,
+    classATK: gear.classATK,
+    classHP: gear.classHP,
+    skillDamagePerSecond: roundTo(skills.skillDamagePerSecond),
+    cooldownReduction: skills.cooldownReduction,
+    usesEstimates: sources.some(source => source.estimated)
+  };
+
+  return { ...sheet, ...calculatePowerScore(sheet, assumptions) };
+};
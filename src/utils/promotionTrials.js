@@ -0,0 +1,81 @@
+/**
+ * Promotion Trials
+ *
+ * Checks a character stat line against each promotion trial in
+ * promotions.json (waves, boss and time limit). The trial math is the
+ * "promotion" section of formulas.json, passed in as a formula set (see
+ * createFormulaSet).
+ *
+ * The trial for tier N is fought with the class multipliers of tier N-1, so
+ * when checking several tiers ahead the entered stats are rescaled from the
+ * player's current class to the class held at each trial.
+ */
+
+/**
+ * Entered stats rescaled from one class to another
+ *
+ * @param {Object} stats - { attack, hp, attackSpeed, accuracy }
+ * @param {Object} fromPromotion - Promotion the stats were measured at
+ * @param {Object} toPromotion - Promotion to rescale to
+ */
+export const scaleStatsToClass = (stats, fromPromotion, toPromotion) => ({
+  ...stats,
+  attack: stats.attack * (toPromotion.classATK || 1) / (fromPromotion.classATK || 1),
+  hp: stats.hp * (toPromotion.classHP || 1) / (fromPromotion.classHP || 1)
+});
+
+/**
+ * Check one promotion trial
+ *
+ * @param {Object} promotion - promotions.json entry
+ * @param {Object} stats - { attack, hp, attackSpeed, accuracy }
+ * @param {Object} formulas - Formula set of the "promotion" section
+ * @returns {Object|null} Formula results plus { cleared, limitedBy: 'time'|'hp'|null }, or null without damage
+ */
+export const checkPromotionTrial = (promotion, stats, formulas) => {
+  if (!(stats.attack > 0) || !(stats.attackSpeed > 0)) return null;
+
+  const results = formulas.evaluateAll({
+    ...stats,
+    enemyHP: promotion.enemyHP,
+    enemyAttack: promotion.enemyAttack,
+    enemyAttackSpeed: promotion.attackSpeed,
+    trialMiss: promotion.miss,
+    trialAccuracy: promotion.accuracy,
+    waveCount: promotion.waveCount,
+    bossHPFactor: promotion.bossHPFactor,
+    bossATKFactor: promotion.bossATKFactor,
+    timeLimit: promotion.timeLimit
+  });
+
+  const inTime = results.clearTime <= promotion.timeLimit;
+  const survives = results.damageTaken < stats.hp;
+
+  let limitedBy = null;
+  if (!inTime) limitedBy = 'time';
+  else if (!survives) limitedBy = 'hp';
+
+  return { ...results, cleared: inTime && survives, limitedBy };
+};
+
+/**
+ * Check every trial above the current promotion
+ *
+ * @param {Array} promotions - promotions.json
+ * @param {Object} stats - Stats at the current promotion
+ * @param {Object} formulas - Formula set of the "promotion" section
+ * @param {number} currentId - Current promotion id
+ * @returns {Array} [{ promotion, previous, stats, result }] in tier order
+ */
+export const checkPromotionTrials = (promotions, stats, formulas, currentId = 0) => {
+  const ordered = [...promotions].sort((a, b) => a.id - b.id);
+  const current = ordered.find(promotion => promotion.id === Number(currentId)) || ordered[0];
+
+  return ordered
+    .map((promotion, index) => ({ promotion, previous: ordered[index - 1] }))
+    .filter(({ promotion, previous }) => previous && promotion.id > current.id)
+    .map(({ promotion, previous }) => {
+      const trialStats = scaleStatsToClass(stats, current, previous);
+      return { promotion, previous, stats: trialStats, result: checkPromotionTrial(promotion, trialStats, formulas) };
+    });
+};
@@ -0,0 +1,519 @@
+/**
+ * Compact Share Codes
+ *
+ * Versioned binary codec for sharing builds in the URL without the GitHub share
+ * service. A code is base64url of:
+ *
+ *   [version][type][payload...][checksum (2 bytes)]
+ *
+ * - Numbers are unsigned varints (IDs that may be empty are stored as id + 1, 0 = empty)
+ * - Strings are a varint byte length followed by UTF-8
+ * - The checksum is a 16-bit FNV-1a hash of everything before it
+ *
+ * Payloads mirror the share data each builder already sends to buildShare, so
+ * decodeShareCode() returns the same { type, data } shape as loadBuild().
+ *
+ * Versioning: writers only exist for SHARE_CODE_VERSION. When the payload
+ * layout changes, bump the version and add a new reader set to PAYLOAD_READERS;
+ * keep the old readers so existing links keep working.
+ */
+
+import { SKILL_STONE_TYPES } from './skillStoneEffects.js';
+
+export const SHARE_CODE_VERSION = 1;
+
+// Share type <-> type byte (never renumber; append new types)
+const TYPE_IDS = {
+  'skill-builds': 1,
+  'spirit-builds': 2,
+  'skill-stone-builds': 3,
+  'soul-weapon-engraving': 4,
+  'battle-loadouts': 5
+};
+
+/**
+ * Builder route for each share type
+ */
+export const SHARE_CODE_ROUTES = {
+  'skill-builds': 'skill-builder',
+  'spirit-builds': 'spirit-builder',
+  'skill-stone-builds': 'skill-stone-builder',
+  'soul-weapon-engraving': 'soul-weapon-engraving',
+  'battle-loadouts': 'battle-loadouts'
+};
+
+const STONE_ELEMENTS = ['fire', 'water', 'wind', 'earth'];
+const STONE_TIERS = ['A', 'B'];
+
+// Grid cells: 0 = inactive, 1 = active and empty, 2 + n = covered by piece n
+const CELL_INACTIVE = 0;
+const CELL_EMPTY = 1;
+const CELL_PIECE_OFFSET = 2;
+
+// ===== Byte writer / reader =====
+
+const createWriter = () => {
+  const bytes = [];
+
+  const uint = (value) => {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Cannot encode value in share code: ${value}`);
+    }
+    let remaining = value;
+    while (remaining >= 0x80) {
+      bytes.push((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    bytes.push(remaining);
+  };
+
+  return {
+    bytes,
+    uint,
+    // Nullable ID: 0 = null
+    optionalId: (value) => uint(value === null || value === undefined ? 0 : value + 1),
+    string: (value) => {
+      const encoded = new TextEncoder().encode(value || '');
+      uint(encoded.length);
+      bytes.push(...encoded);
+    },
+    optionalString: (value) => {
+      if (value === null || value === undefined) {
+        uint(0);
+        return;
+      }
+      const encoded = new TextEncoder().encode(value);
+      uint(encoded.length + 1);
+      bytes.push(...encoded);
+    }
+  };
+};
+
+const createReader = (bytes) => {
+  let offset = 0;
+
+  const uint = () => {
+    let value = 0;
+    let multiplier = 1;
+    for (;;) {
+      if (offset >= bytes.length) throw new Error('Share code is truncated');
+      const byte = bytes[offset++];
+      value += (byte & 0x7f) * multiplier;
+      if (byte < 0x80) return value;
+      multiplier *= 0x80;
+    }
+  };
+
+  const text = (length) => {
+    if (offset + length > bytes.length) throw new Error('Share code is truncated');
+    const value = new TextDecoder().decode(bytes.slice(offset, offset + length));
+    offset += length;
+    return value;
+  };
+
+  return {
+    uint,
+    optionalId: () => {
+      const value = uint();
+      return value === 0 ? null : value - 1;
+    },
+    string: () => text(uint()),
+    optionalString: () => {
+      const length = uint();
+      return length === 0 ? null : text(length - 1);
+    },
+    done: () => offset === bytes.length
+  };
+};
+
+const checksum = (bytes) => {
+  let hash = 0x811c9dc5;
+  bytes.forEach(byte => {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  });
+  return (hash ^ (hash >>> 16)) & 0xffff;
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (code) => {
+  if (!/^[A-Za-z0-9_-]+$/.test(code)) throw new Error('Invalid share code');
+  const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const indexOf = (list, value, label) => {
+  const index = list.indexOf(value);
+  if (index === -1) throw new Error(`Cannot encode ${label} in share code: ${value}`);
+  return index;
+};
+
+const rotationStep = (rotation) => {
+  const degrees = rotation || 0;
+  if (degrees % 90 !== 0) throw new Error(`Cannot encode rotation in share code: ${rotation}`);
+  return ((degrees / 90) % 4 + 4) % 4;
+};
+
+// ===== Version 1 payloads =====
+
+const writeSkillBuild = (w, build) => {
+  w.string(build?.name);
+  w.uint(build?.maxSlots || 0);
+  const slots = build?.slots || [];
+  w.uint(slots.length);
+  slots.forEach(slot => {
+    const skillId = slot?.skillId ?? null;
+    w.optionalId(skillId);
+    if (skillId !== null) w.uint(slot.level || 1);
+  });
+};
+
+const readSkillBuild = (r) => {
+  const name = r.string();
+  const maxSlots = r.uint();
+  const slots = Array.from({ length: r.uint() }, () => {
+    const skillId = r.optionalId();
+    return { skillId, level: skillId === null ? 1 : r.uint() };
+  });
+  return { name, maxSlots: maxSlots || 10, slots };
+};
+
+const writeSpiritBuild = (w, build) => {
+  w.string(build?.name);
+  const slots = build?.slots || [];
+  w.uint(slots.length);
+  slots.forEach(slot => {
+    const spiritId = slot?.spiritId ?? null;
+    w.optionalId(spiritId);
+    if (spiritId === null) return;
+    w.uint(slot.level || 1);
+    w.uint(slot.awakeningLevel || 0);
+    w.uint(slot.evolutionLevel ?? 4);
+    w.uint(slot.skillEnhancementLevel || 0);
+  });
+};
+
+const readSpiritBuild = (r) => {
+  const name = r.string();
+  const slots = Array.from({ length: r.uint() }, () => {
+    const spiritId = r.optionalId();
+    if (spiritId === null) {
+      return { type: 'base', spiritId: null, level: 1, awakeningLevel: 0, evolutionLevel: 4, skillEnhancementLevel: 0 };
+    }
+    return {
+      type: 'base',
+      spiritId,
+      level: r.uint(),
+      awakeningLevel: r.uint(),
+      evolutionLevel: r.uint(),
+      skillEnhancementLevel: r.uint()
+    };
+  });
+  return { name, slots };
+};
+
+const writeStoneBuild = (w, build) => {
+  w.string(build?.name);
+  const slots = build?.slots || [];
+  w.uint(slots.length);
+  slots.forEach(slot => {
+    w.uint(indexOf(SKILL_STONE_TYPES, slot?.type, 'stone type'));
+    const hasStone = !!(slot.element && slot.tier);
+    w.optionalId(hasStone ? indexOf(STONE_ELEMENTS, slot.element.toLowerCase(), 'stone element') : null);
+    if (hasStone) w.uint(indexOf(STONE_TIERS, slot.tier, 'stone tier'));
+  });
+};
+
+const readStoneBuild = (r) => {
+  const name = r.string();
+  const slots = Array.from({ length: r.uint() }, () => {
+    const type = SKILL_STONE_TYPES[r.uint()];
+    const element = r.optionalId();
+    if (!type) throw new Error('Invalid share code');
+    if (element === null) return { type, element: null, tier: null };
+    return { type, element: STONE_ELEMENTS[element] || null, tier: STONE_TIERS[r.uint()] || null };
+  });
+  return { name, slots };
+};
+
+// Engraving builder format: { name, weaponId, pieces: [{ row, col, shapeId, rarity, level, rotation }], inventory: [{ slot, ... }] }
+const writeEngravingBuild = (w, build) => {
+  w.string(build?.name);
+  w.optionalId(build?.weaponId ?? null);
+  const pieces = build?.pieces || [];
+  w.uint(pieces.length);
+  pieces.forEach(piece => {
+    w.uint(piece.row);
+    w.uint(piece.col);
+    w.uint(piece.shapeId);
+    w.uint(piece.rarity || 0);
+    w.uint(piece.level || 1);
+    w.uint(rotationStep(piece.rotation));
+  });
+  const inventory = build?.inventory || [];
+  w.uint(inventory.length);
+  inventory.forEach(item => {
+    w.uint(item.slot);
+    w.uint(item.shapeId);
+    w.uint(item.rarity || 0);
+    w.uint(item.level || 1);
+  });
+};
+
+const readEngravingBuild = (r) => {
+  const name = r.string();
+  const weaponId = r.optionalId();
+  const pieces = Array.from({ length: r.uint() }, () => ({
+    row: r.uint(),
+    col: r.uint(),
+    shapeId: r.uint(),
+    rarity: r.uint(),
+    level: r.uint(),
+    rotation: r.uint() * 90
+  }));
+  const inventory = Array.from({ length: r.uint() }, () => ({
+    slot: r.uint(),
+    shapeId: r.uint(),
+    rarity: r.uint(),
+    level: r.uint()
+  }));
+  return { name, weaponId, pieces, inventory };
+};
+
+// Battle loadout soul weapon format (serializeSoulWeaponBuild): full gridState with anchored pieces
+const writeSoulWeaponBuild = (w, build) => {
+  w.optionalId(build.weaponId ?? null);
+  w.optionalString(build.weaponName ?? null);
+
+  const gridState = build.gridState || [];
+  const pieces = [];
+  const pieceIndexes = new Map();
+  const cells = gridState.flatMap(row => row.map(cell => {
+    if (!cell?.piece) return cell?.active ? CELL_EMPTY : CELL_INACTIVE;
+    const key = `${cell.piece.anchorRow}:${cell.piece.anchorCol}`;
+    if (!pieceIndexes.has(key)) {
+      pieceIndexes.set(key, pieces.length);
+      pieces.push(cell.piece);
+    }
+    return CELL_PIECE_OFFSET + pieceIndexes.get(key);
+  }));
+
+  w.uint(gridState.length);
+  w.uint(gridState[0]?.length || 0);
+  w.uint(pieces.length);
+  pieces.forEach(piece => {
+    w.uint(piece.shapeId);
+    w.uint(piece.rarity || 0);
+    w.uint(piece.level || 1);
+    w.uint(rotationStep(piece.rotation));
+    w.uint(piece.anchorRow);
+    w.uint(piece.anchorCol);
+    w.optionalId(piece.inventoryIndex ?? null);
+  });
+  cells.forEach(cell => w.uint(cell));
+
+  const inventory = build.inventory || [];
+  w.uint(inventory.length);
+  inventory.forEach(item => {
+    w.optionalId(item ? item.shapeId : null);
+    if (!item) return;
+    w.uint(item.rarity || 0);
+    w.uint(item.level || 1);
+  });
+};
+
+const readSoulWeaponBuild = (r) => {
+  const weaponId = r.optionalId();
+  const weaponName = r.optionalString();
+  const rows = r.uint();
+  const cols = r.uint();
+  const pieces = Array.from({ length: r.uint() }, () => {
+    const piece = {
+      shapeId: r.uint(),
+      rarity: r.uint(),
+      level: r.uint(),
+      rotation: r.uint() * 90,
+      anchorRow: r.uint(),
+      anchorCol: r.uint()
+    };
+    const inventoryIndex = r.optionalId();
+    if (inventoryIndex !== null) piece.inventoryIndex = inventoryIndex;
+    return piece;
+  });
+  const gridState = Array.from({ length: rows }, () => Array.from({ length: cols }, () => {
+    const cell = r.uint();
+    if (cell < CELL_PIECE_OFFSET) return { active: cell === CELL_EMPTY, piece: null };
+    const piece = pieces[cell - CELL_PIECE_OFFSET];
+    if (!piece) throw new Error('Invalid share code');
+    return { active: true, piece: { ...piece } };
+  }));
+  const inventory = Array.from({ length: r.uint() }, () => {
+    const shapeId = r.optionalId();
+    return shapeId === null ? null : { shapeId, rarity: r.uint(), level: r.uint() };
+  });
+  return { weaponId, weaponName, gridState, inventory };
+};
+
+const writeLeveledItems = (w, items, idKey) => {
+  w.uint(items.length);
+  items.forEach(item => {
+    w.uint(item[idKey]);
+    w.uint(item.level);
+  });
+};
+
+const readLeveledItems = (r, idKey) => Array.from({ length: r.uint() }, () => ({ [idKey]: r.uint(), level: r.uint() }));
+
+// Section flags for loadouts
+const LOADOUT_SKILLS = 1;
+const LOADOUT_SPIRITS = 2;
+const LOADOUT_SOUL_WEAPON = 4;
+const LOADOUT_STONES = 8;
+
+// Loadout share format (serializeLoadoutForSharing)
+const writeLoadout = (w, loadout) => {
+  if (loadout.spirit || loadout.skillStone || loadout.promotionAbility) {
+    throw new Error('Cannot encode legacy loadout fields in share code');
+  }
+
+  w.string(loadout.name);
+  const flags = (loadout.skillBuild ? LOADOUT_SKILLS : 0) |
+    (loadout.spiritBuild ? LOADOUT_SPIRITS : 0) |
+    (loadout.soulWeaponBuild ? LOADOUT_SOUL_WEAPON : 0) |
+    (loadout.skillStoneBuild ? LOADOUT_STONES : 0);
+  w.uint(flags);
+  if (loadout.skillBuild) writeSkillBuild(w, loadout.skillBuild);
+  if (loadout.spiritBuild) writeSpiritBuild(w, loadout.spiritBuild);
+  if (loadout.soulWeaponBuild) writeSoulWeaponBuild(w, loadout.soulWeaponBuild);
+  if (loadout.skillStoneBuild) writeStoneBuild(w, loadout.skillStoneBuild);
+
+  writeLeveledItems(w, loadout.relics || [], 'relicId');
+  writeLeveledItems(w, loadout.companions || [], 'companionId');
+  w.optionalId(loadout.familiar ? loadout.familiar.familiarId : null);
+  if (loadout.familiar) {
+    w.optionalString(loadout.familiar.weaponId ?? null);
+    w.uint(loadout.familiar.weaponTier || 1);
+  }
+  const clothing = loadout.clothing || [];
+  w.uint(clothing.length);
+  clothing.forEach(id => w.uint(id));
+  w.optionalId(loadout.promotionTier ?? null);
+};
+
+const readLoadout = (r) => {
+  const name = r.string();
+  const flags = r.uint();
+  const skillBuild = flags & LOADOUT_SKILLS ? readSkillBuild(r) : null;
+  const spiritBuild = flags & LOADOUT_SPIRITS ? readSpiritBuild(r) : null;
+  const soulWeaponBuild = flags & LOADOUT_SOUL_WEAPON ? readSoulWeaponBuild(r) : null;
+  const skillStoneBuild = flags & LOADOUT_STONES ? readStoneBuild(r) : null;
+
+  const relics = readLeveledItems(r, 'relicId');
+  const companions = readLeveledItems(r, 'companionId');
+  const familiarId = r.optionalId();
+  const familiar = familiarId === null ? null : { familiarId, weaponId: r.optionalString(), weaponTier: r.uint() };
+  const clothing = Array.from({ length: r.uint() }, () => r.uint());
+  const promotionTier = r.optionalId();
+
+  return {
+    name,
+    skillBuild,
+    spiritBuild,
+    soulWeaponBuild,
+    skillStoneBuild,
+    spirit: null,
+    skillStone: null,
+    promotionAbility: null,
+    relics,
+    companions,
+    familiar,
+    clothing,
+    promotionTier
+  };
+};
+
+const PAYLOAD_WRITERS = {
+  'skill-builds': writeSkillBuild,
+  'spirit-builds': writeSpiritBuild,
+  'skill-stone-builds': writeStoneBuild,
+  'soul-weapon-engraving': writeEngravingBuild,
+  'battle-loadouts': writeLoadout
+};
+
+// Readers per code version; keep old versions so existing links still decode
+const PAYLOAD_READERS = {
+  1: {
+    'skill-builds': readSkillBuild,
+    'spirit-builds': readSpiritBuild,
+    'skill-stone-builds': readStoneBuild,
+    'soul-weapon-engraving': readEngravingBuild,
+    'battle-loadouts': readLoadout
+  }
+};
+
+/**
+ * Encode share data as a compact share code
+ *
+ * @param {string} type - Share type ('skill-builds', 'spirit-builds', 'skill-stone-builds', 'soul-weapon-engraving', 'battle-loadouts')
+ * @param {Object} data - Share data (the same object the builder sends to buildShare)
+ * @returns {string} base64url share code
+ * @throws {Error} If the type is unknown or the data can't be represented
+ */
+export const encodeShareCode = (type, data) => {
+  const writePayload = PAYLOAD_WRITERS[type];
+  if (!writePayload) throw new Error(`Unsupported share type: ${type}`);
+
+  const writer = createWriter();
+  writer.bytes.push(SHARE_CODE_VERSION, TYPE_IDS[type]);
+  writePayload(writer, data || {});
+
+  const hash = checksum(writer.bytes);
+  return toBase64Url([...writer.bytes, hash >> 8, hash & 0xff]);
+};
+
+/**
+ * Decode a share code (any supported version)
+ *
+ * @param {string} code - base64url share code
+ * @returns {{type: string, data: Object, version: number}} Same shape as buildShare's loadBuild()
+ * @throws {Error} If the code is malformed, corrupted or from an unknown version
+ */
+export const decodeShareCode = (code) => {
+  const bytes = fromBase64Url(String(code || '').trim());
+  if (bytes.length < 4) throw new Error('Invalid share code');
+
+  const body = bytes.slice(0, -2);
+  const expected = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+  if (checksum(body) !== expected) throw new Error('Share code is corrupted');
+
+  const version = body[0];
+  const readers = PAYLOAD_READERS[version];
+  if (!readers) throw new Error(`Unsupported share code version: ${version}`);
+
+  const type = Object.keys(TYPE_IDS).find(key => TYPE_IDS[key] === body[1]);
+  if (!type || !readers[type]) throw new Error('Invalid share code');
+
+  const reader = createReader(body.slice(2));
+  const data = readers[type](reader);
+  if (!reader.done()) throw new Error('Invalid share code');
+
+  return { type, data, version };
+};
+
+/**
+ * Build a share URL with a compact share code
+ *
+ * @param {string} baseURL - Origin + pathname
+ * @param {string} type - Share type
+ * @param {Object} data - Share data
+ * @returns {string} Share URL (#/<builder>?code=...)
+ */
+export const generateShareCodeUrl = (baseURL, type, data) => {
+  return `${baseURL}#/${SHARE_CODE_ROUTES[type]}?code=${encodeShareCode(type, data)}`;
+};
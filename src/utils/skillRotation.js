@@ -0,0 +1,181 @@
+/**
+ * Skill Rotation Simulator
+ *
+ * Simulates auto-casting a skill build over time: every tick, MP regenerates
+ * and each slot (in order) casts as soon as it is off cooldown and affordable.
+ * Produces a cast timeline, an MP curve and skill damage % per second so builds
+ * can be compared by output.
+ *
+ * Damage is expressed in "% of ATK" like the skill descriptions, so it ignores
+ * stats, elements and enemy count. MP pool and regen aren't in the game data
+ * and are passed in as assumptions.
+ */
+
+// Simulation resolution (ticks per second)
+const TICKS_PER_SECOND = 10;
+
+export const DEFAULT_ROTATION_OPTIONS = {
+  duration: 60, // seconds
+  maxMp: 200,
+  mpRegenPerSecond: 5,
+  startFull: true
+};
+
+// Skills whose effect changes the rotation itself (keyed by skill id)
+const ROTATION_EFFECTS = {
+  6: { manaRestore: 'value' }, // Mana's Blessing: Mana recovery +X%
+  28: { manaRestore: 30 }, // Life Mana: 30% recovery of mana
+  34: { cooldownCharge: 'value' } // Meditation: charge X% cooldown for all skills
+};
+
+/**
+ * Skill effect value at a level (same formula as the skill cards)
+ */
+export const getSkillValue = (skill, level = 1) => {
+  const clamped = Math.max(1, Math.min(level, skill.maxLevel || level));
+  return skill.baseValue + (skill.upgradeValue * (clamped - 1));
+};
+
+/**
+ * Number of hits per cast from the description ("2 time", "7 consecutive attacks")
+ */
+export const getSkillHits = (skill) => {
+  const match = (skill.specificDescription || '').match(/(\d+)\s+(?:times?\b|consecutive attacks)/i);
+  return match ? parseInt(match[1], 10) : 1;
+};
+
+/**
+ * Classify a skill for the simulation
+ * - damage: level-130 attack skills (X% of ATK per hit)
+ * - passive: can't be cast (no cooldown or not equippable)
+ * - utility: everything else (buffs, recovery, rotation effects)
+ *
+ * @returns {'damage'|'utility'|'passive'}
+ */
+export const getSkillRole = (skill) => {
+  if (skill.equippable === false || !(skill.cooldown > 0)) return 'passive';
+  if (skill.maxLevel >= 100 && /X%/.test(skill.specificDescription || '')) return 'damage';
+  return 'utility';
+};
+
+/**
+ * Simulate a skill build
+ *
+ * @param {Array<{skill: Object|null, level: number}>} slots - Build slots (empty slots are skipped)
+ * @param {Object} [options] - See DEFAULT_ROTATION_OPTIONS
+ * @returns {Object} {
+ *   duration, casts: [{ time, slotIndex, skillId, mpAfter, damagePercent }],
+ *   skills: [{ slotIndex, skill, level, role, casts, damagePercent, damagePerSecond, mpSpent, blockedByMpSeconds }],
+ *   mpTimeline: [{ time, mp }] (one point per second),
+ *   totalDamagePercent, damagePercentPerSecond, mpSpent, mpStarvedSeconds
+ * }
+ */
+export const simulateSkillRotation = (slots, options = {}) => {
+  const { duration, maxMp, mpRegenPerSecond, startFull } = { ...DEFAULT_ROTATION_OPTIONS, ...options };
+  const totalTicks = Math.round(duration * TICKS_PER_SECOND);
+  const regenPerTick = mpRegenPerSecond / TICKS_PER_SECOND;
+
+  const skills = slots
+    .map((slot, slotIndex) => ({ slot, slotIndex }))
+    .filter(({ slot }) => slot?.skill)
+    .map(({ slot, slotIndex }) => {
+      const { skill } = slot;
+      const level = slot.level || 1;
+      const role = getSkillRole(skill);
+      const value = getSkillValue(skill, level);
+      return {
+        slotIndex,
+        skill,
+        level,
+        role,
+        value,
+        hitDamage: role === 'damage' ? value * getSkillHits(skill) : 0,
+        cooldownTicks: Math.max(1, Math.round(skill.cooldown * TICKS_PER_SECOND)),
+        readyAt: 0,
+        casts: 0,
+        damagePercent: 0,
+        mpSpent: 0,
+        blockedTicks: 0
+      };
+    });
+
+  let mp = startFull ? maxMp : 0;
+  let mpSpent = 0;
+  let starvedTicks = 0;
+  const casts = [];
+  const mpTimeline = [{ time: 0, mp }];
+
+  for (let tick = 0; tick < totalTicks; tick++) {
+    let starved = false;
+
+    skills.forEach(entry => {
+      if (entry.role === 'passive' || tick < entry.readyAt) return;
+
+      const cost = entry.skill.mpCost || 0;
+      if (cost > mp) {
+        entry.blockedTicks++;
+        starved = true;
+        return;
+      }
+
+      mp -= cost;
+      mpSpent += cost;
+      entry.mpSpent += cost;
+      entry.casts++;
+      entry.damagePercent += entry.hitDamage;
+      entry.readyAt = tick + entry.cooldownTicks;
+
+      const effect = ROTATION_EFFECTS[entry.skill.id];
+      if (effect?.manaRestore) {
+        const percent = effect.manaRestore === 'value' ? entry.value : effect.manaRestore;
+        mp = Math.min(maxMp, mp + maxMp * percent / 100);
+      }
+      if (effect?.cooldownCharge) {
+        // Charge every other skill's remaining cooldown
+        skills.forEach(other => {
+          if (other === entry || other.readyAt <= tick) return;
+          const remaining = other.readyAt - tick;
+          other.readyAt = tick + Math.round(remaining * (1 - Math.min(100, entry.value) / 100));
+        });
+      }
+
+      casts.push({
+        time: tick / TICKS_PER_SECOND,
+        slotIndex: entry.slotIndex,
+        skillId: entry.skill.id,
+        mpAfter: mp,
+        damagePercent: entry.hitDamage
+      });
+    });
+
+    if (starved) starvedTicks++;
+    mp = Math.min(maxMp, mp + regenPerTick);
+
+    if ((tick + 1) % TICKS_PER_SECOND === 0) {
+      mpTimeline.push({ time: (tick + 1) / TICKS_PER_SECOND, mp });
+    }
+  }
+
+  const totalDamagePercent = skills.reduce((sum, entry) => sum + entry.damagePercent, 0);
+
+  return {
+    duration,
+    casts,
+    skills: skills.map(({ slotIndex, skill, level, role, casts: castCount, damagePercent, mpSpent: spent, blockedTicks }) => ({
+      slotIndex,
+      skill,
+      level,
+      role,
+      casts: castCount,
+      damagePercent,
+      damagePerSecond: duration > 0 ? damagePercent / duration : 0,
+      mpSpent: spent,
+      blockedByMpSeconds: blockedTicks / TICKS_PER_SECOND
+    })),
+    mpTimeline,
+    totalDamagePercent,
+    damagePercentPerSecond: duration > 0 ? totalDamagePercent / duration : 0,
+    mpSpent,
+    mpStarvedSeconds: starvedTicks / TICKS_PER_SECOND
+  };
+};
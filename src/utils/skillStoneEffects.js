@@ -0,0 +1,142 @@
+/**
+ * Skill Stone Effects
+ *
+ * Applies a skill stone build (one Cooldown, Time and Heat stone, each with an
+ * element and tier) to skills from skills.json. A stone only affects skills of
+ * its element:
+ * - Cooldown stone: cooldown -X%
+ * - Time stone: buff duration +X%
+ * - Heat stone: required attacks -X% (skills that trigger "every N attacks"),
+ *   rounded up to whole attacks. How the game rounds isn't known; rounding up
+ *   never promises a trigger sooner than it can happen.
+ *
+ * Bonus percentages come from skill_stones.json (stoneTypes[type].bonuses[tier]).
+ */
+
+// One slot per stone type, in builder order
+export const SKILL_STONE_TYPES = ['cooldown', 'time', 'heat'];
+
+/**
+ * Empty skill stone build (same slot layout as the Skill Stone Builder)
+ */
+export const createEmptyStoneBuild = () => ({
+  slots: SKILL_STONE_TYPES.map(type => ({ type, element: null, tier: null }))
+});
+
+const roundTo = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Buff duration in seconds from the description ("for 10sec", "for 5 seconds")
+ * @returns {number|null} Duration, or null if the skill has no fixed duration
+ */
+export const getSkillDuration = (skill) => {
+  const match = (skill.specificDescription || '').match(/for (\d+(?:\.\d+)?)\s*(?:sec|seconds?)\b/i);
+  return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Attacks needed to trigger the skill ("for every 5 attacks")
+ * @returns {number|null} Attack count, or null if the skill isn't attack-triggered
+ */
+export const getSkillRequiredAttacks = (skill) => {
+  const match = (skill.specificDescription || '').match(/every (\d+) attacks/i);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Bonus % per stone type for one element
+ *
+ * @param {Object} stoneBuild - Skill stone build ({ slots: [{ type, element, tier }] })
+ * @param {Object} stoneData - Parsed skill_stones.json
+ * @param {string} element - Skill attribute ("Fire", "Water", ...)
+ * @returns {{cooldown: number, time: number, heat: number}} Bonus % (0 when no matching stone)
+ */
+export const getStoneBonusesForElement = (stoneBuild, stoneData, element) => {
+  const bonuses = { cooldown: 0, time: 0, heat: 0 };
+  if (!stoneBuild?.slots || !stoneData?.stoneTypes || !element) return bonuses;
+
+  const elementKey = element.toLowerCase();
+  stoneBuild.slots.forEach(slot => {
+    if (!slot?.element || !slot.tier || slot.element.toLowerCase() !== elementKey) return;
+    const bonus = stoneData.stoneTypes[slot.type]?.bonuses?.[slot.tier];
+    if (typeof bonus === 'number' && slot.type in bonuses) {
+      bonuses[slot.type] += bonus;
+    }
+  });
+
+  return bonuses;
+};
+
+const applyPercent = (base, percent) => (base === null ? null : roundTo(base * (1 + percent / 100)));
+
+// Attacks are counted in whole hits (roundTo first so 25 * 0.96 doesn't become 25)
+const applyPercentToAttacks = (base, percent) => Math.ceil(applyPercent(base, percent));
+
+/**
+ * Effective skill stats with a skill stone build applied
+ *
+ * @param {Object} skill - Skill from skills.json
+ * @param {Object} stoneBuild - Skill stone build
+ * @param {Object} stoneData - Parsed skill_stones.json
+ * @returns {Object} {
+ *   cooldown: { base, effective, bonusPercent },
+ *   duration: { base, effective, bonusPercent } | null,
+ *   requiredAttacks: { base, effective, bonusPercent } | null,
+ *   affected: true if any stat changed
+ * }
+ */
+export const getSkillStoneEffects = (skill, stoneBuild, stoneData) => {
+  const bonuses = getStoneBonusesForElement(stoneBuild, stoneData, skill.attribute);
+  const baseDuration = getSkillDuration(skill);
+  const baseAttacks = getSkillRequiredAttacks(skill);
+
+  const cooldown = {
+    base: skill.cooldown,
+    effective: skill.cooldown > 0 ? applyPercent(skill.cooldown, bonuses.cooldown) : skill.cooldown,
+    bonusPercent: bonuses.cooldown
+  };
+  const duration = baseDuration === null ? null : {
+    base: baseDuration,
+    effective: applyPercent(baseDuration, bonuses.time),
+    bonusPercent: bonuses.time
+  };
+  const requiredAttacks = baseAttacks === null ? null : {
+    base: baseAttacks,
+    effective: applyPercentToAttacks(baseAttacks, bonuses.heat),
+    bonusPercent: bonuses.heat
+  };
+
+  const affected = [cooldown, duration, requiredAttacks].some(stat => stat && stat.effective !== stat.base);
+
+  return { cooldown, duration, requiredAttacks, affected };
+};
+
+/**
+ * Apply stones to every equipped slot of a skill build
+ * Slots keep their shape; each equipped slot gains `stoneEffects` and a skill
+ * copy with the effective cooldown (so simulations use stone-adjusted values).
+ *
+ * @param {Array} slots - Skill build slots ({ skill, level })
+ * @param {Object} stoneBuild - Skill stone build
+ * @param {Object} stoneData - Parsed skill_stones.json
+ * @returns {Array} New slots
+ */
+export const applySkillStonesToSlots = (slots, stoneBuild, stoneData) => {
+  return slots.map(slot => {
+    if (!slot?.skill) return slot;
+    const stoneEffects = getSkillStoneEffects(slot.skill, stoneBuild, stoneData);
+    return {
+      ...slot,
+      skill: { ...slot.skill, cooldown: stoneEffects.cooldown.effective },
+      stoneEffects
+    };
+  });
+};
+
+/**
+ * Whether a skill stone build has any stone set
+ */
+export const hasSkillStones = (stoneBuild) => !!stoneBuild?.slots?.some(slot => slot?.element && slot?.tier);
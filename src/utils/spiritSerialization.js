@@ -10,6 +10,7 @@
  * - deserialize: After loading from API/cache
  */
 
+import { loadGameData } from '../services/gameData.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger('SpiritSerialization');
@@ -314,8 +315,7 @@ export const serializeBuildForSharing = (build) => {
  */
 export const loadSpiritsDatabase = async () => {
   try {
-    const response = await fetch('/data/spirit-characters.json');
-    const data = await response.json();
+    const data = await loadGameData('spirits');
     return data.spirits || [];
   } catch (error) {
     logger.error('[spiritSerialization] Failed to load spirits database:', error);
@@ -0,0 +1,183 @@
+/**
+ * Spirit Upgrade Planner
+ *
+ * Cost and gain calculations over spirit-upgrades.json, where the entry for
+ * level L holds the cost to upgrade from L to L+1 and the ATK/HP factor at L.
+ *
+ * The suggested order is a greedy plan: repeatedly take the upgrade step with
+ * the best factor gain per (budget-normalized) resource cost until nothing else
+ * fits the budget. Steps run to the next level that actually increases the
+ * factor, so flat stretches of the table don't stall the plan.
+ */
+
+export const RESOURCES = ['enhanceCubes', 'manaCrystal'];
+
+const emptyCost = () => ({ enhanceCubes: 0, manaCrystal: 0 });
+
+/**
+ * Clamp a level into the table's range
+ */
+export const clampLevel = (levels, level) => {
+  const maxLevel = levels.length - 1;
+  const parsed = Math.floor(Number(level));
+  if (!Number.isFinite(parsed)) return 0;
+  return Math.max(0, Math.min(maxLevel, parsed));
+};
+
+/**
+ * Total resources to go from `from` to `to`
+ *
+ * @param {Array} levels - spirit-upgrades.json `spirits` array
+ * @param {number} from - Current level
+ * @param {number} to - Target level
+ * @returns {{enhanceCubes: number, manaCrystal: number}}
+ */
+export const getUpgradeCost = (levels, from, to) => {
+  const cost = emptyCost();
+  for (let level = clampLevel(levels, from); level < clampLevel(levels, to); level++) {
+    const { upgradeCosts } = levels[level];
+    cost.enhanceCubes += upgradeCosts?.enhanceCubes || 0;
+    cost.manaCrystal += upgradeCosts?.manaCrystal || 0;
+  }
+  return cost;
+};
+
+/**
+ * ATK/HP factor gained going from `from` to `to`
+ */
+export const getFactorGain = (levels, from, to) => {
+  const start = clampLevel(levels, from);
+  const end = clampLevel(levels, to);
+  if (end <= start) return 0;
+  return Math.round((levels[end].attackHpFactor - levels[start].attackHpFactor) * 100) / 100;
+};
+
+/**
+ * Highest level that still increases the ATK/HP factor
+ */
+export const getFactorCapLevel = (levels) => {
+  let cap = 0;
+  for (let level = 1; level < levels.length; level++) {
+    if (levels[level].attackHpFactor > levels[level - 1].attackHpFactor) cap = level;
+  }
+  return cap;
+};
+
+/**
+ * Cost and gain for each planned spirit plus totals
+ *
+ * @param {Array} levels - spirit-upgrades.json `spirits` array
+ * @param {Array<{key: string, currentLevel: number, targetLevel: number}>} entries
+ * @returns {{entries: Array, totalCost: Object, totalFactorGain: number}}
+ */
+export const planSpiritUpgrades = (levels, entries) => {
+  const totalCost = emptyCost();
+  let totalFactorGain = 0;
+
+  const planned = entries.map(entry => {
+    const currentLevel = clampLevel(levels, entry.currentLevel);
+    const targetLevel = Math.max(currentLevel, clampLevel(levels, entry.targetLevel));
+    const cost = getUpgradeCost(levels, currentLevel, targetLevel);
+    const factorGain = getFactorGain(levels, currentLevel, targetLevel);
+
+    RESOURCES.forEach(resource => { totalCost[resource] += cost[resource]; });
+    totalFactorGain += factorGain;
+
+    return {
+      ...entry,
+      currentLevel,
+      targetLevel,
+      cost,
+      factorGain,
+      factorPerMillionCubes: cost.enhanceCubes > 0 ? (factorGain / cost.enhanceCubes) * 1e6 : 0,
+      factorPerMillionManaCrystal: cost.manaCrystal > 0 ? (factorGain / cost.manaCrystal) * 1e6 : 0
+    };
+  });
+
+  return { entries: planned, totalCost, totalFactorGain: Math.round(totalFactorGain * 100) / 100 };
+};
+
+/**
+ * Next upgrade step for a spirit: up to the next level that raises the factor (or the target)
+ */
+const getNextStep = (levels, level, targetLevel) => {
+  let to = level + 1;
+  while (to < targetLevel && levels[to].attackHpFactor <= levels[level].attackHpFactor) to++;
+  if (to > targetLevel || levels[to].attackHpFactor <= levels[level].attackHpFactor) return null;
+  return { from: level, to, cost: getUpgradeCost(levels, level, to), gain: levels[to].attackHpFactor - levels[level].attackHpFactor };
+};
+
+/**
+ * Suggested upgrade order within a resource budget
+ *
+ * @param {Array} levels - spirit-upgrades.json `spirits` array
+ * @param {Array<{key: string, currentLevel: number, targetLevel: number}>} entries
+ * @param {Object} budget - { enhanceCubes, manaCrystal }; a missing/null resource is unlimited
+ * @returns {{steps: Array<{key, fromLevel, toLevel, cost, factorGain}>, spent: Object, remaining: Object, finalLevels: Object, totalFactorGain: number}}
+ */
+export const suggestUpgradeOrder = (levels, entries, budget = {}) => {
+  const limits = {};
+  RESOURCES.forEach(resource => {
+    const value = budget[resource];
+    limits[resource] = value === null || value === undefined || value === '' ? Infinity : Math.max(0, Number(value));
+  });
+
+  const spent = emptyCost();
+  const finalLevels = {};
+  const targets = {};
+  entries.forEach(entry => {
+    finalLevels[entry.key] = clampLevel(levels, entry.currentLevel);
+    targets[entry.key] = Math.max(finalLevels[entry.key], clampLevel(levels, entry.targetLevel));
+  });
+
+  // Normalize each resource by its budget so both count equally; unlimited resources are free
+  const costScore = (cost) => RESOURCES.reduce((score, resource) => (
+    Number.isFinite(limits[resource])
+      ? score + cost[resource] / Math.max(1, limits[resource])
+      : score
+  ), 0);
+  const fits = (cost) => RESOURCES.every(resource => spent[resource] + cost[resource] <= limits[resource]);
+
+  const steps = [];
+  let totalFactorGain = 0;
+
+  for (;;) {
+    let best = null;
+
+    entries.forEach(entry => {
+      const step = getNextStep(levels, finalLevels[entry.key], targets[entry.key]);
+      if (!step || !fits(step.cost)) return;
+
+      const score = costScore(step.cost);
+      // Without any finite budget, fall back to ordering by raw cube cost
+      const efficiency = step.gain / (score > 0 ? score : Math.max(1, step.cost.enhanceCubes + step.cost.manaCrystal));
+      if (!best || efficiency > best.efficiency) {
+        best = { key: entry.key, step, efficiency };
+      }
+    });
+
+    if (!best) break;
+
+    const { key, step } = best;
+    RESOURCES.forEach(resource => { spent[resource] += step.cost[resource]; });
+    finalLevels[key] = step.to;
+    totalFactorGain += step.gain;
+
+    // Merge consecutive steps on the same spirit
+    const last = steps[steps.length - 1];
+    if (last && last.key === key && last.toLevel === step.from) {
+      last.toLevel = step.to;
+      RESOURCES.forEach(resource => { last.cost[resource] += step.cost[resource]; });
+      last.factorGain += step.gain;
+    } else {
+      steps.push({ key, fromLevel: step.from, toLevel: step.to, cost: { ...step.cost }, factorGain: step.gain });
+    }
+  }
+
+  steps.forEach(step => { step.factorGain = Math.round(step.factorGain * 100) / 100; });
+
+  const remaining = {};
+  RESOURCES.forEach(resource => { remaining[resource] = limits[resource] - spent[resource]; });
+
+  return { steps, spent, remaining, finalLevels, totalFactorGain: Math.round(totalFactorGain * 100) / 100 };
+};
@@ -0,0 +1,173 @@
+/**
+ * Stage Chunks
+ *
+ * stages.json is split at build time (scripts/splitStages.js) into one file
+ * per region plus an index, so pages only download the stages they use. The
+ * sheet has no region names past stage 640; those stages are grouped into
+ * fixed blocks instead. The index lists every chunk with its stage range and
+ * a few summary stats (stat ranges and the equipment it drops) so callers can
+ * pick chunks without loading them.
+ */
+
+/** Directory of the chunks, relative to /data */
+export const STAGE_CHUNK_DIR = 'stages';
+
+/** File name of the index inside STAGE_CHUNK_DIR */
+export const STAGE_INDEX_FILE = 'index.json';
+
+/** Stages per chunk where the sheet has no region name */
+export const UNNAMED_CHUNK_SIZE = 100;
+
+// Numeric fields summarized as { min, max } per chunk
+const SUMMARY_FIELDS = ['enemyHP', 'bossHP', 'bossATK'];
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const getChunkId = (region, firstStage, lastStage) => {
+  const range = `${firstStage}-${lastStage}`;
+  const slug = region ? slugify(region) : '';
+  return slug ? `${range}-${slug}` : range;
+};
+
+const summarize = (stages) => {
+  const stats = {};
+  SUMMARY_FIELDS.forEach((field) => {
+    const values = stages.map(stage => Number(stage[field])).filter(Number.isFinite);
+    if (values.length > 0) {
+      stats[field] = { min: Math.min(...values), max: Math.max(...values) };
+    }
+  });
+
+  const drops = [];
+  const seen = new Set();
+  stages.forEach(({ equipment, equipmentRarity }) => {
+    const key = `${equipment}|${equipmentRarity}`;
+    if (!equipment || seen.has(key)) return;
+    seen.add(key);
+    drops.push({ equipment, equipmentRarity });
+  });
+
+  return { stats, drops };
+};
+
+/**
+ * Group stages into chunks: consecutive stages of a named region, or blocks
+ * of `blockSize` stages without a region
+ *
+ * @param {Array} stages - stages.json
+ * @param {Object} [options]
+ * @param {number} [options.blockSize=UNNAMED_CHUNK_SIZE] - Stages per unnamed chunk
+ * @returns {Array<{ region: string|null, stages: Array }>}
+ */
+export const groupStages = (stages, { blockSize = UNNAMED_CHUNK_SIZE } = {}) => {
+  const sorted = [...stages].sort((a, b) => a.stageNo - b.stageNo);
+  const groups = [];
+
+  sorted.forEach((stage) => {
+    const region = stage.region || null;
+    const current = groups[groups.length - 1];
+    const fits = current && current.region === region && (region || current.stages.length < blockSize);
+    if (fits) {
+      current.stages.push(stage);
+    } else {
+      groups.push({ region, stages: [stage] });
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Split stages into chunk files and build their index
+ *
+ * @param {Array} stages - stages.json
+ * @param {Object} [options] - groupStages options
+ * @returns {{ index: Object, chunks: Array<{ file: string, stages: Array }> }}
+ */
+export const splitStages = (stages, options) => {
+  const groups = groupStages(stages, options);
+  const chunks = [];
+  const entries = [];
+  const regions = [];
+
+  groups.forEach(({ region, stages: chunkStages }) => {
+    const firstStage = chunkStages[0].stageNo;
+    const lastStage = chunkStages[chunkStages.length - 1].stageNo;
+    const id = getChunkId(region, firstStage, lastStage);
+    const file = `${id}.json`;
+
+    if (region && !regions.includes(region)) regions.push(region);
+    chunks.push({ file, stages: chunkStages });
+    entries.push({
+      id,
+      file,
+      region,
+      firstStage,
+      lastStage,
+      count: chunkStages.length,
+      ...summarize(chunkStages)
+    });
+  });
+
+  return {
+    index: {
+      stageCount: stages.length,
+      firstStage: entries.length > 0 ? entries[0].firstStage : null,
+      lastStage: entries.length > 0 ? entries[entries.length - 1].lastStage : null,
+      regions,
+      chunks: entries
+    },
+    chunks
+  };
+};
+
+/**
+ * Chunks of the index that match a query
+ *
+ * @param {Object} index - Stage index
+ * @param {Object} [query]
+ * @param {number} [query.from] - Lowest stage needed
+ * @param {number} [query.to] - Highest stage needed
+ * @param {string} [query.region] - Region name
+ * @param {string} [query.equipment] - Only chunks dropping this equipment type
+ * @param {string} [query.equipmentRarity] - Only chunks dropping this rarity
+ * @returns {Array} Index entries in stage order
+ */
+export const selectStageChunks = (index, { from = -Infinity, to = Infinity, region, equipment, equipmentRarity } = {}) => (
+  (index?.chunks || []).filter(chunk => (
+    chunk.lastStage >= from
+    && chunk.firstStage <= to
+    && (region === undefined || chunk.region === region)
+    && ((!equipment && !equipmentRarity) || chunk.drops.some(drop => (
+      (!equipment || drop.equipment === equipment)
+      && (!equipmentRarity || drop.equipmentRarity === equipmentRarity)
+    )))
+  ))
+);
+
+/**
+ * Chunk containing a stage
+ *
+ * @param {Object} index - Stage index
+ * @param {number} stageNo
+ * @returns {Object|null} Index entry
+ */
+export const findStageChunk = (index, stageNo) => (
+  (index?.chunks || []).find(chunk => stageNo >= chunk.firstStage && stageNo <= chunk.lastStage) || null
+);
+
+/**
+ * Join loaded chunks into one stage list, trimmed to a range
+ *
+ * @param {Array<Array>} chunkStages - Stage arrays of loaded chunks
+ * @param {Object} [range]
+ * @param {number} [range.from]
+ * @param {number} [range.to]
+ * @returns {Array} Stages sorted by stageNo
+ */
+export const mergeStageChunks = (chunkStages, { from = -Infinity, to = Infinity } = {}) => (
+  chunkStages
+    .flat()
+    .filter(stage => stage.stageNo >= from && stage.stageNo <= to)
+    .sort((a, b) => a.stageNo - b.stageNo)
+);
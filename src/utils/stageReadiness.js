@@ -0,0 +1,150 @@
+/**
+ * Stage Readiness
+ *
+ * Estimates how far a player can push through stages.json from their ATK, HP,
+ * attack speed and accuracy. The combat math is the "stage" section of
+ * formulas.json, passed in as a formula set (see createFormulaSet). A stage
+ * counts as cleared when the boss dies within the time limit and before it
+ * kills the player; the first stage that fails is the "wall".
+ */
+
+/**
+ * Loadout bonuses from a stat engine sheet (see calculateLoadoutStats)
+ *
+ * @param {Object} sheet - Stat sheet
+ * @returns {{ flatAttack, attackMultiplier, hpMultiplier, attackSpeedPercent, accuracy, skillDamage }}
+ */
+export const getLoadoutBonuses = (sheet) => {
+  const stat = (key) => sheet?.stats?.[key] || 0;
+  return {
+    flatAttack: sheet?.weaponAttack || 0,
+    attackMultiplier: (sheet?.classATK || 1) * (1 + stat('ATK') / 100) * (1 + stat('EXTRA_DMG') / 100),
+    hpMultiplier: (sheet?.classHP || 1) * (1 + stat('HP') / 100),
+    attackSpeedPercent: stat('ATK_SPD'),
+    accuracy: stat('ACCURACY'),
+    skillDamage: sheet?.skillDamagePerSecond || 0
+  };
+};
+
+/**
+ * Combat stats with loadout bonuses applied to the entered base stats
+ *
+ * @param {Object} base - { attack, hp, attackSpeed, accuracy }
+ * @param {Object|null} bonuses - getLoadoutBonuses() result, or null for manual entry
+ * @returns {{ attack, hp, attackSpeed, accuracy, skillDamage }}
+ */
+export const applyLoadoutBonuses = (base, bonuses) => {
+  const value = (key) => Math.max(0, Number(base[key]) || 0);
+  if (!bonuses) {
+    return { attack: value('attack'), hp: value('hp'), attackSpeed: value('attackSpeed'), accuracy: value('accuracy'), skillDamage: 0 };
+  }
+  return {
+    attack: (value('attack') + bonuses.flatAttack) * bonuses.attackMultiplier,
+    hp: value('hp') * bonuses.hpMultiplier,
+    attackSpeed: value('attackSpeed') * (1 + bonuses.attackSpeedPercent / 100),
+    accuracy: value('accuracy') + bonuses.accuracy,
+    skillDamage: bonuses.skillDamage
+  };
+};
+
+/**
+ * Fight estimate for one stage
+ *
+ * @param {Object} stage - stages.json entry
+ * @param {Object} stats - applyLoadoutBonuses() result
+ * @param {Object} formulas - Formula set of the "stage" section
+ * @returns {Object} Formula results plus { stageNo, cleared, limitedBy: 'time'|'hp'|null }
+ */
+export const evaluateStage = (stage, stats, formulas) => {
+  const results = formulas.evaluateAll({
+    ...stats,
+    enemyHP: stage.enemyHP,
+    enemyCount: stage.enemyCount,
+    bossHP: stage.bossHP,
+    bossATK: stage.bossATK,
+    bossAttackInterval: stage.attackSpeed,
+    stageMiss: stage.miss,
+    stageAccuracy: stage.accuracy
+  });
+
+  const cleared = results.bossKillTime <= results.fightTime;
+  let limitedBy = null;
+  if (!cleared) {
+    limitedBy = results.survivalTime < formulas.constants.bossTimeLimit ? 'hp' : 'time';
+  }
+
+  return { stageNo: stage.stageNo, ...results, cleared, limitedBy };
+};
+
+const percentIncrease = (required, current) => {
+  if (!Number.isFinite(required)) return null;
+  if (current <= 0) return Infinity;
+  return Math.max(0, (required / current - 1) * 100);
+};
+
+/**
+ * What would pass a wall stage, one stat at a time
+ *
+ * @param {Object} result - evaluateStage() result for the wall
+ * @param {Object} stats - Stats used for the result
+ * @param {number} timeLimit - Boss time limit
+ * @returns {{ attack, hp, accuracy }} Each { required, increasePercent } or null when raising that stat doesn't help
+ */
+export const getWallRequirements = (result, stats, timeLimit) => {
+  const attackIncrease = percentIncrease(result.requiredAttack, stats.attack);
+  const attack = attackIncrease === null ? null : { required: result.requiredAttack, increasePercent: attackIncrease };
+
+  // More HP only helps when the boss would die within the time limit
+  const hp = result.bossKillTime <= timeLimit && Number.isFinite(result.requiredHp)
+    ? { required: result.requiredHp, increasePercent: percentIncrease(result.requiredHp, stats.hp) }
+    : null;
+
+  // Accuracy only helps while attacks miss; `passes` tells whether always hitting is enough
+  const accuracy = result.hitChance < 1
+    ? {
+      required: result.requiredAccuracy,
+      increasePercent: percentIncrease(result.requiredAccuracy, stats.accuracy),
+      passes: result.bossKillTime * result.attackRate / (stats.attackSpeed + stats.skillDamage / 100) <= result.fightTime
+    }
+    : null;
+
+  return { attack, hp, accuracy };
+};
+
+/**
+ * Estimate the furthest clearable stage
+ *
+ * Stages are played in order, so progress stops at the first stage that fails.
+ *
+ * @param {Array} stages - stages.json
+ * @param {Object} stats - applyLoadoutBonuses() result
+ * @param {Object} formulas - Formula set of the "stage" section
+ * @param {Object} [options]
+ * @param {number} [options.fromStage=1] - Stage to start from (earlier stages are assumed cleared)
+ * @returns {{ furthestStage: Object|null, furthestResult: Object|null, wall: Object|null, wallResult: Object|null, requirements: Object|null }}
+ */
+export const estimateProgress = (stages, stats, formulas, { fromStage = 1 } = {}) => {
+  const ordered = stages
+    .filter(stage => stage.stageNo >= fromStage)
+    .sort((a, b) => a.stageNo - b.stageNo);
+
+  let furthestStage = null;
+  let furthestResult = null;
+
+  for (const stage of ordered) {
+    const result = evaluateStage(stage, stats, formulas);
+    if (!result.cleared) {
+      return {
+        furthestStage,
+        furthestResult,
+        wall: stage,
+        wallResult: result,
+        requirements: getWallRequirements(result, stats, formulas.constants.bossTimeLimit)
+      };
+    }
+    furthestStage = stage;
+    furthestResult = result;
+  }
+
+  return { furthestStage, furthestResult, wall: null, wallResult: null, requirements: null };
+};
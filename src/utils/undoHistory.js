@@ -0,0 +1,95 @@
+/**
+ * Undo/Redo History
+ *
+ * Immutable history stack for builder state snapshots. Snapshots are plain
+ * objects of state values (e.g. { build, buildName }) compared by reference,
+ * so builders must replace state instead of mutating it.
+ *
+ * Used by the useUndoHistory hook; kept pure so it can be tested directly.
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Create a history with no undo/redo entries
+ */
+export const createHistory = (present) => ({ past: [], present, future: [], lastRecordedAt: 0 });
+
+/**
+ * Shallow-compare two snapshots (each value by reference)
+ */
+export const snapshotsEqual = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => a[key] === b[key]);
+};
+
+/**
+ * Record a new present state
+ *
+ * Changes within `mergeWindowMs` of the previous one replace it instead of
+ * adding an entry, so slider drags and typing count as one step.
+ *
+ * @param {Object} history - Current history
+ * @param {Object} next - New snapshot
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Max undo entries kept
+ * @param {number} [options.mergeWindowMs=0] - Merge changes closer together than this
+ * @param {number} [options.now=Date.now()] - Timestamp of the change
+ * @returns {Object} Updated history (same object if nothing changed)
+ */
+export const recordHistory = (history, next, { limit = DEFAULT_HISTORY_LIMIT, mergeWindowMs = 0, now = Date.now() } = {}) => {
+  if (snapshotsEqual(history.present, next)) return history;
+
+  const merge = history.past.length > 0 && now - history.lastRecordedAt < mergeWindowMs;
+  const past = merge ? history.past : [...history.past, history.present].slice(-limit);
+
+  return { past, present: next, future: [], lastRecordedAt: now };
+};
+
+/**
+ * Step back one entry
+ */
+export const undoHistory = (history) => {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastRecordedAt: 0
+  };
+};
+
+/**
+ * Step forward one entry
+ */
+export const redoHistory = (history) => {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastRecordedAt: 0
+  };
+};
+
+const isTextInput = (target) => {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable === true;
+};
+
+/**
+ * Map a keydown event to 'undo', 'redo' or null
+ * Ctrl/Cmd+Z undoes; Ctrl/Cmd+Shift+Z and Ctrl+Y redo. Text fields keep their native undo.
+ */
+export const getHistoryShortcut = (event) => {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextInput(event.target)) return null;
+
+  const key = event.key?.toLowerCase();
+  if (key === 'z') return event.shiftKey ? 'redo' : 'undo';
+  if (key === 'y' && !event.shiftKey) return 'redo';
+  return null;
+};
@@ -12,6 +12,7 @@
 export const STRING_LIMITS = {
   BUILD_NAME_MIN: 1,
   BUILD_NAME_MAX: 100,
+  GALLERY_DESCRIPTION_MAX: 500,
   USERNAME_MIN: 1,
   USERNAME_MAX: 39,
   WEAPON_NAME_MIN: 1,
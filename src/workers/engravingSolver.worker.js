@@ -0,0 +1,59 @@
+/**
+ * Engraving Solver Web Worker
+ *
+ * Runs the engraving solver off the UI thread. Cancellation is handled by the
+ * client terminating this worker, since the solver loop never yields.
+ *
+ * Messages in:
+ * - { id, type: 'solve', grid, pieces, options }
+ * - { id, type: 'findBestWeapons', weaponJobs, pieces, options }
+ * - { id, type: 'optimize', grid, pieces, options }
+ * - { id, type: 'simulateChaosSoul', grid, pieces, shapes, options }
+ *
+ * Messages out:
+ * - { id, type: 'progress', progress }
+ * - { id, type: 'solution', solution, index }
+ * - { id, type: 'weaponSolved', cacheKey, solutions }
+ * - { id, type: 'done', result }
+ * - { id, type: 'error', message }
+ */
+
+import { solveEngravingGrid, findBestWeapons } from '../utils/engravingSolver.js';
+import { optimizeEngravingLayout } from '../utils/engravingOptimizer.js';
+import { simulateChaosSoulCost } from '../utils/chaosSoulSimulator.js';
+
+self.onmessage = (event) => {
+  const { id, type, options = {} } = event.data;
+
+  const post = (message) => self.postMessage({ id, ...message });
+  const onProgress = (progress) => post({ type: 'progress', progress });
+
+  try {
+    if (type === 'solve') {
+      const result = solveEngravingGrid(event.data.grid, event.data.pieces, {
+        ...options,
+        onProgress,
+        onSolution: (solution, index) => post({ type: 'solution', solution, index })
+      });
+      // Solutions were already streamed, only send the summary
+      post({ type: 'done', result: { ...result, solutions: undefined } });
+    } else if (type === 'findBestWeapons') {
+      const result = findBestWeapons(event.data.weaponJobs, event.data.pieces, {
+        ...options,
+        onProgress,
+        onWeaponSolved: (cacheKey, solutions) => post({ type: 'weaponSolved', cacheKey, solutions })
+      });
+      post({ type: 'done', result });
+    } else if (type === 'optimize') {
+      const result = optimizeEngravingLayout(event.data.grid, event.data.pieces, { ...options, onProgress });
+      post({ type: 'done', result });
+    } else if (type === 'simulateChaosSoul') {
+      const result = simulateChaosSoulCost(event.data.grid, event.data.pieces, event.data.shapes, { ...options, onProgress });
+      post({ type: 'done', result });
+    } else {
+      post({ type: 'error', message: `Unknown solver job type: ${type}` });
+    }
+  } catch (error) {
+    post({ type: 'error', message: error?.message || String(error) });
+  }
+};
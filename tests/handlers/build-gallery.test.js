@@ -0,0 +1,222 @@
+/**
+ * Build Gallery Handler Tests
+ * Publishing, listing, views and likes for the public build gallery
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { handleBuildGallery } from '../../functions/_shared/handlers/build-gallery.js';
+import { NetlifyAdapter } from '../../functions/_shared/adapters/PlatformAdapter.js';
+import { createWikiStorage } from '../../functions/_shared/createWikiStorage.js';
+import { createMockNetlifyEvent, createMockConfigAdapter } from '../helpers/adapterHelpers.js';
+import { createMockStorage } from '../mocks/storage.js';
+import { encodeShareCode } from '../../src/utils/shareCodes.js';
+
+vi.mock('../../functions/_shared/createWikiStorage.js', () => ({
+  createWikiStorage: vi.fn()
+}));
+
+const shareCode = encodeShareCode('skill-builds', {
+  name: 'Burn',
+  maxSlots: 10,
+  slots: [{ skillId: 1, level: 50 }]
+});
+
+const galleryEntry = {
+  type: 'skill-builds',
+  name: 'Burn',
+  description: 'Fast clears',
+  shareCode,
+  skillIds: [1],
+  spiritIds: [],
+  weaponId: null,
+  elements: ['Fire']
+};
+
+// GitHub users behind the test tokens
+const githubUsers = {
+  'author-token': { login: 'author', id: 100 },
+  'other-token': { login: 'other', id: 200 },
+  'fan-token': { login: 'fan', id: 300 }
+};
+
+const post = (body, { token, ip = '203.0.113.1' } = {}) => new NetlifyAdapter(createMockNetlifyEvent({
+  httpMethod: 'POST',
+  headers: {
+    'x-forwarded-for': ip,
+    ...(token ? { authorization: `Bearer ${token}` } : {})
+  },
+  body: JSON.stringify(body)
+}));
+
+const list = () => new NetlifyAdapter(createMockNetlifyEvent({ httpMethod: 'GET' }));
+
+const call = async (adapter, configAdapter) => {
+  const response = await handleBuildGallery(adapter, configAdapter);
+  return { status: response.statusCode, body: JSON.parse(response.body) };
+};
+
+describe('handleBuildGallery', () => {
+  let configAdapter;
+  let storage;
+
+  beforeEach(() => {
+    configAdapter = createMockConfigAdapter();
+    storage = createMockStorage();
+    createWikiStorage.mockReturnValue(storage);
+
+    global.fetch = vi.fn(async (url, options) => {
+      const token = options.headers.Authorization.replace('token ', '');
+      const user = url === 'https://api.github.com/user' && githubUsers[token];
+      return user
+        ? { ok: true, json: async () => user }
+        : { ok: false, status: 401, json: async () => ({ message: 'Bad credentials' }) };
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const publish = (token = 'author-token') => call(post({ action: 'publish', entry: galleryEntry }, { token }), configAdapter);
+
+  it('should publish an entry with author and counters', async () => {
+    const { status, body } = await publish();
+
+    expect(status).toBe(200);
+    expect(body.entry).toMatchObject({
+      ...galleryEntry,
+      authorName: 'author',
+      authorId: 100,
+      views: 0,
+      likedBy: []
+    });
+    expect(body.entry.id).toMatch(/^gallery-builds-/);
+    expect(storage.save).toHaveBeenCalledWith('gallery-builds', 'author', 100, body.entry);
+  });
+
+  it('should list entries from every author', async () => {
+    await publish();
+    await publish('other-token');
+
+    const { status, body } = await call(list(), configAdapter);
+
+    expect(status).toBe(200);
+    expect(body.entries.map(entry => entry.authorName)).toEqual(['author', 'other']);
+  });
+
+  it('should reject share codes that do not decode to the entry type', async () => {
+    const corrupted = await call(post({
+      action: 'publish', entry: { ...galleryEntry, shareCode: `${shareCode}A` }
+    }, { token: 'author-token' }), configAdapter);
+    expect(corrupted.status).toBe(400);
+
+    const mismatched = await call(post({
+      action: 'publish', entry: { ...galleryEntry, type: 'spirit-builds' }
+    }, { token: 'author-token' }), configAdapter);
+    expect(mismatched.status).toBe(400);
+    expect(mismatched.body.error).toBe('Share code does not match the build type');
+  });
+
+  it('should reject tags that are not game data IDs or known elements', async () => {
+    const publishWith = (fields) => call(post({
+      action: 'publish', entry: { ...galleryEntry, ...fields }
+    }, { token: 'author-token' }), configAdapter);
+
+    expect((await publishWith({ skillIds: ['1'] })).body.error).toBe('skillIds must be an array of IDs');
+    expect((await publishWith({ spiritIds: [-1] })).body.error).toBe('spiritIds must be an array of IDs');
+    expect((await publishWith({ elements: ['Lightning'] })).body.error).toMatch(/^elements must be one of/);
+    expect((await publishWith({ weaponId: { huge: 'x'.repeat(100) } })).body.error).toBe('weaponId must be an ID or null');
+    expect((await publishWith({ weaponId: 1.5 })).status).toBe(400);
+
+    const { status, body } = await publishWith({ weaponId: undefined });
+    expect(status).toBe(200);
+    expect(body.entry.weaponId).toBeNull();
+  });
+
+  it('should count a view once per visitor and write views in batches', async () => {
+    const { body: published } = await publish();
+    const view = (ip) => call(post({ action: 'view', ownerId: 100, entryId: published.entry.id }, { ip }), configAdapter);
+
+    expect((await view('198.51.100.1')).body.counted).toBe(true);
+    expect((await view('198.51.100.1')).body.counted).toBe(false);
+    expect((await view('198.51.100.2')).body.counted).toBe(true);
+
+    // Counted views show in the list before they are written
+    expect(storage.data['gallery-builds']['100'][0].views).toBe(0);
+    expect((await call(list(), configAdapter)).body.entries[0].views).toBe(2);
+
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 1000);
+    const { body } = await call(list(), configAdapter);
+
+    expect(body.entries[0].views).toBe(2);
+    expect(storage.data['gallery-builds']['100'][0].views).toBe(2);
+  });
+
+  it('should toggle likes as the signed-in user', async () => {
+    const { body: published } = await publish();
+    const like = { action: 'like', ownerId: 100, entryId: published.entry.id };
+
+    const liked = await call(post({ ...like, userId: 999 }, { token: 'fan-token' }), configAdapter);
+    expect(liked.body.entry.likedBy).toEqual([300]);
+
+    const unliked = await call(post(like, { token: 'fan-token' }), configAdapter);
+    expect(unliked.body.entry.likedBy).toEqual([]);
+    expect(storage.data['gallery-builds']['100'][0].likedBy).toEqual([]);
+  });
+
+  it('should require a valid token to publish, unpublish or like', async () => {
+    const like = { action: 'like', ownerId: 100, entryId: 'some-entry' };
+
+    expect((await call(post({ action: 'publish', entry: galleryEntry }), configAdapter)).status).toBe(401);
+    expect((await call(post({ action: 'unpublish', entryId: 'some-entry' }), configAdapter)).status).toBe(401);
+    expect((await call(post(like), configAdapter)).status).toBe(401);
+    expect((await call(post(like, { token: 'expired-token' }), configAdapter)).status).toBe(401);
+    expect(storage.save).not.toHaveBeenCalled();
+  });
+
+  it('should not let authors like their own builds', async () => {
+    const { body: published } = await publish();
+
+    const { status, body } = await call(post({
+      action: 'like', ownerId: 100, entryId: published.entry.id
+    }, { token: 'author-token' }), configAdapter);
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('You cannot like your own build');
+  });
+
+  it('should return 404 when liking unknown entries', async () => {
+    const { status } = await call(post({
+      action: 'like', ownerId: 100, entryId: 'missing-entry'
+    }, { token: 'fan-token' }), configAdapter);
+    expect(status).toBe(404);
+  });
+
+  it('should unpublish an entry', async () => {
+    const { body: published } = await publish();
+
+    const { status, body } = await call(post({
+      action: 'unpublish', entryId: published.entry.id
+    }, { token: 'author-token' }), configAdapter);
+
+    expect(status).toBe(200);
+    expect(body.entries).toEqual([]);
+  });
+
+  it('should validate action and target fields', async () => {
+    expect((await call(post({ action: 'delete-everything' }), configAdapter)).status).toBe(400);
+    expect((await call(post({ action: 'view', ownerId: 100 }), configAdapter)).status).toBe(400);
+    expect((await call(post({ action: 'like', entryId: 'x' }, { token: 'fan-token' }), configAdapter)).status).toBe(400);
+  });
+
+  it('should reject oversized request bodies', async () => {
+    const entry = { ...galleryEntry, description: 'x'.repeat(3 * 1024 * 1024) };
+    const { status } = await call(post({ action: 'publish', entry }, { token: 'author-token' }), configAdapter);
+    expect(status).toBe(413);
+  });
+
+  it('should reject unsupported methods', async () => {
+    const adapter = new NetlifyAdapter(createMockNetlifyEvent({ httpMethod: 'DELETE' }));
+    expect((await call(adapter, configAdapter)).status).toBe(405);
+  });
+});
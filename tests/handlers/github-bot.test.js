@@ -16,11 +16,14 @@ import { createMockOctokit } from '../mocks/octokit.js';
 import { setupAPIMocks } from '../mocks/externalApis.js';
 import * as jwt from '../../functions/_shared/jwt.js';
 
+// Lets a test add or replace methods on every Octokit the handler creates
+const octokitState = vi.hoisted(() => ({ setup: null }));
+
 // Mock Octokit - must be inline since vi.mock() is hoisted before imports
 vi.mock('@octokit/rest', () => {
   return {
     Octokit: class MockOctokit {
-      constructor() {
+      constructor(options = {}) {
         // Simple mock implementation without vi.fn() - just return promises
         this.rest = {
           issues: {
@@ -65,6 +68,7 @@ vi.mock('@octokit/rest', () => {
             getByUsername: () => Promise.resolve({ data: { id: 123, login: 'testuser' } }),
           },
         };
+        octokitState.setup?.(this, options);
       }
     }
   };
@@ -83,6 +87,7 @@ describe('handleGithubBot', () => {
 
   afterEach(() => {
     if (cleanupMocks) cleanupMocks();
+    octokitState.setup = null;
     vi.restoreAllMocks();
   });
 
@@ -294,6 +299,173 @@ describe('handleGithubBot', () => {
     });
   });
 
+  describe('Action: promote-grid-consensus', () => {
+    it('should require a weapon and user token', async () => {
+      const event = createMockNetlifyEvent({
+        httpMethod: 'POST',
+        body: JSON.stringify({
+          action: 'promote-grid-consensus',
+          owner: 'test-owner',
+          repo: 'test-repo',
+          weaponId: 55
+        })
+      });
+      const adapter = new NetlifyAdapter(event);
+
+      const response = await handleGithubBot(adapter, configAdapter, cryptoAdapter);
+
+      expect(response.statusCode).toBe(400);
+      const body = JSON.parse(response.body);
+      expect(body.error).toContain('userToken');
+    });
+
+    const LAYOUT = [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 1, col: 0 }];
+    const OTHER_LAYOUT = [{ row: 0, col: 0 }, { row: 1, col: 1 }];
+
+    const submission = (submittedBy, activeSlots) => ({
+      weaponId: '55',
+      weaponName: 'Test Blade',
+      gridType: '4x4',
+      completionEffect: { atk: 10, hp: 20 },
+      activeSlots,
+      submittedBy,
+      submittedAt: '2025-01-01T00:00:00.000Z'
+    });
+
+    const currentGrids = {
+      weapons: [{ id: 13, name: 'Pride', gridType: '4x4', activeSlots: [], totalActiveSlots: 0 }],
+      _metadata: { totalWeapons: 1, lastUpdated: '2025-01-01' }
+    };
+
+    // Octokit calls the promotion makes; the caller's token decides their role
+    const mockPromotion = ({ login = 'test-owner', permission = 'admin', submissions = [] } = {}) => {
+      const calls = {
+        createOrUpdateFileContents: vi.fn(() => Promise.resolve({ data: { content: { sha: 'new-sha' } } })),
+        createPull: vi.fn(() => Promise.resolve({ data: { number: 42, html_url: 'https://github.com/test-owner/test-repo/pull/42' } }))
+      };
+      octokitState.setup = (octokit) => {
+        octokit.rest.users.getAuthenticated = () => Promise.resolve({ data: { login } });
+        octokit.rest.repos.getCollaboratorPermissionLevel = () => Promise.resolve({ data: { permission } });
+        octokit.rest.issues.listForRepo = () => Promise.resolve({
+          data: submissions.length > 0 ? [{ number: 7, title: '[Soul Weapon Grid] Test Blade' }] : []
+        });
+        octokit.rest.issues.listComments = () => Promise.resolve({ data: [] });
+        octokit.paginate = () => Promise.resolve(
+          submissions.map((entry, index) => ({ id: index + 1, body: JSON.stringify(entry) }))
+        );
+        octokit.rest.repos.getContent = () => Promise.resolve({
+          data: { sha: 'grids-sha', content: Buffer.from(JSON.stringify(currentGrids)).toString('base64') }
+        });
+        octokit.rest.repos.createOrUpdateFileContents = calls.createOrUpdateFileContents;
+        octokit.rest.git.getRef = () => Promise.resolve({ data: { object: { sha: 'main-sha' } } });
+        octokit.rest.pulls.create = calls.createPull;
+      };
+      return calls;
+    };
+
+    const promote = async () => {
+      const event = createMockNetlifyEvent({
+        httpMethod: 'POST',
+        body: JSON.stringify({
+          action: 'promote-grid-consensus',
+          owner: 'test-owner',
+          repo: 'test-repo',
+          weaponId: 55,
+          userToken: 'user-token'
+        })
+      });
+      const response = await handleGithubBot(new NetlifyAdapter(event), configAdapter, cryptoAdapter);
+      return { status: response.statusCode, body: JSON.parse(response.body) };
+    };
+
+    it('should reject callers who are not the owner or an admin', async () => {
+      const calls = mockPromotion({
+        login: 'contributor',
+        permission: 'write',
+        submissions: [submission('alice', LAYOUT), submission('bob', LAYOUT)]
+      });
+
+      const { status, body } = await promote();
+
+      expect(status).toBe(403);
+      expect(body.error).toContain('owner and admins');
+      expect(calls.createPull).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the weapon has no submissions', async () => {
+      const calls = mockPromotion();
+
+      const { status } = await promote();
+
+      expect(status).toBe(404);
+      expect(calls.createPull).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a layout with too few matching submissions', async () => {
+      const calls = mockPromotion({ submissions: [submission('alice', LAYOUT)] });
+
+      const { status, body } = await promote();
+
+      expect(status).toBe(400);
+      expect(body.error).toContain('at least 2 matching submissions');
+      expect(calls.createOrUpdateFileContents).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to promote when the top layouts are tied', async () => {
+      const calls = mockPromotion({
+        submissions: [
+          submission('alice', LAYOUT), submission('bob', LAYOUT),
+          submission('carol', OTHER_LAYOUT), submission('dave', OTHER_LAYOUT)
+        ]
+      });
+
+      const { status, body } = await promote();
+
+      expect(status).toBe(400);
+      expect(body.error).toContain('tied');
+      expect(calls.createPull).not.toHaveBeenCalled();
+    });
+
+    it('should commit the consensus grid and open a PR', async () => {
+      const calls = mockPromotion({
+        submissions: [submission('alice', LAYOUT), submission('bob', LAYOUT), submission('carol', OTHER_LAYOUT)]
+      });
+
+      const { status, body } = await promote();
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ prNumber: 42, weaponId: 55 });
+
+      const fileCall = calls.createOrUpdateFileContents.mock.calls[0][0];
+      expect(fileCall).toMatchObject({ path: 'public/data/soul-weapon-grids.json', sha: 'grids-sha' });
+      const written = JSON.parse(Buffer.from(fileCall.content, 'base64').toString('utf8'));
+      expect(written.weapons.map(w => w.id)).toEqual([13, 55]);
+      expect(written.weapons[1]).toMatchObject({
+        id: 55,
+        name: 'Test Blade',
+        gridType: '4x4',
+        completionEffect: { atk: 10, hp: 20 },
+        activeSlots: LAYOUT,
+        totalActiveSlots: 3,
+        verification: {
+          source: 'community-consensus',
+          agreeingSubmissions: 2,
+          totalSubmissions: 3,
+          promotedBy: 'test-owner'
+        }
+      });
+      expect(written._metadata.totalWeapons).toBe(2);
+
+      const prCall = calls.createPull.mock.calls[0][0];
+      expect(prCall).toMatchObject({
+        title: '[Soul Weapon Grid] Promote consensus layout: Test Blade',
+        head: fileCall.branch,
+        base: 'main'
+      });
+      expect(prCall.body).toContain('2 of 3 submissions');
+    });
+  });
+
   describe('Common Validation', () => {
     it('should reject non-POST requests', async () => {
       const event = createMockNetlifyEvent({
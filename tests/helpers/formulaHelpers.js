@@ -0,0 +1,27 @@
+/**
+ * Formula Test Helpers
+ * Helper functions for tests of the utilities that evaluate formulas.json
+ */
+
+import { readFileSync } from 'fs';
+import { createFormulaSet } from '../../src/utils/formulaEngine.js';
+
+/**
+ * Load one section of public/data/formulas.json as a formula set
+ */
+export function loadFormulaSection(name) {
+  const formulas = JSON.parse(readFileSync(new URL('../../public/data/formulas.json', import.meta.url), 'utf8'));
+  return createFormulaSet(formulas[name]);
+}
+
+/**
+ * Create a stage factory: stage(stageNo, fields) with the given defaults
+ * (an object, or a function of stageNo)
+ */
+export function createStageFactory(defaults = {}) {
+  return (stageNo, fields = {}) => ({
+    stageNo,
+    ...(typeof defaults === 'function' ? defaults(stageNo) : defaults),
+    ...fields
+  });
+}
@@ -14,6 +14,7 @@ export function createMockStorage(initialData = {}) {
       'my-spirits': initialData['my-spirits'] || {},
       'spirit-builds': initialData['spirit-builds'] || {},
       'engraving-builds': initialData['engraving-builds'] || {},
+      'gallery-builds': initialData['gallery-builds'] || {},
       'grid-submission': initialData['grid-submission'] || {},
       'email-verification': initialData['email-verification'] || {}
     },
@@ -23,6 +24,10 @@ export function createMockStorage(initialData = {}) {
       return this.data[type]?.[userKey] || [];
     }),
 
+    loadAll: vi.fn(async function(type) {
+      return Object.values(this.data[type] || {}).flat();
+    }),
+
     save: vi.fn(async function(type, username, userId, item) {
       const userKey = `${userId}`;
       if (!this.data[type]) this.data[type] = {};
@@ -82,6 +87,7 @@ export function createMockStorage(initialData = {}) {
 export function createFailingStorage(error = new Error('Storage Error')) {
   return {
     load: vi.fn().mockRejectedValue(error),
+    loadAll: vi.fn().mockRejectedValue(error),
     save: vi.fn().mockRejectedValue(error),
     delete: vi.fn().mockRejectedValue(error),
     loadGridSubmissions: vi.fn().mockRejectedValue(error),
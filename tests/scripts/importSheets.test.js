@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { getSheetRows, resolveColumn, extractRecords, mergeRecords, importSheet, loadMappings } from '../../scripts/importSheets.js';
+
+const ROWS = [
+  ['ID', 'SKILL', '', 'ATTRIBUTE', 'MP COST', '1 - 9', '10 - 19'],
+  ['1', '', 'Fire Slash', 'Fire', '25', '1.5', '2'],
+  ['2', '', 'Quick Dash', '-', '1,200', '3', ''],
+  ['', 'Notes below', '', '', '', '', ''],
+  ['3', '', 'Ice Stone', 'Water', 'n/a', '', '']
+];
+
+const MAPPING = {
+  key: ['id'],
+  fields: {
+    id: { column: 'ID', type: 'integer' },
+    name: { columns: [1, 2] },
+    attribute: { column: 'attribute', empty: ['-'] },
+    mpCost: { column: 'MP  COST', type: 'number' },
+    factors: { columns: [5, 6], type: 'number', list: true }
+  },
+  keep: ['name'],
+  defaults: { icon: '' }
+};
+
+describe('importSheets', () => {
+  it('reads rows from every dump layout', () => {
+    expect(getSheetRows({ allRows: [['a']] })).toEqual([['a']]);
+    expect(getSheetRows({ data: [['b']] })).toEqual([['b']]);
+    expect(getSheetRows({ rawRows: [['c']] })).toEqual([['c']]);
+    expect(() => getSheetRows({ sheet: 'MASTERY' })).toThrow('sheet MASTERY has no rows');
+  });
+
+  it('resolves columns by header text or index', () => {
+    expect(resolveColumn(ROWS[0], 'mp cost')).toBe(4);
+    expect(resolveColumn(ROWS[0], 2)).toBe(2);
+    expect(() => resolveColumn(ROWS[0], 'GRADE')).toThrow('column "GRADE" not found');
+  });
+
+  it('turns rows into records and reports cells that fail to convert', () => {
+    const { records, errors } = extractRecords(ROWS, MAPPING);
+
+    expect(records).toEqual([
+      { id: 1, name: 'Fire Slash', attribute: 'Fire', mpCost: 25, factors: [1.5, 2] },
+      { id: 2, name: 'Quick Dash', mpCost: 1200, factors: [3] },
+      { id: 3, name: 'Ice Stone', attribute: 'Water' }
+    ]);
+    expect(errors).toEqual(['row 5 mpCost: not a number: "n/a" (expected number)']);
+  });
+
+  it('merges by key without touching hand-edited or unmapped fields', () => {
+    const existing = [
+      { id: 1, name: 'Flame Slash', attribute: 'Fire', mpCost: 20, factors: [1.5, 2], icon: '/images/fire.png' },
+      { id: 2, name: '', attribute: null, mpCost: 1200, factors: [3] },
+      { id: 9, name: 'Old Skill', mpCost: 1 }
+    ];
+    const imported = [
+      { id: 1, name: 'Fire Slash', attribute: 'Fire', mpCost: 25, factors: [1.5, 2] },
+      { id: 2, name: 'Quick Dash', mpCost: 1200, factors: [3] },
+      { id: 3, name: 'Ice Stone', attribute: 'Water' }
+    ];
+
+    const { records, diff, errors } = mergeRecords(existing, imported, MAPPING);
+
+    expect(errors).toEqual([]);
+    expect(records).toEqual([
+      { id: 1, name: 'Flame Slash', attribute: 'Fire', mpCost: 25, factors: [1.5, 2], icon: '/images/fire.png' },
+      { id: 2, name: 'Quick Dash', attribute: null, mpCost: 1200, factors: [3] },
+      { id: 9, name: 'Old Skill', mpCost: 1 },
+      { icon: '', id: 3, name: 'Ice Stone', attribute: 'Water' }
+    ]);
+    expect(diff).toEqual({
+      added: ['id=3'],
+      updated: [
+        { key: 'id=1', changes: [{ field: 'mpCost', from: 20, to: 25 }] },
+        { key: 'id=2', changes: [{ field: 'name', from: '', to: 'Quick Dash' }] }
+      ],
+      kept: [{ key: 'id=1', field: 'name', value: 'Flame Slash', sheet: 'Fire Slash' }],
+      unchanged: 0,
+      missing: ['id=9']
+    });
+    expect(existing[0].mpCost).toBe(20);
+  });
+
+  it('rejects duplicate keys in the sheet', () => {
+    const { errors } = mergeRecords([], [{ id: 1 }, { id: 1 }], MAPPING);
+    expect(errors).toEqual(['duplicate key id=1 in the sheet']);
+  });
+
+  it('imports the research dumps without errors or added records', () => {
+    loadMappings().forEach(mapping => {
+      const { diff, errors } = importSheet(mapping);
+      expect(errors, mapping.name).toEqual([]);
+      expect(diff.added, mapping.name).toEqual([]);
+    });
+  });
+
+  it('matches the current data for the sheets copied without hand edits', () => {
+    loadMappings(['adventures', 'campaigns', 'quests', 'stages']).forEach(mapping => {
+      expect(importSheet(mapping).changed, mapping.name).toBe(false);
+    });
+  });
+});
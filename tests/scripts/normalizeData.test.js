@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { normalizeDataFiles } from '../../scripts/normalizeData.js';
+
+const config = JSON.parse(readFileSync(new URL('../../scripts/data-normalization.json', import.meta.url), 'utf8'));
+const dataDir = fileURLToPath(new URL('../../public/data', import.meta.url));
+
+const EXPECTED = {
+  number: 'number',
+  integer: 'number',
+  boolean: 'boolean',
+  string: 'string'
+};
+
+describe('normalizeData', () => {
+  it('converts every mapped field of the text data files', () => {
+    const { files, errors } = normalizeDataFiles({ config, dataDir });
+
+    expect(errors).toEqual([]);
+    expect(files.map(({ file }) => file)).toEqual(Object.keys(config.files));
+
+    files.forEach(({ file, records }) => {
+      const { fields } = config.files[file];
+      records.forEach(record => {
+        Object.entries(fields).forEach(([field, type]) => {
+          expect(typeof record[field], `${file} ${field}`).toBe(EXPECTED[type]);
+        });
+      });
+    });
+  });
+
+  it('keeps large campaign values and boolean flags', () => {
+    const { files } = normalizeDataFiles({ config, dataDir });
+    const campaigns = files.find(({ file }) => file === 'campaigns.json').records;
+
+    expect(campaigns[0]).toMatchObject({ difficulty: 1, scenario_index: 1, attack_distance: 1.8, 'is_boss?': true });
+    expect(campaigns[0].enemy_hp).toBeGreaterThan(1e15);
+  });
+});
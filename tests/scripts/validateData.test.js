@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { createValidator, validateDataFile, validateDataFiles } from '../../scripts/validateData.js';
+
+const ajv = createValidator();
+
+const readData = (file) => JSON.parse(readFileSync(new URL(`../../public/data/${file}`, import.meta.url), 'utf8'));
+
+describe('validateData', () => {
+  it('accepts every file in public/data', () => {
+    const { files, errors } = validateDataFiles();
+    expect(files).toBeGreaterThan(0);
+    expect(errors).toEqual([]);
+  });
+
+  it('reports a numeric string in a numeric field with its pointer', () => {
+    const stages = readData('stages.json').slice(0, 3);
+    stages[1] = { ...stages[1], bossHP: '2,846' };
+
+    expect(validateDataFile(ajv, 'stages.json', stages)).toEqual([
+      { file: 'stages.json', pointer: '/1/bossHP', message: 'should be number, got "2,846"' }
+    ]);
+  });
+
+  it('rejects malformed numeric strings in sheet-style files', () => {
+    const adventures = readData('adventures.json').slice(0, 2);
+    adventures[0] = { ...adventures[0], boss_hp: '2,84 6' };
+
+    const errors = validateDataFile(ajv, 'adventures.json', adventures);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].pointer).toBe('/0/boss_hp');
+  });
+
+  it('reports missing ids', () => {
+    const skills = readData('skills.json').slice(0, 2);
+    const { id, ...withoutId } = skills[1];
+    skills[1] = withoutId;
+
+    expect(validateDataFile(ajv, 'skills.json', skills)).toEqual([
+      { file: 'skills.json', pointer: '/1', message: 'missing required property "id"' }
+    ]);
+  });
+
+  it('reports duplicate names and ids against the first entry', () => {
+    const skills = readData('skills.json').slice(0, 3);
+    skills[2] = { ...skills[2], name: skills[0].name };
+
+    expect(validateDataFile(ajv, 'skills.json', skills)).toEqual([
+      {
+        file: 'skills.json',
+        pointer: '/2/name',
+        message: `duplicate name ${JSON.stringify(skills[0].name)} (first used at /0)`
+      }
+    ]);
+  });
+
+  it('checks composite keys', () => {
+    const campaigns = readData('campaigns.json').slice(0, 2);
+    campaigns[1] = { ...campaigns[1], scenario_index: campaigns[0].scenario_index };
+
+    const errors = validateDataFile(ajv, 'campaigns.json', campaigns);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].pointer).toBe('/1');
+    expect(errors[0].message).toMatch(/^duplicate difficulty \+ scenario_index/);
+  });
+
+  it('reports nested errors and unknown properties', () => {
+    const grids = readData('soul-weapon-grids.json');
+    const weapons = grids.weapons.slice(0, 1);
+    weapons[0] = { ...weapons[0], activeSlots: [{ row: 0, column: 1 }] };
+
+    expect(validateDataFile(ajv, 'soul-weapon-grids.json', { ...grids, weapons })).toEqual([
+      { file: 'soul-weapon-grids.json', pointer: '/weapons/0/activeSlots/0', message: 'unknown property "column"' },
+      { file: 'soul-weapon-grids.json', pointer: '/weapons/0/activeSlots/0', message: 'missing required property "col"' }
+    ]);
+  });
+
+  it('parses formula expressions and checks the names they use', () => {
+    const formulas = readData('formulas.json');
+    const drops = formulas.drops;
+    const broken = {
+      ...formulas,
+      drops: {
+        ...drops,
+        formulas: {
+          ...drops.formulas,
+          dropsPerHour: { expression: 'chancePerKill * killsPerMinute * 60)' },
+          expectedKills: { expression: 'copies / chancePerKil' }
+        }
+      }
+    };
+
+    expect(validateDataFile(ajv, 'formulas.json', broken)).toEqual([
+      { file: 'formulas.json', pointer: '/drops/formulas/dropsPerHour/expression', message: "Unexpected ')' at position 35" },
+      { file: 'formulas.json', pointer: '/drops/formulas/expectedKills/expression', message: "Unknown name 'chancePerKil'" }
+    ]);
+  });
+
+  it('flags data files without a schema', () => {
+    expect(validateDataFile(ajv, 'new-file.json', [])).toEqual([
+      { file: 'new-file.json', pointer: '', message: 'no schema found (expected schemas/new-file.schema.json)' }
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  loadGameData,
+  loadGameDataIndex,
+  peekGameData,
+  findGameDataItem,
+  setGameDataVersion,
+  checkGameDataVersion,
+  getVersionedUrl,
+  getGameDataItems
+} from '../../src/services/gameData.js';
+
+const SKILLS = [
+  { id: 1, name: 'Fire Slash' },
+  { id: 2, name: 'Ice Spear' },
+  { id: 3, name: 'fire slash' }
+];
+
+const jsonResponse = (body) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+
+describe('gameData service', () => {
+  let fetchMock;
+  let commit;
+
+  beforeEach(() => {
+    commit = 'abc1234';
+    fetchMock = vi.fn((url) => {
+      if (url === '/wiki-config.json') return jsonResponse({ version: { commit } });
+      if (url.startsWith('/data/skills.json')) return jsonResponse(SKILLS);
+      if (url.startsWith('/data/spirit-characters.json')) return jsonResponse({ spirits: [{ id: 7, name: 'Loar' }] });
+      return Promise.resolve({ ok: false, status: 404, json: () => Promise.resolve(null) });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    setGameDataVersion(`test-${Math.random()}`); // fresh cache per test
+    setGameDataVersion('abc1234');
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const dataRequests = () => fetchMock.mock.calls.filter(([url]) => url.startsWith('/data/'));
+
+  it('dedupes concurrent requests and memoizes the parsed data', async () => {
+    const [first, second] = await Promise.all([loadGameData('skills'), loadGameData('skills')]);
+    const third = await loadGameData('skills');
+
+    expect(first).toBe(second);
+    expect(third).toBe(first);
+    expect(dataRequests()).toEqual([['/data/skills.json?v=abc1234']]);
+    expect(peekGameData('skills')).toBe(first);
+  });
+
+  it('builds id and name indexes once', async () => {
+    const index = await loadGameDataIndex('skills');
+    expect(await loadGameDataIndex('skills')).toBe(index);
+    expect(findGameDataItem(index, { id: '2' })).toEqual(SKILLS[1]);
+    expect(findGameDataItem(index, { name: 'FIRE SLASH' })).toBe(SKILLS[0]);
+    expect(findGameDataItem(index, { id: 99 })).toBeNull();
+  });
+
+  it('indexes the entries nested in a file', async () => {
+    const index = await loadGameDataIndex('spirits');
+    expect(findGameDataItem(index, { id: 7 })?.name).toBe('Loar');
+    expect(getGameDataItems('spirits', { spirits: null })).toEqual([]);
+  });
+
+  it('drops cached data when the build version changes', async () => {
+    await loadGameData('skills');
+    commit = 'def5678';
+
+    expect(await checkGameDataVersion()).toBe(true);
+    expect(peekGameData('skills')).toBeUndefined();
+
+    await loadGameData('skills');
+    expect(dataRequests().map(([url]) => url)).toEqual(['/data/skills.json?v=abc1234', '/data/skills.json?v=def5678']);
+    expect(await checkGameDataVersion()).toBe(false);
+  });
+
+  it('lets the next caller retry after a failed request', async () => {
+    fetchMock.mockImplementationOnce(() => Promise.resolve({ ok: false, status: 500, json: () => Promise.resolve(null) }));
+    await expect(loadGameData('skills')).rejects.toThrow('Failed to load /data/skills.json: 500');
+    await expect(loadGameData('skills')).resolves.toEqual(SKILLS);
+  });
+
+  it('rejects unknown files and skips the version for unversioned builds', async () => {
+    await expect(loadGameData('nope')).rejects.toThrow('Unknown game data: nope');
+    expect(getVersionedUrl('/data/skills.json', 'unknown')).toBe('/data/skills.json');
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { setGameDataVersion } from '../../src/services/gameData.js';
+import { loadStageIndex, loadStages, loadStagesUntil, loadStage } from '../../src/services/stageData.js';
+import { splitStages } from '../../src/utils/stageChunks.js';
+
+const STAGES = Array.from({ length: 6 }, (_, i) => ({
+  stageNo: i + 1,
+  region: i < 2 ? 'Forest' : '',
+  bossHP: (i + 1) * 100,
+  equipment: i % 2 === 0 ? 'Weapon' : 'Accessory',
+  equipmentRarity: 'Common 1'
+}));
+
+const { index: INDEX, chunks: CHUNKS } = splitStages(STAGES, { blockSize: 2 });
+
+const jsonResponse = (body) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+
+describe('stageData service', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn((url) => {
+      const path = url.split('?')[0];
+      if (path === '/data/stages/index.json') return jsonResponse(INDEX);
+      const chunk = CHUNKS.find(item => path === `/data/stages/${item.file}`);
+      if (chunk) return jsonResponse(chunk.stages);
+      return Promise.resolve({ ok: false, status: 404, json: () => Promise.resolve(null) });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    setGameDataVersion(`test-${Math.random()}`); // fresh cache per test
+    setGameDataVersion('abc1234');
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const chunkRequests = () => fetchMock.mock.calls
+    .map(([url]) => url.split('?')[0])
+    .filter(url => url.startsWith('/data/stages/') && !url.endsWith('index.json'));
+
+  it('loads the index once', async () => {
+    const [first, second] = await Promise.all([loadStageIndex(), loadStageIndex()]);
+    expect(first).toBe(second);
+    expect(first.chunks.map(chunk => chunk.file)).toEqual(['1-2-forest.json', '3-4.json', '5-6.json']);
+  });
+
+  it('fetches only the chunks a range needs', async () => {
+    const stages = await loadStages({ from: 2, to: 3 });
+
+    expect(stages.map(stage => stage.stageNo)).toEqual([2, 3]);
+    expect(chunkRequests()).toEqual(['/data/stages/1-2-forest.json', '/data/stages/3-4.json']);
+
+    await loadStages({ from: 1, to: 4 });
+    expect(chunkRequests()).toHaveLength(2);
+  });
+
+  it('loads every chunk without a query', async () => {
+    expect((await loadStages()).map(stage => stage.stageNo)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('stops at the first chunk that satisfies the scan', async () => {
+    const stages = await loadStagesUntil({ from: 1 }, chunk => chunk.some(stage => stage.bossHP >= 300), { batchSize: 1 });
+
+    expect(stages.map(stage => stage.stageNo)).toEqual([1, 2, 3, 4]);
+    expect(chunkRequests()).toEqual(['/data/stages/1-2-forest.json', '/data/stages/3-4.json']);
+  });
+
+  it('loads a single stage from its chunk', async () => {
+    expect(await loadStage(5)).toMatchObject({ stageNo: 5, bossHP: 500 });
+    expect(await loadStage(99)).toBeNull();
+    expect(chunkRequests()).toEqual(['/data/stages/5-6.json']);
+  });
+});
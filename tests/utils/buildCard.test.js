@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { createBuildCard, getCardFilename } from '../../src/utils/buildCard.js';
+
+const fireSlash = { id: 1, name: 'Fire Slash', attribute: 'Fire', grade: 'Epic', icon: '/images/skills/fire_slash.png' };
+const frost = { id: 3, name: 'Frost', element: 'Water', image: '/images/spirits/frost.png' };
+
+const gridState = [
+  [{ active: true, piece: { rarity: 3 } }, { active: true, piece: null }],
+  [{ active: false, piece: null }, { active: true, piece: { rarity: 0 } }]
+];
+
+const loadout = {
+  name: 'Boss Setup',
+  skillBuild: { slots: [{ skill: fireSlash, level: 50 }, { skill: null, level: 1 }] },
+  spiritBuild: { slots: [{ spirit: frost, level: 12, awakeningLevel: 2, evolutionLevel: 4 }] },
+  soulWeaponBuild: { weaponId: 13, gridState },
+  skillStoneBuild: { slots: [{ type: 'cooldown', element: 'fire', tier: 'A' }, { type: null, element: null, tier: null }] }
+};
+
+const statSheet = { powerScore: 12345, usesEstimates: true, stats: { ATK: 15 } };
+const gear = {
+  promotion: { name: 'Gold' },
+  relics: [{ relic: { name: 'Old Coin' }, level: 3 }],
+  companions: [],
+  familiar: null,
+  clothing: []
+};
+
+describe('createBuildCard', () => {
+  it('builds skill icons with level badges and grade colors', () => {
+    const card = createBuildCard('skill-builds', { name: 'Fire', slots: loadout.skillBuild.slots }, { layout: 'compact' });
+
+    expect(card.title).toBe('Fire');
+    expect(card.subtitle).toBe('Skill Build');
+    expect(card.layout).toBe('compact');
+    expect(card.sections).toHaveLength(1);
+    expect(card.sections[0].items).toEqual([{
+      image: fireSlash.icon,
+      element: 'Fire',
+      label: 'Fire Slash',
+      badge: 'Lv.50',
+      color: '#A855F7'
+    }]);
+  });
+
+  it('describes spirits and skill stones', () => {
+    const spirits = createBuildCard('spirit-builds', loadout.spiritBuild);
+    expect(spirits.title).toBe('Untitled Build');
+    expect(spirits.sections[0].items[0]).toMatchObject({
+      image: frost.image,
+      badge: 'Lv.12',
+      details: ['Awakening 2', 'Evolution 4']
+    });
+
+    const stones = createBuildCard('skill-stone-builds', loadout.skillStoneBuild);
+    expect(stones.sections[0].items).toEqual([{
+      image: null,
+      element: 'Fire',
+      label: 'Cooldown Stone',
+      badge: 'A',
+      details: ['Fire']
+    }]);
+  });
+
+  it('lays out the engraving grid with gem images by rarity', () => {
+    const card = createBuildCard('engraving-builds', { name: 'Grid', weaponId: 13, gridState }, {
+      weapons: [{ id: 13, name: 'Frost Blade' }]
+    });
+    const [section] = card.sections;
+
+    expect(section).toMatchObject({ type: 'grid', caption: 'Frost Blade', rows: 2, cols: 2 });
+    expect(section.cells[0]).toEqual({
+      row: 0,
+      col: 0,
+      active: true,
+      color: '#8B5CF6',
+      image: '/images/equipment/soul-weapons/SoulGem_Epic_Base.png'
+    });
+    expect(section.cells[1]).toMatchObject({ active: true, color: null, image: null });
+    expect(section.cells[2].active).toBe(false);
+  });
+
+  it('adds stats and gear to detailed loadout cards', () => {
+    const card = createBuildCard('battle-loadouts', loadout, { layout: 'detailed', statSheet, gear });
+
+    expect(card.sections.map(section => section.id)).toEqual(['skills', 'spirits', 'engraving', 'stones', 'stats', 'gear']);
+    expect(card.sections[2].caption).toBe('Weapon #13');
+    expect(card.sections[4].lines[0]).toEqual({ label: 'Power Score', value: '12,345*' });
+    expect(card.sections[4].lines[1]).toEqual({ label: 'ATK', value: '+15%' });
+    expect(card.sections[5].lines).toEqual([
+      { label: 'Promotion', value: 'Gold' },
+      { label: 'Old Coin', value: 'Lv.3' }
+    ]);
+  });
+
+  it('keeps only the power score on compact loadout cards', () => {
+    const card = createBuildCard('battle-loadouts', loadout, { layout: 'compact', statSheet, gear });
+
+    expect(card.sections.map(section => section.id)).toEqual(['stats', 'skills', 'spirits', 'engraving', 'stones']);
+    expect(card.sections[0].lines).toHaveLength(1);
+  });
+
+  it('drops empty sections', () => {
+    const card = createBuildCard('battle-loadouts', { name: 'Empty', skillBuild: { slots: [{ skill: null }] } });
+    expect(card.sections).toEqual([]);
+  });
+
+  it('rejects unknown build types', () => {
+    expect(() => createBuildCard('pets', {})).toThrow('Unsupported build type: pets');
+  });
+});
+
+describe('getCardFilename', () => {
+  it('uses the build name and layout', () => {
+    expect(getCardFilename('My Boss  Build', 'compact')).toBe('My_Boss_Build_compact.png');
+    expect(getCardFilename('', 'detailed')).toBe('build_detailed.png');
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  alignEntries,
+  compareBuilds,
+  compareEntry,
+  normalizeEngravingBuild,
+  parseBuildReference
+} from '../../src/utils/buildComparison.js';
+
+const fireSlash = {
+  id: 1, name: 'Fire Slash', attribute: 'Fire', maxLevel: 130, mpCost: 25, baseValue: 400, upgradeValue: 40, cooldown: 12,
+  specificDescription: 'Attack all enemies within range 3 once with X% of their ATK'
+};
+const ironWill = {
+  id: 24, name: 'Iron Will', attribute: 'Earth', maxLevel: 20, mpCost: 0, baseValue: 5, upgradeValue: 1, cooldown: 1,
+  specificDescription: 'Total ATK +X%'
+};
+
+const lShape = { id: 1, name: 'L-Shape', stat: 'ATK', pattern: [[1, 0], [1, 1]], baseStats: {} };
+
+const statData = {
+  spiritLevels: [],
+  soulWeapons: [],
+  weaponGrids: [{ id: 13, gridType: '4x4', activeSlots: [{ row: 0, col: 0 }, { row: 1, col: 0 }, { row: 1, col: 1 }] }],
+  skillStones: {},
+  gear: {
+    relics: [],
+    companions: [],
+    familiars: [],
+    clothing: [],
+    promotions: [{ id: 3, name: 'Silver', classATK: 10, classHP: 8 }, { id: 4, name: 'Gold', classATK: 25, classHP: 20 }]
+  }
+};
+
+describe('buildComparison', () => {
+  it('extracts references from share links and raw input', () => {
+    expect(parseBuildReference('https://slayerlegend.wiki/#/skill-builder?share=abc123')).toBe('abc123');
+    expect(parseBuildReference('#/battle-loadouts?build=build-1&x=1')).toBe('build-1');
+    expect(parseBuildReference('https://slayerlegend.wiki/#/spirit-builder?code=AQIH_x-1')).toBe('AQIH_x-1');
+    expect(parseBuildReference('  abc123  ')).toBe('abc123');
+    expect(parseBuildReference(null)).toBe('');
+  });
+
+  it('classifies entries and level deltas', () => {
+    const skill = { id: 1, label: 'Fire Slash', level: 5 };
+
+    expect(compareEntry(null, null).status).toBe('empty');
+    expect(compareEntry(null, skill).status).toBe('added');
+    expect(compareEntry(skill, null).status).toBe('removed');
+    expect(compareEntry(skill, { ...skill, id: 2 }).status).toBe('changed');
+    expect(compareEntry(skill, { ...skill })).toEqual({ status: 'same', levelDelta: null });
+    expect(compareEntry(skill, { ...skill, level: 8 })).toEqual({ status: 'changed', levelDelta: 3 });
+  });
+
+  it('aligns entries by key and drops empty rows', () => {
+    const rows = alignEntries(
+      [{ key: '0', slot: 'Slot 1', entry: { id: 1 } }, { key: '1', slot: 'Slot 2', entry: null }],
+      [{ key: '0', slot: 'Slot 1', entry: { id: 1 } }, { key: '1', slot: 'Slot 2', entry: null }, { key: '2', slot: 'Slot 3', entry: { id: 3 } }]
+    );
+
+    expect(rows.map(row => [row.key, row.status])).toEqual([['0', 'same'], ['2', 'added']]);
+  });
+
+  it('compares battle loadouts with stat deltas', () => {
+    const left = {
+      skillBuild: { slots: [{ skill: fireSlash, level: 1 }, { skill: null }] },
+      promotionTier: 3
+    };
+    const right = {
+      skillBuild: { slots: [{ skill: fireSlash, level: 4 }, { skill: ironWill, level: 6 }] },
+      promotionTier: 4
+    };
+
+    const result = compareBuilds('battle-loadouts', left, right, statData);
+    const skills = result.sections.find(section => section.id === 'skills');
+
+    expect(skills.rows[0]).toMatchObject({ status: 'changed', levelDelta: 3 });
+    expect(skills.rows[1].status).toBe('added');
+    expect(skills.summary).toEqual({ same: 0, added: 1, removed: 0, changed: 1 });
+    expect(result.sections.find(section => section.id === 'promotion').rows[0].status).toBe('changed');
+    // Sections without entries on either side are left out
+    expect(result.sections.some(section => section.id === 'relics')).toBe(false);
+
+    const atk = result.stats.find(row => row.key === 'ATK');
+    expect(atk).toMatchObject({ left: 0, right: 10, delta: 10 });
+    expect(result.stats.find(row => row.key === 'powerScore').delta).toBeGreaterThan(0);
+  });
+
+  it('skips stat deltas without stat data and rejects unknown types', () => {
+    const build = { slots: [{ skill: fireSlash, level: 1 }] };
+
+    expect(compareBuilds('skill-builds', build, build).stats).toBeNull();
+    expect(compareBuilds('skill-builds', build, build).sections[0].summary.same).toBe(1);
+    expect(() => compareBuilds('unknown', build, build)).toThrow('Unsupported build type');
+  });
+
+  it('expands shared engraving pieces into a grid and compares them by anchor', () => {
+    const shared = { weaponId: 13, pieces: [{ shapeId: 1, rarity: 2, level: 3, rotation: 0, row: 0, col: 0 }] };
+    const normalized = normalizeEngravingBuild(shared, [lShape], statData.weaponGrids);
+
+    expect(normalized.gridState).toHaveLength(4);
+    expect(normalized.gridState[1][1].piece).toMatchObject({ shapeId: 1, anchorRow: 0, anchorCol: 0 });
+    expect(normalized.gridState[0][1].piece).toBeNull();
+    expect(normalized.gridState[1][1].active).toBe(true);
+
+    const upgraded = normalizeEngravingBuild(
+      { ...shared, pieces: [{ ...shared.pieces[0], level: 5 }] },
+      [lShape],
+      statData.weaponGrids
+    );
+    const result = compareBuilds('engraving-builds', normalized, upgraded);
+    const engravings = result.sections.find(section => section.id === 'engravings');
+
+    expect(engravings.rows).toHaveLength(1);
+    expect(engravings.rows[0]).toMatchObject({ slot: 'R1 C1', status: 'changed', levelDelta: 2 });
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  describeGalleryBuild,
+  createGalleryEntry,
+  filterGalleryEntries,
+  sortGalleryEntries,
+  getPopularity,
+  addGalleryView,
+  toggleGalleryLike,
+  getGalleryEntryUrl
+} from '../../src/utils/buildGallery.js';
+
+const skills = [
+  { id: 1, name: 'Fire Slash', attribute: 'Fire' },
+  { id: 24, name: 'Iron Will', attribute: 'Earth' }
+];
+const spirits = [{ id: 3, name: 'Frost', element: 'Water' }];
+
+const loadout = {
+  name: 'Boss Setup',
+  skillBuild: { maxSlots: 10, slots: [{ skillId: 1, level: 50 }, { skillId: null, level: 1 }, { skillId: 1, level: 3 }] },
+  spiritBuild: { slots: [{ spiritId: 3, level: 12 }, { spiritId: null }] },
+  soulWeaponBuild: { weaponId: 13, gridState: [] },
+  skillStoneBuild: { slots: [{ type: 'cooldown', element: 'wind', tier: 'A' }, { type: 'time', element: null, tier: null }] }
+};
+
+const entry = (overrides) => ({
+  type: 'skill-builds',
+  name: 'Build',
+  description: '',
+  authorName: 'someone',
+  skillIds: [],
+  spiritIds: [],
+  weaponId: null,
+  elements: [],
+  views: 0,
+  likedBy: [],
+  createdAt: '2026-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('describeGalleryBuild', () => {
+  it('collects unique ids and elements from a loadout', () => {
+    expect(describeGalleryBuild('battle-loadouts', loadout, { skills, spirits })).toEqual({
+      skillIds: [1],
+      spiritIds: [3],
+      weaponId: 13,
+      elements: ['Fire', 'Water', 'Wind']
+    });
+  });
+
+  it('handles single builds and missing game data', () => {
+    expect(describeGalleryBuild('skill-builds', loadout.skillBuild)).toEqual({
+      skillIds: [1],
+      spiritIds: [],
+      weaponId: null,
+      elements: []
+    });
+    expect(describeGalleryBuild('soul-weapon-engraving', { weaponId: 7, pieces: [] }).weaponId).toBe(7);
+  });
+});
+
+describe('createGalleryEntry', () => {
+  it('combines share code, description and metadata', () => {
+    const result = createGalleryEntry('skill-builds', { name: ' Burn ', slots: [{ skillId: 24, level: 5 }] }, 'CODE', {
+      description: ' Fast clears ',
+      skills
+    });
+
+    expect(result).toEqual({
+      type: 'skill-builds',
+      name: 'Burn',
+      description: 'Fast clears',
+      shareCode: 'CODE',
+      skillIds: [24],
+      spiritIds: [],
+      weaponId: null,
+      elements: ['Earth']
+    });
+  });
+
+  it('rejects unknown types', () => {
+    expect(() => createGalleryEntry('my-spirits', {}, 'CODE')).toThrow('Unsupported build type: my-spirits');
+  });
+});
+
+describe('filterGalleryEntries', () => {
+  const entries = [
+    entry({ id: 'a', type: 'skill-builds', skillIds: [1], elements: ['Fire'], name: 'Burn' }),
+    entry({ id: 'b', type: 'battle-loadouts', skillIds: [1], spiritIds: [3], weaponId: 13, elements: ['Fire', 'Water'] }),
+    entry({ id: 'c', type: 'spirit-builds', spiritIds: [3], elements: ['Water'], description: 'Boss killer' })
+  ];
+  const ids = (result) => result.map(item => item.id);
+
+  it('filters by type, element, skill, spirit and weapon', () => {
+    expect(ids(filterGalleryEntries(entries, { type: 'skill-builds' }))).toEqual(['a']);
+    expect(ids(filterGalleryEntries(entries, { element: 'Water' }))).toEqual(['b', 'c']);
+    expect(ids(filterGalleryEntries(entries, { skillId: 1, spiritId: 3 }))).toEqual(['b']);
+    expect(ids(filterGalleryEntries(entries, { weaponId: 13 }))).toEqual(['b']);
+    expect(ids(filterGalleryEntries(entries, {}))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('searches name, description and author', () => {
+    expect(ids(filterGalleryEntries(entries, { search: 'burn' }))).toEqual(['a']);
+    expect(ids(filterGalleryEntries(entries, { search: 'BOSS' }))).toEqual(['c']);
+    expect(ids(filterGalleryEntries(entries, { search: 'someone' }))).toHaveLength(3);
+  });
+});
+
+describe('sorting and counters', () => {
+  const older = entry({ id: 'old', views: 20, createdAt: '2026-01-01T00:00:00.000Z' });
+  const newer = entry({ id: 'new', views: 2, likedBy: [1, 2, 3, 4], createdAt: '2026-02-01T00:00:00.000Z' });
+  const newest = entry({ id: 'newest', createdAt: '2026-03-01T00:00:00.000Z' });
+
+  it('sorts by newest or popularity', () => {
+    const entries = [older, newer, newest];
+    expect(sortGalleryEntries(entries, 'newest').map(item => item.id)).toEqual(['newest', 'new', 'old']);
+    expect(sortGalleryEntries(entries, 'popular').map(item => item.id)).toEqual(['new', 'old', 'newest']);
+    expect(getPopularity(newer)).toBe(22);
+    expect(entries[0].id).toBe('old');
+  });
+
+  it('adds views and toggles likes', () => {
+    expect(addGalleryView(older).views).toBe(21);
+    expect(addGalleryView(entry({ views: undefined })).views).toBe(1);
+    expect(addGalleryView(older, 3).views).toBe(23);
+
+    const liked = toggleGalleryLike(older, 7);
+    expect(liked.likedBy).toEqual([7]);
+    expect(toggleGalleryLike(liked, 7).likedBy).toEqual([]);
+    expect(older.likedBy).toEqual([]);
+  });
+
+  it('links entries to their builder', () => {
+    expect(getGalleryEntryUrl(entry({ type: 'soul-weapon-engraving', shareCode: 'abc' })))
+      .toBe('#/soul-weapon-engraving?code=abc');
+  });
+});
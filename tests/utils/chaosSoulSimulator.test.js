@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { createEmptyGrid } from '../../src/utils/engravingSolver.js';
+import {
+  getDefaultDropWeights,
+  createSeededRandom,
+  rollRarity,
+  getQualifyingChance,
+  choosePieceToReroll,
+  createCompletionChecker,
+  getPercentile,
+  simulateChaosSoulCost
+} from '../../src/utils/chaosSoulSimulator.js';
+
+const LINE = { id: 5, name: 'Line', stat: 'EXTRA_GOLD', pattern: [[1, 1, 1, 1]] };
+const SQUARE = { id: 4, name: 'Square', stat: 'CRIT_DMG', pattern: [[1, 1], [1, 1]] };
+
+const makePiece = (shape, rarity = 0) => ({ shapeId: shape.id, shape, rarity, level: 1 });
+
+// 2x4 block: covered by two lines or two squares
+const grid = createEmptyGrid('4x4', [0, 1].flatMap(row => [0, 1, 2, 3].map(col => ({ row, col }))));
+
+describe('chaosSoulSimulator', () => {
+  it('should map descriptive drop weight labels to numbers', () => {
+    const weights = getDefaultDropWeights([
+      { id: 0, dropWeight: 'Very High' },
+      { id: 1, dropWeight: 'Low' },
+      { id: 2, dropWeight: 7 }
+    ]);
+    expect(weights).toEqual([50, 5, 7]);
+  });
+
+  it('should produce repeatable sequences from a seed', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    const values = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(values);
+    values.forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+    values.forEach(value => expect(value).toBeLessThan(1));
+  });
+
+  it('should roll rarities by weight', () => {
+    expect(rollRarity([0, 0, 1], () => 0.5)).toBe(2);
+    expect(rollRarity([1, 1], () => 0.49)).toBe(0);
+    expect(rollRarity([1, 1], () => 0.51)).toBe(1);
+    expect(getQualifyingChance([3, 1], 1)).toBe(0.25);
+  });
+
+  it('should reroll below-target pieces first, then duplicated shapes', () => {
+    expect(choosePieceToReroll([makePiece(LINE, 3), makePiece(SQUARE, 1)], 3)).toBe(1);
+    expect(choosePieceToReroll([makePiece(SQUARE, 3), makePiece(LINE, 3), makePiece(LINE, 4)], 3, () => 0)).toBe(1);
+    expect(choosePieceToReroll([makePiece(SQUARE, 3), makePiece(LINE, 3), makePiece(LINE, 4)], 3, () => 0.99)).toBe(2);
+  });
+
+  it('should only count pieces at the minimum rarity toward completion', () => {
+    const isComplete = createCompletionChecker(grid, 2);
+    expect(isComplete([makePiece(LINE, 2), makePiece(LINE, 5)])).toBe(true);
+    expect(isComplete([makePiece(LINE, 2), makePiece(LINE, 1)])).toBe(false);
+    expect(isComplete([makePiece(LINE, 2), makePiece(SQUARE, 2)])).toBe(false);
+  });
+
+  it('should use nearest-rank percentiles', () => {
+    expect(getPercentile([1, 2, 3, 4], 50)).toBe(2);
+    expect(getPercentile([1, 2, 3, 4], 90)).toBe(4);
+    expect(getPercentile([], 50)).toBeNull();
+  });
+
+  describe('simulateChaosSoulCost', () => {
+    it('should report zero cost when the inventory already completes the grid', () => {
+      const result = simulateChaosSoulCost(grid, [makePiece(LINE), makePiece(LINE)], [LINE, SQUARE]);
+      expect(result.alreadyComplete).toBe(true);
+      expect(result.mean).toBe(0);
+    });
+
+    it('should flag impossible targets', () => {
+      expect(simulateChaosSoulCost(grid, [makePiece(SQUARE)], [LINE, SQUARE]).impossible).toBe(true);
+      expect(simulateChaosSoulCost(grid, [makePiece(LINE), makePiece(SQUARE)], [LINE, SQUARE], {
+        minRarity: 1,
+        dropWeights: [1, 0]
+      }).impossible).toBe(true);
+    });
+
+    it('should need exactly two rolls when both pieces must be rerolled into lines', () => {
+      const result = simulateChaosSoulCost(grid, [makePiece(SQUARE), makePiece(SQUARE)], [LINE], {
+        minRarity: 1,
+        dropWeights: [0, 1],
+        trials: 20,
+        seed: 1
+      });
+      expect(result.completedTrials).toBe(20);
+      expect(result.mean).toBe(2);
+      expect(result.p99).toBe(2);
+      expect(result.histogram).toEqual([{ from: 2, to: 2, count: 20 }]);
+    });
+
+    it('should cost more for rarer targets and be reproducible with a seed', () => {
+      const pieces = [makePiece(LINE), makePiece(SQUARE), makePiece(SQUARE)];
+      const options = { dropWeights: [8, 2], trials: 200, seed: 7 };
+      const common = simulateChaosSoulCost(grid, pieces, [LINE, SQUARE], { ...options, minRarity: 0 });
+      const rare = simulateChaosSoulCost(grid, pieces, [LINE, SQUARE], { ...options, minRarity: 1 });
+
+      expect(rare.mean).toBeGreaterThan(common.mean);
+      expect(rare.median).toBeLessThanOrEqual(rare.p90);
+      expect(simulateChaosSoulCost(grid, pieces, [LINE, SQUARE], { ...options, minRarity: 1 })).toEqual(rare);
+    });
+
+    it('should give up on runs past the roll limit', () => {
+      const pieces = [makePiece(LINE), makePiece(SQUARE), makePiece(SQUARE)];
+      const result = simulateChaosSoulCost(grid, pieces, [LINE, SQUARE], {
+        minRarity: 1,
+        dropWeights: [1000, 1],
+        trials: 10,
+        maxRollsPerTrial: 2,
+        seed: 3
+      });
+      expect(result.gaveUpTrials).toBe(10);
+      expect(result.median).toBeNull();
+    });
+
+    it('should stop when cancelled', () => {
+      const result = simulateChaosSoulCost(grid, [makePiece(LINE), makePiece(SQUARE)], [LINE, SQUARE], {
+        shouldCancel: () => true
+      });
+      expect(result.cancelled).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { parseNumber, convertValue, normalizeRecords } from '../../src/utils/dataNormalization.js';
+
+describe('dataNormalization', () => {
+  it('parses sheet numbers with thousands separators and decimals', () => {
+    expect(parseNumber('2,846')).toBe(2846);
+    expect(parseNumber('11,767,400,000')).toBe(11767400000);
+    expect(parseNumber('-1.8')).toBe(-1.8);
+    expect(parseNumber(' 42 ')).toBe(42);
+    expect(parseNumber('3.86E+51')).toBe(3.86e51);
+    expect(parseNumber('1.50e-2')).toBe(0.015);
+    expect(parseNumber(7)).toBe(7);
+  });
+
+  it('rejects text that is not a sheet number', () => {
+    ['', '2,84 6', '28,46', 'E5', '1e', 'TBD', '1.'].forEach(value => {
+      expect(parseNumber(value)).toBeNull();
+    });
+    expect(parseNumber(null)).toBeNull();
+  });
+
+  it('converts values by type', () => {
+    expect(convertValue('1,000', 'integer')).toEqual({ value: 1000 });
+    expect(convertValue('1.5', 'integer')).toEqual({ error: 'not a whole number' });
+    expect(convertValue('TRUE', 'boolean')).toEqual({ value: true });
+    expect(convertValue('false', 'boolean')).toEqual({ value: false });
+    expect(convertValue('yes', 'boolean')).toEqual({ error: 'not TRUE or FALSE' });
+    expect(convertValue(12, 'string')).toEqual({ value: '12' });
+    expect(() => convertValue('1', 'date')).toThrow('Unknown field type');
+  });
+
+  it('types mapped fields and copies the rest', () => {
+    const source = [{ id: '1', need: '1,500', description: 'Kill Monster', 'is_boss?': 'FALSE' }];
+    const { records, errors } = normalizeRecords(source, { id: 'integer', need: 'number', 'is_boss?': 'boolean', reward: 'number' });
+
+    expect(errors).toEqual([]);
+    expect(records).toEqual([{ id: 1, need: 1500, description: 'Kill Monster', 'is_boss?': false }]);
+    expect(source[0].need).toBe('1,500');
+  });
+
+  it('reports values that fail to convert and keeps them unchanged', () => {
+    const { records, errors } = normalizeRecords(
+      [{ need: '5' }, { need: 'lots' }, { need: '7', 'a/b': 'maybe' }],
+      { need: 'number', 'a/b': 'boolean' }
+    );
+
+    expect(records.map(record => record.need)).toEqual([5, 'lots', 7]);
+    expect(errors).toEqual([
+      { pointer: '/1/need', field: 'need', type: 'number', value: 'lots', message: 'not a number: "lots" (expected number)' },
+      { pointer: '/2/a~1b', field: 'a/b', type: 'boolean', value: 'maybe', message: 'not TRUE or FALSE: "maybe" (expected boolean)' }
+    ]);
+  });
+
+  it('rejects unknown types in a field map', () => {
+    expect(() => normalizeRecords([], { need: 'float' })).toThrow('Unknown field type for need: float');
+  });
+});
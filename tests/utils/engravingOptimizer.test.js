@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { createEmptyGrid } from '../../src/utils/engravingSolver.js';
+import {
+  getPieceStatValue,
+  normalizeCompletionEffect,
+  getObjectiveWeights,
+  calculateLayoutStats,
+  optimizeEngravingLayout
+} from '../../src/utils/engravingOptimizer.js';
+
+const LINE = { id: 5, name: 'Line', stat: 'ATK', pattern: [[1, 1, 1, 1]] };
+const SQUARE = { id: 4, name: 'Square', stat: 'HP', pattern: [[1, 1], [1, 1]] };
+
+const makePiece = (shape, inventoryIndex, rarity = 0, level = 1) => ({
+  shapeId: shape.id,
+  shape,
+  rarity,
+  level,
+  inventoryIndex
+});
+
+const fullGrid = () => {
+  const slots = [];
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 4; col++) {
+      slots.push({ row, col });
+    }
+  }
+  return createEmptyGrid('4x4', slots);
+};
+
+// Flat estimates: value = level1 + levelScaling * (level - 1)
+const ESTIMATES = Array.from({ length: 6 }, (_, rarity) => ({ level1: rarity + 1, levelScaling: 1 }));
+
+describe('engravingOptimizer', () => {
+  describe('getPieceStatValue', () => {
+    it('should use numeric baseStats from data', () => {
+      const shape = { ...LINE, baseStats: { rare: { level1: '2', levelScaling: 0.5, maxLevel: 3 } } };
+      expect(getPieceStatValue(makePiece(shape, 0, 2, 3))).toEqual({ value: 3, estimated: false });
+      expect(getPieceStatValue(makePiece(shape, 0, 2, 10))).toEqual({ value: 3, estimated: false });
+    });
+
+    it('should fall back to estimates when data is TBD', () => {
+      const shape = { ...LINE, baseStats: { common: { level1: 'TBD', levelScaling: 'TBD' } } };
+      expect(getPieceStatValue(makePiece(shape, 0, 0, 4), ESTIMATES)).toEqual({ value: 4, estimated: true });
+    });
+  });
+
+  describe('normalizeCompletionEffect', () => {
+    it('should accept official and legacy formats', () => {
+      expect(normalizeCompletionEffect({ atk: 10, hp: '5' })).toEqual({ atk: 10, hp: 5 });
+      expect(normalizeCompletionEffect({ atkPercent: 3, hpPercent: 4 })).toEqual({ atk: 3, hp: 4 });
+      expect(normalizeCompletionEffect(null)).toEqual({ atk: 0, hp: 0 });
+    });
+  });
+
+  describe('getObjectiveWeights', () => {
+    it('should map objectives to stat weights', () => {
+      expect(getObjectiveWeights('atk')).toEqual({ ATK: 1 });
+      expect(getObjectiveWeights('hp')).toEqual({ HP: 1 });
+      expect(getObjectiveWeights('mix', 0.25)).toEqual({ ATK: 0.25, HP: 0.75 });
+    });
+  });
+
+  describe('calculateLayoutStats', () => {
+    it('should add the completion bonus only for complete layouts', () => {
+      const placements = [{ piece: makePiece(LINE, 0) }, { piece: makePiece(SQUARE, 1) }];
+      const options = { completionEffect: { atk: 10, hp: 20 }, estimates: ESTIMATES };
+
+      expect(calculateLayoutStats(placements, options).totals).toEqual({ ATK: 1, HP: 1 });
+      const complete = calculateLayoutStats(placements, { ...options, isComplete: true });
+      expect(complete.totals).toEqual({ ATK: 11, HP: 21 });
+      expect(complete.completionBonus).toEqual({ atk: 10, hp: 20 });
+      expect(complete.usesEstimates).toBe(true);
+    });
+  });
+
+  describe('optimizeEngravingLayout', () => {
+    it('should prefer full coverage when the completion bonus outweighs better pieces', () => {
+      const pieces = [
+        ...[0, 1, 2, 3].map(i => makePiece(LINE, i)),
+        makePiece(LINE, 4, 5, 1)
+      ];
+      const { bestFull, bestPartial, candidates } = optimizeEngravingLayout(fullGrid(), pieces, {
+        completionEffect: { atk: 50, hp: 0 },
+        estimates: ESTIMATES
+      });
+
+      expect(candidates[0].kind).toBe('full');
+      expect(bestFull.totals.ATK).toBe(6 + 1 + 1 + 1 + 50);
+      expect(bestFull.coveredSlots).toBe(16);
+      expect(bestPartial.kind).toBe('partial');
+      expect(bestPartial.coveredSlots).toBeLessThan(16);
+    });
+
+    it('should prefer a partial layout when its pieces beat the completion bonus', () => {
+      const pieces = [
+        ...[0, 1, 2].map(i => makePiece(LINE, i, 5, 10)),
+        makePiece(SQUARE, 3)
+      ];
+      const { candidates, bestFull, bestPartial } = optimizeEngravingLayout(fullGrid(), pieces, {
+        completionEffect: { atk: 1, hp: 0 },
+        estimates: ESTIMATES
+      });
+
+      // Square can't fill the last row, so no full layout exists
+      expect(bestFull).toBeNull();
+      expect(candidates[0]).toBe(bestPartial);
+      expect(bestPartial.totals.ATK).toBe(3 * 15);
+      expect(bestPartial.placements).toHaveLength(3);
+    });
+
+    it('should score by the selected objective', () => {
+      const pieces = [makePiece(LINE, 0, 0), makePiece(SQUARE, 1, 3)];
+      const hp = optimizeEngravingLayout(fullGrid(), pieces, { weights: { HP: 1 }, estimates: ESTIMATES });
+
+      expect(hp.candidates[0].score).toBe(4);
+      expect(hp.candidates[0].totals).toEqual({ ATK: 1, HP: 4 });
+    });
+
+    it('should stop when cancelled', () => {
+      const pieces = [0, 1, 2, 3].map(i => makePiece(LINE, i));
+      const result = optimizeEngravingLayout(fullGrid(), pieces, { shouldCancel: () => true });
+      expect(result.cancelled).toBe(true);
+      expect(result.candidates).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getRotatedPattern,
+  createEmptyGrid,
+  generateCombinations,
+  getShapePlacements,
+  getSolutionSignature,
+  getCacheKey,
+  solveEngravingGrid,
+  findBestWeapons,
+  findPackingLayout
+} from '../../src/utils/engravingSolver.js';
+
+const LINE = { id: 7, name: 'Line', stat: 'ATK', pattern: [[1, 1, 1, 1]] };
+const SQUARE = { id: 5, name: 'Square', stat: 'HP', pattern: [[1, 1], [1, 1]] };
+
+const makePiece = (shape, inventoryIndex, rarity = 0, level = 1) => ({
+  shapeId: shape.id,
+  shape,
+  rarity,
+  level,
+  inventoryIndex
+});
+
+const fullGrid = (size) => {
+  const slots = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      slots.push({ row, col });
+    }
+  }
+  return createEmptyGrid(size === 4 ? '4x4' : '5x5', slots);
+};
+
+describe('engravingSolver', () => {
+  describe('getRotatedPattern', () => {
+    it('should rotate a line to vertical at 90 degrees', () => {
+      expect(getRotatedPattern(LINE.pattern, 90)).toEqual([[1], [1], [1], [1]]);
+    });
+
+    it('should return the same pattern for 0 and 360-equivalent rotations', () => {
+      const lShape = [[1, 0], [1, 0], [1, 1]];
+      expect(getRotatedPattern(lShape, 0)).toBe(lShape);
+      expect(getRotatedPattern(getRotatedPattern(lShape, 180), 180)).toEqual(lShape);
+    });
+  });
+
+  describe('createEmptyGrid', () => {
+    it('should mark only listed slots as active', () => {
+      const grid = createEmptyGrid('4x4', [{ row: 0, col: 0 }, { row: 3, col: 3 }]);
+      expect(grid).toHaveLength(4);
+      expect(grid[0][0]).toEqual({ active: true, piece: null });
+      expect(grid[3][3].active).toBe(true);
+      expect(grid[1][1].active).toBe(false);
+    });
+  });
+
+  describe('generateCombinations', () => {
+    it('should generate all k-subsets in order', () => {
+      expect([...generateCombinations([1, 2, 3], 2)]).toEqual([[1, 2], [1, 3], [2, 3]]);
+      expect([...generateCombinations([1, 2], 0)]).toEqual([[]]);
+      expect([...generateCombinations([1], 2)]).toEqual([]);
+    });
+  });
+
+  describe('getShapePlacements', () => {
+    it('should keep rotations that cover the same cells only once', () => {
+      const { placements, columnCount } = getShapePlacements(fullGrid(4), [SQUARE]);
+      expect(columnCount).toBe(16);
+      expect(placements).toHaveLength(9);
+    });
+
+    it('should only place shapes on active slots', () => {
+      const grid = createEmptyGrid('4x4', [0, 1, 2, 3].map(col => ({ row: 0, col })));
+      const { placements } = getShapePlacements(grid, [LINE]);
+      expect(placements).toHaveLength(1);
+      expect(placements[0].columns).toEqual([0, 1, 2, 3]);
+    });
+  });
+
+  describe('getCacheKey', () => {
+    it('should not depend on piece order', () => {
+      const a = makePiece(LINE, 0, 2, 5);
+      const b = makePiece(SQUARE, 1, 1, 3);
+      expect(getCacheKey(13, [a, b])).toBe(getCacheKey(13, [b, a]));
+      expect(getCacheKey(13, [a, b])).toBe('13-5:1:3,7:2:5');
+    });
+  });
+
+  describe('solveEngravingGrid', () => {
+    it('should cover a 4x4 grid with four lines', () => {
+      const pieces = [0, 1, 2, 3].map(i => makePiece(LINE, i));
+      const { solutions, cancelled } = solveEngravingGrid(fullGrid(4), pieces);
+
+      expect(cancelled).toBe(false);
+      expect(solutions).toHaveLength(1);
+      expect(getSolutionSignature(solutions[0])).toBe('0,1,2,3');
+    });
+
+    it('should enumerate every distinct set of pieces that covers the grid', () => {
+      const pieces = [
+        ...[0, 1, 2, 3].map(i => makePiece(LINE, i)),
+        ...[4, 5, 6, 7].map(i => makePiece(SQUARE, i))
+      ];
+      const { solutions } = solveEngravingGrid(fullGrid(4), pieces);
+      const signatures = solutions.map(getSolutionSignature);
+      const mixes = new Set(solutions.map(s => s.map(p => p.piece.shape.name).sort().join(',')));
+
+      // 4 lines, 4 squares, or 2 of each (C(4,2) * C(4,2) piece choices)
+      expect(mixes).toEqual(new Set(['Line,Line,Line,Line', 'Square,Square,Square,Square', 'Line,Line,Square,Square']));
+      expect(solutions).toHaveLength(1 + 1 + 36);
+      expect(new Set(signatures).size).toBe(signatures.length);
+    });
+
+    it('should produce placements that exactly cover the active slots', () => {
+      const pieces = [
+        ...[0, 1].map(i => makePiece(LINE, i)),
+        ...[2, 3].map(i => makePiece(SQUARE, i))
+      ];
+      const [solution] = solveEngravingGrid(fullGrid(4), pieces).solutions;
+      const covered = new Set();
+
+      solution.forEach(({ piece, rotation, anchorRow, anchorCol }) => {
+        getRotatedPattern(piece.shape.pattern, rotation).forEach((row, r) => {
+          row.forEach((filled, c) => {
+            if (!filled) return;
+            const key = `${anchorRow + r},${anchorCol + c}`;
+            expect(covered.has(key)).toBe(false);
+            covered.add(key);
+          });
+        });
+      });
+
+      expect(covered.size).toBe(16);
+    });
+
+    it('should return nothing when no subset of pieces has the right cell count', () => {
+      const grid = createEmptyGrid('5x5', Array.from({ length: 17 }, (_, i) => ({ row: Math.floor(i / 5), col: i % 5 })));
+      const pieces = [0, 1, 2, 3, 4, 5, 6, 7].map(i => makePiece(LINE, i));
+
+      expect(solveEngravingGrid(grid, pieces).solutions).toHaveLength(0);
+    });
+
+    it('should respect maxSolutions', () => {
+      const pieces = [0, 1, 2, 3, 4, 5, 6, 7].map(i => makePiece(LINE, i));
+      expect(solveEngravingGrid(fullGrid(4), pieces, { maxSolutions: 5 }).solutions).toHaveLength(5);
+    });
+
+    it('should ignore pieces already on the grid', () => {
+      const grid = fullGrid(4);
+      grid[0][0].piece = { shapeId: 1 };
+      const pieces = [0, 1, 2, 3].map(i => makePiece(LINE, i));
+
+      expect(solveEngravingGrid(grid, pieces).solutions).toHaveLength(1);
+    });
+
+    it('should stream solutions and report progress', () => {
+      const pieces = [0, 1, 2, 3].map(i => makePiece(SQUARE, i));
+      const streamed = [];
+      const progress = [];
+
+      solveEngravingGrid(fullGrid(4), pieces, {
+        onSolution: (solution) => streamed.push(solution),
+        onProgress: (p) => progress.push(p)
+      });
+
+      expect(streamed).toHaveLength(1);
+      expect(progress.length).toBeGreaterThan(0);
+      expect(progress[progress.length - 1]).toEqual({ placementsTried: 4, solutionsFound: 1 });
+    });
+
+    it('should stop when cancelled', () => {
+      const pieces = [0, 1, 2, 3].map(i => makePiece(LINE, i));
+      const result = solveEngravingGrid(fullGrid(4), pieces, { shouldCancel: () => true });
+
+      expect(result.cancelled).toBe(true);
+      expect(result.solutions).toHaveLength(0);
+    });
+  });
+
+  describe('findPackingLayout', () => {
+    it('should place every piece without overlap, leaving gaps allowed', () => {
+      const pieces = [makePiece(LINE, 0), makePiece(SQUARE, 1), makePiece(SQUARE, 2)];
+      const layout = findPackingLayout(fullGrid(4), pieces);
+
+      expect(layout).toHaveLength(3);
+      const covered = new Set();
+      layout.forEach(({ piece, rotation, anchorRow, anchorCol }) => {
+        getRotatedPattern(piece.shape.pattern, rotation).forEach((row, r) => {
+          row.forEach((filled, c) => {
+            if (filled) covered.add(`${anchorRow + r},${anchorCol + c}`);
+          });
+        });
+      });
+      expect(covered.size).toBe(12);
+    });
+
+    it('should return null when the pieces cannot fit', () => {
+      const grid = createEmptyGrid('4x4', [0, 1, 2, 3].map(col => ({ row: 0, col })));
+      expect(findPackingLayout(grid, [makePiece(SQUARE, 0)])).toBeNull();
+    });
+  });
+
+  describe('findBestWeapons', () => {
+    it('should rank solvable weapons by tier and skip unsolvable ones', () => {
+      const pieces = [0, 1, 2, 3].map(i => makePiece(LINE, i));
+      const solved = [];
+      const { results } = findBestWeapons([
+        { weapon: { id: 13, name: 'Pride' }, grid: fullGrid(4), gridDataSource: 'official' },
+        { weapon: { id: 20, name: 'Big' }, grid: fullGrid(5), gridDataSource: 'official' },
+        { weapon: { id: 14, name: 'Bravery' }, grid: fullGrid(4), gridDataSource: 'community', submittedBy: 'someone' }
+      ], pieces, { onWeaponSolved: (key) => solved.push(key) });
+
+      expect(results.map(r => r.weapon.name)).toEqual(['Bravery', 'Pride']);
+      expect(results[0].score).toBe(1 + 2 + 140);
+      expect(results[0].submittedBy).toBe('someone');
+      expect(solved).toHaveLength(3);
+    });
+
+    it('should reuse cached solutions without solving again', () => {
+      const cached = [[{ piece: makePiece(LINE, 0), rotation: 0, anchorRow: 0, anchorCol: 0 }]];
+      const solved = [];
+      const { results } = findBestWeapons([
+        { weapon: { id: 13, name: 'Pride' }, grid: fullGrid(4), cachedSolutions: cached }
+      ], [makePiece(LINE, 0)], { onWeaponSolved: (key) => solved.push(key) });
+
+      expect(results[0].solutionCount).toBe(1);
+      expect(solved).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parseRarity,
+  getFusionGrade,
+  getStageDrops,
+  rankDropStages,
+  simulateCopies,
+  formatHours
+} from '../../src/utils/equipmentDrops.js';
+import { loadFormulaSection, createStageFactory } from '../helpers/formulaHelpers.js';
+
+const formulas = loadFormulaSection('drops');
+
+const dropStage = createStageFactory({ equipment: 'Weapon', equipmentRarity: 'Legendary 4' });
+const stage = (stageNo, equipmentProbability, fields = {}) => dropStage(stageNo, { equipmentProbability, ...fields });
+
+// Deterministic random source cycling through fixed values
+const sequence = (values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
+
+describe('parseRarity / getFusionGrade', () => {
+  it('splits grade and sub-tier', () => {
+    expect(parseRarity('Legendary 4')).toEqual({ grade: 'Legendary', tier: 4 });
+    expect(parseRarity('Common')).toEqual({ grade: 'Common', tier: null });
+  });
+
+  it('maps drop grades onto fusion grades', () => {
+    expect(getFusionGrade('Great 2', formulas)).toBe('advanced');
+    expect(getFusionGrade('Epic 1', formulas)).toBe('hero');
+    expect(getFusionGrade('Mystery 1', formulas)).toBeNull();
+  });
+});
+
+describe('getStageDrops', () => {
+  it('reads equipmentProbability as a percent per kill', () => {
+    const drops = getStageDrops(stage(1, 0.05), formulas, { killsPerMinute: 60, copies: 3 });
+    expect(drops.stageNo).toBe(1);
+    expect(drops.chancePerKill).toBeCloseTo(0.0005);
+    expect(drops.dropsPerHour).toBeCloseTo(1.8);
+    expect(drops.expectedKills).toBeCloseTo(6000);
+    expect(drops.expectedHours).toBeCloseTo(3 / 1.8);
+  });
+});
+
+describe('rankDropStages', () => {
+  const stages = [
+    stage(150, 0.04),
+    stage(160, 0.08),
+    stage(170, 0.08),
+    stage(180, 0.1, { equipment: 'Accessory' }),
+    stage(190, 0.2, { equipmentRarity: 'Legendary 3' }),
+    stage(200, 0)
+  ];
+
+  it('ranks matching stages by drops per hour, lowest stage first on ties', () => {
+    expect(rankDropStages(stages, 'Weapon', 'Legendary 4', formulas).map(row => row.stageNo)).toEqual([160, 170, 150]);
+  });
+
+  it('respects the highest cleared stage', () => {
+    expect(rankDropStages(stages, 'Weapon', 'Legendary 4', formulas, { maxStage: 155 }).map(row => row.stageNo)).toEqual([150]);
+  });
+});
+
+describe('simulateCopies', () => {
+  it('sums geometric kill counts per copy', () => {
+    // At 50% per kill: 0.4 -> 1 kill, 0.6 -> 2, 0.8 -> 3, 0.9 -> 4
+    const result = simulateCopies(0.5, 2, { runs: 2, random: sequence([0.4, 0.6, 0.8, 0.9]) });
+    expect(result.runs).toBe(2);
+    expect(result.mean).toBe(5);
+    expect(result.p10).toBe(3);
+    expect(result.p90).toBe(7);
+  });
+
+  it('averages close to copies / chance', () => {
+    const result = simulateCopies(0.01, 5, { runs: 2000 });
+    expect(result.mean).toBeGreaterThan(450);
+    expect(result.mean).toBeLessThan(550);
+  });
+
+  it('limits runs by the sample budget and returns null without drops', () => {
+    expect(simulateCopies(0.5, 20, { budget: 5000, random: () => 0 }).runs).toBe(250);
+    expect(simulateCopies(0, 1)).toBeNull();
+  });
+
+  it('approximates copy counts too large to simulate', () => {
+    const random = vi.fn(Math.random);
+    const result = simulateCopies(0.01, 15625 * 10, { random });
+
+    expect(random).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ runs: 0, approximate: true, mean: 15625000, median: 15625000 });
+    expect(result.p10).toBeLessThan(result.mean);
+    expect(result.p90 - result.mean).toBe(result.mean - result.p10);
+
+    // Close to a simulation where both are feasible
+    const simulated = simulateCopies(0.1, 1000, { budget: 1000000 });
+    const approximated = simulateCopies(0.1, 1000, { budget: 1000 });
+    expect(simulated.approximate).toBe(false);
+    expect(approximated.approximate).toBe(true);
+    expect(Math.abs(approximated.p90 - simulated.p90) / simulated.p90).toBeLessThan(0.02);
+  });
+});
+
+describe('formatHours', () => {
+  it('picks minutes, hours or days', () => {
+    expect(formatHours(0.25)).toBe('15m');
+    expect(formatHours(3.14)).toBe('3.1h');
+    expect(formatHours(72)).toBe('3 days');
+    expect(formatHours(Infinity)).toBe('∞');
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createExactCoverMatrix, searchExactCover } from '../../src/utils/exactCover.js';
+
+// Knuth's example from "Dancing Links": the unique cover is rows 0, 3 and 4
+const KNUTH_ROWS = [
+  [2, 4, 5],
+  [0, 3, 6],
+  [1, 2, 5],
+  [0, 3],
+  [1, 6],
+  [3, 4, 6]
+];
+
+const collect = (matrix, options = {}) => {
+  const solutions = [];
+  const stats = searchExactCover(matrix, {
+    ...options,
+    onSolution: (rowIds) => {
+      solutions.push([...rowIds].sort((a, b) => a - b));
+    }
+  });
+  return { solutions, stats };
+};
+
+describe('exactCover', () => {
+  it('should find the unique cover for Knuth\'s example', () => {
+    const { solutions } = collect(createExactCoverMatrix(7, KNUTH_ROWS));
+    expect(solutions).toEqual([[0, 3, 4]]);
+  });
+
+  it('should enumerate every cover', () => {
+    // Two columns, each coverable alone or together
+    const { solutions } = collect(createExactCoverMatrix(2, [[0], [1], [0, 1]]));
+    expect(solutions).toEqual([[0, 1], [2]]);
+  });
+
+  it('should respect canUseRow', () => {
+    const { solutions } = collect(createExactCoverMatrix(2, [[0], [1], [0, 1]]), {
+      canUseRow: (rowId) => rowId !== 2
+    });
+    expect(solutions).toEqual([[0, 1]]);
+  });
+
+  it('should restore the matrix so it can be searched again', () => {
+    const matrix = createExactCoverMatrix(7, KNUTH_ROWS);
+    collect(matrix);
+    expect(collect(matrix).solutions).toEqual([[0, 3, 4]]);
+  });
+
+  it('should stop when onSolution returns true', () => {
+    const matrix = createExactCoverMatrix(2, [[0], [1], [0, 1]]);
+    const found = [];
+    const { stopped } = searchExactCover(matrix, {
+      onSolution: (rowIds) => {
+        found.push(rowIds);
+        return true;
+      }
+    });
+    expect(found).toHaveLength(1);
+    expect(stopped).toBe(true);
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import {
+  parseExpression,
+  evaluateExpression,
+  createFormulaSet,
+  validateFormulaSection,
+  getVariableOptions,
+  FormulaError
+} from '../../src/utils/formulaEngine.js';
+
+const formulas = JSON.parse(readFileSync(new URL('../../public/data/formulas.json', import.meta.url), 'utf8'));
+
+describe('evaluateExpression', () => {
+  it('follows operator precedence and associativity', () => {
+    expect(evaluateExpression('1 + 2 * 3')).toBe(7);
+    expect(evaluateExpression('(1 + 2) * 3')).toBe(9);
+    expect(evaluateExpression('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluateExpression('-2 ^ 2')).toBe(-4);
+    expect(evaluateExpression('10 - 4 - 3')).toBe(3);
+    expect(evaluateExpression('7 % 4 + .5 + 1e2')).toBe(103.5);
+  });
+
+  it('resolves names, table lookups and functions', () => {
+    const scope = { level: 3, grade: 'rare', multipliers: { rare: 2 } };
+    expect(evaluateExpression('floor(level * multipliers[grade] * 1.5)', scope)).toBe(9);
+    expect(evaluateExpression("multipliers['rare']", scope)).toBe(2);
+    expect(evaluateExpression('clamp(150, 0, 100) + max(1, 2, 3)')).toBe(103);
+  });
+
+  it('rejects unknown names, functions and prototype properties', () => {
+    expect(() => evaluateExpression('missing + 1')).toThrow("Unknown name 'missing'");
+    expect(() => evaluateExpression('alert(1)')).toThrow("Unknown function 'alert'");
+    expect(() => evaluateExpression('constructor', {})).toThrow(FormulaError);
+    expect(() => evaluateExpression("table['__proto__']", { table: {} })).toThrow("Unknown table key '__proto__'");
+  });
+
+  it('reports syntax and type errors', () => {
+    expect(() => parseExpression('1 +')).toThrow('Unexpected end of expression');
+    expect(() => parseExpression('(1 + 2')).toThrow(FormulaError);
+    expect(() => parseExpression('1; 2')).toThrow("Unexpected character ';' at position 1");
+    expect(() => parseExpression('')).toThrow('Expression must be a non-empty string');
+    expect(() => evaluateExpression("'a' * 2")).toThrow('Left side of * is not a number');
+    expect(() => evaluateExpression('level[1]', { level: 3 })).toThrow('Only tables can be indexed');
+  });
+});
+
+describe('createFormulaSet', () => {
+  const section = {
+    variables: { base: { type: 'number', default: 10 } },
+    constants: { bonus: 5 },
+    formulas: {
+      boosted: 'base + bonus',
+      doubled: { expression: 'boosted * 2' },
+      loop: 'loopBack + 1',
+      loopBack: 'loop'
+    }
+  };
+
+  it('evaluates formulas that reference other formulas', () => {
+    const set = createFormulaSet(section);
+    expect(set.evaluate('doubled', { base: 1 })).toBe(12);
+    expect(set.evaluate('doubled')).toBe(30);
+  });
+
+  it('rejects unknown and self-referencing formulas', () => {
+    const set = createFormulaSet(section);
+    expect(() => set.evaluate('nope')).toThrow("Unknown formula 'nope'");
+    expect(() => set.evaluate('loop')).toThrow("Formula 'loop' refers to itself");
+    expect(() => createFormulaSet(undefined)).toThrow('Formula section is missing');
+  });
+
+  it('rejects sections with broken expressions or unknown names up front', () => {
+    const broken = {
+      variables: { chance: { type: 'number', default: 1 } },
+      formulas: {
+        perHour: { expression: 'chance * 60)' },
+        perDay: { expression: 'perHour * dayLength' }
+      }
+    };
+    expect(validateFormulaSection(broken)).toEqual([
+      { formula: 'perHour', message: "Unexpected ')' at position 11" },
+      { formula: 'perDay', message: "Unknown name 'dayLength'" }
+    ]);
+    expect(() => createFormulaSet(broken)).toThrow("Formula 'perHour': Unexpected ')' at position 11");
+    expect(validateFormulaSection(section)).toEqual([]);
+  });
+});
+
+describe('formulas.json', () => {
+  it('reproduces the damage calculator math', () => {
+    const results = createFormulaSet(formulas.damage).evaluateAll({
+      attack: 1000, critDamage: 150, critChance: 25, elementalBonus: 50
+    });
+    expect(results.baseDamage).toBe(1000);
+    expect(results.critMultiplier).toBeCloseTo(1.375);
+    expect(results.averageDamage).toBeCloseTo(2062.5);
+    expect(results.maxDamage).toBeCloseTo(3750);
+  });
+
+  it('reproduces the enhancement gold cost', () => {
+    const set = createFormulaSet(formulas.enhancement);
+    expect(set.constants.maxLevel).toBe(200);
+    for (const [grade, multiplier] of Object.entries({ common: 1, rare: 2, immortal: 12 })) {
+      for (const level of [0, 1, 50, 199]) {
+        expect(set.evaluate('goldCost', { level, grade })).toBe(Math.floor(100 * Math.pow(1.15, level) * multiplier));
+      }
+    }
+  });
+
+  it('reproduces the 5:1 fusion ratio', () => {
+    const set = createFormulaSet(formulas.fusion);
+    expect(set.evaluate('itemsNeeded', { grade: 'common', targetGrade: 'immortal' })).toBe(5 ** 6);
+    expect(set.evaluate('itemsNeeded', { grade: 'hero', targetGrade: 'legendary' })).toBe(5);
+    expect(getVariableOptions(formulas.fusion, 'grade')).toHaveLength(7);
+  });
+
+  it('models a promotion trial', () => {
+    const results = createFormulaSet(formulas.promotion).evaluateAll({
+      attack: 100, hp: 100, attackSpeed: 1, accuracy: 0,
+      enemyHP: 10, enemyAttack: 2, enemyAttackSpeed: 2, trialMiss: 0, trialAccuracy: 0,
+      waveCount: 5, bossHPFactor: 10, bossATKFactor: 3, timeLimit: 3
+    });
+    expect(results.hitChance).toBe(1);
+    expect(results.clearTime).toBeCloseTo(1.5);
+    expect(results.damageTaken).toBeCloseTo(14);
+    expect(results.requiredAttack).toBeCloseTo(50);
+  });
+});
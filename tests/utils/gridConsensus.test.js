@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSubmissionLayout,
+  getLayoutSignature,
+  buildGridConsensus,
+  applyConsensusToGridData,
+  isConsensusVerified,
+  getPromotionBlocker,
+  CONSENSUS_SOURCE
+} from '../../src/utils/gridConsensus.js';
+
+const slots = (...cells) => cells.map(([row, col]) => ({ row, col }));
+
+const submission = (submittedBy, activeSlots, extra = {}) => ({
+  weaponId: '55',
+  weaponName: 'Test Blade',
+  gridType: '4x4',
+  completionEffect: { atk: 10, hp: 20 },
+  activeSlots,
+  submittedBy,
+  submittedAt: '2025-01-01T00:00:00.000Z',
+  ...extra
+});
+
+const LAYOUT_A = slots([0, 0], [0, 1], [1, 0], [1, 1]);
+const LAYOUT_B = slots([0, 0], [0, 1], [1, 0], [2, 0]);
+
+describe('gridConsensus', () => {
+  it('should normalize slot order, duplicates and numeric strings', () => {
+    const layout = normalizeSubmissionLayout({
+      gridType: '5x5',
+      activeSlots: [{ row: '1', col: 0 }, { row: 0, col: 2 }, { row: 1, col: 0 }],
+      completionEffect: { atk: '1.5', hp: 'x' }
+    });
+    expect(layout.activeSlots).toEqual(slots([0, 2], [1, 0]));
+    expect(layout.totalActiveSlots).toBe(2);
+    expect(layout.completionEffect).toEqual({ atk: 1.5, hp: 0 });
+  });
+
+  it('should give identical layouts the same signature regardless of slot order', () => {
+    const reversed = submission('b', [...LAYOUT_A].reverse());
+    expect(getLayoutSignature(submission('a', LAYOUT_A))).toBe(getLayoutSignature(reversed));
+    expect(getLayoutSignature(submission('a', LAYOUT_A))).not.toBe(
+      getLayoutSignature(submission('a', LAYOUT_A, { completionEffect: { atk: 11, hp: 20 } }))
+    );
+  });
+
+  it('should rank layouts by votes and report disputed cells', () => {
+    const consensus = buildGridConsensus([
+      submission('alice', LAYOUT_A),
+      submission('bob', LAYOUT_A),
+      submission('carol', LAYOUT_B)
+    ]);
+
+    expect(consensus.totalSubmissions).toBe(3);
+    expect(consensus.groups).toHaveLength(2);
+    expect(consensus.consensus.count).toBe(2);
+    expect(consensus.consensus.submitters).toEqual(['alice', 'bob']);
+    expect(consensus.agreement).toBeCloseTo(2 / 3);
+    expect(consensus.cellVotes['0,0']).toBe(3);
+    expect(consensus.disagreeingCells).toEqual([
+      { row: 1, col: 1, votes: 2 },
+      { row: 2, col: 0, votes: 1 }
+    ]);
+  });
+
+  it('should count each signed-in user once (latest submission) and every anonymous one', () => {
+    const consensus = buildGridConsensus([
+      submission('alice', LAYOUT_B, { submittedAt: '2025-01-01T00:00:00.000Z' }),
+      submission('alice', LAYOUT_A, { submittedAt: '2025-02-01T00:00:00.000Z' }),
+      submission('Anonymous', LAYOUT_B),
+      submission(undefined, LAYOUT_B)
+    ]);
+
+    expect(consensus.totalSubmissions).toBe(3);
+    expect(consensus.consensus.layout.activeSlots).toEqual(LAYOUT_B);
+    expect(consensus.consensus.count).toBe(2);
+  });
+
+  it('should break ties in favour of the earliest layout', () => {
+    const consensus = buildGridConsensus([
+      submission('late', LAYOUT_A, { submittedAt: '2025-03-01T00:00:00.000Z' }),
+      submission('early', LAYOUT_B, { submittedAt: '2025-01-01T00:00:00.000Z' })
+    ]);
+    expect(consensus.consensus.submitters).toEqual(['early']);
+  });
+
+  it('should return null without submissions', () => {
+    expect(buildGridConsensus([])).toBeNull();
+  });
+
+  it('should only allow promoting an untied layout with enough matching submissions', () => {
+    expect(getPromotionBlocker(buildGridConsensus([submission('alice', LAYOUT_A)])))
+      .toMatch(/at least 2 matching submissions/);
+    expect(getPromotionBlocker(buildGridConsensus([
+      submission('alice', LAYOUT_A), submission('bob', LAYOUT_A),
+      submission('carol', LAYOUT_B), submission('dave', LAYOUT_B)
+    ]))).toMatch(/tied/);
+    expect(getPromotionBlocker(buildGridConsensus([
+      submission('alice', LAYOUT_A), submission('bob', LAYOUT_A), submission('carol', LAYOUT_B)
+    ]))).toBeNull();
+  });
+
+  it('should insert the consensus into grid data as a verified entry', () => {
+    const gridsData = {
+      weapons: [{ id: 13, name: 'Pride' }, { id: 60, name: 'Later' }],
+      _metadata: { totalWeapons: 2, lastUpdated: '2025-01-01' }
+    };
+    const consensus = buildGridConsensus([submission('alice', LAYOUT_A), submission('bob', LAYOUT_A)]);
+    const updated = applyConsensusToGridData(gridsData, { id: '55', name: 'Test Blade' }, consensus, {
+      promotedBy: 'admin',
+      promotedAt: '2025-06-15T12:00:00.000Z'
+    });
+
+    expect(updated.weapons.map(w => w.id)).toEqual([13, 55, 60]);
+    const entry = updated.weapons[1];
+    expect(entry).toMatchObject({
+      id: 55,
+      weaponId: 55,
+      name: 'Test Blade',
+      gridType: '4x4',
+      totalActiveSlots: 4,
+      completionEffect: { atk: 10, hp: 20 },
+      verification: { source: CONSENSUS_SOURCE, agreeingSubmissions: 2, totalSubmissions: 2, promotedBy: 'admin' }
+    });
+    expect(isConsensusVerified(entry)).toBe(true);
+    expect(isConsensusVerified(gridsData.weapons[0])).toBe(false);
+    expect(updated._metadata).toEqual({ totalWeapons: 3, lastUpdated: '2025-06-15' });
+    expect(gridsData.weapons).toHaveLength(2);
+  });
+
+  it('should replace an existing entry for the same weapon', () => {
+    const consensus = buildGridConsensus([submission('alice', LAYOUT_B)]);
+    const updated = applyConsensusToGridData({ weapons: [{ id: 55, name: 'Old' }] }, { id: 55, name: 'Test Blade' }, consensus, {
+      promotedBy: 'admin',
+      promotedAt: '2025-06-15T12:00:00.000Z'
+    });
+    expect(updated.weapons).toHaveLength(1);
+    expect(updated.weapons[0].activeSlots).toEqual(LAYOUT_B);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatIdleAmount,
+  getIdleIncome,
+  compareNearbyStages,
+  recommendIdleStage
+} from '../../src/utils/idleIncome.js';
+import { loadFormulaSection, createStageFactory } from '../helpers/formulaHelpers.js';
+
+const formulas = loadFormulaSection('idle');
+
+const stage = createStageFactory(stageNo => ({
+  region: 'Forest',
+  idleGold: stageNo * 10,
+  idleExp: 5,
+  idleCubes: 0,
+  idleStones: 0,
+  idleDice: 0,
+  idleSoul: 0,
+  idleDiamond: 0
+}));
+
+const stages = [
+  stage(1),
+  stage(2, { idleDice: 3 }),
+  stage(3, { idleDice: 3 }),
+  stage(4, { idleExp: 4 }),
+  stage(5, { idleDice: 5 })
+];
+
+describe('getIdleIncome', () => {
+  it('turns stage rewards into hourly, daily and offline cap yields', () => {
+    const income = getIdleIncome(stages[1], formulas);
+    expect(income.gold).toEqual({ base: 20, perHour: 1200, perDay: 28800, offlineCap: 14400 });
+    expect(income.cubes.perHour).toBe(0);
+  });
+
+  it('applies bonuses and a custom offline cap', () => {
+    const income = getIdleIncome(stages[1], formulas, { bonuses: { gold: 50, exp: '10' }, offlineCapHours: 2 });
+    expect(income.gold.perHour).toBe(1800);
+    expect(income.gold.offlineCap).toBe(3600);
+    expect(income.exp.perHour).toBeCloseTo(330);
+  });
+});
+
+describe('compareNearbyStages', () => {
+  it('lists stages within range with their change against the current stage', () => {
+    const rows = compareNearbyStages(stages, 2, formulas, { range: 1 });
+    expect(rows.map(row => row.stage.stageNo)).toEqual([1, 2, 3]);
+    expect(rows[1].isCurrent).toBe(true);
+    expect(rows[0].changes.gold).toBe(-50);
+    expect(rows[2].changes.gold).toBe(50);
+    expect(rows[2].changes.cubes).toBeNull();
+  });
+
+  it('returns nothing for unknown stages', () => {
+    expect(compareNearbyStages(stages, 99, formulas)).toEqual([]);
+  });
+});
+
+describe('recommendIdleStage', () => {
+  it('picks the best stage up to the highest cleared stage', () => {
+    const result = recommendIdleStage(stages, 'gold', formulas, { maxStage: 4, currentStage: 2 });
+    expect(result.stage.stageNo).toBe(4);
+    expect(result.perHour).toBe(2400);
+    expect(result.currentPerHour).toBe(1200);
+    expect(result.gainPercent).toBe(100);
+  });
+
+  it('prefers the lowest stage on ties and skips resources that never drop', () => {
+    expect(recommendIdleStage(stages, 'dice', formulas, { maxStage: 4 }).stage.stageNo).toBe(2);
+    expect(recommendIdleStage(stages, 'exp', formulas, { maxStage: 5, currentStage: 4 }).stage.stageNo).toBe(1);
+    expect(recommendIdleStage(stages, 'soul', formulas)).toBeNull();
+    expect(() => recommendIdleStage(stages, 'mana', formulas)).toThrow('Unknown idle resource: mana');
+  });
+});
+
+describe('formatIdleAmount', () => {
+  it('abbreviates large numbers', () => {
+    expect(formatIdleAmount(0.125)).toBe('0.13');
+    expect(formatIdleAmount(9999)).toBe('9,999');
+    expect(formatIdleAmount(12345)).toBe('12.35K');
+    expect(formatIdleAmount(4.96531e14)).toBe('496.53T');
+    expect(formatIdleAmount(NaN)).toBe('0');
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  serializeLoadoutGear,
+  hasLoadoutGear,
+  parseClothingEffect,
+  summarizeClothingBonuses,
+  resolveLoadoutGear
+} from '../../src/utils/loadoutGear.js';
+import { validateBuildData } from '../../functions/_shared/validation.js';
+
+const gearData = {
+  relics: [{ id: 0, name: 'Strength Gloves', buff: 'Extra DMG' }, { id: 2, name: 'HP Ring', buff: 'Extra HP' }],
+  companions: [{ id: 1, name: 'Ellie', element: 'Wind' }],
+  familiars: [{ id: 1, name: 'Fire Demon', element: 'Fire', weapons: [{ id: 'scythe', name: 'Demon Scythe', tiers: 4 }] }],
+  clothing: [
+    { id: 1, name: 'Pac-Man T-shirt', bonusType: 'Dodge', effect: '3' },
+    { id: 2, name: 'Summer Shirt', bonusType: 'Dodge', effect: '3' },
+    { id: 3, name: 'Prison Garb', bonusType: 'Extra EXP', effect: '5%' }
+  ],
+  promotions: [{ id: 0, name: 'Stone', classATK: 1, classHP: 1 }, { id: 4, name: 'Gold', classATK: 25, classHP: 25 }]
+};
+
+const loadout = {
+  name: 'Gear Loadout',
+  skillBuild: null,
+  spiritBuild: null,
+  relics: [{ relicId: 0, level: 5 }, { relicId: 0, level: 9 }, { relicId: 'x', level: 1 }],
+  companions: [{ companionId: 1, level: 30 }],
+  familiar: { familiarId: 1, weaponId: 'scythe', weaponTier: 2 },
+  clothing: [1, 3, 3],
+  promotionTier: 4
+};
+
+describe('loadout gear', () => {
+  it('normalizes gear, dropping duplicates and invalid entries', () => {
+    expect(serializeLoadoutGear(loadout)).toEqual({
+      relics: [{ relicId: 0, level: 5 }],
+      companions: [{ companionId: 1, level: 30 }],
+      familiar: { familiarId: 1, weaponId: 'scythe', weaponTier: 2 },
+      clothing: [1, 3],
+      promotionTier: 4
+    });
+  });
+
+  it('treats old loadouts and placeholder familiars as having no gear', () => {
+    const oldLoadout = { name: 'Old', familiar: 'Dragon', promotionAbility: null };
+    expect(serializeLoadoutGear(oldLoadout)).toEqual({
+      relics: [], companions: [], familiar: null, clothing: [], promotionTier: null
+    });
+    expect(hasLoadoutGear(oldLoadout)).toBe(false);
+    expect(hasLoadoutGear({ promotionTier: 0 })).toBe(true);
+  });
+
+  it('sums clothing bonuses by type', () => {
+    expect(parseClothingEffect('5%')).toEqual({ value: 5, percent: true });
+    expect(summarizeClothingBonuses([1, 2, 3, 99], gearData.clothing)).toEqual([
+      { bonusType: 'Dodge', value: 6, percent: false },
+      { bonusType: 'Extra EXP', value: 5, percent: true }
+    ]);
+  });
+
+  it('resolves gear IDs to game data', () => {
+    const gear = resolveLoadoutGear({ ...loadout, companions: [{ companionId: 7, level: 1 }] }, gearData);
+
+    expect(gear.relics).toEqual([{ relic: gearData.relics[0], level: 5 }]);
+    expect(gear.companions).toEqual([]);
+    expect(gear.familiar.weapon.name).toBe('Demon Scythe');
+    expect(gear.clothing.map(item => item.id)).toEqual([1, 3]);
+    expect(gear.promotion.name).toBe('Gold');
+    expect(gear.isEmpty).toBe(false);
+    expect(resolveLoadoutGear({}, gearData).isEmpty).toBe(true);
+  });
+
+  describe('validateBuildData', () => {
+    it('accepts serialized gear and old placeholder values', () => {
+      expect(validateBuildData({ name: loadout.name, ...serializeLoadoutGear(loadout) }, 'battle-loadouts').valid).toBe(true);
+      expect(validateBuildData({ name: 'Old', familiar: 'Dragon' }, 'battle-loadouts').valid).toBe(true);
+    });
+
+    it('rejects malformed gear', () => {
+      const invalid = [
+        { relics: [{ relicId: -1, level: 1 }] },
+        { relics: 'Strength Gloves' },
+        { companions: [{ companionId: 1, level: 0 }] },
+        { clothing: ['1'] },
+        { familiar: { familiarId: 1, weaponId: 5 } },
+        { promotionTier: 1.5 }
+      ];
+
+      invalid.forEach(gear => {
+        expect(validateBuildData({ name: 'Bad', ...gear }, 'battle-loadouts').valid).toBe(false);
+      });
+    });
+  });
+});
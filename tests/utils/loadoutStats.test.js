@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateLoadoutStats,
+  calculatePowerScore,
+  getPermanentSkillStats
+} from '../../src/utils/loadoutStats.js';
+
+const fireSlash = {
+  id: 1, name: 'Fire Slash', attribute: 'Fire', maxLevel: 130, mpCost: 25, baseValue: 400, upgradeValue: 40, cooldown: 12,
+  specificDescription: 'Attack all enemies within range 3 once with X% of their ATK'
+};
+const ironWill = {
+  id: 24, name: 'Iron Will', attribute: 'Earth', maxLevel: 20, mpCost: 0, baseValue: 5, upgradeValue: 1, cooldown: 1,
+  specificDescription: 'Total ATK +X%'
+};
+const mantra = {
+  id: 46, name: 'Mantra', attribute: 'None', maxLevel: 5, baseValue: 10, upgradeValue: 5, cooldown: 0,
+  specificDescription: 'Total ATK, HP +X%. The effect is applied without equipped in the slot'
+};
+
+const atkShape = { id: 1, name: 'L-Shape', stat: 'ATK', baseStats: { rare: { level1: 2, levelScaling: 0.5, maxLevel: 10 } } };
+const critShape = { id: 2, name: 'Square', stat: 'CRIT_DMG', baseStats: {} };
+
+const data = {
+  spiritLevels: [
+    { level: 0, attackHpFactor: 3.33 },
+    { level: 1, attackHpFactor: 3.63 },
+    { level: 2, attackHpFactor: 4 }
+  ],
+  soulWeapons: [{ id: 13, name: 'Pride', attack: 5000 }],
+  weaponGrids: [{ id: 13, completionEffect: { atk: 2, hp: 5.6 } }],
+  skillStones: { stoneTypes: { cooldown: { bonuses: { A: -4, B: -7 } } } },
+  gear: {
+    relics: [{ id: 0, name: 'Strength Gloves', buff: 'Extra DMG', scalingFactors: [5.5, 6, 6.5] }],
+    companions: [],
+    familiars: [],
+    clothing: [{ id: 1, name: 'Pac-Man T-shirt', bonusType: 'Dodge', effect: '3' }],
+    promotions: [{ id: 4, name: 'Gold', classATK: 25, classHP: 20 }]
+  }
+};
+
+const piece = (shape, inventoryIndex) => ({ shape, shapeId: shape.id, rarity: 2, level: 3, inventoryIndex });
+
+const loadout = {
+  name: 'Test',
+  skillBuild: { slots: [{ skill: fireSlash, level: 1 }, { skill: ironWill, level: 6 }, { skill: null, level: 1 }] },
+  spiritBuild: { slots: [{ spirit: { id: 1, name: 'Sala' }, level: 2 }, { spirit: null }] },
+  soulWeaponBuild: {
+    weaponId: 13,
+    gridState: [
+      [{ active: true, piece: piece(atkShape, 0) }, { active: true, piece: piece(atkShape, 0) }],
+      [{ active: true, piece: piece(critShape, 1) }, { active: false, piece: null }]
+    ]
+  },
+  skillStoneBuild: { slots: [{ type: 'cooldown', element: 'Fire', tier: 'B' }] },
+  relics: [{ relicId: 0, level: 2 }],
+  clothing: [1],
+  promotionTier: 4
+};
+
+describe('loadoutStats', () => {
+  it('detects permanent ATK/HP skills only', () => {
+    expect(getPermanentSkillStats(ironWill)).toEqual(['ATK']);
+    expect(getPermanentSkillStats(mantra)).toEqual(['ATK', 'HP']);
+    expect(getPermanentSkillStats({ specificDescription: 'Total ATK +X% for 10sec' })).toEqual([]);
+    expect(getPermanentSkillStats(fireSlash)).toEqual([]);
+  });
+
+  it('aggregates every loadout section into one stat sheet', () => {
+    const sheet = calculateLoadoutStats(loadout, data);
+
+    // Iron Will Lv.6 (10) + spirit Lv.2 (4) + engraving (2 + 0.5 * 2 = 3) + completion (2)
+    expect(sheet.stats.ATK).toBe(19);
+    // Spirit (4) + completion (5.6)
+    expect(sheet.stats.HP).toBe(9.6);
+    expect(sheet.stats.EXTRA_DMG).toBe(6);
+    expect(sheet.stats.DODGE).toBe(3);
+    expect(sheet.stats.CRIT_DMG).toBeGreaterThan(0);
+
+    expect(sheet.weaponAttack).toBe(5000);
+    expect(sheet.classATK).toBe(25);
+    expect(sheet.classHP).toBe(20);
+    expect(sheet.skillDamagePerSecond).toBeGreaterThan(0);
+    // Fire stone B (-7%) only affects Fire Slash (12s of 13s total cooldown)
+    expect(sheet.cooldownReduction).toBeCloseTo(6.46, 2);
+
+    expect(sheet.usesEstimates).toBe(true);
+    expect(sheet.sources.filter(source => source.section === 'soulWeapon')).toHaveLength(4);
+  });
+
+  it('skips the completion effect when the grid is not full', () => {
+    const partial = {
+      ...loadout,
+      soulWeaponBuild: {
+        weaponId: 13,
+        gridState: [[{ active: true, piece: piece(atkShape, 0) }, { active: true, piece: null }]]
+      }
+    };
+
+    const sheet = calculateLoadoutStats(partial, data);
+    expect(sheet.sources.some(source => source.label === 'Completion effect')).toBe(false);
+  });
+
+  it('scores an empty loadout at 100 and rewards stats', () => {
+    const empty = calculateLoadoutStats({ name: 'Empty' }, data);
+    expect(empty.powerScore).toBe(100);
+    expect(empty.stats).toEqual({});
+
+    const full = calculateLoadoutStats(loadout, data);
+    expect(full.powerScore).toBeGreaterThan(empty.powerScore);
+  });
+
+  it('weights offense and defense by the power score assumptions', () => {
+    const sheet = { stats: { ATK: 100 }, weaponAttack: 0, classATK: 1, classHP: 1, skillDamagePerSecond: 0 };
+
+    expect(calculatePowerScore(sheet, { offenseWeight: 1 }).powerScore).toBe(200);
+    expect(calculatePowerScore(sheet, { offenseWeight: 0 }).powerScore).toBe(100);
+  });
+
+  it('handles missing game data', () => {
+    const sheet = calculateLoadoutStats(loadout, {});
+    expect(sheet.weaponAttack).toBe(0);
+    expect(sheet.classATK).toBe(1);
+    expect(sheet.powerScore).toBeGreaterThan(100);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  scaleStatsToClass,
+  checkPromotionTrial,
+  checkPromotionTrials
+} from '../../src/utils/promotionTrials.js';
+import { loadFormulaSection } from '../helpers/formulaHelpers.js';
+
+const formulas = loadFormulaSection('promotion');
+
+const promotion = (id, fields = {}) => ({
+  id,
+  name: `Tier ${id}`,
+  classATK: 2 ** id,
+  classHP: 3 ** id,
+  timeLimit: 3,
+  attackSpeed: 2,
+  enemyHP: 10,
+  enemyAttack: 2,
+  miss: 0,
+  accuracy: 0,
+  bossHPFactor: 10,
+  waveCount: 5,
+  bossATKFactor: 3,
+  ...fields
+});
+
+const stats = { attack: 100, hp: 100, attackSpeed: 1, accuracy: 0 };
+
+describe('scaleStatsToClass', () => {
+  it('rescales attack and hp by the class multipliers', () => {
+    expect(scaleStatsToClass(stats, promotion(1), promotion(3))).toEqual({ ...stats, attack: 400, hp: 900 });
+    expect(scaleStatsToClass(stats, {}, {})).toEqual(stats);
+  });
+});
+
+describe('checkPromotionTrial', () => {
+  it('clears when fast enough and surviving', () => {
+    const result = checkPromotionTrial(promotion(1), stats, formulas);
+    expect(result.clearTime).toBeCloseTo(1.5);
+    expect(result).toMatchObject({ cleared: true, limitedBy: null });
+  });
+
+  it('reports the limiting factor', () => {
+    expect(checkPromotionTrial(promotion(1, { timeLimit: 1 }), stats, formulas))
+      .toMatchObject({ cleared: false, limitedBy: 'time' });
+    const fragile = checkPromotionTrial(promotion(1), { ...stats, hp: 10 }, formulas);
+    expect(fragile).toMatchObject({ cleared: false, limitedBy: 'hp' });
+    expect(fragile.requiredHp).toBeCloseTo(14);
+  });
+
+  it('returns null without damage', () => {
+    expect(checkPromotionTrial(promotion(1), { ...stats, attack: 0 }, formulas)).toBeNull();
+    expect(checkPromotionTrial(promotion(1), { ...stats, attackSpeed: 0 }, formulas)).toBeNull();
+  });
+});
+
+describe('checkPromotionTrials', () => {
+  const promotions = [promotion(2), promotion(0), promotion(1), promotion(3)];
+
+  it('checks every tier above the current one with the previous class', () => {
+    const trials = checkPromotionTrials(promotions, stats, formulas, 1);
+    expect(trials.map(trial => trial.promotion.id)).toEqual([2, 3]);
+    expect(trials.map(trial => trial.previous.id)).toEqual([1, 2]);
+    expect(trials[0].stats).toEqual(stats);
+    expect(trials[1].stats).toMatchObject({ attack: 200, hp: 300 });
+  });
+
+  it('starts from the first tier by default', () => {
+    expect(checkPromotionTrials(promotions, stats, formulas).map(trial => trial.promotion.id)).toEqual([1, 2, 3]);
+  });
+});
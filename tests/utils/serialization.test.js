@@ -408,6 +408,29 @@ describe('Serialization Tests - Data Integrity', () => {
       const reductionPercent = ((fullSize - serializedSize) / fullSize * 100).toFixed(1);
       console.log(`Battle loadout size reduction: ${fullSize} -> ${serializedSize} (${reductionPercent}% smaller)`);
     });
+
+    it('should keep gear (relics, companions, familiar, clothing, promotion tier)', () => {
+      const loadout = {
+        name: 'Gear Loadout',
+        skillBuild: null,
+        spiritBuild: null,
+        relics: [{ relicId: 0, level: 5 }],
+        companions: [{ companionId: 1, level: 30 }],
+        familiar: { familiarId: 1, weaponId: 'scythe', weaponTier: 2 },
+        clothing: [1, 3],
+        promotionTier: 4
+      };
+
+      const stored = serializeLoadoutForStorage(loadout);
+      const shared = serializeLoadoutForSharing(loadout);
+      const deserialized = deserializeLoadout(stored);
+
+      ['relics', 'companions', 'familiar', 'clothing', 'promotionTier'].forEach(key => {
+        expect(stored[key]).toEqual(loadout[key]);
+        expect(shared[key]).toEqual(loadout[key]);
+        expect(deserialized[key]).toEqual(loadout[key]);
+      });
+    });
   });
 
   // === SKILL STONE BUILDS ===
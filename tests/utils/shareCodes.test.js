@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SHARE_CODE_VERSION,
+  decodeShareCode,
+  encodeShareCode,
+  generateShareCodeUrl
+} from '../../src/utils/shareCodes.js';
+
+const fromBase64Url = (code) => Uint8Array.from(atob(code.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+// FNV-1a checksum as written by encodeShareCode
+const sign = (bytes) => {
+  let hash = 0x811c9dc5;
+  bytes.forEach(byte => {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  });
+  const folded = (hash ^ (hash >>> 16)) & 0xffff;
+  return btoa(String.fromCharCode(...bytes, folded >> 8, folded & 0xff)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const skillBuild = {
+  name: 'Fire Burst ⚔️',
+  maxSlots: 10,
+  slots: [{ skillId: 1, level: 130 }, { skillId: null, level: 1 }, { skillId: 24, level: 6 }]
+};
+
+const spiritBuild = {
+  name: 'Spirits',
+  slots: [
+    { type: 'base', spiritId: 3, level: 25, awakeningLevel: 2, evolutionLevel: 5, skillEnhancementLevel: 1 },
+    { type: 'base', spiritId: null, level: 1, awakeningLevel: 0, evolutionLevel: 4, skillEnhancementLevel: 0 }
+  ]
+};
+
+const stoneBuild = {
+  name: 'Stones',
+  slots: [
+    { type: 'cooldown', element: 'fire', tier: 'B' },
+    { type: 'time', element: null, tier: null },
+    { type: 'heat', element: 'earth', tier: 'A' }
+  ]
+};
+
+const piece = { shapeId: 4, rarity: 3, level: 12, rotation: 90, anchorRow: 0, anchorCol: 0, inventoryIndex: 1 };
+
+const loadout = {
+  name: 'Boss Fight',
+  skillBuild,
+  spiritBuild,
+  soulWeaponBuild: {
+    weaponId: 13,
+    weaponName: 'Pride',
+    gridState: [
+      [{ active: true, piece }, { active: true, piece }],
+      [{ active: false, piece: null }, { active: true, piece: null }]
+    ],
+    inventory: [null, { shapeId: 2, rarity: 1, level: 5 }]
+  },
+  skillStoneBuild: { slots: stoneBuild.slots },
+  spirit: null,
+  skillStone: null,
+  promotionAbility: null,
+  relics: [{ relicId: 0, level: 3 }],
+  companions: [{ companionId: 2, level: 40 }],
+  familiar: { familiarId: 1, weaponId: 'bow', weaponTier: 2 },
+  clothing: [1, 5],
+  promotionTier: 0
+};
+
+describe('shareCodes', () => {
+  it('round-trips every builder type', () => {
+    const engravingBuild = {
+      name: 'Grid',
+      weaponId: 0,
+      pieces: [{ row: 1, col: 2, shapeId: 7, rarity: 0, level: 1, rotation: 270 }],
+      inventory: [{ slot: 3, shapeId: 2, rarity: 4, level: 50 }]
+    };
+
+    expect(decodeShareCode(encodeShareCode('skill-builds', skillBuild)).data).toEqual(skillBuild);
+    expect(decodeShareCode(encodeShareCode('spirit-builds', spiritBuild)).data).toEqual(spiritBuild);
+    expect(decodeShareCode(encodeShareCode('skill-stone-builds', stoneBuild)).data).toEqual(stoneBuild);
+    expect(decodeShareCode(encodeShareCode('soul-weapon-engraving', engravingBuild)).data).toEqual(engravingBuild);
+  });
+
+  it('round-trips a full loadout including the soul weapon grid and gear', () => {
+    const { type, data, version } = decodeShareCode(encodeShareCode('battle-loadouts', loadout));
+
+    expect(type).toBe('battle-loadouts');
+    expect(version).toBe(SHARE_CODE_VERSION);
+    expect(data).toEqual({ ...loadout, skillStoneBuild: { name: '', slots: stoneBuild.slots } });
+  });
+
+  it('is much shorter than base64 JSON and URL safe', () => {
+    const code = encodeShareCode('battle-loadouts', loadout);
+
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(code.length).toBeLessThan(btoa(unescape(encodeURIComponent(JSON.stringify(loadout)))).length / 4);
+  });
+
+  it('rejects corrupted, truncated and unknown-version codes', () => {
+    const code = encodeShareCode('skill-builds', skillBuild);
+    const tampered = (code[5] === 'A' ? 'B' : 'A');
+
+    expect(() => decodeShareCode(code.slice(0, 5) + tampered + code.slice(6))).toThrow();
+    expect(() => decodeShareCode(code.slice(0, 6))).toThrow();
+    expect(() => decodeShareCode('not a code!')).toThrow('Invalid share code');
+
+    // A correctly signed code from a future version
+    const bytes = [...fromBase64Url(code).slice(0, -2)];
+    expect(sign(bytes)).toBe(code);
+    bytes[0] = SHARE_CODE_VERSION + 1;
+    expect(() => decodeShareCode(sign(bytes))).toThrow('Unsupported share code version');
+  });
+
+  it('refuses data the codec cannot represent', () => {
+    expect(() => encodeShareCode('unknown', {})).toThrow('Unsupported share type');
+    expect(() => encodeShareCode('skill-builds', { slots: [{ skillId: 1, level: 1.5 }] })).toThrow();
+    expect(() => encodeShareCode('battle-loadouts', { ...loadout, promotionAbility: { id: 1 } })).toThrow();
+  });
+
+  it('builds share URLs for the matching builder route', () => {
+    const url = generateShareCodeUrl('https://slayerlegend.wiki/', 'skill-stone-builds', stoneBuild);
+    expect(url).toMatch(/^https:\/\/slayerlegend\.wiki\/#\/skill-stone-builder\?code=[A-Za-z0-9_-]+$/);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getSkillValue,
+  getSkillHits,
+  getSkillRole,
+  simulateSkillRotation
+} from '../../src/utils/skillRotation.js';
+
+const damageSkill = (id, overrides = {}) => ({
+  id,
+  name: `Skill ${id}`,
+  specificDescription: 'Attack all enemies within range 3 once with X% of their ATK',
+  maxLevel: 130,
+  mpCost: 10,
+  baseValue: 100,
+  upgradeValue: 10,
+  cooldown: 5,
+  ...overrides
+});
+
+describe('skillRotation', () => {
+  describe('skill helpers', () => {
+    it('computes value per level and clamps to max level', () => {
+      const skill = damageSkill(1);
+      expect(getSkillValue(skill, 1)).toBe(100);
+      expect(getSkillValue(skill, 11)).toBe(200);
+      expect(getSkillValue(skill, 500)).toBe(100 + 10 * 129);
+    });
+
+    it('reads hit counts from descriptions', () => {
+      expect(getSkillHits(damageSkill(1))).toBe(1);
+      expect(getSkillHits(damageSkill(1, { specificDescription: 'Attacks at X% of earth DMG 2 time' }))).toBe(2);
+      expect(getSkillHits(damageSkill(1, { specificDescription: '7 consecutive attacks on enemies within 3 range. DMG X%' }))).toBe(7);
+    });
+
+    it('classifies damage, utility and passive skills', () => {
+      expect(getSkillRole(damageSkill(1))).toBe('damage');
+      expect(getSkillRole(damageSkill(5, { maxLevel: 20, specificDescription: 'Total ATK +X% for 10sec' }))).toBe('utility');
+      expect(getSkillRole(damageSkill(46, { cooldown: 0, equippable: false }))).toBe('passive');
+    });
+  });
+
+  describe('simulateSkillRotation', () => {
+    it('casts on cooldown when MP is plentiful', () => {
+      const result = simulateSkillRotation(
+        [{ skill: damageSkill(1), level: 1 }, null, { skill: null, level: 1 }],
+        { duration: 20, maxMp: 1000, mpRegenPerSecond: 100 }
+      );
+
+      // Casts at 0, 5, 10, 15
+      expect(result.casts.map(cast => cast.time)).toEqual([0, 5, 10, 15]);
+      expect(result.totalDamagePercent).toBe(400);
+      expect(result.damagePercentPerSecond).toBe(20);
+      expect(result.mpStarvedSeconds).toBe(0);
+      expect(result.skills).toHaveLength(1);
+      expect(result.skills[0].slotIndex).toBe(0);
+    });
+
+    it('waits for MP when the pool runs dry', () => {
+      const result = simulateSkillRotation(
+        [{ skill: damageSkill(1, { mpCost: 50, cooldown: 1 }), level: 1 }],
+        { duration: 10, maxMp: 50, mpRegenPerSecond: 10 }
+      );
+
+      // Full pool casts at 0, then every 5s of regen
+      expect(result.casts.map(cast => cast.time)).toEqual([0, 5]);
+      expect(result.skills[0].blockedByMpSeconds).toBeGreaterThan(0);
+      expect(result.mpTimeline[0]).toEqual({ time: 0, mp: 50 });
+      expect(result.mpTimeline).toHaveLength(11);
+    });
+
+    it('gives earlier slots priority for MP', () => {
+      const result = simulateSkillRotation(
+        [
+          { skill: damageSkill(1, { mpCost: 30, cooldown: 1 }), level: 1 },
+          { skill: damageSkill(2, { mpCost: 30, cooldown: 1 }), level: 1 }
+        ],
+        { duration: 1, maxMp: 30, mpRegenPerSecond: 0 }
+      );
+
+      expect(result.casts.map(cast => cast.skillId)).toEqual([1]);
+    });
+
+    it('multiplies damage by hit count and ignores utility skills', () => {
+      const result = simulateSkillRotation(
+        [
+          { skill: damageSkill(1, { specificDescription: 'Attacks X% 3 times', cooldown: 100 }), level: 1 },
+          { skill: damageSkill(5, { maxLevel: 20, specificDescription: 'Total ATK +X% for 10sec', cooldown: 100 }), level: 1 }
+        ],
+        { duration: 10, maxMp: 100, mpRegenPerSecond: 0 }
+      );
+
+      expect(result.totalDamagePercent).toBe(300);
+      expect(result.casts).toHaveLength(2);
+    });
+
+    it('applies mana restore and cooldown charge effects', () => {
+      const lifeMana = damageSkill(28, { maxLevel: 20, specificDescription: 'X% recovery of total HP, 30% recovery of mana', mpCost: 0, cooldown: 100 });
+      const restored = simulateSkillRotation(
+        [{ skill: damageSkill(1, { mpCost: 100, cooldown: 100 }), level: 1 }, { skill: lifeMana, level: 1 }],
+        { duration: 1, maxMp: 100, mpRegenPerSecond: 0 }
+      );
+      expect(restored.casts[restored.casts.length - 1].mpAfter).toBe(30);
+
+      const meditation = damageSkill(34, { maxLevel: 10, specificDescription: 'Concentrate and charge X% cooldown for all skills', mpCost: 0, cooldown: 10, baseValue: 50, upgradeValue: 0 });
+      const charged = simulateSkillRotation(
+        [{ skill: damageSkill(1, { mpCost: 0, cooldown: 10 }), level: 1 }, { skill: meditation, level: 1 }],
+        { duration: 6, maxMp: 100, mpRegenPerSecond: 0 }
+      );
+      // Meditation halves the first skill's 10s cooldown right after it is cast
+      expect(charged.casts.filter(cast => cast.skillId === 1).map(cast => cast.time)).toEqual([0, 5]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getSkillDuration,
+  getSkillRequiredAttacks,
+  getStoneBonusesForElement,
+  getSkillStoneEffects,
+  applySkillStonesToSlots,
+  createEmptyStoneBuild,
+  hasSkillStones
+} from '../../src/utils/skillStoneEffects.js';
+
+const stoneData = {
+  stoneTypes: {
+    cooldown: { name: 'Cooldown Stone', bonuses: { A: -4, B: -7 } },
+    time: { name: 'Time Stone', bonuses: { A: 4, B: 7 } },
+    heat: { name: 'Heat Stone', bonuses: { A: -4, B: -7 } }
+  },
+  elements: { fire: { name: 'Fire' }, water: { name: 'Water' }, wind: { name: 'Wind' }, earth: { name: 'Earth' } },
+  tiers: ['A', 'B']
+};
+
+const stones = (...slots) => ({ slots: slots.map(([type, element, tier]) => ({ type, element, tier })) });
+
+const fireSword = { id: 5, name: 'Fire Sword', attribute: 'Fire', cooldown: 17, specificDescription: 'Total ATK +X% for 10sec' };
+const speedSword = { id: 19, name: 'Speed Sword', attribute: 'Wind', cooldown: 5, specificDescription: 'After entering battle, ATK SPD +X% for every 5 attacks' };
+const fireSlash = { id: 1, name: 'Fire Slash', attribute: 'Fire', cooldown: 12, specificDescription: 'Attack all enemies within range 3 once with X% of their ATK' };
+
+describe('skillStoneEffects', () => {
+  it('parses durations and required attacks from descriptions', () => {
+    expect(getSkillDuration(fireSword)).toBe(10);
+    expect(getSkillDuration({ specificDescription: 'ATK SPD +X% for 5 seconds' })).toBe(5);
+    expect(getSkillDuration(fireSlash)).toBeNull();
+    expect(getSkillRequiredAttacks(speedSword)).toBe(5);
+    expect(getSkillRequiredAttacks(fireSlash)).toBeNull();
+  });
+
+  it('only counts stones matching the skill element', () => {
+    const build = stones(['cooldown', 'fire', 'B'], ['time', 'water', 'A'], ['heat', 'fire', 'A']);
+    expect(getStoneBonusesForElement(build, stoneData, 'Fire')).toEqual({ cooldown: -7, time: 0, heat: -4 });
+    expect(getStoneBonusesForElement(build, stoneData, 'Water')).toEqual({ cooldown: 0, time: 4, heat: 0 });
+    expect(getStoneBonusesForElement(build, stoneData, 'Earth')).toEqual({ cooldown: 0, time: 0, heat: 0 });
+  });
+
+  it('computes before/after cooldown and duration', () => {
+    const effects = getSkillStoneEffects(fireSword, stones(['cooldown', 'fire', 'B'], ['time', 'fire', 'B']), stoneData);
+    expect(effects.cooldown).toEqual({ base: 17, effective: 15.81, bonusPercent: -7 });
+    expect(effects.duration).toEqual({ base: 10, effective: 10.7, bonusPercent: 7 });
+    expect(effects.requiredAttacks).toBeNull();
+    expect(effects.affected).toBe(true);
+  });
+
+  it('reduces required attacks with a heat stone, rounded up to whole attacks', () => {
+    const effects = getSkillStoneEffects(speedSword, stones(['heat', 'wind', 'A']), stoneData);
+    expect(effects.requiredAttacks).toEqual({ base: 5, effective: 5, bonusPercent: -4 });
+    expect(effects.cooldown.effective).toBe(5);
+
+    const slowSword = { ...speedSword, specificDescription: 'ATK SPD +X% for every 25 attacks' };
+    expect(getSkillStoneEffects(slowSword, stones(['heat', 'wind', 'A']), stoneData).requiredAttacks.effective).toBe(24);
+    expect(getSkillStoneEffects(slowSword, stones(['heat', 'wind', 'B']), stoneData).requiredAttacks.effective).toBe(24);
+  });
+
+  it('reports unaffected skills', () => {
+    const effects = getSkillStoneEffects(fireSlash, stones(['cooldown', 'water', 'B']), stoneData);
+    expect(effects.affected).toBe(false);
+    expect(effects.cooldown.effective).toBe(12);
+  });
+
+  it('applies effective cooldowns to build slots without mutating them', () => {
+    const slots = [{ skill: fireSlash, level: 5 }, { skill: null, level: 1 }];
+    const result = applySkillStonesToSlots(slots, stones(['cooldown', 'fire', 'A']), stoneData);
+
+    expect(result[0].skill.cooldown).toBe(11.52);
+    expect(result[0].level).toBe(5);
+    expect(result[0].stoneEffects.cooldown.base).toBe(12);
+    expect(result[1]).toBe(slots[1]);
+    expect(fireSlash.cooldown).toBe(12);
+  });
+
+  it('detects empty stone builds', () => {
+    expect(hasSkillStones(createEmptyStoneBuild())).toBe(false);
+    expect(hasSkillStones(null)).toBe(false);
+    expect(hasSkillStones(stones(['time', 'earth', 'A']))).toBe(true);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  clampLevel,
+  getUpgradeCost,
+  getFactorGain,
+  getFactorCapLevel,
+  planSpiritUpgrades,
+  suggestUpgradeOrder
+} from '../../src/utils/spiritUpgradePlanner.js';
+
+// Level L costs (L+1)*10 cubes / (L+1) crystal; factor rises by 1 per level up to 4, then plateaus
+const levels = Array.from({ length: 7 }, (_, level) => ({
+  level,
+  upgradeCosts: { enhanceCubes: (level + 1) * 10, manaCrystal: level + 1 },
+  attackHpFactor: Math.min(level, 4)
+}));
+
+describe('spiritUpgradePlanner', () => {
+  it('clamps levels into the table range', () => {
+    expect(clampLevel(levels, -3)).toBe(0);
+    expect(clampLevel(levels, 99)).toBe(6);
+    expect(clampLevel(levels, '2')).toBe(2);
+    expect(clampLevel(levels, 'abc')).toBe(0);
+  });
+
+  it('sums costs and factor gain between levels', () => {
+    expect(getUpgradeCost(levels, 0, 3)).toEqual({ enhanceCubes: 60, manaCrystal: 6 });
+    expect(getUpgradeCost(levels, 3, 3)).toEqual({ enhanceCubes: 0, manaCrystal: 0 });
+    expect(getFactorGain(levels, 1, 3)).toBe(2);
+    expect(getFactorGain(levels, 4, 6)).toBe(0);
+    expect(getFactorCapLevel(levels)).toBe(4);
+  });
+
+  it('plans totals and per-resource efficiency', () => {
+    const plan = planSpiritUpgrades(levels, [
+      { key: 'a', currentLevel: 0, targetLevel: 2 },
+      { key: 'b', currentLevel: 3, targetLevel: 1 }
+    ]);
+
+    expect(plan.entries[0].cost).toEqual({ enhanceCubes: 30, manaCrystal: 3 });
+    expect(plan.entries[0].factorGain).toBe(2);
+    expect(plan.entries[0].factorPerMillionCubes).toBeCloseTo((2 / 30) * 1e6);
+    // Targets below the current level mean no upgrade
+    expect(plan.entries[1].targetLevel).toBe(3);
+    expect(plan.entries[1].factorGain).toBe(0);
+    expect(plan.totalCost).toEqual({ enhanceCubes: 30, manaCrystal: 3 });
+    expect(plan.totalFactorGain).toBe(2);
+  });
+
+  it('upgrades the cheapest levels first within the budget', () => {
+    const result = suggestUpgradeOrder(levels, [
+      { key: 'a', currentLevel: 2, targetLevel: 4 },
+      { key: 'b', currentLevel: 0, targetLevel: 4 }
+    ], { enhanceCubes: 70, manaCrystal: null });
+
+    // b: 0->1 (10), 1->2 (20), then a/b at level 2 (30) - only one fits
+    expect(result.steps.map(step => [step.key, step.fromLevel, step.toLevel])).toEqual([
+      ['b', 0, 2],
+      ['a', 2, 3]
+    ]);
+    expect(result.spent.enhanceCubes).toBe(60);
+    expect(result.remaining.enhanceCubes).toBe(10);
+    expect(result.remaining.manaCrystal).toBe(Infinity);
+    expect(result.finalLevels).toEqual({ a: 3, b: 2 });
+    expect(result.totalFactorGain).toBe(3);
+  });
+
+  it('skips levels past the factor cap', () => {
+    const result = suggestUpgradeOrder(levels, [
+      { key: 'a', currentLevel: 3, targetLevel: 6 }
+    ]);
+
+    expect(result.steps).toEqual([
+      { key: 'a', fromLevel: 3, toLevel: 4, cost: { enhanceCubes: 40, manaCrystal: 4 }, factorGain: 1 }
+    ]);
+    expect(result.finalLevels.a).toBe(4);
+  });
+
+  it('respects every resource limit', () => {
+    const result = suggestUpgradeOrder(levels, [
+      { key: 'a', currentLevel: 0, targetLevel: 4 }
+    ], { enhanceCubes: 1000, manaCrystal: 3 });
+
+    expect(result.finalLevels.a).toBe(2);
+    expect(result.spent).toEqual({ enhanceCubes: 30, manaCrystal: 3 });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import {
+  groupStages,
+  splitStages,
+  selectStageChunks,
+  findStageChunk,
+  mergeStageChunks
+} from '../../src/utils/stageChunks.js';
+
+const stage = (stageNo, region, fields = {}) => ({
+  stageNo,
+  region,
+  bossHP: stageNo * 10,
+  equipment: 'Weapon',
+  equipmentRarity: 'Common 1',
+  ...fields
+});
+
+// Two named regions of 2 stages, then 5 stages without a name
+const STAGES = [
+  stage(1, 'Forest'),
+  stage(2, 'Forest'),
+  stage(3, 'Red Mountain', { equipmentRarity: 'Common 2' }),
+  stage(4, 'Red Mountain', { equipment: 'Accessory' }),
+  ...[5, 6, 7, 8, 9].map(stageNo => stage(stageNo, '', { equipmentRarity: 'Epic 1' }))
+];
+
+describe('stageChunks', () => {
+  it('groups named regions and blocks of unnamed stages', () => {
+    const groups = groupStages([...STAGES].reverse(), { blockSize: 2 });
+    expect(groups.map(group => [group.region, group.stages.map(s => s.stageNo)])).toEqual([
+      ['Forest', [1, 2]],
+      ['Red Mountain', [3, 4]],
+      [null, [5, 6]],
+      [null, [7, 8]],
+      [null, [9]]
+    ]);
+  });
+
+  it('builds chunk files and an index with ranges and summaries', () => {
+    const { index, chunks } = splitStages(STAGES, { blockSize: 3 });
+
+    expect(chunks.map(chunk => chunk.file)).toEqual([
+      '1-2-forest.json',
+      '3-4-red-mountain.json',
+      '5-7.json',
+      '8-9.json'
+    ]);
+    expect(index).toMatchObject({ stageCount: 9, firstStage: 1, lastStage: 9, regions: ['Forest', 'Red Mountain'] });
+    expect(index.chunks[1]).toEqual({
+      id: '3-4-red-mountain',
+      file: '3-4-red-mountain.json',
+      region: 'Red Mountain',
+      firstStage: 3,
+      lastStage: 4,
+      count: 2,
+      stats: { bossHP: { min: 30, max: 40 } },
+      drops: [
+        { equipment: 'Weapon', equipmentRarity: 'Common 2' },
+        { equipment: 'Accessory', equipmentRarity: 'Common 1' }
+      ]
+    });
+  });
+
+  it('selects chunks by range, region and drops', () => {
+    const { index } = splitStages(STAGES, { blockSize: 3 });
+    const ids = (query) => selectStageChunks(index, query).map(chunk => chunk.id);
+
+    expect(ids()).toHaveLength(4);
+    expect(ids({ from: 4, to: 7 })).toEqual(['3-4-red-mountain', '5-7']);
+    expect(ids({ region: 'Forest' })).toEqual(['1-2-forest']);
+    expect(ids({ equipment: 'Accessory' })).toEqual(['3-4-red-mountain']);
+    expect(ids({ equipment: 'Weapon', equipmentRarity: 'Epic 1', to: 7 })).toEqual(['5-7']);
+  });
+
+  it('finds the chunk of a stage', () => {
+    const { index } = splitStages(STAGES, { blockSize: 3 });
+    expect(findStageChunk(index, 8).id).toBe('8-9');
+    expect(findStageChunk(index, 10)).toBeNull();
+  });
+
+  it('merges chunks in stage order within a range', () => {
+    const merged = mergeStageChunks([[stage(5), stage(4)], [stage(2), stage(3)]], { from: 3 });
+    expect(merged.map(s => s.stageNo)).toEqual([3, 4, 5]);
+  });
+
+  it('covers every stage of stages.json exactly once', () => {
+    const stages = JSON.parse(readFileSync(new URL('../../public/data/stages.json', import.meta.url), 'utf8'));
+    const { index, chunks } = splitStages(stages);
+
+    expect(chunks.flatMap(chunk => chunk.stages)).toHaveLength(stages.length);
+    expect(new Set(chunks.map(chunk => chunk.file)).size).toBe(chunks.length);
+    expect(index.chunks.every((chunk, i) => i === 0 || chunk.firstStage === index.chunks[i - 1].lastStage + 1)).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLoadoutBonuses,
+  applyLoadoutBonuses,
+  evaluateStage,
+  estimateProgress
+} from '../../src/utils/stageReadiness.js';
+import { loadFormulaSection, createStageFactory } from '../helpers/formulaHelpers.js';
+
+const formulas = loadFormulaSection('stage');
+
+const stage = createStageFactory({
+  enemyCount: 5,
+  enemyHP: 10,
+  bossHP: 1000,
+  bossATK: 10,
+  attackSpeed: 1,
+  miss: 0,
+  accuracy: 100
+});
+
+const stats = { attack: 100, hp: 1000, attackSpeed: 1, accuracy: 100, skillDamage: 0 };
+
+describe('evaluateStage', () => {
+  it('estimates kill and survival times', () => {
+    const result = evaluateStage(stage(1), stats, formulas);
+    expect(result).toMatchObject({
+      stageNo: 1,
+      hitChance: 1,
+      dps: 100,
+      waveClearTime: 0.5,
+      bossKillTime: 10,
+      survivalTime: 100,
+      fightTime: 30,
+      cleared: true,
+      limitedBy: null
+    });
+  });
+
+  it('lowers the hit chance against evasive stages', () => {
+    const result = evaluateStage(stage(1, { miss: 20 }), stats, formulas);
+    expect(result.hitChance).toBeCloseTo(0.8);
+    expect(result.dps).toBeCloseTo(80);
+    expect(evaluateStage(stage(1, { miss: 500 }), stats, formulas).hitChance).toBe(0.05);
+  });
+});
+
+describe('estimateProgress', () => {
+  it('stops at the first stage the boss timer blocks', () => {
+    const stages = [stage(3, { bossHP: 6000 }), stage(1), stage(2, { bossHP: 2900 }), stage(4)];
+    const progress = estimateProgress(stages, stats, formulas);
+
+    expect(progress.furthestStage.stageNo).toBe(2);
+    expect(progress.wall.stageNo).toBe(3);
+    expect(progress.wallResult.limitedBy).toBe('time');
+    expect(progress.requirements.attack).toEqual({ required: 200, increasePercent: 100 });
+    expect(progress.requirements.hp).toBeNull();
+    expect(progress.requirements.accuracy).toBeNull();
+  });
+
+  it('suggests HP when the player dies before the boss', () => {
+    const progress = estimateProgress([stage(1, { bossHP: 2000, bossATK: 100 })], stats, formulas);
+
+    expect(progress.furthestStage).toBeNull();
+    expect(progress.wallResult.limitedBy).toBe('hp');
+    expect(progress.requirements.hp).toEqual({ required: 2000, increasePercent: 100 });
+    expect(progress.requirements.attack.required).toBe(200);
+  });
+
+  it('suggests accuracy when misses cause the wall', () => {
+    const progress = estimateProgress([stage(1, { bossHP: 2500, miss: 20 })], stats, formulas);
+
+    expect(progress.requirements.accuracy).toMatchObject({ required: 120, passes: true });
+    expect(progress.requirements.accuracy.increasePercent).toBeCloseTo(20);
+  });
+
+  it('clears everything with enough stats and honors the start stage', () => {
+    const stages = [stage(1, { bossHP: 1e9 }), stage(2), stage(3)];
+    const progress = estimateProgress(stages, stats, formulas, { fromStage: 2 });
+
+    expect(progress.furthestStage.stageNo).toBe(3);
+    expect(progress.wall).toBeNull();
+  });
+});
+
+describe('loadout bonuses', () => {
+  it('applies stat engine bonuses on top of base stats', () => {
+    const bonuses = getLoadoutBonuses({
+      stats: { ATK: 50, EXTRA_DMG: 100, HP: 20, ATK_SPD: 10, ACCURACY: 30 },
+      weaponAttack: 100,
+      classATK: 2,
+      classHP: 1.5,
+      skillDamagePerSecond: 40
+    });
+
+    const result = applyLoadoutBonuses({ attack: 100, hp: '1000', attackSpeed: 2, accuracy: 70 }, bonuses);
+    expect(result.attack).toBe(1200);
+    expect(result.hp).toBeCloseTo(1800);
+    expect(result.attackSpeed).toBeCloseTo(2.2);
+    expect(result).toMatchObject({ accuracy: 100, skillDamage: 40 });
+  });
+
+  it('uses the entered stats as-is without a loadout', () => {
+    expect(applyLoadoutBonuses({ attack: '50', hp: -5, attackSpeed: '', accuracy: 10 }, null)).toEqual({
+      attack: 50, hp: 0, attackSpeed: 0, accuracy: 10, skillDamage: 0
+    });
+  });
+});
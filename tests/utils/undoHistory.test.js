@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createHistory,
+  recordHistory,
+  undoHistory,
+  redoHistory,
+  snapshotsEqual,
+  getHistoryShortcut
+} from '../../src/utils/undoHistory.js';
+
+const build = (name) => ({ slots: [name] });
+
+describe('undoHistory', () => {
+  describe('snapshotsEqual', () => {
+    it('compares snapshot values by reference', () => {
+      const b = build('a');
+      expect(snapshotsEqual({ build: b }, { build: b })).toBe(true);
+      expect(snapshotsEqual({ build: b }, { build: build('a') })).toBe(false);
+      expect(snapshotsEqual({ build: b }, { build: b, maxSlots: 10 })).toBe(false);
+    });
+  });
+
+  describe('recordHistory', () => {
+    it('pushes the previous present and clears redo', () => {
+      const a = { build: build('a') };
+      const b = { build: build('b') };
+      const c = { build: build('c') };
+
+      let history = recordHistory(createHistory(a), b, { now: 1000 });
+      history = undoHistory(history);
+      expect(history.future).toHaveLength(1);
+
+      history = recordHistory(history, c, { now: 2000 });
+      expect(history.past).toEqual([a]);
+      expect(history.present).toBe(c);
+      expect(history.future).toEqual([]);
+    });
+
+    it('ignores snapshots equal to the present', () => {
+      const a = { build: build('a') };
+      const history = createHistory(a);
+      expect(recordHistory(history, { build: a.build })).toBe(history);
+    });
+
+    it('keeps at most `limit` undo entries', () => {
+      let history = createHistory({ n: 0 });
+      for (let n = 1; n <= 10; n++) {
+        history = recordHistory(history, { n }, { limit: 3, now: n * 1000 });
+      }
+      expect(history.past.map(s => s.n)).toEqual([7, 8, 9]);
+      expect(history.present.n).toBe(10);
+    });
+
+    it('merges changes inside the merge window into one step', () => {
+      let history = createHistory({ n: 0 });
+      history = recordHistory(history, { n: 1 }, { mergeWindowMs: 300, now: 1000 });
+      history = recordHistory(history, { n: 2 }, { mergeWindowMs: 300, now: 1100 });
+      history = recordHistory(history, { n: 3 }, { mergeWindowMs: 300, now: 1200 });
+      expect(history.past.map(s => s.n)).toEqual([0]);
+      expect(history.present.n).toBe(3);
+
+      history = recordHistory(history, { n: 4 }, { mergeWindowMs: 300, now: 2000 });
+      expect(history.past.map(s => s.n)).toEqual([0, 3]);
+    });
+  });
+
+  describe('undo/redo', () => {
+    it('steps back and forward through recorded snapshots', () => {
+      const states = [{ n: 0 }, { n: 1 }, { n: 2 }];
+      let history = createHistory(states[0]);
+      history = recordHistory(history, states[1], { now: 1000 });
+      history = recordHistory(history, states[2], { now: 2000 });
+
+      history = undoHistory(history);
+      expect(history.present).toBe(states[1]);
+      history = undoHistory(history);
+      expect(history.present).toBe(states[0]);
+      expect(undoHistory(history)).toBe(history);
+
+      history = redoHistory(history);
+      history = redoHistory(history);
+      expect(history.present).toBe(states[2]);
+      expect(redoHistory(history)).toBe(history);
+    });
+
+    it('does not merge the first change after an undo', () => {
+      let history = createHistory({ n: 0 });
+      history = recordHistory(history, { n: 1 }, { mergeWindowMs: 300, now: 1000 });
+      history = recordHistory(history, { n: 2 }, { mergeWindowMs: 300, now: 2000 });
+      history = undoHistory(history);
+      history = recordHistory(history, { n: 3 }, { mergeWindowMs: 300, now: 2100 });
+      expect(history.past.map(s => s.n)).toEqual([0, 1]);
+    });
+  });
+
+  describe('getHistoryShortcut', () => {
+    const event = (key, mods = {}, target = { tagName: 'DIV' }) => ({
+      key, ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, target, ...mods
+    });
+
+    it('maps Ctrl/Cmd+Z to undo and Ctrl+Shift+Z / Ctrl+Y to redo', () => {
+      expect(getHistoryShortcut(event('z', { ctrlKey: true }))).toBe('undo');
+      expect(getHistoryShortcut(event('z', { metaKey: true }))).toBe('undo');
+      expect(getHistoryShortcut(event('Z', { ctrlKey: true, shiftKey: true }))).toBe('redo');
+      expect(getHistoryShortcut(event('y', { ctrlKey: true }))).toBe('redo');
+    });
+
+    it('ignores plain keys and text fields', () => {
+      expect(getHistoryShortcut(event('z'))).toBeNull();
+      expect(getHistoryShortcut(event('z', { ctrlKey: true }, { tagName: 'INPUT' }))).toBeNull();
+      expect(getHistoryShortcut(event('z', { ctrlKey: true }, { tagName: 'DIV', isContentEditable: true }))).toBeNull();
+    });
+  });
+});